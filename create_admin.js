@@ -0,0 +1,72 @@
+// Create an admin dashboard account
+// Usage: node create_admin.js <username> <password> [display name] [--role <role>] [--course <code>] [--group <tutorial group>]
+//   roles: platform_admin (default), course_admin, instructor, ta
+//   e.g.   node create_admin.js jsmith pa55word "Jo Smith" --role ta --course MAMC01810 --group T03
+// Existing accounts: node create_admin.js --disable <username> | --enable <username> | --revoke-tokens <username>
+//   --disable also revokes every token the account holds
+require('dotenv').config();
+
+const sessionDb = require('./services/sessionDatabaseSafe');
+const adminAuth = require('./services/adminAuth');
+
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+        flags[args[i].slice(2)] = args[++i];
+    } else {
+        positional.push(args[i]);
+    }
+}
+
+const ACCOUNT_ACTIONS = ['disable', 'enable', 'revoke-tokens'];
+const accountAction = ACCOUNT_ACTIONS.find(action => action in flags);
+if (accountAction) {
+    const target = flags[accountAction];
+    if (!target) {
+        console.error(`❌ --${accountAction} needs a username`);
+        process.exit(1);
+    }
+    const result = accountAction === 'revoke-tokens'
+        ? adminAuth.revokeAllTokens(target)
+        : adminAuth.setAccountDisabled(target, accountAction === 'disable');
+    if (!result) {
+        console.error(`❌ Admin account "${target}" not found`);
+        process.exit(1);
+    }
+    console.log(`✅ ${result.admin.username}: ${accountAction === 'revoke-tokens' ? 'signed out' : `${accountAction}d`} (${result.tokensRevoked} token(s) revoked)`);
+    process.exit(0);
+}
+
+const [username, password, ...nameParts] = positional;
+const role = flags.role || 'platform_admin';
+const courseCode = flags.course ? flags.course.toUpperCase() : null;
+const tutorialGroup = flags.group || null;
+
+if (!username || !password) {
+    console.log('Usage: node create_admin.js <username> <password> [display name] [--role <role>] [--course <code>] [--group <tutorial group>]');
+    console.log(`Roles: ${adminAuth.ROLES.join(', ')}`);
+    process.exit(1);
+}
+
+const invalid = adminAuth.validateGrant(role, courseCode, tutorialGroup);
+if (invalid) {
+    console.error(`❌ ${invalid}`);
+    process.exit(1);
+}
+
+if (!sessionDb.isAvailable()) {
+    console.error('❌ Database unavailable - admin account would not be persisted');
+    process.exit(1);
+}
+
+if (sessionDb.getAdminUserByUsername(username)) {
+    console.error(`❌ Admin account "${username}" already exists`);
+    process.exit(1);
+}
+
+const admin = adminAuth.createAdmin(username, password, nameParts.join(' ') || null);
+sessionDb.grantAdminRole(admin.id, role, courseCode, tutorialGroup);
+console.log(`✅ Admin account created: ${admin.username} (id ${admin.id}, ${role}${courseCode ? ` ${courseCode}` : ''}${tutorialGroup ? `/${tutorialGroup}` : ''})`);
+process.exit(0);
@@ -0,0 +1,101 @@
+// Inspect and run schema migrations for the session database (services/migrations)
+// Usage: node migrate.js [status]          list applied and pending migrations
+//        node migrate.js up [version]      apply pending migrations (up to version)
+//        node migrate.js down [version]    roll back to version (default: undo the latest; 001 cannot be undone)
+//        node migrate.js create <name>     add an empty migration file
+//   or   npm run migrate -- <command>
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DB_PATH } = require('./services/dbPath');
+const migrator = require('./services/migrator');
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+function parseVersion(value) {
+    if (value === undefined) return undefined;
+    const version = parseInt(value, 10);
+    if (Number.isNaN(version) || version < 0) {
+        console.error(`❌ Not a migration version: ${value}`);
+        process.exit(1);
+    }
+    return version;
+}
+
+function printStatus(db) {
+    const status = migrator.getStatus(db);
+    console.log(`📦 ${DB_PATH}`);
+    console.log(`🗄️ Schema version ${status.current} (latest known: ${status.latest})\n`);
+
+    for (const m of status.applied) {
+        console.log(`  ✅ ${m.name}  applied ${m.appliedAt}${m.modified ? '  ⚠️ file changed since applied' : ''}`);
+    }
+    for (const m of status.pending) {
+        console.log(`  ⏳ ${m.name}  pending${m.description ? ` - ${m.description}` : ''}`);
+    }
+    for (const m of status.unknown) {
+        console.log(`  ❓ ${m.name}  applied ${m.appliedAt} by a newer release`);
+    }
+    if (status.unknown.length > 0) {
+        console.log('\n⚠️ The database is ahead of this code - the server will refuse to start.');
+    }
+}
+
+function createMigration(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        console.error('Usage: node migrate.js create <name>');
+        process.exit(1);
+    }
+
+    const latest = migrator.loadMigrations().reduce((max, m) => Math.max(max, m.version), 0);
+    const file = path.join(migrator.MIGRATIONS_DIR, `${String(latest + 1).padStart(3, '0')}_${slug}.js`);
+    fs.writeFileSync(file, `// ${name}
+
+const description = '';
+
+function up(db) {
+    db.exec(\`
+    \`);
+}
+
+function down(db) {
+    db.exec(\`
+    \`);
+}
+
+module.exports = { description, up, down };
+`);
+    console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+}
+
+if (command === 'create') {
+    createMigration(arg);
+    process.exit(0);
+}
+
+const db = new Database(DB_PATH);
+let exitCode = 0;
+
+try {
+    if (command === 'status') {
+        printStatus(db);
+    } else if (command === 'up') {
+        const applied = migrator.migrate(db, { target: parseVersion(arg) ?? Infinity });
+        console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+        const rolledBack = migrator.rollback(db, { target: parseVersion(arg) ?? null });
+        console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+    } else {
+        console.log('Usage: node migrate.js [status | up [version] | down [version] | create <name>]');
+        exitCode = 1;
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    exitCode = 1;
+} finally {
+    db.close();
+}
+process.exit(exitCode);
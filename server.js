@@ -59,14 +59,49 @@ const sessionDb = require('./services/sessionDatabaseSafe');
 // NEW: Email Service for report delivery
 const emailService = require('./services/emailService');
 
+// Admin authentication (hashed credentials + signed tokens)
+const adminAuth = require('./services/adminAuth');
+adminAuth.ensureBootstrapAdmin();
+
+// Per-course prompts, rubric and analyzer settings
+const courseConfig = require('./services/courseConfig');
+courseConfig.ensureDefaultCourses();
+
+// Per-course report recipients and delivery mode
+const reportRouting = require('./services/reportRouting');
+
+// Durable outbound email queue (worker started once the server is listening)
+const emailOutbox = require('./services/emailOutbox');
+
+// Scheduled daily / weekly instructor digests
+const digestService = require('./services/digestService');
+const retentionService = require('./services/retentionService');
+const analyticsService = require('./services/analyticsService');
+
+// Append-only record of admin access and data changes
+const auditLog = require('./services/auditLog');
+
+// Student portal (/my): email code login, past sessions, resume
+const studentPortal = require('./services/studentPortal');
+
+// What Kea remembers about a student across sessions
+const studentMemory = require('./services/studentMemory');
+
+// Grades, rubric judgements and ghost-writing caught in coach replies
+const outputGuardrail = require('./services/outputGuardrail');
+
+// Five Yamas scores for every assistant turn (the fractal analyzer's constitutional scorer)
+const yamasScorer = require('./services/fractal/yamasScorer');
+
 // Multer setup for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit for documents with heavy images/tables
 });
 
-// Store coaching contexts per session
-const coachingContexts = new Map();
+// Store coaching contexts per session (cached, backed by sessions.coaching_context)
+const { createContextStore } = require('./services/contextStore');
+const coachingContexts = createContextStore();
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECURITY & PERFORMANCE SAFEGUARDS
@@ -120,40 +155,37 @@ function sanitizeFilename(filename) {
   return safe;
 }
 
-// Session cleanup: Remove contexts older than 24 hours
-const MAX_CONTEXT_AGE = 24 * 60 * 60 * 1000; // 24 hours
-const MAX_CONTEXTS = 1000; // Prevent unbounded memory growth
+// Admin scoping: report emails follow their session; course-level emails only need the course
+function emailScope(email) {
+  return (email.session_id && sessionDb.getSession(email.session_id)) || { course_code: email.course_code };
+}
 
-function cleanupOldContexts() {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  // Remove old contexts
-  for (const [sessionId, data] of coachingContexts.entries()) {
-    if (now - data.timestamp > MAX_CONTEXT_AGE) {
-      coachingContexts.delete(sessionId);
-      cleaned++;
-    }
-  }
+// Admin scoping: keep only students with a visible session, with counts recomputed from those sessions
+function scopeUsers(scope, users, visibleSessions) {
+  if (scope.isPlatformAdmin) return users;
   
-  // If still over limit, remove oldest
-  if (coachingContexts.size > MAX_CONTEXTS) {
-    const sorted = Array.from(coachingContexts.entries())
-      .sort((a, b) => a[1].timestamp - b[1].timestamp);
-    
-    const toRemove = sorted.slice(0, coachingContexts.size - MAX_CONTEXTS);
-    toRemove.forEach(([sessionId]) => {
-      coachingContexts.delete(sessionId);
-      cleaned++;
-    });
+  const byUser = new Map();
+  for (const s of visibleSessions) {
+    const userId = s.user_id ?? s.user?.id;
+    const entry = byUser.get(userId) || { count: 0, last: null };
+    entry.count++;
+    if (!entry.last || s.started_at > entry.last) entry.last = s.started_at;
+    byUser.set(userId, entry);
   }
   
+  return users
+    .filter(u => byUser.has(u.id))
+    .map(u => ({ ...u, session_count: byUser.get(u.id).count, last_session: byUser.get(u.id).last }));
+}
+
+// Context cache cleanup: evict contexts older than 24 hours (they reload from the database on demand)
+function cleanupOldContexts() {
+  const cleaned = coachingContexts.prune();
   if (cleaned > 0) {
-    log('info', `🧹 [AUTO-CLEANUP] Removed ${cleaned} old contexts. Remaining: ${coachingContexts.size}`);
+    log('info', `🧹 [AUTO-CLEANUP] Evicted ${cleaned} old contexts from cache. Remaining: ${coachingContexts.size}`);
   }
 }
 
-// Run cleanup every hour
 setInterval(cleanupOldContexts, 60 * 60 * 1000);
 
 const { createRelayV5 } = require('./services/keaVoiceV5');
@@ -169,8 +201,8 @@ const sessions = new Map();
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type'
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 };
 
 async function handleRequest(req, res) {
@@ -268,25 +300,48 @@ async function handleRequest(req, res) {
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
         try {
-          const { sessionId, name, email, responseLength } = JSON.parse(body);
+          const { sessionId, name, email, responseLength, courseCode, tutorialGroup } = JSON.parse(body);
           
           if (!sessionId || !name || !email) {
             throw new Error('sessionId, name, and email are required');
           }
           
+          // Course selects prompts and analyzer; sessions without one use the default course
+          const course = courseCode ? courseConfig.getCourse(courseCode) : courseConfig.resolveCourse();
+          if (!course || !course.active) {
+            throw new Error(`Unknown course: ${courseCode}`);
+          }
+          
           // Create/get user
           const user = sessionDb.getOrCreateUser(email, name);
           
-          // Create session in database
-          sessionDb.createSession(sessionId, user.id, responseLength || 'MEDIUM');
-          
-          console.log(`📝 Session registered: ${sessionId} for ${name} (${email})`);
+          // Create session in database (course/tutorial group drive admin access scoping)
+          const created = sessionDb.createSession(
+            sessionId,
+            user.id,
+            responseLength || 'MEDIUM',
+            course.code,
+            tutorialGroup?.trim() || null
+          );
+          
+          // Anyone can type an email here; only a portal token for the same student
+          // verifies it, and only verified sessions get student memory
+          const student = studentPortal.authenticateStudent(req);
+          const identityVerified = created !== false && student.ok && student.userId === user.id;
+          if (identityVerified) sessionDb.markSessionIdentityVerified(sessionId);
+          
+          console.log(`📝 Session registered: ${sessionId} for ${name} (${email}) [${course.code}${tutorialGroup ? `/${tutorialGroup}` : ''}]`);
+          auditLog.record(req, auditLog.studentActor(user.id), 'session.register', {
+            targetType: 'session', targetId: sessionId, courseCode: course.code
+          });
           
           res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
             success: true,
             userId: user.id,
             sessionId: sessionId,
+            identityVerified,
+            course: courseConfig.toPublicCourse(course),
             message: 'Session registered'
           }));
           
@@ -299,6 +354,17 @@ async function handleRequest(req, res) {
       return;
     }
     
+    // Active courses for the registration course picker
+    if (pathname === '/api/courses' && req.method === 'GET') {
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        defaultCourse: courseConfig.DEFAULT_COURSE_CODE,
+        courses: courseConfig.listCourses().map(courseConfig.toPublicCourse)
+      }));
+      return;
+    }
+    
     // End session (called via beacon on window close)
     if (pathname === '/api/end-session' && req.method === 'POST') {
       let body = '';
@@ -312,6 +378,21 @@ async function handleRequest(req, res) {
             throw new Error('sessionId required');
           }
           
+          // The End button and the unload beacon both call this - once the report has been
+          // routed the session is finished and later calls change nothing
+          if (sessionDb.getReportRoutingLog(sessionId).length > 0) {
+            const existing = sessionDb.getLatestReport(sessionId);
+            console.log(`🏁 Session already ended: ${sessionId} (reason: ${reason || 'manual'})`);
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              success: true,
+              alreadyEnded: true,
+              reportGenerated: !!existing,
+              reportHash: existing?.report_hash?.substring(0, 16) || null
+            }));
+            return;
+          }
+          
           console.log(`🏁 Ending session: ${sessionId} (reason: ${reason || 'manual'})`);
           
           // Save final key takeaways if provided
@@ -319,16 +400,14 @@ async function handleRequest(req, res) {
             sessionDb.updateKeyTakeaways(sessionId, keyTakeaways);
           }
           
-          // Save any remaining conversation turns
-          if (conversationHistory && Array.isArray(conversationHistory)) {
-            const existingTurns = sessionDb.getConversationHistory(sessionId);
-            const existingCount = existingTurns.length;
-            
-            // Only add turns that weren't already saved
-            for (let i = existingCount; i < conversationHistory.length; i++) {
-              const turn = conversationHistory[i];
-              sessionDb.addConversationTurn(sessionId, turn.role, turn.content);
-            }
+          // The relay records turns as they happen; the client's copy only fills in for
+          // sessions it did not record (older clients, relay unavailable)
+          if (Array.isArray(conversationHistory)) {
+            const scored = conversationHistory.map(entry => entry?.role === 'assistant' && typeof (entry.content ?? entry.text) === 'string'
+              ? { ...entry, yamas: yamasScorer.scoreReply(entry.content ?? entry.text) }
+              : entry);
+            const added = sessionDb.reconcileClientHistory(sessionId, scored);
+            if (added > 0) console.log(`💬 Reconciled ${added} client turns for ${sessionId}`);
           }
           
           // Generate final report
@@ -336,51 +415,33 @@ async function handleRequest(req, res) {
           
           // Mark session as ended
           sessionDb.endSession(sessionId, reason === 'window_close' ? 'completed' : 'completed');
+          auditLog.record(req, auditLog.sessionActor(sessionId), 'session.end', {
+            targetType: 'session', targetId: sessionId, detail: { reason: reason || 'manual' }
+          });
           
           // ═══════════════════════════════════════════════════════════════════════════
-          // AUTO-SEND REPORT TO INSTRUCTOR (Varun)
+          // ROUTE REPORT TO COURSE RECIPIENTS (see services/reportRouting.js)
           // ═══════════════════════════════════════════════════════════════════════════
-          const INSTRUCTOR_EMAIL = 'vbha006@aucklanduni.ac.nz';
-          
           try {
-            // Get session data for the email
             const session = sessionDb.getSession(sessionId);
             const turns = sessionDb.getConversationHistory(sessionId);
             
-            console.log(`📧 AUTO: Session data for ${sessionId}:`, {
-              user_name: session?.user_name,
-              user_email: session?.user_email,
-              organisation_name: session?.organisation_name
-            });
-            
             if (session) {
-              const reportData = {
-                userName: session.user_name || 'Student',
-                userEmail: session.user_email || 'Not provided',
-                assessmentTitle: session.organisation_name || session.document_filename || 'Coaching Session',
-                keyTakeaways: session.key_takeaways_html || keyTakeaways || '',
-                createdAt: session.started_at,
-                endedAt: new Date().toISOString(),
-                sessionStats: {
-                  totalTurns: turns.length,
-                  userTurns: turns.filter(t => t.role === 'user').length,
-                  assistantTurns: turns.filter(t => t.role === 'assistant').length,
-                  durationMinutes: session.started_at ? 
-                    Math.round((new Date() - new Date(session.started_at)) / 60000) : 'N/A'
-                }
-              };
-              
-              // Send to instructor automatically
-              const emailResult = await emailService.sendReportEmail(INSTRUCTOR_EMAIL, reportData);
-              if (emailResult.success) {
-                console.log(`📧 AUTO: Report sent to instructor (${INSTRUCTOR_EMAIL}) for session ${sessionId}`);
-              } else {
-                console.error(`📧 AUTO: Failed to send report to instructor: ${emailResult.error}`);
-              }
+              const reportData = reportRouting.buildReportData(session, turns, keyTakeaways);
+              const decisions = reportRouting.routeSessionReport(session, reportData, report);
+              const summary = decisions.map(d => `${d.recipientEmail || '-'}:${d.decision}`).join(', ');
+              console.log(`📧 AUTO: Report routing for ${sessionId} [${session.course_code}] → ${summary}`);
             }
           } catch (emailErr) {
-            // Don't fail the endpoint if email fails - just log it
-            console.error(`📧 AUTO: Error sending instructor email: ${emailErr.message}`);
+            // Don't fail the endpoint if routing/email fails - just log it
+            console.error(`📧 AUTO: Error routing session report: ${emailErr.message}`);
+          }
+          
+          // Remember this session for the student's next one (see services/studentMemory.js)
+          try {
+            studentMemory.rememberSession(sessionId);
+          } catch (memoryErr) {
+            console.error(`🧠 Error remembering session ${sessionId}: ${memoryErr.message}`);
           }
           
           res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -399,7 +460,9 @@ async function handleRequest(req, res) {
       return;
     }
     
-    // Save conversation turn (called after each exchange)
+    // Client copy of a conversation turn (called after each exchange). Sessions on the V7
+    // relay already have the turn, so this only stores turns the relay did not record and
+    // is safe to retry. Key takeaway updates go to the session, not the transcript.
     if (pathname === '/api/save-turn' && req.method === 'POST') {
       let body = '';
       req.on('data', chunk => body += chunk);
@@ -410,11 +473,28 @@ async function handleRequest(req, res) {
           if (!sessionId || !role || !content) {
             throw new Error('sessionId, role, and content are required');
           }
+          if (!sessionDb.getSession(sessionId)) {
+            throw new Error('Unknown session');
+          }
+          
+          if (role === 'system' && metadata?.type === 'key_takeaways') {
+            sessionDb.updateKeyTakeaways(sessionId, content.replace(/^\[KEY_TAKEAWAYS_UPDATE\]\s*/, ''));
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, turnNumber: null, stored: false }));
+            return;
+          }
+          if (role !== 'user' && role !== 'assistant') {
+            throw new Error('role must be user or assistant');
+          }
           
-          const turnNumber = sessionDb.addConversationTurn(sessionId, role, content, metadata || {});
+          const { turnNumber, stored } = sessionDb.reconcileClientTurn(sessionId, role, content, {
+            latencyMs: metadata?.latencyMs,
+            audioDurationMs: metadata?.audioDurationMs,
+            yamas: role === 'assistant' ? yamasScorer.scoreReply(content) : null
+          });
           
           res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, turnNumber }));
+          res.end(JSON.stringify({ success: true, turnNumber, stored }));
           
         } catch (err) {
           console.error('Save turn error:', err);
@@ -436,6 +516,7 @@ async function handleRequest(req, res) {
       }
       
       const report = sessionDb.getLatestReport(reportSessionId);
+      auditLog.record(req, auditLog.ANONYMOUS, 'report.fetch', { targetType: 'session', targetId: reportSessionId });
       
       if (report) {
         res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -516,6 +597,10 @@ async function handleRequest(req, res) {
           // Send email
           const result = await emailService.sendReportEmail(toEmail, reportData);
           
+          auditLog.record(req, auditLog.sessionActor(sessionId), 'report.email', {
+            targetType: 'session', targetId: sessionId, outcome: result.success ? 'ok' : 'failed'
+          });
+          
           if (result.success) {
             log('info', `📧 Report emailed to ${toEmail} for session ${sessionId}`);
             res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -532,7 +617,186 @@ async function handleRequest(req, res) {
       });
       return;
     }
+    
+    // Email provider event webhook (bounces) - enabled by EMAIL_WEBHOOK_TOKEN
+    if (pathname === '/api/email-events' && req.method === 'POST') {
+      const webhookToken = process.env.EMAIL_WEBHOOK_TOKEN;
+      if (!webhookToken || url.searchParams.get('token') !== webhookToken) {
+        res.writeHead(401, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Invalid webhook token' }));
+        return;
+      }
+      
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const bounced = emailOutbox.recordProviderEvents(JSON.parse(body));
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, bounced }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
 
+    // ============================================
+    // STUDENT PORTAL ENDPOINTS (/my)
+    // ============================================
+    
+    // Email a sign-in code (same answer whether or not the email is known)
+    if (pathname === '/api/student/request-code' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const { email } = JSON.parse(body);
+          const result = studentPortal.requestLoginCode(email, auditLog.clientIp(req));
+          res.writeHead(result.ok ? 200 : result.status, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result.ok
+            ? { success: true, message: result.message }
+            : { success: false, error: result.error }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Exchange email + code for a student token
+    if (pathname === '/api/student/verify-code' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const { email, code } = JSON.parse(body);
+          const result = studentPortal.verifyLoginCode(email, code);
+          auditLog.record(req, result.ok ? auditLog.studentActor(result.student.id) : auditLog.ANONYMOUS, 'student.login', {
+            outcome: result.ok ? 'ok' : 'denied'
+          });
+          if (!result.ok) {
+            res.writeHead(result.status, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: result.error }));
+            return;
+          }
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            success: true,
+            token: result.token,
+            expiresAt: result.expiresAt,
+            student: result.student
+          }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Every other student route requires a valid student token
+    let studentSession = null;
+    if (pathname.startsWith('/api/student/')) {
+      const auth = studentPortal.authenticateStudent(req);
+      if (!auth.ok) {
+        res.writeHead(auth.status, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: auth.error }));
+        return;
+      }
+      studentSession = auth;
+    }
+    
+    if (pathname === '/api/student/logout' && req.method === 'POST') {
+      studentPortal.logout(studentSession.token);
+      auditLog.record(req, auditLog.studentActor(studentSession.userId), 'student.logout');
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: 'Logged out' }));
+      return;
+    }
+    
+    // The student's sessions, newest first
+    if (pathname === '/api/student/sessions' && req.method === 'GET') {
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, sessions: studentPortal.listSessions(studentSession.userId) }));
+      return;
+    }
+    
+    // Transcript and key takeaways for one of the student's sessions
+    const studentSessionMatch = pathname.match(/^\/api\/student\/session\/([^/]+)(\/resume)?$/);
+    if (studentSessionMatch && !studentSessionMatch[2] && req.method === 'GET') {
+      const session = studentPortal.getSessionForStudent(studentSession.userId, decodeURIComponent(studentSessionMatch[1]));
+      if (!session) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Session not found' }));
+        return;
+      }
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, session }));
+      return;
+    }
+    
+    // Continue a session: new session id, stored context and recent turns loaded for the V7 relay
+    if (studentSessionMatch && studentSessionMatch[2] && req.method === 'POST') {
+      try {
+        const resumed = studentPortal.resumeSession(studentSession.userId, decodeURIComponent(studentSessionMatch[1]));
+        if (!resumed) {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Session not found' }));
+          return;
+        }
+        coachingContexts.set(resumed.session.sessionId, resumed.contextEntry);
+        auditLog.record(req, auditLog.studentActor(studentSession.userId), 'session.resume', {
+          targetType: 'session', targetId: resumed.session.sessionId, detail: { resumedFrom: resumed.contextEntry.resumedFrom }
+        });
+        log('info', `↩️ [RESUME] ${resumed.contextEntry.resumedFrom} → ${resumed.session.sessionId}`);
+        
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          session: resumed.session,
+          recentTurns: resumed.recentTurns
+        }));
+      } catch (err) {
+        log('error', `Resume failed: ${err.message}`);
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // What Kea remembers about the student, grouped by session
+    if (pathname === '/api/student/memory' && req.method === 'GET') {
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, memory: studentMemory.getMemory(studentSession.userId) }));
+      return;
+    }
+    
+    // Clear everything Kea remembers about the student
+    if (pathname === '/api/student/memory' && req.method === 'DELETE') {
+      const cleared = studentMemory.clearMemory(studentSession.userId);
+      auditLog.record(req, auditLog.studentActor(studentSession.userId), 'memory.clear', { detail: { cleared } });
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, cleared }));
+      return;
+    }
+    
+    // Forget a single note
+    const memoryMatch = pathname.match(/^\/api\/student\/memory\/(\d+)$/);
+    if (memoryMatch && req.method === 'DELETE') {
+      const removed = studentMemory.forget(studentSession.userId, parseInt(memoryMatch[1]));
+      if (removed) {
+        auditLog.record(req, auditLog.studentActor(studentSession.userId), 'memory.forget', {
+          targetType: 'memory', targetId: memoryMatch[1]
+        });
+      }
+      res.writeHead(removed ? 200 : 404, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(removed ? { success: true } : { success: false, error: 'Memory not found' }));
+      return;
+    }
+    
     // ============================================
     // ADMIN ENDPOINTS
     // ============================================
@@ -544,14 +808,29 @@ async function handleRequest(req, res) {
       req.on('end', () => {
         try {
           const { username, password } = JSON.parse(body);
+          const result = adminAuth.login(username, password, auditLog.clientIp(req));
+          const actor = result?.admin
+            ? auditLog.adminActor(result)
+            : { ...auditLog.ANONYMOUS, name: username ? String(username) : null };
+          auditLog.record(req, actor, 'admin.login', {
+            outcome: result?.admin ? 'ok' : 'denied',
+            detail: result?.locked ? { locked: true } : undefined
+          });
           
-          // Hardcoded admin credentials as requested
-          if (username === 'Admin' && password === 'IamallinonAI') {
+          if (result?.locked) {
+            res.writeHead(429, { ...corsHeaders, 'Content-Type': 'application/json', 'Retry-After': String(result.retryAfter) });
+            res.end(JSON.stringify({ success: false, error: 'Too many failed logins - please wait and try again' }));
+          } else if (result?.disabled) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Admin account disabled' }));
+          } else if (result) {
             res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ 
               success: true, 
               message: 'Admin authenticated',
-              token: 'admin-session-' + Date.now()
+              token: result.token,
+              expiresAt: result.expiresAt,
+              admin: result.admin
             }));
           } else {
             res.writeHead(401, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -565,18 +844,51 @@ async function handleRequest(req, res) {
       return;
     }
     
-    // Combined admin dashboard data endpoint
+    // Every other admin route requires a valid admin token
+    let adminSession = null;
+    if (pathname.startsWith('/api/admin/')) {
+      const auth = adminAuth.authenticateRequest(req);
+      if (!auth.ok) {
+        res.writeHead(auth.status, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: auth.error }));
+        return;
+      }
+      adminSession = auth;
+      auditLog.trackAdminRequest(req, res, adminSession, url);
+    }
+    
+    // Admin logout (revokes the presented token)
+    if (pathname === '/api/admin/logout' && req.method === 'POST') {
+      adminAuth.logout(adminSession.token);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: 'Logged out' }));
+      return;
+    }
+    
+    // Current admin identity (used by the dashboard to validate a stored token)
+    if (pathname === '/api/admin/me' && req.method === 'GET') {
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 
+        success: true, 
+        admin: adminSession.admin,
+        scope: adminAuth.describeScope(adminSession.scope)
+      }));
+      return;
+    }
+    
+    // Combined admin dashboard data endpoint (stats, users, reports - sessions are paged via /api/admin/sessions)
     if (pathname === '/api/admin/dashboard' && req.method === 'GET') {
       try {
-        const sessions = sessionDb.getAllSessions();
-        const users = sessionDb.getAllUsers();
+        const sessions = adminAuth.filterSessions(adminSession.scope, sessionDb.getAllSessions());
+        const users = scopeUsers(adminSession.scope, sessionDb.getAllUsers(), sessions);
         
         // Calculate stats
         const totalTurns = sessions.reduce((sum, s) => sum + (s.turn_count || 0), 0);
         const activeSessions = sessions.filter(s => s.status === 'active').length;
         
-        // Get recent reports from session_reports table
-        const reports = sessionDb.getAllReports();
+        // Get recent reports from session_reports table (only for sessions in scope)
+        const visibleSessionIds = new Set(sessions.map(s => s.session_id));
+        const reports = sessionDb.getAllReports().filter(r => visibleSessionIds.has(r.session_id));
         
         res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
@@ -587,193 +899,943 @@ async function handleRequest(req, res) {
             activeSessions: activeSessions,
             totalTurns: totalTurns
           },
-          sessions,
           users,
-          reports
+          reports,
+          scope: adminAuth.describeScope(adminSession.scope)
         }));
       } catch (err) {
         console.error('Dashboard load error:', err);
         res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ success: false, error: err.message }));
       }
-      return;
-    }
-    
-    // Get specific report by ID for download
-    if (pathname.startsWith('/api/admin/report/') && req.method === 'GET') {
-      try {
-        const reportId = parseInt(pathname.split('/').pop());
-        const report = sessionDb.getReportById(reportId);
-        
-        if (!report) {
+      return;
+    }
+    
+    // Get specific report by ID for download
+    if (pathname.startsWith('/api/admin/report/') && req.method === 'GET') {
+      try {
+        const reportId = parseInt(pathname.split('/').pop());
+        const report = sessionDb.getReportById(reportId);
+        
+        if (!report) {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Report not found' }));
+          return;
+        }
+        
+        if (!adminAuth.can(adminSession.scope, 'view', sessionDb.getSession(report.session_id))) {
+          res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Report is outside your course scope' }));
+          return;
+        }
+        
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ 
+          success: true, 
+          report: JSON.parse(report.report_json),
+          report_hash: report.report_hash,
+          generated_at: report.generated_at
+        }));
+      } catch (err) {
+        console.error('Report download error:', err);
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Session list, one page at a time. Query: q (names, organisation or transcript text),
+    // status, courseCode, responseLength, organisation, from / to (started, to exclusive),
+    // archived (exclude | include | only), sort (started | ended | student | organisation |
+    // turns), order (asc | desc), limit (max 200), cursor (nextCursor of the previous page)
+    if (pathname === '/api/admin/sessions' && req.method === 'GET') {
+      try {
+        const params = url.searchParams;
+        const page = sessionDb.querySessions({
+          scope: adminAuth.sessionScope(adminSession.scope),
+          archived: params.get('archived') || 'exclude',
+          status: params.get('status'),
+          courseCode: params.get('courseCode')?.trim().toUpperCase(),
+          responseLength: params.get('responseLength')?.trim().toUpperCase(),
+          organisation: params.get('organisation')?.trim(),
+          from: params.get('from'),
+          to: params.get('to'),
+          search: params.get('q')?.trim(),
+          sort: params.get('sort') || 'started',
+          order: params.get('order') || 'desc',
+          cursor: params.get('cursor'),
+          limit: Math.min(Math.max(parseInt(params.get('limit')) || 50, 1), 200)
+        });
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...page }));
+      } catch (err) {
+        res.writeHead(err.code === 'INVALID_QUERY' ? 400 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Ranked full-text search over transcripts, key takeaways and uploaded documents.
+    // Query: q, sources (comma list of turns, takeaways, documents), courseCode, limit, offset
+    if (pathname === '/api/admin/search' && req.method === 'GET') {
+      try {
+        const params = url.searchParams;
+        const limit = Math.min(Math.max(parseInt(params.get('limit')) || 25, 1), 100);
+        const offset = Math.max(parseInt(params.get('offset')) || 0, 0);
+        const result = sessionDb.searchSessions({
+          query: params.get('q'),
+          scope: adminAuth.sessionScope(adminSession.scope),
+          sources: params.get('sources') ? params.get('sources').split(',').map(s => s.trim()) : undefined,
+          courseCode: params.get('courseCode')?.trim().toUpperCase(),
+          limit,
+          offset
+        });
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          ...result,
+          nextOffset: offset + result.hits.length < result.total ? offset + result.hits.length : null
+        }));
+      } catch (err) {
+        res.writeHead(err.code === 'INVALID_QUERY' ? 400 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Cohort analytics over the sessions this admin can see (archived included).
+    // Query: courseCode, from, to (exclusive), granularity (day | week), format (json | csv)
+    if (pathname === '/api/admin/analytics' && req.method === 'GET') {
+      try {
+        const params = url.searchParams;
+        const analytics = analyticsService.buildAnalytics({
+          scope: adminAuth.sessionScope(adminSession.scope),
+          courseCode: params.get('courseCode')?.trim().toUpperCase() || null,
+          from: params.get('from') || null,
+          to: params.get('to') || null,
+          granularity: params.get('granularity') || 'week'
+        });
+        if (params.get('format') === 'csv') {
+          res.writeHead(200, {
+            ...corsHeaders,
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="kea_analytics_${(analytics.filters.courseCode || 'all').replace(/[^\w-]/g, '')}_${analytics.generatedAt.slice(0, 10)}.csv"`
+          });
+          res.end(analyticsService.toCsv(analytics));
+        } else {
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, analytics }));
+        }
+      } catch (err) {
+        res.writeHead(err.code === 'INVALID_QUERY' ? 400 : 500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // V7 engine pipeline telemetry, newest first, with a summary of the rows returned.
+    // Query: sessionId, courseCode, outcome, source (voice | text), from, to, before, limit
+    if (pathname === '/api/admin/telemetry' && req.method === 'GET') {
+      try {
+        const params = url.searchParams;
+        const limit = Math.min(Math.max(parseInt(params.get('limit')) || 200, 1), 1000);
+        const telemetry = sessionDb.queryTurnTelemetry({
+          scope: adminAuth.sessionScope(adminSession.scope),
+          sessionId: params.get('sessionId'),
+          courseCode: params.get('courseCode')?.trim().toUpperCase(),
+          outcome: params.get('outcome'),
+          source: params.get('source'),
+          from: params.get('from'),
+          to: params.get('to'),
+          before: parseInt(params.get('before')) || null,
+          limit
+        });
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          telemetry,
+          summary: analyticsService.summariseTelemetry(telemetry),
+          nextBefore: telemetry.length === limit ? telemetry[telemetry.length - 1].id : null
+        }));
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Coach replies the output guardrail caught, newest first, for instructor review.
+    // Query: sessionId, courseCode, category (grade | rubric | ghostwriting), source (v7 | coach),
+    // from, to, before, limit
+    if (pathname === '/api/admin/guardrail' && req.method === 'GET') {
+      try {
+        const params = url.searchParams;
+        const limit = Math.min(Math.max(parseInt(params.get('limit')) || 200, 1), 1000);
+        const violations = sessionDb.queryGuardrailViolations({
+          scope: adminAuth.sessionScope(adminSession.scope),
+          sessionId: params.get('sessionId'),
+          courseCode: params.get('courseCode')?.trim().toUpperCase(),
+          category: params.get('category'),
+          source: params.get('source'),
+          from: params.get('from'),
+          to: params.get('to'),
+          before: parseInt(params.get('before')) || null,
+          limit
+        });
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          violations,
+          nextBefore: violations.length === limit ? violations[violations.length - 1].id : null
+        }));
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Documents uploaded during a session: list, view one (with its analysis), delete one
+    const sessionDocumentsMatch = pathname.match(/^\/api\/admin\/session\/([^/]+)\/documents(?:\/(\d+))?$/);
+    if (sessionDocumentsMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+      const [, sessionId, docId] = sessionDocumentsMatch;
+      try {
+        const session = sessionDb.getSession(sessionId);
+        const action = req.method === 'DELETE' ? 'delete' : 'view';
+        const document = docId ? sessionDb.getSessionDocument(parseInt(docId)) : null;
+        
+        if (!session || (docId && document?.session_id !== sessionId) || (req.method === 'DELETE' && !docId)) {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: docId ? 'Document not found' : 'Session not found' }));
+        } else if (!adminAuth.can(adminSession.scope, action, session)) {
+          res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: `Not permitted to ${action} this session's documents` }));
+        } else if (req.method === 'DELETE') {
+          sessionDb.deleteSessionDocument(document.id);
+          log('info', `🗑️ [ADMIN] ${adminSession.admin.username} deleted document ${document.id} (${document.filename}) from ${sessionId}`);
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, message: 'Document deleted' }));
+        } else {
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(docId
+            ? { success: true, document }
+            : { success: true, documents: sessionDb.getSessionDocuments(sessionId) }));
+        }
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Get specific session details with all conversation turns
+    if (pathname.startsWith('/api/admin/session/') && req.method === 'GET') {
+      const sessionId = pathname.split('/').pop();
+      try {
+        const sessionDetails = sessionDb.getSessionDetails(sessionId);
+        if (sessionDetails && !adminAuth.can(adminSession.scope, 'view', sessionDetails)) {
+          res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Session is outside your course scope' }));
+        } else if (sessionDetails) {
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          // Return both session and turns at top level for easier access
+          res.end(JSON.stringify({ 
+            success: true, 
+            session: sessionDetails,
+            turns: sessionDetails.turns || [],  // Also expose turns at top level
+            reportRouting: sessionDb.getReportRoutingLog(sessionId)
+          }));
+        } else {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Session not found' }));
+        }
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Get all users
+    if (pathname === '/api/admin/users' && req.method === 'GET') {
+      try {
+        const sessions = adminAuth.filterSessions(adminSession.scope, sessionDb.getAllSessions(true));
+        const users = scopeUsers(adminSession.scope, sessionDb.getAllUsers(), sessions);
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, users }));
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Subject access export / right to erasure for one student. The admin needs the
+    // permission on every session the student has - a student with none needs a platform admin.
+    const userDataMatch = pathname.match(/^\/api\/admin\/user\/(\d+)\/(export|erase)$/);
+    if (userDataMatch && ((userDataMatch[2] === 'export' && req.method === 'GET') || (userDataMatch[2] === 'erase' && req.method === 'POST'))) {
+      const userId = parseInt(userDataMatch[1]);
+      const action = userDataMatch[2];
+      const permission = action === 'export' ? 'export' : 'delete';
+      const userSessions = sessionDb.getAllSessions(true).filter(s => s.user_id === userId);
+      const allowed = userSessions.length > 0
+        ? userSessions.every(s => adminAuth.can(adminSession.scope, permission, s))
+        : adminSession.scope.isPlatformAdmin;
+      
+      if (!allowed) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: `Not permitted to ${action} this student's data` }));
+        return;
+      }
+      
+      if (action === 'export') {
+        const bundle = sessionDb.exportUserData(userId);
+        if (!bundle) {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'User not found' }));
+          return;
+        }
+        log('info', `📦 [ADMIN] ${adminSession.admin.username} exported data for user ${userId}`);
+        res.writeHead(200, {
+          ...corsHeaders,
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="kea_student_${userId}_export.json"`
+        });
+        res.end(JSON.stringify(bundle, null, 2));
+        return;
+      }
+      
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const { confirmEmail, reason } = JSON.parse(body || '{}');
+          const user = sessionDb.getAllUsers().find(u => u.id === userId);
+          
+          if (!user) {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'User not found' }));
+            return;
+          }
+          // Typing the address back guards against erasing the wrong row
+          if (String(confirmEmail || '').trim().toLowerCase() !== user.email.toLowerCase()) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: "confirmEmail must match the student's email address" }));
+            return;
+          }
+          
+          const tombstone = sessionDb.eraseUser(userId, {
+            erasedBy: adminSession.admin.username,
+            reason: reason ? String(reason).substring(0, 500) : null
+          });
+          tombstone.sessionIds.forEach(sessionId => coachingContexts.delete(sessionId));
+          auditLog.annotate(req, { detail: { tombstoneId: tombstone.id, sessionCount: tombstone.session_count } });
+          
+          log('info', `🗑️ [ADMIN] ${adminSession.admin.username} erased user ${userId} (${tombstone.session_count} sessions)`);
+          const { sessionIds, ...record } = tombstone;
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, tombstone: record }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Erasure tombstones (platform admins only - they are not tied to a course)
+    if (pathname === '/api/admin/erasures' && req.method === 'GET') {
+      if (!adminSession.scope.isPlatformAdmin) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Platform admin only' }));
+        return;
+      }
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, erasures: sessionDb.getErasureTombstones() }));
+      return;
+    }
+    
+    // Get user's sessions
+    if (pathname.startsWith('/api/admin/user/') && pathname.endsWith('/sessions') && req.method === 'GET') {
+      const parts = pathname.split('/');
+      const userId = parts[parts.length - 2];
+      try {
+        const userSessions = adminAuth.filterSessions(adminSession.scope, sessionDb.getUserSessions(userId));
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, sessions: userSessions }));
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Delete session (admin only)
+    if (pathname.startsWith('/api/admin/session/') && req.method === 'DELETE') {
+      const sessionId = pathname.split('/').pop();
+      try {
+        const session = sessionDb.getSession(sessionId);
+        if (session && !adminAuth.can(adminSession.scope, 'delete', session)) {
+          res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Not permitted to delete this session' }));
+          return;
+        }
+        
+        const deleted = session ? sessionDb.deleteSession(sessionId) : false;
+        if (deleted) {
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, message: 'Session deleted' }));
+        } else {
+          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Session not found' }));
+        }
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // Archive session (hide from main view but keep data)
+    if (pathname === '/api/admin/session/archive' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const { sessionId } = JSON.parse(body);
+          auditLog.annotate(req, { targetId: sessionId });
+          if (!sessionId) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'sessionId required' }));
+            return;
+          }
+          
+          if (!adminAuth.can(adminSession.scope, 'archive', sessionDb.getSession(sessionId))) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Not permitted to archive this session' }));
+            return;
+          }
+          
+          const archived = sessionDb.archiveSession(sessionId);
+          if (archived) {
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, message: 'Session archived' }));
+          } else {
+            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Failed to archive session' }));
+          }
+        } catch (err) {
+          res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Unarchive session (restore to main view)
+    if (pathname === '/api/admin/session/unarchive' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const { sessionId } = JSON.parse(body);
+          auditLog.annotate(req, { targetId: sessionId });
+          if (!sessionId) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'sessionId required' }));
+            return;
+          }
+          
+          if (!adminAuth.can(adminSession.scope, 'archive', sessionDb.getSession(sessionId))) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Not permitted to unarchive this session' }));
+            return;
+          }
+          
+          const unarchived = sessionDb.unarchiveSession(sessionId);
+          if (unarchived) {
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, message: 'Session unarchived' }));
+          } else {
+            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Failed to unarchive session' }));
+          }
+        } catch (err) {
+          res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Get archived sessions
+    if (pathname === '/api/admin/sessions/archived' && req.method === 'GET') {
+      try {
+        const sessions = adminAuth.filterSessions(adminSession.scope, sessionDb.getArchivedSessions());
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, sessions }));
+      } catch (err) {
+        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: err.message }));
+      }
+      return;
+    }
+    
+    // List role grants (platform admins see all, course admins see their courses)
+    if (pathname === '/api/admin/roles' && req.method === 'GET') {
+      if (!adminAuth.can(adminSession.scope, 'manage_roles')) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Not permitted to manage roles' }));
+        return;
+      }
+      
+      const roles = sessionDb.getAllAdminRoles()
+        .filter(r => adminAuth.canManageGrant(adminSession.scope, r.role, r.course_code));
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, roles, availableRoles: adminAuth.ROLES }));
+      return;
+    }
+    
+    // Grant a role to an admin account
+    if (pathname === '/api/admin/roles' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const data = JSON.parse(body);
+          const { username, role } = data;
+          const courseCode = data.courseCode?.trim().toUpperCase() || null;
+          const tutorialGroup = data.tutorialGroup?.trim() || null;
+          auditLog.annotate(req, { targetId: username, courseCode, detail: { role, tutorialGroup } });
+          
+          const invalid = adminAuth.validateGrant(role, courseCode, tutorialGroup);
+          if (invalid) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: invalid }));
+            return;
+          }
+          
+          if (!adminAuth.canManageGrant(adminSession.scope, role, courseCode)) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Not permitted to grant this role' }));
+            return;
+          }
+          
+          const target = sessionDb.getAdminUserByUsername(username);
+          if (!target) {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Admin account not found' }));
+            return;
+          }
+          
+          const grant = sessionDb.grantAdminRole(target.id, role, courseCode, tutorialGroup);
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, role: grant }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
+        }
+      });
+      return;
+    }
+    
+    // Revoke a role grant
+    if (pathname.startsWith('/api/admin/roles/') && req.method === 'DELETE') {
+      const grant = sessionDb.getAdminRoleById(parseInt(pathname.split('/').pop()));
+      if (!grant) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Role grant not found' }));
+        return;
+      }
+      
+      if (!adminAuth.canManageGrant(adminSession.scope, grant.role, grant.course_code)) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Not permitted to revoke this role' }));
+        return;
+      }
+      
+      sessionDb.revokeAdminRole(grant.id);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: 'Role revoked' }));
+      return;
+    }
+
+    // Disable / enable an admin account, or sign it out everywhere (platform admins only)
+    const accountMatch = pathname.match(/^\/api\/admin\/accounts\/([^/]+)\/(disable|enable|revoke-tokens)$/);
+    if (accountMatch && req.method === 'POST') {
+      if (!adminSession.scope.isPlatformAdmin) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Platform admin only' }));
+        return;
+      }
+
+      const username = decodeURIComponent(accountMatch[1]);
+      const action = accountMatch[2];
+      const target = sessionDb.getAdminUserByUsername(username);
+      if (!target) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Admin account not found' }));
+        return;
+      }
+      if (action === 'disable' && target.id === adminSession.admin.id) {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'You cannot disable your own account' }));
+        return;
+      }
+
+      const result = action === 'revoke-tokens'
+        ? adminAuth.revokeAllTokens(username)
+        : adminAuth.setAccountDisabled(username, action === 'disable');
+      auditLog.annotate(req, { detail: { tokensRevoked: result.tokensRevoked } });
+
+      log('info', `🔐 [ADMIN] ${adminSession.admin.username}: ${action} ${result.admin.username}`);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, admin: result.admin, tokensRevoked: result.tokensRevoked }));
+      return;
+    }
+
+    // Report recipients for a course: GET list, POST add/update, DELETE /:id
+    const recipientsMatch = pathname.match(/^\/api\/admin\/courses\/([^/]+)\/recipients(?:\/(\d+))?$/);
+    if (recipientsMatch) {
+      const course = courseConfig.getCourse(decodeURIComponent(recipientsMatch[1]));
+      const courseScope = { course_code: course?.code };
+      
+      if (!course || !adminAuth.can(adminSession.scope, 'view', courseScope)) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Course not found' }));
+        return;
+      }
+      
+      if (req.method === 'GET' && !recipientsMatch[2]) {
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          courseCode: course.code,
+          reportDelivery: course.reportDelivery,
+          recipients: sessionDb.getReportRecipients(course.code)
+        }));
+        return;
+      }
+      
+      if (!adminAuth.can(adminSession.scope, 'manage_course', courseScope)) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Not permitted to manage report recipients' }));
+        return;
+      }
+      
+      if (req.method === 'POST' && !recipientsMatch[2]) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+          try {
+            const input = JSON.parse(body);
+            const invalid = reportRouting.validateRecipient(input);
+            if (invalid) {
+              res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ success: false, error: invalid }));
+              return;
+            }
+            
+            const recipient = sessionDb.saveReportRecipient(course.code, {
+              email: input.email.trim(),
+              name: input.name || null,
+              role: input.role || 'instructor',
+              tutorialGroup: input.tutorialGroup?.trim() || null,
+              optedIn: input.optedIn !== false
+            });
+            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, recipient }));
+          } catch (err) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: err.message }));
+          }
+        });
+        return;
+      }
+      
+      if (req.method === 'DELETE' && recipientsMatch[2]) {
+        const recipient = sessionDb.getReportRecipientById(parseInt(recipientsMatch[2]));
+        if (!recipient || recipient.course_code !== course.code) {
           res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Report not found' }));
+          res.end(JSON.stringify({ success: false, error: 'Recipient not found' }));
           return;
         }
         
+        sessionDb.deleteReportRecipient(recipient.id);
         res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-          success: true, 
-          report: JSON.parse(report.report_json),
-          report_hash: report.report_hash,
-          generated_at: report.generated_at
-        }));
-      } catch (err) {
-        console.error('Report download error:', err);
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
+        res.end(JSON.stringify({ success: true, message: 'Recipient removed' }));
+        return;
       }
+    }
+    
+    // List courses visible to this admin (platform admins also see inactive ones)
+    if (pathname === '/api/admin/courses' && req.method === 'GET') {
+      const courses = courseConfig.listCourses({ includeInactive: true })
+        .filter(c => adminAuth.can(adminSession.scope, 'view', { course_code: c.code }))
+        .map(c => ({ ...courseConfig.toPublicCourse(c), active: c.active }));
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, courses }));
       return;
     }
     
-    // Get all sessions for admin dashboard
-    if (pathname === '/api/admin/sessions' && req.method === 'GET') {
-      try {
-        const sessions = sessionDb.getAllSessions();
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, sessions }));
-      } catch (err) {
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
+    // Full course config (prompts, rubric, analyzer settings)
+    if (pathname.startsWith('/api/admin/courses/') && req.method === 'GET') {
+      const course = courseConfig.getCourse(decodeURIComponent(pathname.split('/').pop()));
+      if (!course || !adminAuth.can(adminSession.scope, 'view', { course_code: course.code })) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Course not found' }));
+        return;
       }
+      
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, course }));
       return;
     }
     
-    // Get specific session details with all conversation turns
-    if (pathname.startsWith('/api/admin/session/') && req.method === 'GET') {
-      const sessionId = pathname.split('/').pop();
-      try {
-        const sessionDetails = sessionDb.getSessionDetails(sessionId);
-        if (sessionDetails) {
-          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-          // Return both session and turns at top level for easier access
-          res.end(JSON.stringify({ 
-            success: true, 
-            session: sessionDetails,
-            turns: sessionDetails.turns || []  // Also expose turns at top level
-          }));
-        } else {
-          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Session not found' }));
+    // Create or update a course (new courses: platform admins; edits: course admins too)
+    if (pathname.startsWith('/api/admin/courses/') && req.method === 'PUT') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        try {
+          const courseCode = courseConfig.normaliseCode(decodeURIComponent(pathname.split('/').pop()));
+          const input = JSON.parse(body);
+          const isNew = !courseConfig.getCourse(courseCode);
+          
+          const allowed = isNew
+            ? adminSession.scope.isPlatformAdmin
+            : adminAuth.can(adminSession.scope, 'manage_course', { course_code: courseCode });
+          if (!allowed) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: `Not permitted to ${isNew ? 'create' : 'edit'} this course` }));
+            return;
+          }
+          
+          const invalid = courseConfig.validateCourseInput(courseCode, input, { isNew });
+          if (invalid) {
+            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: invalid }));
+            return;
+          }
+          
+          const course = courseConfig.saveCourse(courseCode, input);
+          res.writeHead(isNew ? 201 : 200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, course }));
+        } catch (err) {
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: err.message }));
         }
-      } catch (err) {
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
-      }
+      });
       return;
     }
     
-    // Get all users
-    if (pathname === '/api/admin/users' && req.method === 'GET') {
-      try {
-        const users = sessionDb.getAllUsers();
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, users }));
-      } catch (err) {
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
+    // Outbound email log (filter with ?status=queued|sent|failed|bounced&sessionId=)
+    if (pathname === '/api/admin/emails' && req.method === 'GET') {
+      const status = url.searchParams.get('status');
+      const sessionId = url.searchParams.get('sessionId');
+      if (status && !emailOutbox.STATUSES.includes(status)) {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: `status must be one of: ${emailOutbox.STATUSES.join(', ')}` }));
+        return;
       }
+      
+      const emails = sessionDb.getOutboxEmails({ status: status || null, sessionId: sessionId || null })
+        .filter(e => adminAuth.can(adminSession.scope, 'view', emailScope(e)))
+        .map(emailOutbox.toAdminEmail);
+      const counts = {};
+      emails.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+      
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, emails, counts }));
       return;
     }
     
-    // Get user's sessions
-    if (pathname.startsWith('/api/admin/user/') && pathname.endsWith('/sessions') && req.method === 'GET') {
-      const parts = pathname.split('/');
-      const userId = parts[parts.length - 2];
-      try {
-        const userSessions = sessionDb.getUserSessions(userId);
-        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, sessions: userSessions }));
-      } catch (err) {
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
+    // Re-queue a failed / bounced email
+    const resendMatch = pathname.match(/^\/api\/admin\/emails\/(\d+)\/resend$/);
+    if (resendMatch && req.method === 'POST') {
+      const email = sessionDb.getOutboxEmailById(parseInt(resendMatch[1]));
+      if (!email || !adminAuth.can(adminSession.scope, 'view', emailScope(email))) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Email not found' }));
+        return;
+      }
+      if (!adminAuth.can(adminSession.scope, 'resend_email', emailScope(email))) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Not permitted to resend email' }));
+        return;
+      }
+      if (email.status === 'queued') {
+        res.writeHead(409, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Email is already queued' }));
+        return;
+      }
+      if (!emailOutbox.canResend(email)) {
+        res.writeHead(409, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Login code emails cannot be resent - the student can request a new code' }));
+        return;
       }
+      
+      const updated = emailOutbox.resend(email.id);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, email: emailOutbox.toAdminEmail(updated) }));
       return;
     }
     
-    // Delete session (admin only)
-    if (pathname.startsWith('/api/admin/session/') && req.method === 'DELETE') {
-      const sessionId = pathname.split('/').pop();
-      try {
-        const deleted = sessionDb.deleteSession(sessionId);
-        if (deleted) {
-          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, message: 'Session deleted' }));
-        } else {
-          res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Session not found' }));
-        }
-      } catch (err) {
-        res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: err.message }));
+    // Digest for the most recent period, rendered but not sent (?courseCode=&cadence=daily|weekly)
+    if (pathname === '/api/admin/digests/preview' && req.method === 'GET') {
+      const course = courseConfig.getCourse(url.searchParams.get('courseCode') || courseConfig.DEFAULT_COURSE_CODE);
+      const cadence = url.searchParams.get('cadence') || 'daily';
+      
+      if (!course || !adminAuth.can(adminSession.scope, 'view', { course_code: course.code })) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Course not found' }));
+        return;
       }
+      if (!digestService.CADENCES.includes(cadence)) {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: `cadence must be one of: ${digestService.CADENCES.join(', ')}` }));
+        return;
+      }
+      
+      const digest = digestService.previewDigest(course, cadence, adminSession.admin.displayName);
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, digest, html: emailService.generateDigestEmail(digest) }));
       return;
     }
     
-    // Archive session (hide from main view but keep data)
-    if (pathname === '/api/admin/session/archive' && req.method === 'POST') {
+    // Send a digest for the most recent period now
+    if (pathname === '/api/admin/digests/run' && req.method === 'POST') {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
         try {
-          const { sessionId } = JSON.parse(body);
-          if (!sessionId) {
+          const { courseCode, cadence = 'daily' } = JSON.parse(body || '{}');
+          const course = courseConfig.getCourse(courseCode);
+          auditLog.annotate(req, { targetId: course?.code || courseCode, detail: { cadence } });
+          
+          if (!course || !adminAuth.can(adminSession.scope, 'view', { course_code: course.code })) {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Course not found' }));
+            return;
+          }
+          if (!adminAuth.can(adminSession.scope, 'manage_course', { course_code: course.code })) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Not permitted to send digests' }));
+            return;
+          }
+          if (!digestService.CADENCES.includes(cadence)) {
             res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: 'sessionId required' }));
+            res.end(JSON.stringify({ success: false, error: `cadence must be one of: ${digestService.CADENCES.join(', ')}` }));
             return;
           }
           
-          const archived = sessionDb.archiveSession(sessionId);
-          if (archived) {
-            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Session archived' }));
-          } else {
-            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: 'Failed to archive session' }));
-          }
+          const run = digestService.runDigest(course, cadence, { trigger: 'manual' });
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, run }));
         } catch (err) {
-          res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ success: false, error: err.message }));
         }
       });
       return;
     }
     
-    // Unarchive session (restore to main view)
-    if (pathname === '/api/admin/session/unarchive' && req.method === 'POST') {
+    // Recent digest runs for courses this admin can see
+    if (pathname === '/api/admin/digests/runs' && req.method === 'GET') {
+      const runs = sessionDb.getDigestRuns()
+        .filter(r => adminAuth.can(adminSession.scope, 'view', { course_code: r.course_code }));
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, runs }));
+      return;
+    }
+    
+    // What the next retention run would purge for a course (?courseCode=) - nothing is changed
+    if (pathname === '/api/admin/retention/preview' && req.method === 'GET') {
+      const course = courseConfig.getCourse(url.searchParams.get('courseCode') || courseConfig.DEFAULT_COURSE_CODE);
+      
+      if (!course || !adminAuth.can(adminSession.scope, 'view', { course_code: course.code })) {
+        res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Course not found' }));
+        return;
+      }
+      
+      const preview = retentionService.previewCourse(course);
+      for (const stage of preview.stages) {
+        stage.sessions = adminAuth.filterSessions(adminSession.scope, stage.sessions);
+      }
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, preview }));
+      return;
+    }
+    
+    // Apply a course's retention policy now
+    if (pathname === '/api/admin/retention/run' && req.method === 'POST') {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
         try {
-          const { sessionId } = JSON.parse(body);
-          if (!sessionId) {
-            res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: 'sessionId required' }));
+          const { courseCode } = JSON.parse(body || '{}');
+          const course = courseConfig.getCourse(courseCode);
+          auditLog.annotate(req, { targetId: course?.code || courseCode });
+          
+          if (!course || !adminAuth.can(adminSession.scope, 'view', { course_code: course.code })) {
+            res.writeHead(404, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Course not found' }));
             return;
           }
-          
-          const unarchived = sessionDb.unarchiveSession(sessionId);
-          if (unarchived) {
-            res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Session unarchived' }));
-          } else {
-            res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: 'Failed to unarchive session' }));
+          if (!adminAuth.can(adminSession.scope, 'manage_course', { course_code: course.code })) {
+            res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Not permitted to run retention' }));
+            return;
           }
+          
+          const run = retentionService.applyCourse(course, { trigger: 'manual' });
+          auditLog.annotate(req, { detail: { runId: run?.id ?? null } });
+          log('info', `🧹 [ADMIN] ${adminSession.admin.username} ran retention for ${course.code}`);
+          res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, run }));
         } catch (err) {
-          res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ success: false, error: err.message }));
         }
       });
       return;
     }
     
-    // Get archived sessions
-    if (pathname === '/api/admin/sessions/archived' && req.method === 'GET') {
+    // Recent retention runs for courses this admin can see
+    if (pathname === '/api/admin/retention/runs' && req.method === 'GET') {
+      const runs = sessionDb.getRetentionRuns()
+        .filter(r => adminAuth.can(adminSession.scope, 'view', { course_code: r.course_code }));
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, runs }));
+      return;
+    }
+    
+    // Audit events, newest first. Filters: actorType, actor, action (prefix), targetType,
+    // targetId, courseCode, outcome, from, to, before (id, for paging), limit
+    if (pathname === '/api/admin/audit' && req.method === 'GET') {
+      if (!adminAuth.can(adminSession.scope, 'view_audit')) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Not permitted to view the audit log' }));
+        return;
+      }
+      
+      const filters = auditLog.filtersFromQuery(url.searchParams);
+      // Course admins see events for their own courses only
+      if (!adminSession.scope.isPlatformAdmin) {
+        filters.courseCodes = adminSession.scope.grants
+          .filter(g => adminAuth.ROLE_PERMISSIONS[g.role].includes('view_audit'))
+          .map(g => g.course_code);
+      }
+      
       try {
-        const sessions = sessionDb.getArchivedSessions();
+        const events = auditLog.query(filters);
         res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, sessions }));
+        res.end(JSON.stringify({
+          success: true,
+          events,
+          nextBefore: events.length === filters.limit ? events[events.length - 1].id : null
+        }));
       } catch (err) {
         res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ success: false, error: err.message }));
@@ -781,10 +1843,37 @@ async function handleRequest(req, res) {
       return;
     }
     
+    // Re-hash the whole audit chain (platform admins - it covers every course)
+    if (pathname === '/api/admin/audit/verify' && req.method === 'GET') {
+      if (!adminSession.scope.isPlatformAdmin) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Platform admin only' }));
+        return;
+      }
+      
+      const verification = auditLog.verify();
+      if (!verification.valid) {
+        log('warn', `📜 [AUDIT] Chain verification failed: ${verification.errors.length} problem(s), first at event ${verification.errors[0].id}`);
+      }
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, verification }));
+      return;
+    }
+    
     // Export all data (admin only)
     if (pathname === '/api/admin/export' && req.method === 'GET') {
       try {
+        if (!adminAuth.can(adminSession.scope, 'export')) {
+          res.writeHead(403, { ...corsHeaders, 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Not permitted to export data' }));
+          return;
+        }
+        
         const exportData = sessionDb.exportAllData();
+        if (!adminSession.scope.isPlatformAdmin) {
+          exportData.sessions = adminAuth.filterSessions(adminSession.scope, exportData.sessions, 'export');
+          exportData.users = scopeUsers(adminSession.scope, exportData.users, exportData.sessions);
+        }
         res.writeHead(200, { 
           ...corsHeaders, 
           'Content-Type': 'application/json',
@@ -824,20 +1913,63 @@ async function handleRequest(req, res) {
               log('info', `🔮 [LOG⁴] Quick exploration complete`);
             } else {
               // Fallback to standard brain
-              result = await think(text, GROQ_API_KEY, { systemPrompt, history });
+              result = await think(text, GROQ_API_KEY, { systemPrompt, history, course: courseConfig.getCourseForSession(sessionId) });
             }
           } else {
             // Standard brain call
-            result = await think(text, GROQ_API_KEY, { systemPrompt, history });
+            result = await think(text, GROQ_API_KEY, { systemPrompt, history, course: courseConfig.getCourseForSession(sessionId) });
+          }
+
+          // Yamas: with YAMAS_REGENERATE=true a failing reply gets one retry aimed at its
+          // weakest dimensions, keeping whichever attempt scores higher
+          let yamas = yamasScorer.scoreReply(result.text);
+          if (!yamas.passed && process.env.YAMAS_REGENERATE === 'true') {
+            try {
+              const retry = await think(text, GROQ_API_KEY, {
+                systemPrompt, history, course: courseConfig.getCourseForSession(sessionId),
+                guidance: yamasScorer.regenerationPrompt(yamas)
+              });
+              const retryScores = yamasScorer.scoreReply(retry.text);
+              log('info', `🕉️ [YAMAS] /api/coach reply regenerated: ${yamas.composite} -> ${retryScores.composite}`);
+              if (retry.text.trim() && retryScores.composite > yamas.composite) {
+                result = { ...retry, log4: result.log4 };
+                yamas = retryScores;
+              }
+            } catch (err) {
+              log('error', `Yamas regeneration failed: ${err.message}`);
+            }
+          }
+
+          // Output guardrail: a reply that grades or ghost-writes gets one corrected retry
+          // from the standard brain, then is rewritten
+          const checked = await outputGuardrail.enforce(result.text, {
+            regenerate: async guidance => (await think(text, GROQ_API_KEY, {
+              systemPrompt, history, course: courseConfig.getCourseForSession(sessionId), guidance
+            })).text
+          });
+          if (checked.violations.length) {
+            log('info', `🛡️ [GUARDRAIL] /api/coach reply ${checked.action}: ${checked.violations.map(v => v.rule).join(', ')}`);
+            try {
+              sessionDb.recordGuardrailViolations(checked.violations.map(violation => ({
+                ...violation,
+                session_id: sessionId && sessionDb.getSession(sessionId) ? sessionId : null,
+                source: 'coach',
+                action: checked.action
+              })));
+            } catch (err) {
+              log('error', `Failed to record guardrail violations: ${err.message}`);
+            }
           }
 
           res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
             success: true,
             input: text,
-            response: result.text,
+            response: checked.text,
             latency: result.duration,
-            log4Triggered: result.log4 || false
+            log4Triggered: result.log4 || false,
+            guardrail: checked.action,
+            yamas: checked.action ? yamasScorer.scoreReply(checked.text) : yamas
           }));
         } catch (err) {
           res.writeHead(500, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -925,18 +2057,9 @@ async function handleRequest(req, res) {
       return;
     }
     
-    // Clear old contexts (older than 24 hours)
+    // Clear old contexts from the cache (older than 24 hours)
     if (pathname === '/api/debug/clear-old-contexts' && req.method === 'POST') {
-      const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-      let cleared = 0;
-      
-      for (const [sessionId, data] of coachingContexts.entries()) {
-        if (now - data.timestamp > maxAge) {
-          coachingContexts.delete(sessionId);
-          cleared++;
-        }
-      }
+      const cleared = coachingContexts.prune();
       
       log('info', `🧹 [CACHE] Cleared ${cleared} old contexts. Remaining: ${coachingContexts.size}`);
       res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
@@ -1039,9 +2162,10 @@ async function handleRequest(req, res) {
           }
           
           // Analyze submission with NEW LOG³ Fractal Analyzer + Crypto Receipts
-          log('info', `🌀 [LOG³] Starting LOG³ fractal analysis with crypto receipts...`);
+          const course = courseConfig.getCourseForSession(sessionId);
+          log('info', `🌀 [LOG³] Starting LOG³ fractal analysis with crypto receipts (${course.code})...`);
           try {
-            const analyzer = new KeaFractalAnalyzer();
+            const analyzer = new KeaFractalAnalyzer(course);
             analysisResult = await analyzer.executeFullAnalysis(parseResult.text);
             analysis = analysisResult.analysis;
             attestation = analysisResult.attestation;
@@ -1071,7 +2195,7 @@ async function handleRequest(req, res) {
           log('info', `🧠 [UPLOAD] Analysis complete: ${analysis.coaching_strategy?.exploration_pathways?.primary?.focus || 'coaching ready'}`);
           
           // Generate coaching context from new format
-          let coachingContext = generateCoachingContext(analysisResult);
+          let coachingContext = generateCoachingContext(analysisResult, course);
           
           // Prepend user's description as guidance if provided
           if (description) {
@@ -1116,6 +2240,18 @@ async function handleRequest(req, res) {
               initialParse: analysisResult,  // Full JSON analysis
               coachingContext: coachingContext
             });
+            sessionDb.addSessionDocument(sessionId, {
+              kind: 'primary',
+              filename,
+              wordCount: parseResult.metadata.wordCount,
+              description,
+              text: parseResult.text,
+              textHash: crypto.createHash('sha256').update(parseResult.text).digest('hex'),
+              analysis: analysisResult
+            });
+            auditLog.record(req, auditLog.sessionActor(sessionId), 'document.upload', {
+              targetType: 'session', targetId: sessionId, detail: { kind: 'primary', filename }
+            });
             log('info', `📦 [DATABASE] Session assessment saved to SQLite`);
           } catch (dbErr) {
             log('error', `📦 [DATABASE] Failed to save to database: ${dbErr.message}`);
@@ -1240,7 +2376,8 @@ async function handleRequest(req, res) {
           
           // Analyze with LOG³
           log('info', `🌀 [LOG³] Analyzing additional document...`);
-          const analyzer = new KeaFractalAnalyzer();
+          const course = courseConfig.getCourseForSession(sessionId);
+          const analyzer = new KeaFractalAnalyzer(course);
           const analysisResult = await analyzer.executeFullAnalysis(parseResult.text);
           
           // Get existing context
@@ -1253,7 +2390,7 @@ async function handleRequest(req, res) {
           if (description) {
             additionalContext += `User Guidance: ${description}\n`;
           }
-          additionalContext += `\n${generateCoachingContext(analysisResult)}\n`;
+          additionalContext += `\n${generateCoachingContext(analysisResult, course)}\n`;
           additionalContext += `═══ END ADDITIONAL DOCUMENT ═══\n`;
           
           // Merge with existing context
@@ -1297,12 +2434,18 @@ async function handleRequest(req, res) {
           
           // Persist to database
           try {
-            sessionDb.addAdditionalDocument(sessionId, {
+            sessionDb.addSessionDocument(sessionId, {
+              kind: 'additional',
               filename,
               wordCount: parseResult.metadata.wordCount,
               description,
+              text: parseResult.text,
+              textHash: crypto.createHash('sha256').update(parseResult.text).digest('hex'),
               analysis: analysisResult
             });
+            auditLog.record(req, auditLog.sessionActor(sessionId), 'document.upload', {
+              targetType: 'session', targetId: sessionId, detail: { kind: 'additional', filename }
+            });
             log('info', `📦 [DATABASE] Additional document saved`);
           } catch (dbErr) {
             log('error', `📦 [DATABASE] Failed to save: ${dbErr.message}`);
@@ -1438,6 +2581,19 @@ async function handleRequest(req, res) {
       return;
     }
 
+    // Serve Student Portal
+    if (pathname === '/my' || pathname === '/my.html') {
+      try {
+        const html = await fs.readFile(path.join(__dirname, 'public', 'my.html'), 'utf8');
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(html);
+      } catch (e) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Student portal not found: ' + e.message);
+      }
+      return;
+    }
+
     // Serve Admin Dashboard
     if (pathname === '/admin' || pathname === '/admin.html') {
       try {
@@ -1654,4 +2810,8 @@ server.listen(PORT, HOST, () => {
   } else {
     console.log('⚠️ V4/V5/V6 relays skipped (no OPENAI_API_KEY)');
   }
+
+  emailOutbox.startWorker();
+  digestService.startScheduler();
+  retentionService.startScheduler();
 });
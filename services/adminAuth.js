@@ -0,0 +1,367 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🔐 KEA ADMIN AUTHENTICATION - Hashed credentials + signed session tokens
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Admin accounts live in the `admin_users` table (sessionDatabase.js) with
+// scrypt password hashes and per-user salts. A successful login issues an
+// HMAC-SHA256 signed token (JWT compact format) whose id (jti) is recorded in
+// `admin_tokens`, so logout / revocation survives until the token expires.
+//
+// Failed logins are counted per username and per client address; past the limit login
+// answers 429 until the window ends. Unknown usernames cost the same scrypt work as a
+// wrong password, so response times do not reveal which accounts exist.
+//
+// Every /api/admin/* route except login goes through authenticateRequest():
+//   - 401: missing, malformed, expired, revoked or unknown token
+//   - 403: valid token but the account has been disabled
+//
+// Platform admins can disable an account or sign it out everywhere, from the API
+// (/api/admin/accounts/:username/...) or create_admin.js. Disabling revokes its tokens too.
+//
+// Authorisation is role based. Grants live in `admin_roles` and are scoped:
+//   platform_admin - every course
+//   course_admin   - one course, can manage instructor/TA grants for it
+//   instructor     - one course
+//   ta             - one tutorial group within a course (read-only)
+// Route handlers call can(scope, permission, session) / filterSessions().
+//
+// Environment:
+//   ADMIN_TOKEN_SECRET    - HMAC signing secret (random per process if unset)
+//   ADMIN_TOKEN_TTL_HOURS - token lifetime (default 8)
+//   ADMIN_USERNAME / ADMIN_PASSWORD - seeds the first admin when none exist
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const sessionDb = require('./sessionDatabaseSafe');
+const { encodeToken, decodeToken, getBearerToken } = require('./signedTokens');
+
+const SCRYPT_KEY_LENGTH = 64;
+const TOKEN_TTL_MS = (parseFloat(process.env.ADMIN_TOKEN_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_USER = 5;
+const MAX_FAILED_LOGINS_PER_IP = 20;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// PASSWORD HASHING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return { hash, salt };
+}
+
+function verifyPassword(password, hash, salt) {
+    if (!password || !hash || !salt) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown; no password matches it
+const DUMMY_CREDENTIALS = hashPassword(crypto.randomBytes(32).toString('hex'));
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// FAILED LOGIN LIMITS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const failedLogins = new Map(); // 'user:<name>' | 'ip:<address>' → { count, resetTime }
+
+function failureCount(key, now) {
+    const record = failedLogins.get(key);
+    return record && now <= record.resetTime ? record.count : 0;
+}
+
+function recordFailure(key, now) {
+    const record = failedLogins.get(key);
+    if (!record || now > record.resetTime) {
+        failedLogins.set(key, { count: 1, resetTime: now + LOGIN_WINDOW_MS });
+    } else {
+        record.count++;
+    }
+}
+
+// Seconds until the login may be tried again, or 0 when it is not locked out
+function lockedFor(username, ip, now = Date.now()) {
+    const locked = [
+        [`user:${String(username).toLowerCase()}`, MAX_FAILED_LOGINS_PER_USER],
+        [`ip:${ip}`, MAX_FAILED_LOGINS_PER_IP]
+    ].filter(([key, max]) => failureCount(key, now) >= max);
+    if (!locked.length) return 0;
+    return Math.ceil((Math.max(...locked.map(([key]) => failedLogins.get(key).resetTime)) - now) / 1000);
+}
+
+function recordFailedLogin(username, ip, now = Date.now()) {
+    // Expired records are only dropped here, so the map stays bounded by recent failures
+    for (const [key, record] of failedLogins) {
+        if (now > record.resetTime) failedLogins.delete(key);
+    }
+    recordFailure(`user:${String(username).toLowerCase()}`, now);
+    recordFailure(`ip:${ip}`, now);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// TOKENS (signing lives in signedTokens.js)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function issueToken(adminUser) {
+    const now = Date.now();
+    const expiresAt = new Date(now + TOKEN_TTL_MS);
+    const payload = {
+        sub: adminUser.id,
+        aud: 'admin',
+        username: adminUser.username,
+        jti: crypto.randomUUID(),
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000)
+    };
+
+    sessionDb.recordAdminToken(payload.jti, adminUser.id, expiresAt.toISOString());
+
+    return { token: encodeToken(payload), expiresAt: expiresAt.toISOString() };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// LOGIN / LOGOUT
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Returns null for bad credentials, { locked: true, retryAfter } past the failure limit,
+// { disabled: true } for a disabled account, else { token, expiresAt, admin }
+function login(username, password, ip = null) {
+    if (!username || !password) return null;
+
+    const retryAfter = lockedFor(username, ip);
+    if (retryAfter) return { locked: true, retryAfter };
+
+    const adminUser = sessionDb.getAdminUserByUsername(username);
+    const { hash, salt } = adminUser
+        ? { hash: adminUser.password_hash, salt: adminUser.password_salt }
+        : DUMMY_CREDENTIALS;
+    if (!verifyPassword(password, hash, salt) || !adminUser) {
+        recordFailedLogin(username, ip);
+        return null;
+    }
+
+    if (adminUser.disabled) {
+        return { disabled: true };
+    }
+
+    failedLogins.delete(`user:${String(username).toLowerCase()}`);
+    sessionDb.recordAdminLogin(adminUser.id);
+    const { token, expiresAt } = issueToken(adminUser);
+
+    console.log(`🔐 Admin login: ${adminUser.username}`);
+
+    return {
+        token,
+        expiresAt,
+        admin: toPublicAdmin(adminUser)
+    };
+}
+
+function logout(tokenPayload) {
+    if (!tokenPayload?.jti) return false;
+    sessionDb.revokeAdminToken(tokenPayload.jti);
+    console.log(`🔐 Admin logout: ${tokenPayload.username}`);
+    return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// REQUEST GUARD
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function authenticateRequest(req) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return { ok: false, status: 401, error: 'Authentication required' };
+    }
+
+    const payload = decodeToken(token, 'admin');
+    if (!payload) {
+        return { ok: false, status: 401, error: 'Invalid or expired token' };
+    }
+
+    const tokenRecord = sessionDb.getAdminToken(payload.jti);
+    if (!tokenRecord || tokenRecord.revoked_at) {
+        return { ok: false, status: 401, error: 'Token has been revoked' };
+    }
+
+    const adminUser = sessionDb.getAdminUserById(payload.sub);
+    if (!adminUser) {
+        return { ok: false, status: 401, error: 'Admin account not found' };
+    }
+
+    if (adminUser.disabled) {
+        return { ok: false, status: 403, error: 'Admin account disabled' };
+    }
+
+    return {
+        ok: true,
+        admin: toPublicAdmin(adminUser),
+        token: payload,
+        scope: buildScope(adminUser.id)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ROLES & COURSE SCOPE
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const ROLE_PERMISSIONS = {
+    platform_admin: ['view', 'archive', 'delete', 'export', 'resend_email', 'manage_roles', 'manage_course', 'view_audit'],
+    course_admin:   ['view', 'archive', 'delete', 'export', 'resend_email', 'manage_roles', 'manage_course', 'view_audit'],
+    instructor:     ['view', 'archive', 'export', 'resend_email'],
+    ta:             ['view']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function buildScope(adminUserId) {
+    const grants = sessionDb.getAdminRoles(adminUserId);
+    return {
+        grants,
+        isPlatformAdmin: grants.some(g => g.role === 'platform_admin')
+    };
+}
+
+// Does a single grant reach a session in the given course / tutorial group?
+function grantCovers(grant, courseCode, tutorialGroup) {
+    if (grant.role === 'platform_admin') return true;
+    if (grant.course_code !== courseCode) return false;
+    return grant.role !== 'ta' || grant.tutorial_group === tutorialGroup;
+}
+
+// Without a session: does any grant carry the permission at all?
+function can(scope, permission, session = null) {
+    if (!scope) return false;
+    return scope.grants.some(g =>
+        ROLE_PERMISSIONS[g.role]?.includes(permission) &&
+        (!session || grantCovers(g, session.course_code, session.tutorial_group))
+    );
+}
+
+function filterSessions(scope, sessions, permission = 'view') {
+    return sessions.filter(s => can(scope, permission, s));
+}
+
+// The same rule as a query filter: null (everything) or [{ courseCode, tutorialGroup }]
+function sessionScope(scope, permission = 'view') {
+    if (scope.isPlatformAdmin) return null;
+    return scope.grants
+        .filter(g => ROLE_PERMISSIONS[g.role]?.includes(permission))
+        .map(g => ({ courseCode: g.course_code, tutorialGroup: g.role === 'ta' ? g.tutorial_group : null }));
+}
+
+// Platform admins manage every grant; course admins hand out instructor/TA for their own course
+function canManageGrant(scope, role, courseCode) {
+    if (!scope) return false;
+    if (scope.isPlatformAdmin) return true;
+    if (role === 'platform_admin' || role === 'course_admin') return false;
+    return scope.grants.some(g => g.role === 'course_admin' && g.course_code === courseCode);
+}
+
+// Validates a grant request; returns an error message or null
+function validateGrant(role, courseCode, tutorialGroup) {
+    if (!ROLES.includes(role)) return `Unknown role: ${role}`;
+    if (role === 'platform_admin') {
+        return courseCode || tutorialGroup ? 'platform_admin grants are not course scoped' : null;
+    }
+    if (!courseCode) return `${role} requires a courseCode`;
+    if (role === 'ta' && !tutorialGroup) return 'ta requires a tutorialGroup';
+    if (role !== 'ta' && tutorialGroup) return `${role} grants cover the whole course (no tutorialGroup)`;
+    return null;
+}
+
+function describeScope(scope) {
+    return {
+        isPlatformAdmin: scope.isPlatformAdmin,
+        roles: scope.grants.map(g => ({
+            id: g.id,
+            role: g.role,
+            courseCode: g.course_code,
+            tutorialGroup: g.tutorial_group
+        })),
+        // platform_admin holds every permission, so its list doubles as the full set
+        permissions: ROLE_PERMISSIONS.platform_admin.filter(p => can(scope, p))
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ACCOUNT MANAGEMENT
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function createAdmin(username, password, displayName = null) {
+    const { hash, salt } = hashPassword(password);
+    return sessionDb.createAdminUser(username, hash, salt, displayName);
+}
+
+// Disabling also revokes every token the account holds, so it is signed out at once.
+// Returns { admin, tokensRevoked }, or null when there is no such account.
+function setAccountDisabled(username, disabled) {
+    const adminUser = sessionDb.getAdminUserByUsername(username);
+    if (!adminUser) return null;
+
+    sessionDb.setAdminUserDisabled(adminUser.id, disabled);
+    const tokensRevoked = disabled ? sessionDb.revokeAdminTokensForUser(adminUser.id) : 0;
+    console.log(`🔐 Admin account ${disabled ? 'disabled' : 'enabled'}: ${adminUser.username}`);
+    return { admin: toPublicAdmin(adminUser), tokensRevoked };
+}
+
+// Signs an account out everywhere without disabling it; null when there is no such account
+function revokeAllTokens(username) {
+    const adminUser = sessionDb.getAdminUserByUsername(username);
+    if (!adminUser) return null;
+
+    const tokensRevoked = sessionDb.revokeAdminTokensForUser(adminUser.id);
+    console.log(`🔐 ${tokensRevoked} token(s) revoked for admin ${adminUser.username}`);
+    return { admin: toPublicAdmin(adminUser), tokensRevoked };
+}
+
+// Seed the first admin account from the environment on an empty store
+function ensureBootstrapAdmin() {
+    if (sessionDb.countAdminUsers() > 0) return;
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+        console.warn('⚠️ No admin accounts exist - set ADMIN_USERNAME/ADMIN_PASSWORD or run create_admin.js');
+        return;
+    }
+
+    const adminUser = createAdmin(username, password, 'Administrator');
+    sessionDb.grantAdminRole(adminUser.id, 'platform_admin');
+    console.log(`🔐 Bootstrap admin account created: ${username} (platform_admin)`);
+}
+
+// Strip credential fields before an admin record leaves this module
+function toPublicAdmin(adminUser) {
+    return {
+        id: adminUser.id,
+        username: adminUser.username,
+        displayName: adminUser.display_name || adminUser.username
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    decodeToken,
+    login,
+    logout,
+    authenticateRequest,
+    createAdmin,
+    setAccountDisabled,
+    revokeAllTokens,
+    ensureBootstrapAdmin,
+    
+    // Roles & scope
+    ROLES,
+    ROLE_PERMISSIONS,
+    can,
+    filterSessions,
+    sessionScope,
+    canManageGrant,
+    validateGrant,
+    describeScope
+};
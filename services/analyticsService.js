@@ -0,0 +1,336 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📈 KEA ANALYTICS - Cohort statistics for instructors
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Aggregates the sessions an admin can see (optionally one course and a started_at
+// range) into the figures on the dashboard's Analytics tab:
+//
+//   - sessions and distinct students per day or week (server local time, weeks start Monday)
+//   - session length (ended sessions only) and turns per session
+//   - response-length mode usage
+//   - latency distributions from conversation_turns.latency_ms - user turns are speech
+//     recognition (STT), assistant turns are the coaching model (brain)
+//   - most-discussed organisations
+//   - conceptual_depth and gap_type across every practice of every uploaded analysis
+//   - Five Yamas scores of assistant turns (fractal/yamasScorer.js), overall and per period
+//
+// toCsv() flattens the same object into section,key,metric,value rows so one file
+// carries every table. summariseTelemetry() does the same statistics for the V7
+// engine's turn_telemetry rows (/api/admin/telemetry).
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+const { YAMAS_DIMENSIONS } = require('./fractal/yamasScorer');
+
+const GRANULARITIES = ['day', 'week'];
+const RESPONSE_LENGTHS = ['SHORT', 'MEDIUM', 'LONG'];
+const CONCEPTUAL_DEPTHS = ['SURFACE', 'DEVELOPING', 'STRONG'];
+const GAP_TYPES = ['KNOWLEDGE', 'EXPRESSION', 'BOTH', 'NONE'];
+const MAX_ORGANISATIONS = 15;
+
+// [label, lower bound inclusive, upper bound exclusive]
+const TURN_BUCKETS = [['0', 0, 1], ['1-5', 1, 6], ['6-10', 6, 11], ['11-20', 11, 21], ['21-40', 21, 41], ['41+', 41, Infinity]];
+const LATENCY_BUCKETS = [
+    ['<250ms', 0, 250], ['250-500ms', 250, 500], ['500ms-1s', 500, 1000],
+    ['1-2s', 1000, 2000], ['2-4s', 2000, 4000], ['4s+', 4000, Infinity]
+];
+
+function queryError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_QUERY';
+    return err;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// STATISTICS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function round(value, places = 1) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function histogram(values, buckets) {
+    return buckets.map(([bucket, low, high]) => ({
+        bucket,
+        count: values.filter(v => v >= low && v < high).length
+    }));
+}
+
+// Known values first in their natural order, then anything unexpected the model returned
+function countValues(values, known) {
+    const counts = new Map(known.map(value => [value, 0]));
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts].map(([value, count]) => ({ value, count }));
+}
+
+function latencySummary(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted.length ? sorted[sorted.length - 1] : null,
+        histogram: histogram(sorted, LATENCY_BUCKETS)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// BUILDING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// YYYY-MM-DD keys from first to last, so quiet days / weeks show as zero
+function fillPeriods(counts, granularity) {
+    const keys = [...counts.keys()].sort();
+    if (keys.length === 0) return [];
+
+    const periods = [];
+    const step = granularity === 'week' ? 7 : 1;
+    for (let date = new Date(`${keys[0]}T00:00:00Z`), last = keys[keys.length - 1];
+        date.toISOString().slice(0, 10) <= last;
+        date.setUTCDate(date.getUTCDate() + step)) {
+        const period = date.toISOString().slice(0, 10);
+        const entry = counts.get(period);
+        periods.push({ period, sessions: entry?.sessions || 0, students: entry?.students.size || 0 });
+    }
+    return periods;
+}
+
+function summarisePractices(analyses) {
+    const depths = [];
+    const gapTypes = [];
+    let parsed = 0;
+
+    for (const row of analyses) {
+        let analysis;
+        try {
+            analysis = JSON.parse(row.analysis_json)?.analysis;
+        } catch (err) {
+            continue;
+        }
+        if (!analysis) continue;
+        parsed++;
+        for (const practice of analysis.practices || []) {
+            if (practice?.conceptual_depth) depths.push(practice.conceptual_depth);
+            if (practice?.gap_type) gapTypes.push(practice.gap_type);
+        }
+    }
+
+    return {
+        analyses: parsed,
+        conceptualDepth: countValues(depths, CONCEPTUAL_DEPTHS),
+        gapType: countValues(gapTypes, GAP_TYPES)
+    };
+}
+
+// Mean score per dimension (and composite) over stored turns' yamas_json, per period too
+function summariseYamas(rows, granularity) {
+    const scored = [];
+    for (const row of rows) {
+        try {
+            scored.push({ ...row, scores: JSON.parse(row.yamas_json) });
+        } catch (err) {
+            continue;
+        }
+    }
+    const means = turns => Object.fromEntries([...YAMAS_DIMENSIONS, 'composite']
+        .map(d => [d, round(mean(turns.map(t => t.scores[d]).filter(v => typeof v === 'number')), 2)]));
+
+    const periods = new Map();
+    for (const turn of scored) {
+        if (!periods.has(turn[granularity])) periods.set(turn[granularity], []);
+        periods.get(turn[granularity]).push(turn);
+    }
+
+    return {
+        turns: scored.length,
+        sessions: new Set(scored.map(t => t.session_id)).size,
+        failed: scored.filter(t => t.scores.passed === false).length,
+        mean: means(scored),
+        overTime: [...periods.keys()].sort().map(period => {
+            const turns = periods.get(period);
+            return {
+                period,
+                turns: turns.length,
+                composite: means(turns).composite,
+                failed: turns.filter(t => t.scores.passed === false).length
+            };
+        })
+    };
+}
+
+/**
+ * Cohort analytics for the admin dashboard. `scope` is as for querySessions
+ * (adminAuth.sessionScope); from / to bound started_at, to exclusive.
+ */
+function buildAnalytics({ scope = null, courseCode = null, from = null, to = null, granularity = 'week' } = {}) {
+    if (!GRANULARITIES.includes(granularity)) throw queryError(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+
+    const { sessions, latencies, analyses, yamas } = sessionDb.getAnalyticsData({ scope, courseCode, from, to });
+
+    const periods = new Map();
+    const organisations = new Map();
+    const students = new Set();
+    for (const session of sessions) {
+        const key = session.user_id ?? session.session_id;
+        students.add(key);
+
+        const period = periods.get(session[granularity]) || { sessions: 0, students: new Set() };
+        period.sessions++;
+        period.students.add(key);
+        periods.set(session[granularity], period);
+
+        const organisation = session.organisation_name;
+        if (organisation && organisation !== 'Unknown') {
+            const entry = organisations.get(organisation) || { name: organisation, sessions: 0, students: new Set() };
+            entry.sessions++;
+            entry.students.add(key);
+            organisations.set(organisation, entry);
+        }
+    }
+
+    const minutes = sessions.map(s => s.minutes).filter(m => m !== null && m >= 0).sort((a, b) => a - b);
+    const turns = sessions.map(s => s.turn_count || 0).sort((a, b) => a - b);
+
+    return {
+        filters: { courseCode, from, to, granularity },
+        generatedAt: new Date().toISOString(),
+        totals: {
+            sessions: sessions.length,
+            students: students.size,
+            endedSessions: minutes.length,
+            turns: turns.reduce((sum, t) => sum + t, 0)
+        },
+        sessionsOverTime: fillPeriods(periods, granularity),
+        sessionLength: {
+            count: minutes.length,
+            medianMinutes: round(median(minutes)),
+            meanMinutes: round(mean(minutes)),
+            p90Minutes: round(percentile(minutes, 90))
+        },
+        turnsPerSession: {
+            median: median(turns),
+            mean: round(mean(turns)),
+            histogram: histogram(turns, TURN_BUCKETS)
+        },
+        responseLength: countValues(sessions.map(s => s.response_length || 'UNSET'), RESPONSE_LENGTHS),
+        latency: {
+            stt: latencySummary(latencies.filter(l => l.role === 'user').map(l => l.latency_ms)),
+            brain: latencySummary(latencies.filter(l => l.role === 'assistant').map(l => l.latency_ms))
+        },
+        organisations: [...organisations.values()]
+            .sort((a, b) => b.sessions - a.sessions || a.name.localeCompare(b.name))
+            .slice(0, MAX_ORGANISATIONS)
+            .map(o => ({ name: o.name, sessions: o.sessions, students: o.students.size })),
+        practices: summarisePractices(analyses),
+        yamas: summariseYamas(yamas || [], granularity)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// PIPELINE TELEMETRY
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Outcomes, STT fallbacks, per-stage latencies and token use over turn_telemetry rows
+function summariseTelemetry(rows) {
+    const completed = rows.filter(r => r.outcome === 'completed');
+    const stage = field => latencySummary(rows.map(r => r[field]).filter(v => v !== null && v !== undefined));
+    const tokens = completed.map(r => r.total_tokens).filter(t => t !== null && t !== undefined);
+
+    return {
+        utterances: rows.length,
+        outcomes: countValues(rows.map(r => r.outcome), ['completed']),
+        sttProviders: countValues(rows.map(r => r.stt_provider).filter(Boolean), []),
+        sttFallbacks: rows.filter(r => r.stt_fallback).length,
+        latency: {
+            stt: stage('stt_latency_ms'),
+            brain: stage('brain_latency_ms'),
+            tts: stage('tts_latency_ms'),
+            ttsChunk: latencySummary(rows.flatMap(r => (r.tts_chunks || []).map(c => c.latencyMs)).filter(v => v !== null)),
+            // Turn start to the first sentence's audio leaving the server (sentMs; streamed replies only)
+            firstAudio: latencySummary(completed.map(r => (r.tts_chunks || []).find(c => c.ok)?.sentMs)
+                .filter(v => v !== null && v !== undefined)),
+            total: latencySummary(completed.map(r => r.total_latency_ms).filter(v => v !== null))
+        },
+        tokens: {
+            total: tokens.reduce((sum, t) => sum + t, 0),
+            meanPerTurn: round(mean(tokens))
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Text that a spreadsheet would read as a formula (an organisation name, say) is prefixed with '
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(analytics) {
+    const rows = [];
+    const add = (section, key, metric, value) => rows.push([section, key, metric, value]);
+
+    for (const [metric, value] of Object.entries(analytics.filters)) add('filters', '', metric, value);
+    for (const [metric, value] of Object.entries(analytics.totals)) add('totals', '', metric, value);
+    for (const p of analytics.sessionsOverTime) {
+        add(`sessions_per_${analytics.filters.granularity}`, p.period, 'sessions', p.sessions);
+        add(`sessions_per_${analytics.filters.granularity}`, p.period, 'students', p.students);
+    }
+    for (const metric of ['count', 'medianMinutes', 'meanMinutes', 'p90Minutes']) {
+        add('session_length', '', metric, analytics.sessionLength[metric]);
+    }
+    add('turns_per_session', '', 'median', analytics.turnsPerSession.median);
+    add('turns_per_session', '', 'mean', analytics.turnsPerSession.mean);
+    for (const h of analytics.turnsPerSession.histogram) add('turns_per_session', h.bucket, 'sessions', h.count);
+    for (const r of analytics.responseLength) add('response_length', r.value, 'sessions', r.count);
+    for (const [stage, summary] of Object.entries(analytics.latency)) {
+        for (const metric of ['count', 'p50', 'p90', 'p99', 'max']) add(`latency_${stage}`, '', metric, summary[metric]);
+        for (const h of summary.histogram) add(`latency_${stage}`, h.bucket, 'turns', h.count);
+    }
+    for (const o of analytics.organisations) {
+        add('organisations', o.name, 'sessions', o.sessions);
+        add('organisations', o.name, 'students', o.students);
+    }
+    add('analyses', '', 'count', analytics.practices.analyses);
+    for (const d of analytics.practices.conceptualDepth) add('conceptual_depth', d.value, 'practices', d.count);
+    for (const g of analytics.practices.gapType) add('gap_type', g.value, 'practices', g.count);
+    for (const metric of ['turns', 'sessions', 'failed']) add('yamas', '', metric, analytics.yamas[metric]);
+    for (const [dimension, value] of Object.entries(analytics.yamas.mean)) add('yamas', dimension, 'mean', value);
+    for (const p of analytics.yamas.overTime) {
+        add(`yamas_per_${analytics.filters.granularity}`, p.period, 'turns', p.turns);
+        add(`yamas_per_${analytics.filters.granularity}`, p.period, 'composite', p.composite);
+        add(`yamas_per_${analytics.filters.granularity}`, p.period, 'failed', p.failed);
+    }
+
+    return [['section', 'key', 'metric', 'value'], ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    GRANULARITIES,
+    buildAnalytics,
+    summariseTelemetry,
+    toCsv
+};
@@ -0,0 +1,248 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📜 KEA AUDIT LOG - Who looked at or changed what, in an append-only hash chain
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Events go to `audit_events` (sessionDatabase.js). Each one stores the hash of the
+// event before it, in the same way CryptoReceiptChain links analysis receipts, and
+// triggers reject UPDATE / DELETE, so editing or removing a row breaks verify().
+// A writer with direct file access could still rebuild the whole chain - keep a copy
+// of the `head` hash from verify() somewhere else if that matters.
+//
+// Two ways events are written:
+//
+//   trackAdminRequest() - called once by the admin guard in server.js. Every
+//                         /api/admin/* request is recorded when the response finishes,
+//                         named from ADMIN_ROUTES below, with its status as the outcome
+//                         (denied for 401/403). Handlers that only learn the target from
+//                         the body call annotate(req, {...}).
+//   record()            - explicit events for student and public routes that change
+//                         data (registration, uploads, ending a session, portal logins)
+//                         and for system jobs such as retention runs.
+//
+// Conversation turns are not audited one by one - the turns table is their record.
+//
+// Environment:
+//   TRUST_PROXY - proxies in front of the server whose X-Forwarded-For entries are
+//                 believed (default 0: the socket address is recorded; Render: 1)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+
+const SYSTEM = { type: 'system', id: null, name: 'system' };
+const ANONYMOUS = { type: 'anonymous', id: null, name: null };
+const TRUSTED_PROXIES = parseInt(process.env.TRUST_PROXY) || 0;
+
+// [method, path pattern, action, target type] - the first capture group is the target id.
+// A null action means the route is not recorded.
+const ADMIN_ROUTES = [
+    ['POST', /^\/api\/admin\/logout$/, 'admin.logout'],
+    ['GET', /^\/api\/admin\/me$/, null],  // identity check on every dashboard load
+    ['GET', /^\/api\/admin\/dashboard$/, 'dashboard.view'],
+    ['GET', /^\/api\/admin\/report\/([^/]+)$/, 'report.view', 'report'],
+    ['GET', /^\/api\/admin\/sessions$/, 'sessions.list'],
+    ['GET', /^\/api\/admin\/sessions\/archived$/, 'sessions.list_archived'],
+    ['GET', /^\/api\/admin\/search$/, 'sessions.search'],
+    ['GET', /^\/api\/admin\/analytics$/, 'analytics.view'],
+    ['GET', /^\/api\/admin\/telemetry$/, 'telemetry.view'],
+    ['GET', /^\/api\/admin\/session\/([^/]+)\/documents$/, 'documents.list', 'session'],
+    ['GET', /^\/api\/admin\/session\/[^/]+\/documents\/(\d+)$/, 'document.view', 'document'],
+    ['DELETE', /^\/api\/admin\/session\/[^/]+\/documents\/(\d+)$/, 'document.delete', 'document'],
+    ['POST', /^\/api\/admin\/session\/archive$/, 'session.archive', 'session'],
+    ['POST', /^\/api\/admin\/session\/unarchive$/, 'session.unarchive', 'session'],
+    ['GET', /^\/api\/admin\/session\/([^/]+)$/, 'session.view', 'session'],
+    ['DELETE', /^\/api\/admin\/session\/([^/]+)$/, 'session.delete', 'session'],
+    ['GET', /^\/api\/admin\/users$/, 'users.list'],
+    ['GET', /^\/api\/admin\/user\/(\d+)\/sessions$/, 'user.sessions', 'user'],
+    ['GET', /^\/api\/admin\/user\/(\d+)\/export$/, 'user.export', 'user'],
+    ['POST', /^\/api\/admin\/user\/(\d+)\/erase$/, 'user.erase', 'user'],
+    ['GET', /^\/api\/admin\/erasures$/, 'erasures.list'],
+    ['GET', /^\/api\/admin\/roles$/, 'roles.list'],
+    ['POST', /^\/api\/admin\/roles$/, 'role.grant', 'admin_user'],
+    ['DELETE', /^\/api\/admin\/roles\/(\d+)$/, 'role.revoke', 'role'],
+    ['POST', /^\/api\/admin\/accounts\/([^/]+)\/disable$/, 'account.disable', 'admin_user'],
+    ['POST', /^\/api\/admin\/accounts\/([^/]+)\/enable$/, 'account.enable', 'admin_user'],
+    ['POST', /^\/api\/admin\/accounts\/([^/]+)\/revoke-tokens$/, 'account.revoke_tokens', 'admin_user'],
+    ['GET', /^\/api\/admin\/courses\/([^/]+)\/recipients$/, 'recipients.list', 'course'],
+    ['POST', /^\/api\/admin\/courses\/([^/]+)\/recipients$/, 'recipient.save', 'course'],
+    ['DELETE', /^\/api\/admin\/courses\/[^/]+\/recipients\/(\d+)$/, 'recipient.delete', 'recipient'],
+    ['GET', /^\/api\/admin\/courses$/, 'courses.list'],
+    ['GET', /^\/api\/admin\/courses\/([^/]+)$/, 'course.view', 'course'],
+    ['PUT', /^\/api\/admin\/courses\/([^/]+)$/, 'course.save', 'course'],
+    ['GET', /^\/api\/admin\/emails$/, 'emails.list'],
+    ['POST', /^\/api\/admin\/emails\/(\d+)\/resend$/, 'email.resend', 'email'],
+    ['GET', /^\/api\/admin\/digests\/preview$/, 'digest.preview', 'course'],
+    ['POST', /^\/api\/admin\/digests\/run$/, 'digest.run', 'course'],
+    ['GET', /^\/api\/admin\/digests\/runs$/, 'digests.list'],
+    ['GET', /^\/api\/admin\/retention\/preview$/, 'retention.preview', 'course'],
+    ['POST', /^\/api\/admin\/retention\/run$/, 'retention.run', 'course'],
+    ['GET', /^\/api\/admin\/retention\/runs$/, 'retention.list_runs'],
+    ['GET', /^\/api\/admin\/export$/, 'data.export_all'],
+    ['GET', /^\/api\/admin\/audit$/, 'audit.view'],
+    ['GET', /^\/api\/admin\/audit\/verify$/, 'audit.verify']
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ACTORS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function adminActor(adminSession) {
+    return { type: 'admin', id: adminSession.admin.id, name: adminSession.admin.username };
+}
+
+function studentActor(userId) {
+    return { type: 'student', id: userId, name: null };
+}
+
+// The public session routes only carry a session id, so the student is the session's
+// owner as far as we can tell - not an authenticated identity
+function sessionActor(sessionId) {
+    const userId = sessionId ? sessionDb.getSession(sessionId)?.user_id : null;
+    return userId ? studentActor(userId) : ANONYMOUS;
+}
+
+// The client address. Each proxy appends the address it was called from to
+// X-Forwarded-For, so with N trusted proxies the client is the Nth entry from the right -
+// anything further left was sent by the caller and proves nothing.
+function clientIp(req) {
+    const remote = req?.socket?.remoteAddress || null;
+    const forwarded = req?.headers?.['x-forwarded-for'];
+    if (!TRUSTED_PROXIES || !forwarded) return remote;
+    const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+    return hops[Math.max(0, hops.length - TRUSTED_PROXIES)] || remote;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// WRITING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function courseOf(targetType, targetId) {
+    if (!targetId) return null;
+    if (targetType === 'course') return String(targetId).toUpperCase();
+    if (targetType === 'session') return sessionDb.getSession(targetId)?.course_code || null;
+    return null;
+}
+
+/**
+ * Append one event. Never throws - a failed audit write is logged, and the action it
+ * describes has already happened by the time it is recorded.
+ */
+function record(req, actor, action, { targetType = null, targetId = null, courseCode = null, outcome = 'ok', detail = null } = {}) {
+    try {
+        return sessionDb.appendAuditEvent({
+            actorType: actor.type,
+            actorId: actor.id,
+            actorName: actor.name,
+            action,
+            targetType,
+            targetId,
+            courseCode: courseCode || courseOf(targetType, targetId),
+            ip: clientIp(req),
+            outcome,
+            detail
+        });
+    } catch (err) {
+        console.error(`📜 Audit write failed (${action}): ${err.message}`);
+        return null;
+    }
+}
+
+// Target details a handler only knows after reading the body
+function annotate(req, { targetId, courseCode, detail } = {}) {
+    req.audit = {
+        ...req.audit,
+        ...(targetId !== undefined && { targetId }),
+        ...(courseCode !== undefined && { courseCode }),
+        ...(detail !== undefined && { detail: { ...req.audit?.detail, ...detail } })
+    };
+}
+
+function outcomeFor(status) {
+    if (status === 401 || status === 403) return 'denied';
+    return status < 400 ? 'ok' : 'failed';
+}
+
+// Records an authenticated admin request once its response has been sent
+function trackAdminRequest(req, res, adminSession, url) {
+    const route = ADMIN_ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (route && !route[2]) return;
+
+    const [, pattern, action, targetType = null] = route || [];
+    const idFromPath = route ? url.pathname.match(pattern)[1] : undefined;
+    const targetId = idFromPath !== undefined
+        ? decodeURIComponent(idFromPath)
+        : url.searchParams.get(targetType === 'course' ? 'courseCode' : 'sessionId');
+
+    // Resolved now - a deleted session has no course to look up afterwards
+    const courseCode = courseOf(targetType, targetId);
+    const actor = adminActor(adminSession);
+
+    res.on('finish', () => {
+        const annotated = req.audit || {};
+        const resolvedId = annotated.targetId ?? targetId;
+        record(req, actor, action || `admin.${req.method.toLowerCase()}`, {
+            targetType: targetType || (route ? null : 'path'),
+            targetId: route ? resolvedId : url.pathname,
+            courseCode: annotated.courseCode || courseCode || courseOf(targetType, resolvedId),
+            outcome: outcomeFor(res.statusCode),
+            detail: {
+                status: res.statusCode,
+                ...(url.search && { query: url.search }),
+                ...annotated.detail
+            }
+        });
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// READING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const FILTERS = ['actorType', 'actor', 'action', 'targetType', 'targetId', 'courseCode', 'outcome', 'from', 'to', 'before'];
+const MAX_LIMIT = 500;
+
+// Filters from a query string (?action=session&from=2026-01-01...)
+function filtersFromQuery(searchParams) {
+    const filters = {};
+    for (const key of FILTERS) {
+        const value = searchParams.get(key);
+        if (value) filters[key] = value;
+    }
+    if (filters.before) filters.before = parseInt(filters.before) || null;
+    filters.limit = Math.min(parseInt(searchParams.get('limit')) || 100, MAX_LIMIT);
+    return filters;
+}
+
+function toAdminEvent(event) {
+    const { detail_json, ...rest } = event;
+    let detail = null;
+    try {
+        detail = detail_json ? JSON.parse(detail_json) : null;
+    } catch (err) {
+        detail = detail_json;
+    }
+    return { ...rest, detail };
+}
+
+function query(filters) {
+    return sessionDb.queryAuditEvents(filters).map(toAdminEvent);
+}
+
+function verify() {
+    return sessionDb.verifyAuditChain();
+}
+
+module.exports = {
+    SYSTEM,
+    ANONYMOUS,
+    adminActor,
+    studentActor,
+    sessionActor,
+    clientIp,
+    record,
+    annotate,
+    trackAdminRequest,
+    filtersFromQuery,
+    query,
+    verify
+};
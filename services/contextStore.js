@@ -0,0 +1,192 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🗂️ KEA CONTEXT STORE - Coaching contexts that survive restarts
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Replaces the plain `coachingContexts` Map in server.js. It keeps the same Map-style
+// interface (get / has / set / delete / keys / entries / size), so the upload routes
+// and the V7 relay use it unchanged, but the session database is the source of truth:
+//
+//   set()  - caches the entry and writes coachingContext to sessions.coaching_context
+//   get()  - serves the cache, falling back to the session row on a miss (after a
+//            restart, or a session that started on another instance)
+//
+// Cached entries are revalidated against the database every CONTEXT_REVALIDATE_SECONDS,
+// so a mid-session upload handled by one instance reaches the others. Fields that only
+// exist in memory (attestation, upload description) are kept across revalidation.
+//
+// prune() only evicts from the cache - the database copy stays until the session is
+// deleted.
+//
+// Environment:
+//   CONTEXT_REVALIDATE_SECONDS - how long a cached entry is trusted (default 60)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+
+const REVALIDATE_MS = (parseInt(process.env.CONTEXT_REVALIDATE_SECONDS) || 60) * 1000;
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 1000;
+
+// Turns replayed into the relay when a resumed session is rebuilt from the database
+const RESUME_TURNS = 10;
+
+function parseJson(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseDbTime(value) {
+    if (!value) return Date.now();
+    const time = Date.parse(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    return Number.isNaN(time) ? Date.now() : time;
+}
+
+// Same shape the upload route stores, rebuilt from the session row. Additional documents
+// come back without their analysis - it is already merged into coachingContext.
+function entryFromSession(session) {
+    const analysis = parseJson(session.initial_parse_json);
+    const entry = {
+        analysis,
+        coachingContext: session.coaching_context,
+        attestation: analysis?.attestation || null,
+        description: null,
+        timestamp: parseDbTime(session.last_activity_at || session.started_at),
+        filename: session.document_filename || null,
+        organization: session.organisation_name || 'Unknown',
+        primaryReport: true,
+        additionalDocuments: sessionDb.getSessionDocuments(session.session_id)
+            .filter(doc => doc.kind === 'additional')
+            .map(doc => ({
+                id: doc.id,
+                filename: doc.filename,
+                wordCount: doc.word_count,
+                description: doc.description,
+                timestamp: parseDbTime(doc.uploaded_at)
+            })),
+        restoredFromDatabase: true
+    };
+
+    if (session.resumed_from) {
+        entry.resumedFrom = session.resumed_from;
+        entry.resumeHistory = sessionDb.getConversationHistory(session.resumed_from)
+            .slice(-RESUME_TURNS)
+            .map(turn => ({ role: turn.role, content: turn.content }));
+    }
+    return entry;
+}
+
+class ContextStore {
+    constructor({ revalidateMs = REVALIDATE_MS, maxAgeMs = MAX_AGE_MS, maxEntries = MAX_ENTRIES } = {}) {
+        this.cache = new Map();  // sessionId → { entry, checkedAt }
+        this.revalidateMs = revalidateMs;
+        this.maxAgeMs = maxAgeMs;
+        this.maxEntries = maxEntries;
+    }
+
+    get(sessionId) {
+        if (!sessionId) return undefined;
+
+        const cached = this.cache.get(sessionId);
+        if (cached && Date.now() - cached.checkedAt < this.revalidateMs) {
+            return cached.entry;
+        }
+
+        let session = null;
+        try {
+            session = sessionDb.getSession(sessionId);
+        } catch (err) {
+            console.error(`🗂️ Context lookup failed for ${sessionId}: ${err.message}`);
+        }
+
+        // Not persisted (unregistered session, or no document yet) - the cache is all there is
+        if (!session?.coaching_context) {
+            if (cached) cached.checkedAt = Date.now();
+            return cached?.entry;
+        }
+
+        const entry = cached
+            ? { ...cached.entry, coachingContext: session.coaching_context }
+            : entryFromSession(session);
+        if (!cached) console.log(`🗂️ Coaching context for ${sessionId} restored from database`);
+
+        this.cache.set(sessionId, { entry, checkedAt: Date.now() });
+        return entry;
+    }
+
+    has(sessionId) {
+        return this.get(sessionId) !== undefined;
+    }
+
+    set(sessionId, entry) {
+        this.cache.set(sessionId, { entry, checkedAt: Date.now() });
+
+        if (entry?.coachingContext) {
+            try {
+                sessionDb.updateSessionCoachingContext(sessionId, entry.coachingContext);
+            } catch (err) {
+                // The cached copy still serves this instance
+                console.error(`🗂️ Could not persist coaching context for ${sessionId}: ${err.message}`);
+            }
+        }
+        return this;
+    }
+
+    delete(sessionId) {
+        return this.cache.delete(sessionId);
+    }
+
+    // Iteration covers what this instance has cached, not every session in the database
+    keys() {
+        return this.cache.keys();
+    }
+
+    *entries() {
+        for (const [sessionId, { entry }] of this.cache) yield [sessionId, entry];
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    get size() {
+        return this.cache.size;
+    }
+
+    // Evict stale entries, then the oldest beyond maxEntries. Returns how many were evicted.
+    prune(maxAgeMs = this.maxAgeMs) {
+        const now = Date.now();
+        let evicted = 0;
+
+        for (const [sessionId, { entry }] of this.cache) {
+            if (now - (entry.timestamp || 0) > maxAgeMs) {
+                this.cache.delete(sessionId);
+                evicted++;
+            }
+        }
+
+        if (this.cache.size > this.maxEntries) {
+            const oldest = [...this.cache.entries()]
+                .sort((a, b) => (a[1].entry.timestamp || 0) - (b[1].entry.timestamp || 0))
+                .slice(0, this.cache.size - this.maxEntries);
+            for (const [sessionId] of oldest) {
+                this.cache.delete(sessionId);
+                evicted++;
+            }
+        }
+        return evicted;
+    }
+}
+
+function createContextStore(options) {
+    return new ContextStore(options);
+}
+
+module.exports = {
+    ContextStore,
+    createContextStore
+};
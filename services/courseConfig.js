@@ -0,0 +1,346 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📚 KEA COURSE CONFIGURATION - Per-course prompts, rubric and analyzer settings
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// One deployment can serve several courses. Each course is a config object stored
+// in the `courses` table (config_json) and selected when a session registers:
+//
+//   {
+//     name, institution,
+//     subjectDomain,     - "sustainability"          (used inside prompts)
+//     documentType,      - "sustainability report"   (what the student submits)
+//     assignmentBrief,   - short description of the task
+//     rubricFile|rubric, - rubrics/<file>.json or an inline rubric object
+//     coachingPersona,   - extra persona guidance appended to Kea's identity
+//     languageRules,     - spelling / units / date conventions block
+//     analyzer: {
+//       unitLabel,       - "Practice"               (Practice 1, Practice 2...)
+//       unitDescription, - "sustainability practice"
+//       unitCount,       - how many parallel unit branches LOG³ runs
+//       prompts          - optional overrides for ASSESSMENT_ANALYZER_PROMPTS keys
+//     },
+//     reportDelivery: {
+//       mode,            - immediate | daily_digest | weekly_digest | none
+//       studentCopy      - also email the student their own report
+//     },
+//     retention: {       - days after a session ends (null = keep), see retentionService.js
+//       transcriptDays,  - delete the transcript, takeaways and stored reports
+//       analysisDays,    - clear the document analysis and coaching context
+//       anonymiseDays    - detach the session from the student
+//     }
+//   }
+//
+// Report recipients for a course live in `course_report_recipients` (reportRouting.js).
+//
+// MAMC01810 is built in and seeded on startup so existing sessions keep working.
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const sessionDb = require('./sessionDatabaseSafe');
+
+const DEFAULT_COURSE_CODE = 'MAMC01810';
+const RUBRICS_DIR = path.join(__dirname, 'rubrics');
+const MAX_ANALYZER_UNITS = 6;
+
+const DEFAULT_LANGUAGE_RULES = `## LANGUAGE AND UNITS
+
+CRITICAL: Always use:
+- **British English spelling** (organisation, behaviour, analyse, practise, centre, colour, favour, honour, labour, metre, litre, programme, catalogue, dialogue, analogue)
+- **Metric units** (convert any imperial: miles→kilometres, pounds→kilograms, feet→metres, gallons→litres, Fahrenheit→Celsius)
+- **Date format**: day/month/year (e.g., 3 December 2025)
+
+Examples:
+- "The organisation's programme..." NOT "The organization's program..."
+- "...reduced emissions by 50 tonnes per kilometre..." NOT "...tons per mile..."
+- "...covering 10,000 hectares..." NOT "...acres..."`;
+
+// Values used for any field a course config leaves out
+const BASE_COURSE = {
+    institution: '',
+    subjectDomain: 'the subject',
+    documentType: 'assignment',
+    assignmentBrief: '',
+    rubricFile: null,
+    rubric: null,
+    coachingPersona: '',
+    languageRules: DEFAULT_LANGUAGE_RULES,
+    analyzer: {
+        unitLabel: 'Section',
+        unitDescription: 'key argument',
+        unitCount: 3,
+        prompts: {}
+    },
+    reportDelivery: {
+        mode: 'immediate',
+        studentCopy: false
+    },
+    retention: {
+        transcriptDays: null,
+        analysisDays: null,
+        anonymiseDays: null
+    }
+};
+
+const DELIVERY_MODES = ['immediate', 'daily_digest', 'weekly_digest', 'none'];
+
+const RETENTION_FIELDS = ['transcriptDays', 'analysisDays', 'anonymiseDays'];
+const MAX_RETENTION_DAYS = 3650;
+
+// Delivery modes that replace per-session emails with a scheduled digest (digestService.js)
+const DIGEST_MODES = {
+    daily_digest: 'daily',
+    weekly_digest: 'weekly'
+};
+
+const BUILTIN_COURSES = {
+    MAMC01810: {
+        name: 'Managing for Sustainability',
+        institution: 'Auckland International Campus',
+        subjectDomain: 'sustainability',
+        documentType: 'sustainability report',
+        assignmentBrief: 'A strategic sustainability report on a real organisation: analyse three current sustainability practices with evidence, recommend three strategies that address the gaps identified, and propose realistic implementation methods.',
+        rubricFile: 'MAMC01810.json',
+        analyzer: {
+            unitLabel: 'Practice',
+            unitDescription: 'sustainability practice',
+            unitCount: 3
+        }
+    }
+};
+
+// Fields an admin may set through the API
+const EDITABLE_FIELDS = [
+    'name', 'institution', 'subjectDomain', 'documentType', 'assignmentBrief',
+    'rubricFile', 'rubric', 'coachingPersona', 'languageRules', 'analyzer', 'reportDelivery', 'retention'
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RUBRICS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const rubricCache = new Map();
+
+function loadRubric(rubricFile) {
+    if (!rubricFile) return null;
+    if (rubricCache.has(rubricFile)) return rubricCache.get(rubricFile);
+
+    // basename() keeps lookups inside the rubrics folder
+    const rubricPath = path.join(RUBRICS_DIR, path.basename(rubricFile));
+    let rubric = null;
+    try {
+        rubric = JSON.parse(fs.readFileSync(rubricPath, 'utf8'));
+    } catch (err) {
+        console.warn(`⚠️ [COURSE] Could not load rubric ${rubricFile}: ${err.message}`);
+    }
+    rubricCache.set(rubricFile, rubric);
+    return rubric;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function normaliseCode(courseCode) {
+    return typeof courseCode === 'string' ? courseCode.trim().toUpperCase() : '';
+}
+
+function mergeConfig(code, stored = {}, active = true) {
+    const builtin = BUILTIN_COURSES[code] || {};
+    const course = {
+        ...BASE_COURSE,
+        ...builtin,
+        ...stored,
+        analyzer: {
+            ...BASE_COURSE.analyzer,
+            ...builtin.analyzer,
+            ...stored.analyzer
+        },
+        reportDelivery: {
+            ...BASE_COURSE.reportDelivery,
+            ...builtin.reportDelivery,
+            ...stored.reportDelivery
+        },
+        retention: {
+            ...BASE_COURSE.retention,
+            ...builtin.retention,
+            ...stored.retention
+        },
+        code,
+        active
+    };
+    course.rubric = course.rubric || loadRubric(course.rubricFile);
+    return course;
+}
+
+// Returns the resolved config for a course, or null if it is unknown
+function getCourse(courseCode) {
+    const code = normaliseCode(courseCode);
+    if (!code) return null;
+
+    const row = sessionDb.getCourse(code);
+    if (row) {
+        let stored = {};
+        try {
+            stored = JSON.parse(row.config_json || '{}');
+        } catch (err) {
+            console.error(`❌ [COURSE] Invalid config_json for ${code}: ${err.message}`);
+        }
+        return mergeConfig(code, { ...stored, name: row.name }, !!row.active);
+    }
+
+    return BUILTIN_COURSES[code] ? mergeConfig(code) : null;
+}
+
+// Runtime lookup: always returns a usable course (falls back to the default)
+function resolveCourse(courseCode) {
+    return getCourse(courseCode) || getCourse(DEFAULT_COURSE_CODE);
+}
+
+function getCourseForSession(sessionId) {
+    const session = sessionId ? sessionDb.getSession(sessionId) : null;
+    return resolveCourse(session?.course_code);
+}
+
+function listCourses({ includeInactive = false } = {}) {
+    const codes = new Set([
+        ...Object.keys(BUILTIN_COURSES),
+        ...sessionDb.getAllCourses().map(c => c.course_code)
+    ]);
+    return [...codes]
+        .sort()
+        .map(getCourse)
+        .filter(c => c && (includeInactive || c.active));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ADMIN
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Returns an error message or null
+function validateCourseInput(courseCode, input, { isNew = false } = {}) {
+    if (!/^[A-Z0-9_-]{2,20}$/.test(normaliseCode(courseCode))) {
+        return 'courseCode must be 2-20 letters, digits, "-" or "_"';
+    }
+    if (!input || typeof input !== 'object') return 'Course config must be an object';
+    if (isNew && !input.name) return 'name is required for a new course';
+
+    const unknown = Object.keys(input).filter(k => !EDITABLE_FIELDS.includes(k) && k !== 'active');
+    if (unknown.length > 0) return `Unknown course fields: ${unknown.join(', ')}`;
+
+    if (input.analyzer !== undefined) {
+        const { unitCount, prompts } = input.analyzer || {};
+        if (unitCount !== undefined && (!Number.isInteger(unitCount) || unitCount < 1 || unitCount > MAX_ANALYZER_UNITS)) {
+            return `analyzer.unitCount must be an integer from 1 to ${MAX_ANALYZER_UNITS}`;
+        }
+        if (prompts !== undefined && (typeof prompts !== 'object' || Object.values(prompts).some(p => typeof p !== 'string'))) {
+            return 'analyzer.prompts must map prompt names to strings';
+        }
+    }
+    if (input.reportDelivery !== undefined) {
+        const { mode, studentCopy } = input.reportDelivery || {};
+        if (mode !== undefined && !DELIVERY_MODES.includes(mode)) {
+            return `reportDelivery.mode must be one of: ${DELIVERY_MODES.join(', ')}`;
+        }
+        if (studentCopy !== undefined && typeof studentCopy !== 'boolean') {
+            return 'reportDelivery.studentCopy must be true or false';
+        }
+    }
+    if (input.retention !== undefined) {
+        const retention = input.retention || {};
+        const unknownRetention = Object.keys(retention).filter(k => !RETENTION_FIELDS.includes(k));
+        if (unknownRetention.length > 0) return `Unknown retention fields: ${unknownRetention.join(', ')}`;
+
+        for (const field of RETENTION_FIELDS) {
+            const days = retention[field];
+            if (days !== undefined && days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS)) {
+                return `retention.${field} must be null or a whole number of days from 1 to ${MAX_RETENTION_DAYS}`;
+            }
+        }
+    }
+    if (input.rubric !== undefined && input.rubric !== null && typeof input.rubric !== 'object') {
+        return 'rubric must be a JSON object';
+    }
+    return null;
+}
+
+// Creates or updates a course; fields not supplied keep their stored value
+function saveCourse(courseCode, input) {
+    const code = normaliseCode(courseCode);
+    const existingRow = sessionDb.getCourse(code);
+    const stored = existingRow ? JSON.parse(existingRow.config_json || '{}') : {};
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (input[field] !== undefined) updates[field] = input[field];
+    }
+    for (const nested of ['analyzer', 'reportDelivery', 'retention']) {
+        if (updates[nested]) {
+            updates[nested] = { ...stored[nested], ...updates[nested] };
+        }
+    }
+
+    const config = { ...stored, ...updates };
+    const name = config.name || existingRow?.name || BUILTIN_COURSES[code]?.name;
+    delete config.name;
+
+    const active = input.active !== undefined ? !!input.active : (existingRow ? !!existingRow.active : true);
+    sessionDb.saveCourse(code, name, config, active);
+    return getCourse(code);
+}
+
+// Seed built-in courses into the courses table on first start
+function ensureDefaultCourses() {
+    for (const [code, builtin] of Object.entries(BUILTIN_COURSES)) {
+        if (!sessionDb.getCourse(code)) {
+            const { name, ...config } = builtin;
+            sessionDb.saveCourse(code, name, config, true);
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// PROMPT HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Short course block appended to the system prompt when no document context exists.
+// Rubric criteria are listed by title only - weights and grade bands never reach the model.
+function buildCourseContext(course) {
+    let context = `Current course context: ${course.code} - ${course.name}`;
+    if (course.institution) context += ` (${course.institution})`;
+    if (course.assignmentBrief) context += `\nAssignment: ${course.assignmentBrief}`;
+
+    const criteria = Object.values(course.rubric?.criteria || {}).map(c => c.title).filter(Boolean);
+    if (criteria.length > 0) {
+        context += `\nThe assignment is organised around: ${criteria.join('; ')}`;
+    }
+    return context;
+}
+
+// Public summary for course pickers (no prompts or rubric)
+function toPublicCourse(course) {
+    return {
+        code: course.code,
+        name: course.name,
+        institution: course.institution || null
+    };
+}
+
+module.exports = {
+    DEFAULT_COURSE_CODE,
+    DELIVERY_MODES,
+    DIGEST_MODES,
+    RETENTION_FIELDS,
+    DEFAULT_LANGUAGE_RULES,
+    getCourse,
+    resolveCourse,
+    getCourseForSession,
+    listCourses,
+    validateCourseInput,
+    saveCourse,
+    ensureDefaultCourses,
+    buildCourseContext,
+    toPublicCourse,
+    normaliseCode
+};
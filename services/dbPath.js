@@ -0,0 +1,36 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📦 KEA DATABASE PATH - Where the session database lives
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Shared by sessionDatabase.js and the migrate.js CLI, so both open the same file.
+// KEA_DB_PATH wins when set (tests point it at a temporary file). Otherwise production
+// uses the Render disk mount when it is attached, and data/ locally.
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const fs = require('fs');
+
+const isProduction = process.env.NODE_ENV === 'production';
+const RENDER_DISK_PATH = '/opt/render/project/src/uploads';
+
+const override = process.env.KEA_DB_PATH;
+
+// Check if Render disk is available
+const useRenderDisk = !override && isProduction && fs.existsSync(RENDER_DISK_PATH);
+const DB_PATH = override
+    ? path.resolve(override)
+    : useRenderDisk
+        ? path.join(RENDER_DISK_PATH, 'kea_sessions.db')
+        : path.join(__dirname, '..', 'data', 'kea_sessions.db');
+
+// Ensure data directory exists
+const dataDir = path.dirname(DB_PATH);
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
+module.exports = {
+    DB_PATH,
+    useRenderDisk
+};
@@ -0,0 +1,262 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🗞️ KEA DIGESTS - Daily / weekly coaching summaries for instructors
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Courses whose reportDelivery.mode is daily_digest or weekly_digest stop getting one
+// email per session (reportRouting.js records those as digest_pending) and instead get
+// a scheduled summary of every session in the period:
+//
+//   - sessions and minutes per student, with links into the admin dashboard
+//   - organisations discussed
+//   - common gap themes from each session's initial analysis (initial_parse_json)
+//
+// Each opted-in recipient gets their own digest (TAs only see their tutorial group).
+// Digests go through the email outbox, and every run is recorded in `digest_runs` so
+// a period is only sent once however often the scheduler wakes up.
+//
+// Periods follow the server's local time (set TZ, e.g. Pacific/Auckland):
+//   daily  - the previous calendar day
+//   weekly - the previous Monday to Sunday
+//
+// Environment:
+//   DIGEST_HOUR - local hour after which the previous period is sent (default 7)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+const courseConfig = require('./courseConfig');
+const emailOutbox = require('./emailOutbox');
+
+const CADENCES = ['daily', 'weekly'];
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR) || 7;
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_GAP_THEMES = 5;
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// PERIODS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseDbTime(value) {
+    if (!value) return null;
+    return new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+// Most recently completed period for a cadence
+function getPeriod(cadence, now = new Date()) {
+    const end = new Date(now);
+    end.setHours(0, 0, 0, 0);
+    if (cadence === 'weekly') {
+        end.setDate(end.getDate() - ((end.getDay() + 6) % 7));  // back to Monday
+    }
+
+    const start = new Date(end);
+    start.setDate(start.getDate() - (cadence === 'weekly' ? 7 : 1));
+    return { start, end };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// BUILDING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function getCourseSessions(courseCode, period) {
+    return sessionDb.getAllSessions().filter(s => {
+        const startedAt = parseDbTime(s.started_at);
+        return s.course_code === courseCode && startedAt >= period.start && startedAt < period.end;
+    });
+}
+
+function sessionMinutes(session) {
+    const start = parseDbTime(session.started_at);
+    const end = parseDbTime(session.ended_at || session.last_activity_at);
+    return start && end ? Math.max(0, Math.round((end - start) / 60000)) : 0;
+}
+
+function parseAnalysis(session) {
+    try {
+        return session.initial_parse_json ? JSON.parse(session.initial_parse_json).analysis || null : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function summariseGapThemes(sessions) {
+    const gapTypes = {};
+    const missed = new Map();
+
+    for (const session of sessions) {
+        const analysis = parseAnalysis(session);
+        if (!analysis) continue;
+
+        for (const practice of analysis.practices || []) {
+            if (practice?.gap_type && practice.gap_type !== 'NONE') {
+                gapTypes[practice.gap_type] = (gapTypes[practice.gap_type] || 0) + 1;
+            }
+        }
+        for (const gap of analysis.gaps?.missed || []) {
+            if (!gap?.description) continue;
+            const key = gap.description.trim().toLowerCase();
+            const entry = missed.get(key) || { description: gap.description.trim(), count: 0 };
+            entry.count++;
+            missed.set(key, entry);
+        }
+    }
+
+    return {
+        gapTypes,
+        missed: [...missed.values()].sort((a, b) => b.count - a.count).slice(0, MAX_GAP_THEMES)
+    };
+}
+
+function buildDigest(course, cadence, period, sessions, recipientName = null) {
+    const students = new Map();
+    const organisations = new Map();
+    let totalMinutes = 0;
+
+    for (const session of sessions) {
+        const minutes = sessionMinutes(session);
+        const userTurns = sessionDb.getConversationHistory(session.session_id)
+            .filter(t => t.role === 'user').length;
+        totalMinutes += minutes;
+
+        const key = session.user_email || session.user_id || session.session_id;
+        const student = students.get(key) || {
+            name: session.user_name || 'Student',
+            email: session.user_email || null,
+            sessionIds: [],
+            minutes: 0,
+            userTurns: 0,
+            organisations: []
+        };
+        student.sessionIds.push(session.session_id);
+        student.minutes += minutes;
+        student.userTurns += userTurns;
+
+        const organisation = session.organisation_name;
+        if (organisation && organisation !== 'Unknown') {
+            if (!student.organisations.includes(organisation)) student.organisations.push(organisation);
+            organisations.set(organisation, (organisations.get(organisation) || 0) + 1);
+        }
+        students.set(key, student);
+    }
+
+    return {
+        courseCode: course.code,
+        courseName: course.name,
+        cadence,
+        periodStart: period.start.toISOString(),
+        periodEnd: period.end.toISOString(),
+        recipientName,
+        totals: {
+            sessions: sessions.length,
+            students: students.size,
+            minutes: totalMinutes
+        },
+        students: [...students.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        organisations: [...organisations.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count),
+        gapThemes: summariseGapThemes(sessions)
+    };
+}
+
+// Opted-in recipients, each with the sessions they are allowed to see
+function planRecipients(courseCode, sessions) {
+    return sessionDb.getReportRecipients(courseCode)
+        .filter(r => r.opted_in)
+        .map(recipient => ({
+            recipient,
+            sessions: sessions.filter(s => !recipient.tutorial_group || s.tutorial_group === recipient.tutorial_group)
+        }))
+        .filter(plan => plan.sessions.length > 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RUNNING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function runDigest(course, cadence, { period = getPeriod(cadence), trigger = 'scheduled' } = {}) {
+    const sessions = getCourseSessions(course.code, period);
+    const plans = planRecipients(course.code, sessions);
+
+    const run = sessionDb.recordDigestRun({
+        courseCode: course.code,
+        cadence,
+        periodStart: period.start.toISOString(),
+        periodEnd: period.end.toISOString(),
+        trigger,
+        sessionCount: sessions.length,
+        recipientCount: plans.length
+    });
+
+    for (const { recipient, sessions: visible } of plans) {
+        const digest = buildDigest(course, cadence, period, visible, recipient.name);
+        const email = emailOutbox.enqueue('course_digest', recipient.email, digest, {
+            courseCode: course.code,
+            recipientRole: recipient.role
+        });
+
+        for (const session of visible) {
+            sessionDb.logReportRouting({
+                sessionId: session.session_id,
+                courseCode: course.code,
+                recipientEmail: recipient.email,
+                recipientRole: recipient.role,
+                deliveryMode: course.reportDelivery.mode,
+                decision: 'digest_queued',
+                detail: `${cadence} digest run #${run.id}, outbox #${email.id}`
+            });
+        }
+    }
+
+    console.log(`🗞️ ${cadence} digest for ${course.code}: ${sessions.length} sessions → ${plans.length} recipients (run #${run.id})`);
+    return run;
+}
+
+// Sends any scheduled digest whose period has closed and not been sent yet
+function runDueDigests(now = new Date()) {
+    const runs = [];
+    for (const course of courseConfig.listCourses()) {
+        const cadence = courseConfig.DIGEST_MODES[course.reportDelivery.mode];
+        if (!cadence) continue;
+
+        const period = getPeriod(cadence, now);
+        const dueAt = new Date(period.end);
+        dueAt.setHours(DIGEST_HOUR);
+        if (now < dueAt) continue;
+        if (sessionDb.findScheduledDigestRun(course.code, cadence, period.start.toISOString())) continue;
+
+        try {
+            runs.push(runDigest(course, cadence, { period }));
+        } catch (err) {
+            console.error(`🗞️ Digest for ${course.code} failed: ${err.message}`);
+        }
+    }
+    return runs;
+}
+
+let schedulerTimer = null;
+
+function startScheduler() {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(runDueDigests, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+    console.log(`🗞️ Digest scheduler started (sends after ${DIGEST_HOUR}:00 local time)`);
+    runDueDigests();
+}
+
+// Digest for the most recent period without sending it (admin preview)
+function previewDigest(course, cadence, recipientName = null) {
+    const period = getPeriod(cadence);
+    return buildDigest(course, cadence, period, getCourseSessions(course.code, period), recipientName);
+}
+
+module.exports = {
+    CADENCES,
+    getPeriod,
+    buildDigest,
+    previewDigest,
+    runDigest,
+    runDueDigests,
+    startScheduler
+};
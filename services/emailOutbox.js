@@ -0,0 +1,202 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📮 KEA EMAIL OUTBOX - Durable queue for outbound email
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Nothing sends email inline any more. Callers enqueue() a message into the
+// `email_outbox` table and the worker started by server.js delivers it:
+//
+//   queued  → sent                       (provider accepted it)
+//   queued  → queued (attempts + 1)      (send failed, retried with backoff)
+//   queued  → failed                     (max_attempts reached)
+//   sent    → bounced                    (provider webhook reported a bounce/drop)
+//
+// failed / bounced messages can be put back in the queue with resend(), except kinds that
+// carry a secret (login codes): the secret is dropped from the payload as soon as the
+// message leaves the queue, and a student who needs a code again requests a new one.
+//
+// Environment:
+//   EMAIL_OUTBOX_INTERVAL_SECONDS - how often the worker polls (default 15)
+//   EMAIL_MAX_ATTEMPTS            - attempts before a message is marked failed (default 5)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+const emailService = require('./emailService');
+
+const POLL_INTERVAL_MS = (parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 15) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 20;
+
+// 1 min, 2 min, 4 min ... capped at 1 hour
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const STATUSES = ['queued', 'sent', 'failed', 'bounced'];
+
+// How each kind of message is delivered: (row, payload) => emailService result
+const SENDERS = {
+    session_report: (row, payload) => emailService.sendReportEmail(row.to_email, payload),
+    course_digest: (row, payload) => emailService.sendDigestEmail(row.to_email, payload),
+    student_login_code: (row, payload) => emailService.sendLoginCodeEmail(row.to_email, payload)
+};
+
+// Payload fields only needed until delivery
+const SECRET_FIELDS = {
+    student_login_code: ['code']
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function enqueue(kind, toEmail, payload, { sessionId = null, courseCode = null, recipientRole = null } = {}) {
+    if (!SENDERS[kind]) throw new Error(`Unknown email kind: ${kind}`);
+
+    const row = sessionDb.enqueueEmail({
+        kind, sessionId, courseCode, toEmail, recipientRole, payload, maxAttempts: MAX_ATTEMPTS
+    });
+    console.log(`📮 Queued ${kind} email #${row.id} → ${toEmail}`);
+
+    // Deliver promptly rather than waiting for the next poll
+    setImmediate(processQueue);
+    return row;
+}
+
+function backoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// The payload to keep once a message has left the queue, or null to keep it as it is
+function withoutSecrets(kind, payload) {
+    const fields = SECRET_FIELDS[kind];
+    if (!fields) return null;
+    return Object.fromEntries(Object.entries(payload).filter(([field]) => !fields.includes(field)));
+}
+
+function canResend(row) {
+    return !SECRET_FIELDS[row.kind];
+}
+
+async function deliver(row) {
+    const attempts = row.attempts + 1;
+    let payload = null;
+    let result;
+    try {
+        payload = JSON.parse(row.payload_json);
+        result = await SENDERS[row.kind](row, payload);
+    } catch (err) {
+        result = { success: false, error: err.message };
+    }
+
+    if (result.success) {
+        console.log(`📮 Email #${row.id} sent → ${row.to_email}`);
+        return sessionDb.updateOutboxEmail(row.id, {
+            status: 'sent',
+            attempts,
+            providerMessageId: result.messageId || null,
+            payload: payload && withoutSecrets(row.kind, payload)
+        });
+    }
+
+    if (attempts >= row.max_attempts) {
+        console.error(`📮 Email #${row.id} failed permanently after ${attempts} attempts: ${result.error}`);
+        return sessionDb.updateOutboxEmail(row.id, {
+            status: 'failed',
+            attempts,
+            lastError: result.error,
+            payload: payload && withoutSecrets(row.kind, payload)
+        });
+    }
+
+    const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+    console.warn(`📮 Email #${row.id} attempt ${attempts} failed (${result.error}) - retrying at ${nextAttemptAt}`);
+    return sessionDb.updateOutboxEmail(row.id, {
+        status: 'queued',
+        attempts,
+        nextAttemptAt,
+        lastError: result.error
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// WORKER
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+let processing = false;
+let workerTimer = null;
+
+async function processQueue() {
+    if (processing) return 0;
+    processing = true;
+
+    let delivered = 0;
+    try {
+        const due = sessionDb.getDueOutboxEmails(new Date().toISOString(), BATCH_SIZE);
+        for (const row of due) {
+            await deliver(row);
+            delivered++;
+        }
+    } catch (err) {
+        console.error('📮 Outbox worker error:', err.message);
+    } finally {
+        processing = false;
+    }
+    return delivered;
+}
+
+function startWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+    workerTimer.unref();
+    console.log(`📮 Email outbox worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+    processQueue();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ADMIN
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Put a failed or bounced message back in the queue with a fresh set of attempts.
+// Returns null when the message does not exist or cannot be resent.
+function resend(id) {
+    const row = sessionDb.getOutboxEmailById(id);
+    if (!row || !canResend(row)) return null;
+
+    const updated = sessionDb.updateOutboxEmail(id, {
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: row.last_error
+    });
+    console.log(`📮 Email #${id} re-queued → ${row.to_email}`);
+    setImmediate(processQueue);
+    return updated;
+}
+
+// Provider event webhook (SendGrid event format): bounce/dropped → bounced
+function recordProviderEvents(events) {
+    let bounced = 0;
+    for (const event of Array.isArray(events) ? events : []) {
+        if (!event?.sg_message_id || !['bounce', 'dropped'].includes(event.event)) continue;
+        bounced += sessionDb.markOutboxBounced(event.sg_message_id, `${event.event}: ${event.reason || 'no reason given'}`);
+    }
+    if (bounced > 0) console.warn(`📮 ${bounced} email(s) marked bounced`);
+    return bounced;
+}
+
+// Outbox row without the rendered payload, for the admin dashboard
+function toAdminEmail(row) {
+    const { payload_json, ...email } = row;
+    return { ...email, resendable: canResend(row) };
+}
+
+module.exports = {
+    STATUSES,
+    enqueue,
+    processQueue,
+    startWorker,
+    resend,
+    canResend,
+    recordProviderEvents,
+    toAdminEmail
+};
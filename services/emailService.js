@@ -1,91 +1,35 @@
 /**
  * ╔═══════════════════════════════════════════════════════════════════════════════╗
  * ║  KEA ACADEMIC COACH - EMAIL SERVICE                                            ║
- * ║  SendGrid integration for report delivery                                      ║
+ * ║  Report emails, delivered through the configured transport                     ║
  * ╠═══════════════════════════════════════════════════════════════════════════════╣
  * ║  Adapted from MetaGuardian email_service.py                                   ║
  * ╚═══════════════════════════════════════════════════════════════════════════════╝
  */
 
-const sgMail = require('@sendgrid/mail');
 const fs = require('fs');
 const path = require('path');
+const emailTransport = require('./emailTransport');
 
-// Configuration
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-const SENDGRID_FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL || 'regan@axiomintelligence.co.nz';
-const SENDGRID_FROM_NAME = process.env.SENDGRID_FROM_NAME || 'Kea Academic Coach';
+// Configuration (SENDGRID_FROM_* still honoured for existing deployments)
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.SENDGRID_FROM_EMAIL || 'regan@axiomintelligence.co.nz';
+const EMAIL_FROM_NAME = process.env.EMAIL_FROM_NAME || process.env.SENDGRID_FROM_NAME || 'Kea Academic Coach';
 
-// Initialize SendGrid
-if (SENDGRID_API_KEY) {
-    sgMail.setApiKey(SENDGRID_API_KEY);
+// Transport selected by EMAIL_TRANSPORT (see emailTransport.js)
+let transport = null;
+try {
+    transport = emailTransport.createTransport();
+    console.log(transport ? `📧 Email transport: ${transport.name}` : '⚠️ No email transport configured');
+} catch (err) {
+    console.error(`❌ Email transport misconfigured: ${err.message}`);
 }
 
 const FOOTER_TEXT = '© 2025 Axiom Intelligence – Interactive Oral Assessments as a Service (IOAaaS)';
 
-/**
- * Get logo as base64 for email embedding
- */
-function getLogoBase64() {
-    const logoPath = path.join(__dirname, '..', 'public', 'axiom-logo.png');
-    try {
-        if (fs.existsSync(logoPath)) {
-            const logoData = fs.readFileSync(logoPath);
-            return logoData.toString('base64');
-        }
-    } catch (err) {
-        console.error('Failed to load logo:', err.message);
-    }
-    return null;
-}
-
-/**
- * Generate HTML email report from session data
- */
-function generateEmailReport(sessionData) {
-    const {
-        userName = 'Student',
-        userEmail,
-        assessmentTitle = 'Coaching Session',
-        keyTakeaways = '',
-        sessionStats = {},
-        createdAt,
-        endedAt
-    } = sessionData;
-
-    // Format dates in NZ timezone explicitly
-    const nzOptions = { 
-        timeZone: 'Pacific/Auckland',
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-    };
-    
-    const startDate = createdAt ? new Date(createdAt).toLocaleString('en-NZ', nzOptions) : 'N/A';
-    const endDate = endedAt ? new Date(endedAt).toLocaleString('en-NZ', nzOptions) : 'N/A';
+// Where links in emails point (student app and admin dashboard)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'http://localhost:16602').replace(/\/$/, '');
 
-    // Session stats
-    const totalTurns = sessionStats.totalTurns || 0;
-    const userTurns = sessionStats.userTurns || 0;
-    const assistantTurns = sessionStats.assistantTurns || 0;
-    const duration = sessionStats.durationMinutes || 'N/A';
-
-    // Clean up key takeaways HTML for email
-    let cleanTakeaways = keyTakeaways || '<p>No key takeaways recorded for this session.</p>';
-    
-    const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Kea Academic Coach Report</title>
-    <style>
-        body {
+const EMAIL_STYLES = `        body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
             line-height: 1.6;
             color: #333;
@@ -220,6 +164,27 @@ function generateEmailReport(sessionData) {
             color: #4CAF50;
             text-decoration: none;
         }
+        .digest-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 25px;
+            font-size: 14px;
+        }
+        .digest-table th {
+            text-align: left;
+            color: #666;
+            font-weight: 600;
+            border-bottom: 2px solid #e9ecef;
+            padding: 8px 6px;
+        }
+        .digest-table td {
+            border-bottom: 1px solid #e9ecef;
+            padding: 8px 6px;
+            vertical-align: top;
+        }
+        .digest-table a {
+            color: #2e7d32;
+        }
         .cta-button {
             display: inline-block;
             background: #4CAF50;
@@ -230,17 +195,103 @@ function generateEmailReport(sessionData) {
             font-weight: 600;
             margin-top: 20px;
         }
-    </style>
+`;
+
+/**
+ * Get logo as base64 for email embedding
+ */
+function getLogoBase64() {
+    const logoPath = path.join(__dirname, '..', 'public', 'axiom-logo.png');
+    try {
+        if (fs.existsSync(logoPath)) {
+            const logoData = fs.readFileSync(logoPath);
+            return logoData.toString('base64');
+        }
+    } catch (err) {
+        console.error('Failed to load logo:', err.message);
+    }
+    return null;
+}
+
+/**
+ * Shared branded layout (header, logo, footer) for every Kea email.
+ * `content` is the HTML placed inside the white content panel.
+ */
+function renderBrandedEmail({ title, subtitle, content }) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+${EMAIL_STYLES}    </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <img src="cid:logo" alt="Kea Academic Coach" />
             <h1>Kea Academic Coach</h1>
-            <p>Your Coaching Session Report</p>
+            <p>${subtitle}</p>
         </div>
         
         <div class="content">
+${content}
+        </div>
+        
+        <div class="footer">
+            <p>${FOOTER_TEXT}</p>
+            <p>Powered by <a href="https://axiomintelligence.co.nz">Axiom Intelligence</a></p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate HTML email report from session data
+ */
+function generateEmailReport(sessionData) {
+    const {
+        userName = 'Student',
+        userEmail,
+        assessmentTitle = 'Coaching Session',
+        keyTakeaways = '',
+        sessionStats = {},
+        createdAt,
+        endedAt
+    } = sessionData;
+
+    // Format dates in NZ timezone explicitly
+    const nzOptions = { 
+        timeZone: 'Pacific/Auckland',
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    };
+    
+    const startDate = createdAt ? new Date(createdAt).toLocaleString('en-NZ', nzOptions) : 'N/A';
+    const endDate = endedAt ? new Date(endedAt).toLocaleString('en-NZ', nzOptions) : 'N/A';
+
+    // Session stats
+    const totalTurns = sessionStats.totalTurns || 0;
+    const userTurns = sessionStats.userTurns || 0;
+    const assistantTurns = sessionStats.assistantTurns || 0;
+    const duration = sessionStats.durationMinutes || 'N/A';
+
+    // Clean up key takeaways HTML for email
+    let cleanTakeaways = keyTakeaways || '<p>No key takeaways recorded for this session.</p>';
+    
+    return renderBrandedEmail({
+        title: 'Kea Academic Coach Report',
+        subtitle: 'Your Coaching Session Report',
+        content: `
             <p class="greeting">Kia ora ${userName},</p>
             <p>Thank you for completing your coaching session with Kea. Below is a summary of your session and key takeaways.</p>
             
@@ -300,79 +351,257 @@ function generateEmailReport(sessionData) {
             </p>
             
             <div style="text-align: center;">
-                <a href="http://localhost:16602/v7" class="cta-button">Start Another Session</a>
+                <a href="${PUBLIC_BASE_URL}/v7" class="cta-button">Start Another Session</a>
             </div>
-        </div>
-        
-        <div class="footer">
-            <p>${FOOTER_TEXT}</p>
-            <p>Powered by <a href="https://axiomintelligence.co.nz">Axiom Intelligence</a></p>
-        </div>
-    </div>
-</body>
-</html>
-`;
+`
+    });
+}
+
+/**
+ * Generate HTML digest summarising a course's coaching activity over a period.
+ * `digest` is built by digestService.buildDigest().
+ */
+function generateDigestEmail(digest) {
+    const {
+        courseCode,
+        courseName,
+        cadence,
+        periodStart,
+        periodEnd,
+        recipientName,
+        totals,
+        students = [],
+        organisations = [],
+        gapThemes = {}
+    } = digest;
+
+    const dateOptions = { timeZone: 'Pacific/Auckland', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' };
+    const lastDay = new Date(new Date(periodEnd).getTime() - 1);
+    const period = cadence === 'weekly'
+        ? `${new Date(periodStart).toLocaleDateString('en-NZ', dateOptions)} – ${lastDay.toLocaleDateString('en-NZ', dateOptions)}`
+        : new Date(periodStart).toLocaleDateString('en-NZ', dateOptions);
+    const sessionLink = (id) => `${PUBLIC_BASE_URL}/admin?session=${encodeURIComponent(id)}`;
+
+    const studentRows = students.map(s => `
+                <tr>
+                    <td><strong>${escapeHtml(s.name)}</strong><br><span style="color: #888;">${escapeHtml(s.email || '')}</span></td>
+                    <td>${s.sessionIds.map((id, i) => `<a href="${sessionLink(id)}">#${i + 1}</a>`).join(' ')}</td>
+                    <td>${s.minutes}</td>
+                    <td>${s.userTurns}</td>
+                    <td>${s.organisations.map(escapeHtml).join(', ') || '-'}</td>
+                </tr>`).join('');
 
-    return html;
+    const gapTypeLabels = { KNOWLEDGE: 'Needs to learn more', EXPRESSION: 'Knows more than written', BOTH: 'Mixed' };
+    const gapTypes = Object.entries(gapThemes.gapTypes || {})
+        .map(([type, count]) => `<li>${gapTypeLabels[type] || escapeHtml(type)}: ${count}</li>`).join('');
+    const missedGaps = (gapThemes.missed || [])
+        .map(g => `<li>${escapeHtml(g.description)}${g.count > 1 ? ` <strong>(×${g.count})</strong>` : ''}</li>`).join('');
+
+    return renderBrandedEmail({
+        title: `Kea ${cadence === 'weekly' ? 'Weekly' : 'Daily'} Digest`,
+        subtitle: `${cadence === 'weekly' ? 'Weekly' : 'Daily'} Coaching Digest · ${escapeHtml(courseCode)}`,
+        content: `
+            <p class="greeting">Kia ora ${escapeHtml(recipientName || 'there')},</p>
+            <p>Here is the coaching activity for <strong>${escapeHtml(courseName)}</strong> (${period}).</p>
+            
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-number">${totals.sessions}</div>
+                    <div class="stat-label">Sessions</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${totals.students}</div>
+                    <div class="stat-label">Students</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${totals.minutes}</div>
+                    <div class="stat-label">Minutes Coached</div>
+                </div>
+            </div>
+            
+            ${students.length === 0 ? `
+            <p style="color: #666;">No coaching sessions took place in this period.</p>
+            ` : `
+            <div class="session-info">
+                <h3>👥 Sessions by Student</h3>
+                <table class="digest-table">
+                    <tr><th>Student</th><th>Sessions</th><th>Minutes</th><th>Responses</th><th>Organisation</th></tr>${studentRows}
+                </table>
+            </div>
+            `}
+            
+            ${organisations.length > 0 ? `
+            <div class="session-info">
+                <h3>🏢 Organisations Discussed</h3>
+                <p style="margin: 0;">${organisations.map(o => `${escapeHtml(o.name)}${o.count > 1 ? ` (${o.count})` : ''}`).join(', ')}</p>
+            </div>
+            ` : ''}
+            
+            ${gapTypes || missedGaps ? `
+            <div class="takeaways-section">
+                <h2>🧭 Common Gap Themes</h2>
+                <div class="takeaways-content">
+                    ${gapTypes ? `<h3>Practice gaps</h3><ul>${gapTypes}</ul>` : ''}
+                    ${missedGaps ? `<h3 style="margin-top: 15px;">Gaps students missed</h3><ul>${missedGaps}</ul>` : ''}
+                </div>
+            </div>
+            ` : ''}
+            
+            <div style="text-align: center;">
+                <a href="${PUBLIC_BASE_URL}/admin" class="cta-button">Open Admin Dashboard</a>
+            </div>`
+    });
 }
 
 /**
- * Send session report via email
+ * Generate HTML for a student portal sign-in code.
+ * `login` is { name, code, expiresMinutes } from studentPortal.requestLoginCode().
  */
-async function sendReportEmail(toEmail, sessionData) {
-    if (!SENDGRID_API_KEY) {
-        console.error('❌ SendGrid API key not configured');
+function generateLoginCodeEmail(toEmail, login) {
+    const link = loginLink(toEmail, login.code);
+    return renderBrandedEmail({
+        title: 'Your Kea Sign-in Code',
+        subtitle: 'Student Sign-in',
+        content: `
+            <p class="greeting">Kia ora ${escapeHtml(login.name || 'there')},</p>
+            <p>Use this code to sign in and see your past coaching sessions:</p>
+            
+            <div class="session-info" style="text-align: center;">
+                <div style="font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #000;">${escapeHtml(login.code)}</div>
+                <p style="margin: 10px 0 0; color: #666;">Expires in ${login.expiresMinutes} minutes</p>
+            </div>
+            
+            <div style="text-align: center;">
+                <a href="${link}" class="cta-button">Sign in to My Sessions</a>
+            </div>
+            
+            <p style="color: #888; font-size: 13px;">If you didn't ask for this code you can ignore this email.</p>`
+    });
+}
+
+function loginLink(toEmail, code) {
+    return `${PUBLIC_BASE_URL}/my?email=${encodeURIComponent(toEmail)}&code=${encodeURIComponent(code)}`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Send any message through the configured transport.
+ * `message` follows the shape described in emailTransport.js (from is filled in here).
+ */
+async function sendMail(message) {
+    if (!transport) {
+        console.error('❌ Email transport not configured');
         return { success: false, error: 'Email service not configured' };
     }
 
-    if (!toEmail) {
+    if (!message.to) {
         return { success: false, error: 'No email address provided' };
     }
 
-    const htmlContent = generateEmailReport(sessionData);
+    try {
+        const result = await transport.send({
+            from: { email: EMAIL_FROM, name: EMAIL_FROM_NAME },
+            ...message
+        });
+        console.log(`📧 Email sent to ${message.to} via ${transport.name} - ${result.detail}`);
+        return {
+            success: true,
+            statusCode: result.statusCode,
+            messageId: result.messageId,
+            message: `Sent to ${message.to}`
+        };
+    } catch (error) {
+        console.error(`❌ Email send failed (${transport.name}):`, error.message);
+        return {
+            success: false,
+            error: error.message,
+            details: error.response?.body?.errors || []
+        };
+    }
+}
+
+/**
+ * Send session report via email
+ */
+async function sendReportEmail(toEmail, sessionData) {
     const logoBase64 = getLogoBase64();
     
     // Include student name in subject line
     const studentName = sessionData.userName || 'Student';
     const assessmentTitle = sessionData.assessmentTitle || 'Session Summary';
 
-    const msg = {
+    const result = await sendMail({
         to: toEmail,
-        from: {
-            email: SENDGRID_FROM_EMAIL,
-            name: SENDGRID_FROM_NAME
-        },
         subject: `Kea Report: ${studentName} - ${assessmentTitle}`,
-        html: htmlContent,
+        html: generateEmailReport(sessionData),
         attachments: logoBase64 ? [{
             content: logoBase64,
             filename: 'axiom-logo.png',
             type: 'image/png',
-            disposition: 'inline',
-            content_id: 'logo'
+            cid: 'logo'
         }] : []
-    };
+    });
 
-    try {
-        const response = await sgMail.send(msg);
-        console.log(`📧 Email sent to ${toEmail} - Status: ${response[0].statusCode}`);
-        return { 
-            success: true, 
-            statusCode: response[0].statusCode,
-            message: `Report sent to ${toEmail}`
-        };
-    } catch (error) {
-        console.error('❌ Email send failed:', error.message);
-        return { 
-            success: false, 
-            error: error.message,
-            details: error.response?.body?.errors || []
-        };
-    }
+    if (result.success) result.message = `Report sent to ${toEmail}`;
+    return result;
+}
+
+/**
+ * Send a course digest via email
+ */
+async function sendDigestEmail(toEmail, digest) {
+    const logoBase64 = getLogoBase64();
+    const cadence = digest.cadence === 'weekly' ? 'Weekly' : 'Daily';
+
+    return sendMail({
+        to: toEmail,
+        subject: `Kea ${cadence} Digest: ${digest.courseCode} - ${digest.totals.sessions} session${digest.totals.sessions === 1 ? '' : 's'}`,
+        html: generateDigestEmail(digest),
+        attachments: logoBase64 ? [{
+            content: logoBase64,
+            filename: 'axiom-logo.png',
+            type: 'image/png',
+            cid: 'logo'
+        }] : []
+    });
+}
+
+/**
+ * Send a student portal sign-in code via email
+ */
+async function sendLoginCodeEmail(toEmail, login) {
+    const logoBase64 = getLogoBase64();
+
+    return sendMail({
+        to: toEmail,
+        subject: `Your Kea sign-in code: ${login.code}`,
+        html: generateLoginCodeEmail(toEmail, login),
+        text: `Your Kea sign-in code is ${login.code} (expires in ${login.expiresMinutes} minutes).\n\nOr sign in with this link: ${loginLink(toEmail, login.code)}`,
+        attachments: logoBase64 ? [{
+            content: logoBase64,
+            filename: 'axiom-logo.png',
+            type: 'image/png',
+            cid: 'logo'
+        }] : []
+    });
 }
 
 module.exports = {
+    sendMail,
     sendReportEmail,
+    sendDigestEmail,
+    sendLoginCodeEmail,
     generateEmailReport,
-    SENDGRID_FROM_EMAIL
+    generateDigestEmail,
+    generateLoginCodeEmail,
+    isConfigured: () => !!transport,
+    transportName: () => transport?.name || null,
+    EMAIL_FROM
 };
@@ -0,0 +1,173 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ✉️ KEA EMAIL TRANSPORT - Where outbound email actually goes
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// emailService.js builds messages; a transport delivers them. Every transport takes
+// the same message shape and resolves to { messageId, statusCode, detail } or throws:
+//
+//   {
+//     from: { email, name },
+//     to, subject, html, text,
+//     attachments: [{ filename, content (base64), type, cid }]   - cid = inline image
+//   }
+//
+// Backends (EMAIL_TRANSPORT):
+//   sendgrid - @sendgrid/mail          SENDGRID_API_KEY
+//   smtp     - nodemailer over SMTP    SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file     - writes .eml files       EMAIL_FILE_DIR (default data/outbox)
+//
+// When EMAIL_TRANSPORT is unset: sendgrid if SENDGRID_API_KEY is set, else smtp if
+// SMTP_HOST is set, else no transport (sending reports "Email service not configured").
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TRANSPORTS = ['sendgrid', 'smtp', 'file'];
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SENDGRID
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function createSendGridTransport({ apiKey }) {
+    if (!apiKey) throw new Error('SENDGRID_API_KEY is required for the sendgrid transport');
+
+    const sgMail = require('@sendgrid/mail');
+    sgMail.setApiKey(apiKey);
+
+    return {
+        name: 'sendgrid',
+        async send(message) {
+            const [response] = await sgMail.send({
+                to: message.to,
+                from: message.from,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                attachments: (message.attachments || []).map(a => ({
+                    content: a.content,
+                    filename: a.filename,
+                    type: a.type,
+                    disposition: a.cid ? 'inline' : 'attachment',
+                    content_id: a.cid
+                }))
+            });
+            return {
+                messageId: response.headers?.['x-message-id'] || null,
+                statusCode: response.statusCode,
+                detail: `SendGrid ${response.statusCode}`
+            };
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SMTP / FILE DROP (nodemailer)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function toNodemailerMessage(message) {
+    return {
+        from: { name: message.from.name, address: message.from.email },
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: (message.attachments || []).map(a => ({
+            filename: a.filename,
+            content: Buffer.from(a.content, 'base64'),
+            contentType: a.type,
+            cid: a.cid
+        }))
+    };
+}
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    if (!host) throw new Error('SMTP_HOST is required for the smtp transport');
+
+    const nodemailer = require('nodemailer');
+    const mailer = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure: !!secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await mailer.sendMail(toNodemailerMessage(message));
+            return {
+                messageId: info.messageId || null,
+                statusCode: 250,
+                detail: info.response || `SMTP ${host}`
+            };
+        }
+    };
+}
+
+function createFileTransport({ dir }) {
+    const outputDir = dir || DEFAULT_FILE_DIR;
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // streamTransport renders the full RFC 822 message without sending it anywhere
+    const nodemailer = require('nodemailer');
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await composer.sendMail(toNodemailerMessage(message));
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filePath = path.join(outputDir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+            fs.writeFileSync(filePath, info.message);
+            return {
+                messageId: info.messageId || null,
+                statusCode: 200,
+                detail: `Written to ${filePath}`
+            };
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function configFromEnv(env = process.env) {
+    return {
+        transport: env.EMAIL_TRANSPORT
+            || (env.SENDGRID_API_KEY ? 'sendgrid' : env.SMTP_HOST ? 'smtp' : null),
+        sendgrid: { apiKey: env.SENDGRID_API_KEY },
+        smtp: {
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || null,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS
+        },
+        file: { dir: env.EMAIL_FILE_DIR }
+    };
+}
+
+// Returns a transport, or null when email is not configured
+function createTransport(config = configFromEnv()) {
+    const { transport } = config;
+    if (!transport) return null;
+
+    switch (transport) {
+        case 'sendgrid': return createSendGridTransport(config.sendgrid);
+        case 'smtp':     return createSmtpTransport(config.smtp);
+        case 'file':     return createFileTransport(config.file);
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT "${transport}" (expected ${TRANSPORTS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    TRANSPORTS,
+    configFromEnv,
+    createTransport
+};
@@ -2,8 +2,7 @@
 // 🌀 FRACTAL CORE - 27/81 Path Generation Engine
 // ═══════════════════════════════════════════════════════════════════════════════════
 
-const Groq = require('groq-sdk');
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const llm = require('../llmProvider');
 
 // ═══════════════════════════════════════════════════════════════════════════════════
 // LOG3 MODE: 3 × 3 × 3 = 27 PATHS
@@ -181,7 +180,7 @@ PATH ${p.id}:
         const prompt = this.buildBatchPrompt(submission, rubricContext, pathCombinations);
         
         try {
-            const response = await groq.chat.completions.create({
+            const response = await llm.getProvider().chat({
                 model: 'llama-3.3-70b-versatile',
                 messages: [
                     { 
@@ -191,11 +190,11 @@ PATH ${p.id}:
                     { role: 'user', content: prompt }
                 ],
                 temperature: 0.7, // Higher for diversity
-                max_tokens: 4000,
-                response_format: { type: 'json_object' }
+                maxTokens: 4000,
+                json: true
             });
 
-            const result = JSON.parse(response.choices[0].message.content);
+            const result = JSON.parse(response.text);
             return result.paths || [];
         } catch (error) {
             console.error(`[FRACTAL] Batch ${batchIndex} error:`, error.message);
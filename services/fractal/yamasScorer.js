@@ -8,6 +8,12 @@
 // Aparigraha (Non-Attachment) - 15%
 // ═══════════════════════════════════════════════════════════════════════════════════
 
+// The pattern lists are /g, so test() would carry lastIndex from one text to the next
+function matches(pattern, text) {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════════
 // AHIMSA (NON-HARM / COMPASSION) - Weight: 25%
 // ═══════════════════════════════════════════════════════════════════════════════════
@@ -30,11 +36,11 @@ function calculateAhimsa(text) {
     let score = 0.75; // baseline
     
     HARMFUL_PATTERNS.forEach(pattern => {
-        if (pattern.test(text)) score -= 0.15;
+        if (matches(pattern, text)) score -= 0.15;
     });
     
     COMPASSIONATE_PATTERNS.forEach(pattern => {
-        if (pattern.test(text)) score += 0.05;
+        if (matches(pattern, text)) score += 0.05;
     });
     
     return Math.max(0, Math.min(1, score));
@@ -63,11 +69,11 @@ function calculateSatya(text) {
     let score = 0.70; // baseline
     
     HONESTY_MARKERS.forEach(pattern => {
-        if (pattern.test(text)) score += 0.08;
+        if (matches(pattern, text)) score += 0.08;
     });
     
     DECEPTIVE_PATTERNS.forEach(pattern => {
-        if (pattern.test(text)) score -= 0.12;
+        if (matches(pattern, text)) score -= 0.12;
     });
     
     // Excessive hedging penalty
@@ -139,11 +145,11 @@ function calculateBrahmacharya(text) {
     let score = 0.90; // start high
     
     BOUNDARY_VIOLATIONS.forEach(pattern => {
-        if (pattern.test(text)) score -= 0.25;
+        if (matches(pattern, text)) score -= 0.25;
     });
     
     RESTRAINT_MARKERS.forEach(pattern => {
-        if (pattern.test(text)) score += 0.06;
+        if (matches(pattern, text)) score += 0.06;
     });
     
     return Math.max(0, Math.min(1, score));
@@ -171,11 +177,11 @@ function calculateAparigraha(text) {
     let score = 0.70; // baseline
     
     ADAPTABILITY_PATTERNS.forEach(pattern => {
-        if (pattern.test(text)) score += 0.08;
+        if (matches(pattern, text)) score += 0.08;
     });
     
     DOGMATIC_PATTERNS.forEach(pattern => {
-        if (pattern.test(text)) score -= 0.10;
+        if (matches(pattern, text)) score -= 0.10;
     });
     
     // Multiple approaches bonus
@@ -202,8 +208,11 @@ function scoreYamas(path) {
         };
     }
     
-    const text = path.analysis.full_analysis;
-    
+    return scoreText(path.analysis.full_analysis);
+}
+
+// Any text - a fractal path's analysis or a live coach reply
+function scoreText(text) {
     const ahimsa = calculateAhimsa(text);
     const satya = calculateSatya(text);
     const asteya = calculateAsteya(text);
@@ -232,6 +241,34 @@ function scoreYamas(path) {
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════════
+// LIVE COACH REPLIES
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const YAMAS_DIMENSIONS = ['ahimsa', 'satya', 'asteya', 'brahmacharya', 'aparigraha'];
+
+const DIMENSION_GUIDANCE = {
+    ahimsa: 'warmer and free of judgement',
+    satya: 'honest about uncertainty rather than absolute',
+    asteya: 'concise and direct',
+    brahmacharya: 'clearly within ethical coaching boundaries',
+    aparigraha: 'open to more than one approach'
+};
+
+// Scores as stored with a conversation turn: two decimal places
+function scoreReply(text) {
+    const scores = scoreText(text);
+    const rounded = Object.fromEntries(YAMAS_DIMENSIONS.map(d => [d, Math.round(scores[d] * 100) / 100]));
+    return { ...rounded, composite: Math.round(scores.composite * 100) / 100, passed: scores.passed };
+}
+
+// Extra instruction for a second attempt at a reply that failed, aimed at its two weakest Yamas
+function regenerationPrompt(scores) {
+    const weakest = [...YAMAS_DIMENSIONS].sort((a, b) => scores[a] - scores[b]).slice(0, 2);
+    return `Your previous reply scored low on ${weakest.join(' and ')}. ` +
+        `Reply again, ${weakest.map(d => DIMENSION_GUIDANCE[d]).join(' and ')}.`;
+}
+
 function scoreAllPaths(paths) {
     console.log(`[YAMAS] Scoring ${paths.length} paths with 5 Yamas...`);
     
@@ -254,7 +291,11 @@ function scoreAllPaths(paths) {
 }
 
 module.exports = {
+    YAMAS_DIMENSIONS,
     scoreYamas,
+    scoreText,
+    scoreReply,
+    regenerationPrompt,
     scoreAllPaths,
     calculateAhimsa,
     calculateSatya,
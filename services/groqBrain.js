@@ -3,9 +3,12 @@
  * This is the "thinking" layer - the parrot just speaks what brain outputs
  * 
  * V3.1: Response length options + British English/metric
+ * V3.2: Completions via llmProvider (Groq, OpenAI-compatible or mock); Whisper STT still calls Groq
  */
 const https = require('https');
 const { log } = require('./logging');
+const courseConfig = require('./courseConfig');
+const llm = require('./llmProvider');
 
 // Import the new conversational brain prompt and response length config from kea_coaching_system
 let CONVERSATIONAL_BRAIN_PROMPT, RESPONSE_LENGTH_CONFIGS, getPromptForLength;
@@ -18,8 +21,8 @@ try {
     console.warn('[BRAIN] Could not load kea_coaching_system, using fallback prompt');
 }
 
-// Fallback prompt if kea_coaching_system not available
-const KEA_PROMPT_FALLBACK = `You are Kea, a friendly academic coaching assistant for students preparing their strategic sustainability reports in MAMC01810 Managing for Sustainability at Auckland International Campus.
+// Fallback prompt if kea_coaching_system not available ({course_intro} filled per course)
+const KEA_PROMPT_FALLBACK = `You are Kea, a friendly academic coaching assistant for students preparing their {course_intro}.
 
 YOU ARE A THINKING PARTNER, NOT A QUIZ MASTER!
 
@@ -40,11 +43,16 @@ CONVERSATION STYLE:
 - Build on their ideas generously
 - Keep responses conversational in length (this is spoken!)`;
 
-// Use the full prompt if available, otherwise fallback
-const KEA_PROMPT = CONVERSATIONAL_BRAIN_PROMPT || KEA_PROMPT_FALLBACK;
+function buildFallbackPrompt(course = courseConfig.resolveCourse()) {
+  const intro = `${course.documentType} in ${course.code} ${course.name}${course.institution ? ` at ${course.institution}` : ''}`;
+  return KEA_PROMPT_FALLBACK.replace('{course_intro}', intro);
+}
+
+// Use the full prompt if available, otherwise fallback (default course)
+const KEA_PROMPT = getPromptForLength ? getPromptForLength('MEDIUM') : buildFallbackPrompt();
 
+// `apiKey` is kept for existing callers; completions go to the configured llmProvider
 async function think(text, apiKey, options = {}) {
-  const startTime = Date.now();
   const responseLength = options.responseLength || 'MEDIUM';
   
   // Get length-adjusted prompt if function available, otherwise use default
@@ -52,9 +60,9 @@ async function think(text, apiKey, options = {}) {
   if (options.systemPrompt) {
     systemPrompt = options.systemPrompt;
   } else if (getPromptForLength) {
-    systemPrompt = getPromptForLength(responseLength);
+    systemPrompt = getPromptForLength(responseLength, options.course);
   } else {
-    systemPrompt = KEA_PROMPT;
+    systemPrompt = buildFallbackPrompt(options.course);
   }
   
   const history = options.history || [];
@@ -63,56 +71,24 @@ async function think(text, apiKey, options = {}) {
   const lengthConfig = RESPONSE_LENGTH_CONFIGS?.[responseLength] || { maxTokens: 300 };
   const maxTokens = options.maxTokens || lengthConfig.maxTokens;
 
+  // options.guidance: an extra system instruction after the student's message
+  // (the output guardrail's correction when it asks for a second attempt)
   const messages = [
     { role: 'system', content: systemPrompt },
     ...history,
-    { role: 'user', content: text }
+    { role: 'user', content: text },
+    ...(options.guidance ? [{ role: 'system', content: options.guidance }] : [])
   ];
 
-  const payload = JSON.stringify({
+  const provider = llm.getProvider();
+  const result = await provider.chat({
     model: 'llama-3.3-70b-versatile',
     messages,
     temperature: 0.7,
-    max_tokens: maxTokens,
-    stream: false
-  });
-
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: 'api.groq.com',
-      port: 443,
-      path: '/openai/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload)
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        const duration = Date.now() - startTime;
-        if (res.statusCode === 200) {
-          try {
-            const result = JSON.parse(data);
-            const response = result.choices[0]?.message?.content || '';
-            log('info', `🧠 [GROQ] Thought in ${duration}ms`);
-            resolve({ text: response, duration, model: 'llama-3.3-70b-versatile' });
-          } catch (e) {
-            reject(new Error(`Groq parse error: ${e.message}`));
-          }
-        } else {
-          log('error', `[GROQ] Error ${res.statusCode}: ${data}`);
-          reject(new Error(`Groq API error: ${res.statusCode}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
+    maxTokens
   });
+  log('info', `🧠 [${provider.name.toUpperCase()}] Thought in ${result.latencyMs}ms`);
+  return { text: result.text, duration: result.latencyMs, model: result.model, usage: result.usage };
 }
 
 async function whisperSTT(audioBuffer, apiKey) {
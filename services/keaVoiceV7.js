@@ -24,16 +24,16 @@
 // │              ↓                                                           │   │   │
 // │  [Groq Whisper STT] ────────────────────────────────────→ ~50ms         │   │   │
 // │       ↓                                                                  │   │   │
-// │  [Groq Llama 3.3 70B Brain] ────────────────────────────→ ~150ms        │   │   │
+// │  [Streaming Brain] → each sentence as it closes ────────→ ~150ms        │   │   │
 // │       ↓                                                                  │   │   │
-// │  [PARALLEL Google Chirp TTS] ───────────────────────────→ ~400ms        │   │   │
+// │  [Google Chirp TTS per sentence, sent in order] ────────→ ~400ms        │   │   │
 // │       │                                                                  │   │   │
 // │       └── Set State = SPEAKING ──────────────────────────────────────────┘   │   │
 // │       └── Stream to client ──────────────────────────────────────────────────┘   │
 // │       └── On Complete → Set State = LISTENING                                    │
 // │                                                                                   │
 // │  BENEFITS: Zero Echo, Zero Hallucination Loops, 100% Stability                   │
-// │  TRADE-OFF: No Barge-in (User must wait for system to finish)                    │
+// │  TRADE-OFF: No Barge-in by default (opt-in: init bargeIn + interrupt message)    │
 // └───────────────────────────────────────────────────────────────────────────────────┘
 //
 // ═══════════════════════════════════════════════════════════════════════════════════
@@ -44,6 +44,12 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { AntiHallucinationPipeline } = require('./kea_v7_anti_hallucination');
+const courseConfig = require('./courseConfig');
+const llm = require('./llmProvider');
+const guardrail = require('./outputGuardrail');
+const yamas = require('./fractal/yamasScorer');
+const studentMemory = require('./studentMemory');
+const sessionDb = require('./sessionDatabaseSafe');
 
 // Import response length configuration from coaching system
 let getPromptForLength, RESPONSE_LENGTH_CONFIGS;
@@ -108,7 +114,8 @@ const CONFIG = {
     tts: {
         voice: 'en-US-Chirp3-HD-Kore',
         encoding: 'LINEAR16',
-        sampleRate: 24000
+        sampleRate: 24000,
+        minChunkChars: 20  // Shorter sentences ("Great.") wait for the next one
     },
     
     // STT Settings (Google Cloud Speech)
@@ -118,7 +125,7 @@ const CONFIG = {
         languageCode: 'en-US'
     },
     
-    // Brain Settings (Groq Llama - supports 128k context window)
+    // Brain Settings (Groq Llama - supports 128k context window; LLM_MODEL replaces the model, see llmProvider.js)
     brain: {
         model: 'llama-3.3-70b-versatile',
         maxTokens: 300,           // Response tokens (not context)
@@ -240,14 +247,104 @@ class AdaptiveVAD {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SENTENCE SPLITTER - Cuts the streamed brain reply into speakable pieces
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// A piece ends at sentence punctuation followed by whitespace, or at a line break, once it
+// is at least minChars long. "3.5" and a trailing "." without the space yet never cut.
+class SentenceSplitter {
+    constructor(minChars = CONFIG.tts.minChunkChars) {
+        this.minChars = minChars;
+        this.buffer = '';
+    }
+    
+    // Add streamed text; returns the pieces it completed
+    push(text) {
+        this.buffer += text;
+        const pieces = [];
+        const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+        let start = 0;
+        let match;
+        while ((match = boundary.exec(this.buffer))) {
+            const end = match.index + match[0].length;
+            const piece = this.buffer.slice(start, end).trim();
+            if (piece.length >= this.minChars) {
+                pieces.push(piece);
+                start = end;
+            }
+        }
+        this.buffer = this.buffer.slice(start);
+        return pieces;
+    }
+    
+    // Whatever is left once the stream has ended
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// REPLY TRACKER - What the student heard of a reply (barge-in)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// One spoken reply: which sentences were sent and how long each plays, so an interrupt
+// can work out how much was heard (V4's ResponseTracker does the same per audio chunk)
+class ReplyTracker {
+    constructor() {
+        this.controller = new AbortController(); // cancels the brain stream
+        this.sent = [];          // [{ index, text, durationMs }]
+        this.interrupted = false;
+        this.entry = null;       // conversationHistory entry, once recorded
+        this.turnNumber = null;  // conversation_turns row, once persisted
+        this.violations = [];    // outputGuardrail violations replaced before they were spoken
+    }
+    
+    get signal() {
+        return this.controller.signal;
+    }
+    
+    markSent(index, text, durationMs) {
+        this.sent.push({ index, text, durationMs });
+    }
+    
+    // chunkIndex is the sentence that was playing, playbackPositionMs how far into it;
+    // without them every sentence sent counts as heard. Returns the heard text.
+    interrupt(chunkIndex = null, playbackPositionMs = null) {
+        this.interrupted = true;
+        this.controller.abort();
+        
+        const heard = [];
+        for (const chunk of this.sent) {
+            if (chunkIndex === null || chunk.index < chunkIndex) {
+                heard.push(chunk.text);
+            } else if (chunk.index === chunkIndex) {
+                heard.push(this.heardPart(chunk, playbackPositionMs));
+            }
+        }
+        return heard.join(' ').trim();
+    }
+    
+    // Cut a sentence at the last whole word before the playback position
+    heardPart(chunk, playbackPositionMs) {
+        if (playbackPositionMs === null || !chunk.durationMs || playbackPositionMs >= chunk.durationMs) return chunk.text;
+        const cutPoint = Math.floor(chunk.text.length * (playbackPositionMs / chunk.durationMs));
+        const lastSpace = chunk.text.lastIndexOf(' ', cutPoint);
+        return lastSpace > 0 ? chunk.text.substring(0, lastSpace) : '';
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════════
 // MAIN V7 ENGINE
 // ═══════════════════════════════════════════════════════════════════════════════════
 
 class KeaV7Engine {
     constructor() {
-        // Initialize APIs
-        this.groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+        // Initialize APIs - Groq is Whisper STT only; the brain is whichever llmProvider is configured
+        this.groq = process.env.GROQ_API_KEY ? new Groq({ apiKey: process.env.GROQ_API_KEY }) : null;
+        this.llm = llm.getProvider();
         
         // Initialize Google Cloud clients with error handling
         if (textToSpeech && speech) {
@@ -277,7 +374,7 @@ class KeaV7Engine {
         
         console.log('🥝 Kea V7 Engine initialized (Turn-Taking Architecture)');
         console.log(`   STT: ${CONFIG.stt.provider === 'google' ? 'Google Cloud Speech' : 'Groq Whisper'}`);
-        console.log(`   Brain: Groq ${CONFIG.brain.model}`);
+        console.log(`   Brain: ${this.llm.name} ${CONFIG.brain.model}`);
         console.log(`   TTS: Google ${CONFIG.tts.voice}`);
         console.log(`   Mode: Sensory Gating + Anti-Hallucination Pipeline`);
     }
@@ -291,7 +388,11 @@ class KeaV7Engine {
                 audioBuffer: [],
                 isSpeaking: false, // The Gate
                 mode: 'heuristic',
-                coachingContext: null // Dynamic context from server
+                coachingContext: null, // Dynamic context from server
+                clientSessionId: null, // Database session, from the client's init message
+                persistTurns: false, // Whether that session is registered, so turns can be saved
+                bargeIn: false, // Client opted in to interrupting replies (init bargeIn: true)
+                activeReply: null // ReplyTracker for the reply being spoken, until the next turn
             });
         }
         return this.sessions.get(sessionId);
@@ -319,6 +420,12 @@ class KeaV7Engine {
         
         // 🛡️ SENSORY GATING: If system is speaking, IGNORE all input
         if (session.isSpeaking) {
+            this.recordTelemetry(sessionId, {
+                source: 'voice',
+                outcome: 'gated',
+                reject_reason: 'system speaking',
+                audio_duration_ms: Math.round((samples.length / 16000) * 1000)
+            });
             return { processed: false, reason: 'gated' };
         }
         
@@ -350,6 +457,9 @@ class KeaV7Engine {
         const session = this.getSession(sessionId);
         const startTime = Date.now();
         
+        // Recorded however the utterance ends - rejections included
+        const telemetry = { source: 'voice', outcome: 'error' };
+        
         console.log(`🔍 [${sessionId}] ════════════════════════════════════════`);
         console.log(`🔍 [${sessionId}] Processing Utterance (Turn ${session.conversationHistory.length + 1})...`);
 
@@ -370,10 +480,13 @@ class KeaV7Engine {
             for(let i=0; i<combinedAudio.length; i++) sumSq += combinedAudio[i]*combinedAudio[i];
             const rms = Math.sqrt(sumSq / combinedAudio.length);
             const durationMs = (combinedAudio.length / 16000) * 1000;
+            telemetry.audio_duration_ms = Math.round(durationMs);
 
             // Thresholds: RMS > 0.002 (approx -54dB) AND Duration > 400ms
             if (rms < 0.002 || durationMs < 400) {
                 console.log(`🚫 [${sessionId}] GATE 1 REJECT: RMS=${rms.toFixed(4)}, Dur=${durationMs.toFixed(0)}ms`);
+                telemetry.outcome = 'gate_rejected';
+                telemetry.reject_reason = `audio level: rms=${rms.toFixed(4)}, ${durationMs.toFixed(0)}ms`;
                 return;
             }
 
@@ -388,6 +501,7 @@ class KeaV7Engine {
             let sttMetadata = null; // For Gate 2
 
             if (CONFIG.stt.provider === 'google' && this.sttClient) {
+                telemetry.stt_provider = 'google';
                 try {
                     // Google Cloud Speech-to-Text
                     // Send RAW PCM (skip 44 byte header)
@@ -414,6 +528,8 @@ class KeaV7Engine {
                         console.error('🚨 CRITICAL: Google Cloud Speech API is NOT ENABLED. Please enable it in Google Cloud Console.');
                     }
                     console.log(`🔄 [${sessionId}] Falling back to Groq Whisper...`);
+                    telemetry.stt_provider = 'groq-whisper';
+                    telemetry.stt_fallback = true;
                     
                     // Fallback to Groq
                     try {
@@ -427,11 +543,14 @@ class KeaV7Engine {
                         sttMetadata = transcription.segments;
                     } catch (e) {
                         console.error(`❌ [${sessionId}] Whisper Fallback Failed:`, e.message);
+                        telemetry.outcome = 'stt_failed';
+                        telemetry.error = e.message;
                         return;
                     }
                 }
             } else {
                 // Groq Whisper Primary
+                telemetry.stt_provider = 'groq-whisper';
                 try {
                     const transcription = await this.groq.audio.transcriptions.create({
                         file: new File([wavBuffer], 'audio.wav', { type: 'audio/wav' }),
@@ -443,15 +562,19 @@ class KeaV7Engine {
                     sttMetadata = transcription.segments;
                 } catch (e) {
                     console.error(`❌ [${sessionId}] Whisper Failed:`, e.message);
+                    telemetry.outcome = 'stt_failed';
+                    telemetry.error = e.message;
                     return;
                 }
             }
             
             const sttLatency = Date.now() - sttStart;
+            telemetry.stt_latency_ms = sttLatency;
             console.log(`📞 [${sessionId}] STT Complete: ${sttLatency}ms`);
             
             if (!userText) {
                 console.log(`❌ [${sessionId}] Empty transcription, ignoring`);
+                telemetry.outcome = 'empty_transcript';
                 if (callbacks.onStateChange) callbacks.onStateChange('listening');
                 return;
             }
@@ -468,10 +591,17 @@ class KeaV7Engine {
 
             if (!pipelineResult.valid) {
                 console.log(`🚫 [${sessionId}] PIPELINE REJECT: "${userText}" | Reason: ${pipelineResult.reason}`);
+                telemetry.outcome = 'pipeline_rejected';
+                telemetry.reject_reason = pipelineResult.reason;
                 return;
             }
 
             console.log(`✅ [${sessionId}] ACCEPTED: "${userText}"`);
+            session.activeReply = null; // the previous reply is over once the student has spoken
+            telemetry.user_turn_number = this.persistTurn(sessionId, 'user', userText, {
+                latencyMs: sttLatency,
+                audioDurationMs: telemetry.audio_duration_ms
+            });
             if (callbacks.onTranscript) callbacks.onTranscript(userText);
             
             session.vad.updateContext(userText);
@@ -485,7 +615,7 @@ class KeaV7Engine {
             // Get system prompt with fractal coaching context
             const systemPrompt = this.getSystemPrompt(sessionId);
             const hasCoachingContext = systemPrompt.includes('STUDENT ASSESSMENT CONTEXT');
-            console.log(`🧠 [${sessionId}] Groq call - Coaching context injected: ${hasCoachingContext ? '✅ YES' : '❌ NO'}`);
+            console.log(`🧠 [${sessionId}] Brain call - Coaching context injected: ${hasCoachingContext ? '✅ YES' : '❌ NO'}`);
             if (hasCoachingContext) {
                 console.log(`🧠 [${sessionId}] System prompt length: ${systemPrompt.length} chars`);
             }
@@ -493,51 +623,57 @@ class KeaV7Engine {
             // Get max tokens based on response length
             const responseLength = session.responseLength || 'MEDIUM';
             const maxTokens = RESPONSE_LENGTH_CONFIGS?.[responseLength]?.maxTokens || CONFIG.brain.maxTokens;
-            console.log(`🧠 [${sessionId}] Starting Brain (Groq Llama 3.3 70B)...`);
+            console.log(`🧠 [${sessionId}] Starting Brain (${this.llm.name})...`);
             console.log(`📏 [${sessionId}] Response length: ${responseLength}, max_tokens: ${maxTokens}`);
             
-            const response = await this.groq.chat.completions.create({
-                model: CONFIG.brain.model,
+            // Step 3: TTS with Gating - each sentence is spoken while the brain is still writing
+            telemetry.brain_model = CONFIG.brain.model;
+            const response = await this.streamResponse(sessionId, {
                 messages: [
                     { role: 'system', content: systemPrompt },
                     ...session.conversationHistory.slice(-10)
                 ],
-                max_tokens: maxTokens,
-                temperature: CONFIG.brain.temperature
-            });
+                maxTokens
+            }, callbacks, startTime);
             
-            const brainLatency = Date.now() - brainStart;
-            const responseText = response.choices[0]?.message?.content?.trim();
+            const brainLatency = response.latencyMs;
+            const responseText = response.text;
+            Object.assign(telemetry, {
+                brain_model: response.model,
+                brain_latency_ms: brainLatency,
+                tts_latency_ms: response.ttsLatencyMs,
+                tts_chunks: response.ttsChunks
+            }, this.tokenUsage(response));
             
             console.log(`🧠 [${sessionId}] Brain Complete: ${brainLatency}ms`);
             
+            // Barge-in: interrupt() has recorded what was heard and reopened the gate
+            if (response.interrupted) {
+                telemetry.outcome = 'interrupted';
+                telemetry.assistant_turn_number = response.reply.turnNumber;
+                return;
+            }
+            
             if (!responseText) {
                 console.log(`❌ [${sessionId}] Empty brain response`);
+                telemetry.outcome = 'empty_response';
                 if (callbacks.onStateChange) callbacks.onStateChange('listening');
                 return;
             }
             
             console.log(`🧠 [${sessionId}] Brain (${brainLatency}ms): "${responseText.substring(0, 50)}..."`);
-            session.conversationHistory.push({ role: 'assistant', content: responseText });
+            telemetry.assistant_turn_number = this.commitReply(sessionId, response.reply, responseText, { latencyMs: brainLatency });
             
             if (callbacks.onResponse) callbacks.onResponse(responseText);
             
-            // Step 3: TTS with Gating
-            console.log(`🔊 [${sessionId}] Starting TTS (Google Chirp 3 HD)...`);
-            if (callbacks.onStatus) callbacks.onStatus('speaking');
-            
-            // 🔒 CLOSE THE GATE
-            session.isSpeaking = true;
-            if (callbacks.onStateChange) callbacks.onStateChange('speaking');
-            
-            await this.synthesizeAndStream(sessionId, responseText, callbacks);
-            
-            // 🔓 OPEN THE GATE
+            // 🔓 OPEN THE GATE - every sentence has been sent
             session.isSpeaking = false;
             if (callbacks.onStateChange) callbacks.onStateChange('listening');
             if (callbacks.onStatus) callbacks.onStatus('listening');
             
             const totalLatency = Date.now() - startTime;
+            telemetry.outcome = 'completed';
+            telemetry.total_latency_ms = totalLatency;
             console.log(`✅ [${sessionId}] ════════════════════════════════════════`);
             console.log(`✅ [${sessionId}] TURN COMPLETE: ${totalLatency}ms`);
             console.log(`✅ [${sessionId}]   STT: ${sttLatency}ms | Brain: ${brainLatency}ms | TTS: ~${totalLatency - sttLatency - brainLatency}ms`);
@@ -550,48 +686,267 @@ class KeaV7Engine {
         } catch (error) {
             console.error(`❌ [${sessionId}] Error:`, error);
             if (callbacks.onError) callbacks.onError(error.message);
+            telemetry.error = error.message;
             
             // Ensure gate is opened on error
             session.isSpeaking = false;
             if (callbacks.onStateChange) callbacks.onStateChange('listening');
+        } finally {
+            telemetry.total_latency_ms = telemetry.total_latency_ms ?? Date.now() - startTime;
+            this.recordTelemetry(sessionId, telemetry);
         }
     }
     
-    // Synthesize and stream TTS
-    async synthesizeAndStream(sessionId, text, callbacks) {
-        const chunks = this.splitIntoChunks(text);
-        console.log(`🔊 [${sessionId}] TTS: ${chunks.length} chunks`);
+    // llmProvider usage -> token columns
+    tokenUsage(response) {
+        return {
+            prompt_tokens: response?.usage?.promptTokens ?? null,
+            completion_tokens: response?.usage?.completionTokens ?? null,
+            total_tokens: response?.usage?.totalTokens ?? null
+        };
+    }
+    
+    // Save an accepted transcript or response to conversation_turns as it happens, so a
+    // crashed tab loses nothing. Only for sessions registered in the database (set on init).
+    // Returns the turn number, or null when not persisted.
+    persistTurn(sessionId, role, content, metadata = {}) {
+        const session = this.sessions.get(sessionId);
+        if (!session?.persistTurns) return null;
+        try {
+            return sessionDb.addConversationTurn(session.clientSessionId, role, content, { ...metadata, source: 'relay' });
+        } catch (err) {
+            console.error(`⚠️ [${sessionId}] Failed to save ${role} turn: ${err.message}`);
+            return null;
+        }
+    }
+    
+    // Record a reply in the history and conversation_turns. Returns the turn number (or null).
+    // Its Yamas scores are stored with it (streamResponse has already acted on them when
+    // YAMAS_REGENERATE is set); a reply cut off before it was recorded is not scored.
+    commitReply(sessionId, reply, content, metadata = {}) {
+        reply.entry = { role: 'assistant', content };
+        this.getSession(sessionId).conversationHistory.push(reply.entry);
+        const scores = reply.interrupted ? null : yamas.scoreReply(content);
+        reply.turnNumber = this.persistTurn(sessionId, 'assistant', content, { ...metadata, yamas: scores });
+        if (reply.violations.length) this.recordViolations(sessionId, reply.violations, reply.turnNumber);
+        return reply.turnNumber;
+    }
+    
+    // Store what the guardrail caught in a reply for instructor review. Never throws.
+    recordViolations(sessionId, violations, turnNumber) {
+        const session = this.sessions.get(sessionId);
+        try {
+            sessionDb.recordGuardrailViolations(violations.map(violation => ({
+                ...violation,
+                session_id: session?.persistTurns ? session.clientSessionId : null,
+                source: 'v7',
+                action: 'rewritten',
+                turn_number: turnNumber
+            })));
+        } catch (err) {
+            console.error(`⚠️ [${sessionId}] Failed to record guardrail violations: ${err.message}`);
+        }
+    }
+    
+    // Barge-in, for sessions that opted in: stop the reply being spoken. The brain stream is
+    // cancelled, sentences not yet sent are dropped and the gate reopens at once. The reply
+    // is kept as what was heard plus " [interrupted]" - rewritten in place if it had already
+    // been recorded. Returns { heardText, content }, or null when there is nothing to stop.
+    interrupt(sessionId, { chunkIndex = null, playbackPositionMs = null } = {}) {
+        const session = this.getSession(sessionId);
+        const reply = session.activeReply;
+        if (!session.bargeIn || !reply || reply.interrupted) return null;
         
-        // Parallel synthesis
-        const ttsPromises = chunks.map((chunk, index) => 
-            this.synthesizeChunk(chunk, index)
-        );
+        const heardText = reply.interrupt(chunkIndex, playbackPositionMs);
+        const content = heardText ? `${heardText} [interrupted]` : '[interrupted]';
+        if (reply.entry) {
+            reply.entry.content = content;
+            if (reply.turnNumber !== null) {
+                try {
+                    sessionDb.updateTurnContent(session.clientSessionId, reply.turnNumber, content);
+                } catch (err) {
+                    console.error(`⚠️ [${sessionId}] Failed to update interrupted turn: ${err.message}`);
+                }
+            }
+        } else {
+            this.commitReply(sessionId, reply, content);
+        }
         
-        const results = await Promise.all(ttsPromises);
+        // 🔓 OPEN THE GATE
+        session.isSpeaking = false;
+        session.activeReply = null;
+        console.log(`⚡ [${sessionId}] INTERRUPTED - heard: "${heardText.substring(0, 60)}"`);
+        return { heardText, content };
+    }
+    
+    // Persist one utterance's telemetry (turn_telemetry). Never throws - telemetry must not break a turn.
+    recordTelemetry(sessionId, telemetry) {
+        const session = this.sessions.get(sessionId);
+        try {
+            sessionDb.recordTurnTelemetry({
+                ...telemetry,
+                session_id: session?.clientSessionId || null,
+                relay_session_id: sessionId
+            });
+        } catch (err) {
+            console.error(`⚠️ [${sessionId}] Failed to record telemetry: ${err.message}`);
+        }
+    }
+    
+    // Stream the brain's reply and speak it as it arrives: each sentence goes to TTS as soon
+    // as it closes, and its audio is sent once every earlier sentence's has been, so the
+    // client hears them in order. The gate closes with the first sentence; the caller opens
+    // it again. Returns the llmProvider result (text trimmed) plus ttsLatencyMs, ttsChunks:
+    // [{ index, chars, latencyMs, sentMs, ok }] (sentMs counted from turnStart), the
+    // ReplyTracker, and interrupted - true when interrupt() stopped it (nothing to record).
+    // Each sentence passes the output guardrail first: one that breaks a coaching rule is
+    // replaced by a redirect, the brain is stopped there and the text is what was spoken.
+    // With YAMAS_REGENERATE=true the reply so far is then scored with the sentence added; a
+    // sentence that takes it below the Yamas threshold is dropped unspoken and the brain is
+    // asked once for the rest of the reply, aimed at the weakest dimensions.
+    async streamResponse(sessionId, { messages, maxTokens }, callbacks, turnStart = Date.now()) {
+        const session = this.getSession(sessionId);
+        const reply = new ReplyTracker();
+        const checker = guardrail.createStreamChecker();
+        const guard = new AbortController(); // stops the brain after a redirect
+        const rescore = new AbortController(); // stops the brain after a low Yamas score
+        const spoken = [];
+        const chunks = [];
+        const brainStart = Date.now();
+        let delivery = Promise.resolve();
+        let ttsStart = null;
+        let cancelled = false;
+        let lowScores = null; // Yamas scores that stopped the first attempt
+        let yamasChecked = process.env.YAMAS_REGENERATE === 'true';
+        session.activeReply = reply;
         
-        for (let i = 0; i < results.length; i++) {
-            const result = results[i];
-            if (result && result.audio) {
-                // Add WAV header for client playback
-                const wavAudio = this.addWavHeader(result.audio, CONFIG.tts.sampleRate);
+        const speak = (text) => {
+            // Sentences still arriving after a low score belong to the attempt being replaced
+            if (reply.interrupted || guard.signal.aborted || (lowScores && yamasChecked)) return;
+            const violations = checker.check(text);
+            if (violations.length) {
+                console.log(`🛡️ [${sessionId}] Guardrail: ${violations.map(v => v.rule).join(', ')} - redirecting`);
+                reply.violations.push(...violations);
+                guard.abort();
+                text = guardrail.redirectFor(violations);
+            } else if (yamasChecked) {
+                const scores = yamas.scoreReply([...spoken, text].join(' '));
+                if (!scores.passed) {
+                    console.log(`🕉️ [${sessionId}] Yamas ${scores.composite} - regenerating: "${text.substring(0, 60)}"`);
+                    lowScores = scores;
+                    rescore.abort();
+                    return;
+                }
+            }
+            spoken.push(text);
+            const chunk = { index: chunks.length, chars: text.length, latencyMs: null, sentMs: null, ok: false };
+            chunks.push(chunk);
+            
+            if (chunk.index === 0) {
+                console.log(`🔊 [${sessionId}] Starting TTS (Google Chirp 3 HD)...`);
+                if (callbacks.onStatus) callbacks.onStatus('speaking');
+                // 🔒 CLOSE THE GATE
+                session.isSpeaking = true;
+                if (callbacks.onStateChange) callbacks.onStateChange('speaking');
+                ttsStart = Date.now();
+            }
+            
+            const synthesis = this.synthesizeChunk(text, chunk.index);
+            delivery = delivery.then(async () => {
+                const result = await synthesis;
+                chunk.latencyMs = result?.latency ?? null;
+                if (cancelled || reply.interrupted || !result?.audio) return;
                 
-                console.log(`📤 [${sessionId}] Sending Chunk ${i+1}/${chunks.length}`);
-
+                chunk.ok = true;
+                reply.markSent(chunk.index, result.text, Math.round(result.audio.length / (CONFIG.tts.sampleRate * 2) * 1000));
+                chunk.sentMs = Date.now() - turnStart;
+                console.log(`📤 [${sessionId}] Sending Chunk ${chunk.index + 1} at ${chunk.sentMs}ms`);
                 if (callbacks.onAudioChunk) {
                     callbacks.onAudioChunk({
-                        chunkIndex: i,
-                        totalChunks: chunks.length,
+                        chunkIndex: chunk.index,
+                        totalChunks: null, // unknown until the brain has finished
                         text: result.text,
-                        audio: wavAudio,
+                        audio: this.addWavHeader(result.audio, CONFIG.tts.sampleRate),
                         latency: result.latency
                     });
                 }
+            });
+        };
+        
+        const stoppedResponse = () => ({
+            text: '',
+            model: CONFIG.brain.model,
+            latencyMs: Date.now() - brainStart,
+            usage: { promptTokens: null, completionTokens: null, totalTokens: null }
+        });
+        
+        // One brain attempt, spoken sentence by sentence. Resolves to the llmProvider result,
+        // or a stopped response when the guardrail or the Yamas check ended it early.
+        const attempt = async (attemptMessages, stops) => {
+            const splitter = new SentenceSplitter();
+            try {
+                const result = await this.llm.stream({
+                    model: CONFIG.brain.model,
+                    messages: attemptMessages,
+                    maxTokens,
+                    temperature: CONFIG.brain.temperature,
+                    signal: AbortSignal.any([reply.signal, ...stops.map(s => s.signal)])
+                }, delta => splitter.push(delta).forEach(speak));
+                const rest = splitter.flush();
+                if (rest) speak(rest);
+                return result;
+            } catch (error) {
+                if (reply.interrupted || !stops.some(s => s.signal.aborted)) throw error;
+                return stoppedResponse();
             }
-        }
+        };
         
-        if (callbacks.onSpeechComplete) {
-            callbacks.onSpeechComplete();
+        let response;
+        try {
+            response = await attempt(messages, [guard, rescore]);
+            if (lowScores && !reply.interrupted) {
+                // Only once - the second attempt is spoken as written
+                yamasChecked = false;
+                const sofar = spoken.length ? ` You have already said: "${spoken.join(' ')}" - continue from there without repeating it.` : '';
+                response = await attempt([
+                    ...messages,
+                    { role: 'system', content: `${yamas.regenerationPrompt(lowScores)}${sofar}` }
+                ], [guard]);
+            }
+        } catch (error) {
+            // Cancelled by interrupt() - sentences still in TTS are dropped as they finish
+            if (reply.interrupted) {
+                return {
+                    ...stoppedResponse(),
+                    ttsLatencyMs: ttsStart === null ? null : Date.now() - ttsStart,
+                    ttsChunks: chunks,
+                    reply,
+                    interrupted: true
+                };
+            }
+            // Nothing more is sent for a reply that failed part-way, and the client is told
+            // the speech it already has is all there is
+            cancelled = true;
+            session.activeReply = null;
+            await delivery;
+            if (chunks.length > 0 && callbacks.onSpeechComplete) callbacks.onSpeechComplete();
+            throw error;
         }
+        
+        await delivery;
+        const text = guard.signal.aborted || lowScores ? spoken.join(' ') : response.text.trim();
+        if (!text && session.activeReply === reply) session.activeReply = null;
+        if (chunks.length > 0 && !reply.interrupted && callbacks.onSpeechComplete) callbacks.onSpeechComplete();
+        console.log(`🔊 [${sessionId}] TTS: ${chunks.length} chunks`);
+        
+        return {
+            ...response,
+            text,
+            ttsLatencyMs: ttsStart === null ? null : Date.now() - ttsStart,
+            ttsChunks: chunks,
+            reply,
+            interrupted: reply.interrupted
+        };
     }
     
     // Synthesize single chunk
@@ -627,23 +982,6 @@ class KeaV7Engine {
         }
     }
     
-    // Split text into speakable chunks
-    splitIntoChunks(text) {
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-        const chunks = [];
-        let current = '';
-        for (const sentence of sentences) {
-            if (current.length + sentence.length < 100) {
-                current += sentence;
-            } else {
-                if (current) chunks.push(current.trim());
-                current = sentence;
-            }
-        }
-        if (current) chunks.push(current.trim());
-        return chunks.filter(c => c.length > 0);
-    }
-    
     // Convert Float32 samples to WAV buffer
     float32ToWav(samples, sampleRate) {
         const buffer = new ArrayBuffer(44 + samples.length * 2);
@@ -697,11 +1035,12 @@ class KeaV7Engine {
         // Get session for response length preference
         const session = sessionId ? this.sessions.get(sessionId) : null;
         const responseLength = session?.responseLength || 'MEDIUM';
+        const course = session?.course || courseConfig.resolveCourse();
         
         // Use the length-aware prompt from coaching system if available
         let basePrompt;
         if (getPromptForLength) {
-            basePrompt = getPromptForLength(responseLength);
+            basePrompt = getPromptForLength(responseLength, course);
             console.log(`📏 [${sessionId}] Using ${responseLength} response length prompt`);
         } else {
             // Fallback prompt with British English and metric
@@ -728,13 +1067,16 @@ Key behaviors:
             coachingContext = session.coachingContext;
         }
 
+        // Student memory from earlier sessions goes after the context for this one
+        const memory = session?.studentMemory ? `\n\n${session.studentMemory}` : '';
+
         // Append coaching context if available
         if (coachingContext) {
-            return `${basePrompt}\n\n${coachingContext}`;
+            return `${basePrompt}\n\n${coachingContext}${memory}`;
         }
 
-        // Default fallback context
-        return `${basePrompt}\n\nCurrent course context: MAMC01810 - Managing for Sustainability`;
+        // Default fallback context (course the session registered under)
+        return `${basePrompt}\n\n${courseConfig.buildCourseContext(course)}${memory}`;
     }
     
     destroySession(sessionId) {
@@ -806,13 +1148,32 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                 if (message.type === 'init' && message.sessionId) {
                     console.log(`🔗 [${sessionId}] Client sessionId: ${message.sessionId}`);
                     
+                    // Course drives the prompt persona, language rules and fallback context
+                    const engineSession = engine.getSession(sessionId);
+                    engineSession.clientSessionId = message.sessionId;
+                    engineSession.persistTurns = !!sessionDb.getSession(message.sessionId);
+                    if (!engineSession.persistTurns) {
+                        console.log(`⚠️ [${sessionId}] ${message.sessionId} is not a registered session - turns will not be saved`);
+                    }
+                    engineSession.bargeIn = message.bargeIn === true;
+                    if (engineSession.bargeIn) console.log(`⚡ [${sessionId}] Barge-in enabled`);
+                    engineSession.course = courseConfig.getCourseForSession(message.sessionId);
+                    console.log(`📚 [${sessionId}] Course: ${engineSession.course.code}`);
+                    
+                    // What Kea remembers from this student's earlier sessions
+                    try {
+                        engineSession.studentMemory = studentMemory.buildMemoryPrompt(message.sessionId);
+                        if (engineSession.studentMemory) {
+                            console.log(`🧠 [${sessionId}] Student memory loaded (${engineSession.studentMemory.length} chars)`);
+                        }
+                    } catch (err) {
+                        console.error(`🧠 [${sessionId}] Could not load student memory: ${err.message}`);
+                    }
+                    
                     // Store response length preference
                     if (message.responseLength) {
-                        const session = engine.sessions.get(sessionId);
-                        if (session) {
-                            session.responseLength = message.responseLength;
-                            console.log(`📏 [${sessionId}] Response length set: ${message.responseLength}`);
-                        }
+                        engineSession.responseLength = message.responseLength;
+                        console.log(`📏 [${sessionId}] Response length set: ${message.responseLength}`);
                     }
                     
                     // Load coaching context from server-side map
@@ -821,6 +1182,13 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                     
                     if (engine.coachingContexts && engine.coachingContexts.has(message.sessionId)) {
                         const contextData = engine.coachingContexts.get(message.sessionId);
+                        
+                        // Resumed from the student portal - continue from the earlier session's last turns
+                        if (contextData?.resumeHistory?.length && engineSession.conversationHistory.length === 0) {
+                            engineSession.conversationHistory.push(...contextData.resumeHistory);
+                            console.log(`↩️ [${sessionId}] Resumed from ${contextData.resumedFrom} with ${contextData.resumeHistory.length} earlier turns`);
+                        }
+                        
                         if (contextData && contextData.coachingContext) {
                             engine.setCoachingContext(sessionId, contextData.coachingContext);
                             console.log(`✅ [${sessionId}] ═══ COACHING CONTEXT LOADED ═══`);
@@ -881,6 +1249,21 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                     engine.setMode(sessionId, message.mode);
                 }
 
+                // Barge-in: the student cut Kea off (Stop button or their own speech)
+                if (message.type === 'interrupt') {
+                    const result = engine.interrupt(sessionId, {
+                        chunkIndex: Number.isInteger(message.chunkIndex) ? message.chunkIndex : null,
+                        playbackPositionMs: Number.isFinite(message.playbackPositionMs) ? message.playbackPositionMs : null
+                    });
+                    ws.send(JSON.stringify({
+                        type: 'interrupted',
+                        accepted: !!result,
+                        reason: message.reason || 'button',
+                        heardText: result?.heardText ?? null
+                    }));
+                    if (result && callbacks.onStateChange) callbacks.onStateChange('listening');
+                }
+
                 if (message.type === 'set_coaching_context') {
                     engine.setCoachingContext(sessionId, message.context);
                     ws.send(JSON.stringify({ type: 'coaching_context_set', success: true }));
@@ -889,6 +1272,7 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                 // Handle text input (from quick prompts or text entry)
                 if (message.type === 'text_input') {
                     console.log(`📝 [${sessionId}] Text input received: "${message.text.substring(0, 50)}..."`);
+                    const telemetry = { source: 'text', outcome: 'error' };
                     
                     try {
                         // Get the session
@@ -905,6 +1289,8 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                             role: 'user',
                             content: message.text
                         });
+                        telemetry.user_turn_number = engine.persistTurn(sessionId, 'user', message.text);
+                        session.activeReply = null;
                         
                         // Send transcript event for text input
                         if (callbacks.onTranscript) callbacks.onTranscript(message.text);
@@ -919,42 +1305,49 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                         const responseLength = session.responseLength || 'MEDIUM';
                         const maxTokens = RESPONSE_LENGTH_CONFIGS?.[responseLength]?.maxTokens || CONFIG.brain.maxTokens;
                         
-                        const response = await engine.groq.chat.completions.create({
-                            model: CONFIG.brain.model,
+                        // Brain and speech together - sentences are spoken as they arrive
+                        telemetry.brain_model = CONFIG.brain.model;
+                        const response = await engine.streamResponse(sessionId, {
                             messages: [
                                 { role: 'system', content: systemPrompt },
                                 ...session.conversationHistory.slice(-10)
                             ],
-                            max_tokens: maxTokens,
-                            temperature: CONFIG.brain.temperature
-                        });
+                            maxTokens
+                        }, callbacks, brainStart);
                         
-                        const brainLatency = Date.now() - brainStart;
-                        const responseText = response.choices[0]?.message?.content?.trim();
+                        const brainLatency = response.latencyMs;
+                        const responseText = response.text;
+                        Object.assign(telemetry, {
+                            brain_model: response.model,
+                            brain_latency_ms: brainLatency,
+                            tts_latency_ms: response.ttsLatencyMs,
+                            tts_chunks: response.ttsChunks
+                        }, engine.tokenUsage(response));
+                        
+                        // Barge-in: interrupt() has recorded what was heard and reopened the gate
+                        if (response.interrupted) {
+                            telemetry.outcome = 'interrupted';
+                            telemetry.assistant_turn_number = response.reply.turnNumber;
+                            return;
+                        }
                         
                         if (!responseText) {
+                            telemetry.outcome = 'empty_response';
                             throw new Error('Empty brain response');
                         }
                         
                         console.log(`🧠 [${sessionId}] Brain response (${brainLatency}ms): "${responseText.substring(0, 100)}..."`);
                         
                         // Add AI response to history
-                        session.conversationHistory.push({
-                            role: 'assistant',
-                            content: responseText
-                        });
+                        telemetry.assistant_turn_number = engine.commitReply(sessionId, response.reply, responseText, { latencyMs: brainLatency });
                         
                         // Send AI response text
                         if (callbacks.onResponse) callbacks.onResponse(responseText);
                         
-                        // Synthesize and stream speech
-                        if (callbacks.onStateChange) callbacks.onStateChange('speaking');
-                        session.isSpeaking = true;
-                        
-                        await engine.synthesizeAndStream(sessionId, responseText, callbacks);
-                        
                         session.isSpeaking = false;
                         if (callbacks.onStateChange) callbacks.onStateChange('listening');
+                        telemetry.outcome = 'completed';
+                        telemetry.total_latency_ms = Date.now() - brainStart;
                         
                         // Send completion
                         if (callbacks.onComplete) {
@@ -967,7 +1360,13 @@ function createRelayV7(server, wsPath = '/relay-v7', coachingContexts = null) {
                     } catch (error) {
                         console.error(`❌ [${sessionId}] Text input processing error:`, error);
                         if (callbacks.onError) callbacks.onError(error.message);
+                        // The reply can fail after its first sentence closed the gate
+                        const session = engine.sessions.get(sessionId);
+                        if (session) session.isSpeaking = false;
                         if (callbacks.onStateChange) callbacks.onStateChange('listening');
+                        telemetry.error = error.message;
+                    } finally {
+                        engine.recordTelemetry(sessionId, telemetry);
                     }
                 }
 
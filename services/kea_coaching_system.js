@@ -16,10 +16,9 @@
 //
 // ═══════════════════════════════════════════════════════════════════════════════════
 
-const Groq = require('groq-sdk');
 const crypto = require('crypto');
-
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const courseConfig = require('./courseConfig');
+const llm = require('./llmProvider');
 
 // ═══════════════════════════════════════════════════════════════════════════════════
 // CRYPTOGRAPHIC RECEIPT SYSTEM
@@ -162,7 +161,11 @@ class CryptoReceiptChain {
 // ═══════════════════════════════════════════════════════════════════════════════════
 // 
 // This runs BEFORE the conversation starts, processing the student's submission
-// into coaching-ready context. Uses 9-branch fractal decomposition.
+// into coaching-ready context. Uses 9-branch fractal decomposition (the unit
+// branches 2-4 scale with the course's analyzer.unitCount).
+//
+// Course placeholders ({document_type}, {subject_domain}, {unit_label},
+// {unit_description}) are filled from the course config - see courseConfig.js.
 //
 // ═══════════════════════════════════════════════════════════════════════════════════
 
@@ -171,7 +174,7 @@ const ASSESSMENT_ANALYZER_PROMPTS = {
     // ═══════════════════════════════════════════════════════════════════════════════
     // BRANCH 1: Organization & Context Identification
     // ═══════════════════════════════════════════════════════════════════════════════
-    branch1_context: `You are analyzing a student's sustainability report for coaching preparation.
+    branch1_context: `You are analyzing a student's {document_type} for coaching preparation.
 
 TASK: Identify the organization and establish context for coaching.
 
@@ -210,12 +213,12 @@ SUBMISSION:
     // ═══════════════════════════════════════════════════════════════════════════════
     // BRANCH 2-4: Practice Analysis (Deep Dive)
     // ═══════════════════════════════════════════════════════════════════════════════
-    branch_practice: `You are analyzing Practice {practiceNum} from a sustainability report on {organization}.
+    branch_practice: `You are analyzing {unit_label} {practiceNum} from a {document_type} on {organization}.
 
 TASK: Deep analysis for coaching purposes - find TEACHING OPPORTUNITIES, not just gaps.
 
 STEP 1 - EXTRACT THE CLAIM:
-What sustainability practice is described?
+What {unit_description} is described?
 
 STEP 2 - EVIDENCE AUDIT:
 Rate each (PRESENT/PARTIAL/ABSENT):
@@ -226,7 +229,7 @@ Rate each (PRESENT/PARTIAL/ABSENT):
 
 STEP 3 - CONCEPTUAL DEPTH:
 - Does the student EXPLAIN why this practice matters?
-- Do they connect it to broader sustainability frameworks?
+- Do they connect it to broader {subject_domain} frameworks?
 - Do they show understanding of stakeholder impact?
 
 STEP 4 - EXPLORATION OPPORTUNITIES:
@@ -635,15 +638,26 @@ const RESPONSE_LENGTH_CONFIGS = {
     LONG: RESPONSE_LENGTH_CONFIG.long
 };
 
-// Get the full prompt with response length applied
-function getPromptForLength(lengthKey = 'MEDIUM') {
+// Fill course-specific placeholders in a prompt template
+function applyCourse(template, course = courseConfig.resolveCourse()) {
+    return template
+        .replace(/{document_type}/g, course.documentType)
+        .replace(/{subject_domain}/g, course.subjectDomain)
+        .replace(/{unit_label}/g, course.analyzer.unitLabel)
+        .replace(/{unit_description}/g, course.analyzer.unitDescription)
+        .replace('{language_rules}', course.languageRules || courseConfig.DEFAULT_LANGUAGE_RULES)
+        .replace('{coaching_persona}', course.coachingPersona ? `\n${course.coachingPersona}\n` : '');
+}
+
+// Get the full prompt with response length applied (course defaults to MAMC01810)
+function getPromptForLength(lengthKey = 'MEDIUM', course) {
     // Convert to lowercase for internal config lookup
     const lengthMode = (lengthKey || 'MEDIUM').toLowerCase();
     
     // Build prompt with appropriate length instructions
     const lengthInstructions = getResponseLengthInstructions(lengthMode);
     
-    return CONVERSATIONAL_BRAIN_PROMPT
+    return applyCourse(CONVERSATIONAL_BRAIN_PROMPT, course)
         .replace('{response_length_instructions}', lengthInstructions)
         .replace('{coaching_context}', ''); // Context added later
 }
@@ -681,26 +695,16 @@ LONG MODE GUIDELINES:
 ` : ''}`;
 }
 
-const CONVERSATIONAL_BRAIN_PROMPT = `You are Kea, an academic coach having a genuine conversation with a student about their sustainability report.
-
-## LANGUAGE AND UNITS
+const CONVERSATIONAL_BRAIN_PROMPT = `You are Kea, an academic coach having a genuine conversation with a student about their {document_type}.
 
-CRITICAL: Always use:
-- **British English spelling** (organisation, behaviour, analyse, practise, centre, colour, favour, honour, labour, metre, litre, programme, catalogue, dialogue, analogue)
-- **Metric units** (convert any imperial: miles→kilometres, pounds→kilograms, feet→metres, gallons→litres, Fahrenheit→Celsius)
-- **Date format**: day/month/year (e.g., 3 December 2025)
-
-Examples:
-- "The organisation's programme..." NOT "The organization's program..."
-- "...reduced emissions by 50 tonnes per kilometre..." NOT "...tons per mile..."
-- "...covering 10,000 hectares..." NOT "...acres..."
+{language_rules}
 
 ## YOUR IDENTITY
 
 You are a thoughtful, knowledgeable coach who GENUINELY ENGAGES with students. You're not a question-bot that just fires questions - you're a thinking partner who explores ideas together.
 
 Your name "Kea" comes from the clever New Zealand alpine parrot - curious, playful, and surprisingly intelligent. Channel that energy: be curious about their thinking, playful in exploration, and insightful when sharing.
-
+{coaching_persona}
 {response_length_instructions}
 
 ## DOCUMENT UPLOAD CAPABILITY
@@ -730,11 +734,11 @@ When a student mentions they have a report, draft, or supporting document:
 - Make connections they might not have seen
 
 ✅ SHARE KNOWLEDGE
-- Explain sustainability frameworks and concepts
+- Explain {subject_domain} frameworks and concepts
 - Describe how other organisations have tackled similar challenges
 - Discuss real-world implementation examples
 - Clarify confusing concepts
-- Offer insights from sustainability practice
+- Offer insights from {subject_domain} practice
 
 ✅ DEVELOP THEIR THINKING
 - Ask questions that open new angles
@@ -848,15 +852,15 @@ WHEN STUDENT IS DEFENSIVE:
 
 ## REMEMBER
 
-You're not here to evaluate. You're here to help them THINK BETTER about sustainability. 
+You're not here to evaluate. You're here to help them THINK BETTER about {subject_domain}. 
 
 The best sessions feel like a genuine intellectual conversation where both people are engaged in figuring something out together. The student should leave feeling like they understand more deeply - not like they've been tested.
 
 When in doubt: Be curious. Be generous. Be helpful. Explore together.`;
 
 // Build the full prompt with response length
-function buildConversationalPrompt(coachingContext, responseLength = 'medium') {
-    return CONVERSATIONAL_BRAIN_PROMPT
+function buildConversationalPrompt(coachingContext, responseLength = 'medium', course) {
+    return applyCourse(CONVERSATIONAL_BRAIN_PROMPT, course)
         .replace('{response_length_instructions}', getResponseLengthInstructions(responseLength))
         .replace('{coaching_context}', coachingContext);
 }
@@ -909,7 +913,10 @@ Do NOT output JSON - output the actual response to speak to the student.`;
 // ═══════════════════════════════════════════════════════════════════════════════════
 
 class KeaFractalAnalyzer {
-    constructor() {
+    constructor(course = courseConfig.resolveCourse()) {
+        this.course = course;
+        // Courses may override individual analyzer prompts
+        this.prompts = { ...ASSESSMENT_ANALYZER_PROMPTS, ...course.analyzer.prompts };
         this.receiptChain = new CryptoReceiptChain();
         this.analysisState = {
             organization: null,
@@ -923,6 +930,10 @@ class KeaFractalAnalyzer {
         this.executionLog = [];
     }
     
+    prompt(name) {
+        return applyCourse(this.prompts[name], this.course);
+    }
+    
     log(branch, message) {
         const entry = {
             timestamp: new Date().toISOString(),
@@ -938,7 +949,7 @@ class KeaFractalAnalyzer {
         this.log(branch, 'Starting Groq call...');
         
         try {
-            const response = await groq.chat.completions.create({
+            const response = await llm.getProvider().chat({
                 model: 'llama-3.3-70b-versatile',
                 messages: [
                     {
@@ -948,14 +959,14 @@ class KeaFractalAnalyzer {
                     { role: 'user', content: prompt }
                 ],
                 temperature: 0.1,
-                max_tokens: 6000,  // Response tokens (Llama 3.3 supports 128k context window for input)
-                response_format: { type: 'json_object' }
+                maxTokens: 6000,  // Response tokens (Llama 3.3 supports 128k context window for input)
+                json: true
             });
             
             const latency = Date.now() - startTime;
             this.log(branch, `Response received in ${latency}ms`);
             
-            const result = JSON.parse(response.choices[0].message.content);
+            const result = JSON.parse(response.text);
             
             // Create cryptographic receipt
             this.receiptChain.createReceipt(branch, {
@@ -976,7 +987,7 @@ class KeaFractalAnalyzer {
     // Branch execution methods...
     async analyzeBranch1(submission) {
         this.log('B1', 'Context Identification');
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch1_context
+        const prompt = this.prompt('branch1_context')
             .replace('{submission}', submission);
         const result = await this.callGroq(prompt, 'B1', { dimension: 'CONTEXT' });
         this.analysisState.organization = result.organization;
@@ -984,9 +995,9 @@ class KeaFractalAnalyzer {
     }
     
     async analyzePractice(submission, num) {
-        const branch = `B${num + 1}`;
-        this.log(branch, `Practice ${num} Analysis`);
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch_practice
+        const branch = `B2.${num}`;
+        this.log(branch, `${this.course.analyzer.unitLabel} ${num} Analysis`);
+        const prompt = this.prompt('branch_practice')
             .replace(/{practiceNum}/g, num)
             .replace('{organization}', this.analysisState.organization?.name || 'the organization')
             .replace('{submission}', submission);
@@ -998,9 +1009,9 @@ class KeaFractalAnalyzer {
     async analyzeBranch5(submission) {
         this.log('B5', 'Gap Analysis');
         const practicesSummary = this.analysisState.practices
-            .map((p, i) => `Practice ${i + 1}: ${p.description} (${p.conceptual_depth})`)
+            .map((p, i) => `${this.course.analyzer.unitLabel} ${i + 1}: ${p.description} (${p.conceptual_depth})`)
             .join('\n');
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch5_gaps
+        const prompt = this.prompt('branch5_gaps')
             .replace('{organization}', this.analysisState.organization?.name || 'the organization')
             .replace('{practices_summary}', practicesSummary)
             .replace('{submission}', submission);
@@ -1014,7 +1025,7 @@ class KeaFractalAnalyzer {
         const gapsSummary = this.analysisState.gaps?.explicit
             ?.map((g, i) => `Gap ${i + 1}: ${g.description}`)
             .join('\n') || 'No explicit gaps identified';
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch6_strategies
+        const prompt = this.prompt('branch6_strategies')
             .replace('{organization}', this.analysisState.organization?.name || 'the organization')
             .replace('{gaps_summary}', gapsSummary)
             .replace('{submission}', submission);
@@ -1028,7 +1039,7 @@ class KeaFractalAnalyzer {
         const strategiesSummary = this.analysisState.strategies?.strategies
             ?.map((s, i) => `Strategy ${i + 1}: ${s.description}`)
             .join('\n') || 'No strategies identified';
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch7_implementation
+        const prompt = this.prompt('branch7_implementation')
             .replace('{organization}', this.analysisState.organization?.name || 'the organization')
             .replace('{strategies_summary}', strategiesSummary)
             .replace('{submission}', submission);
@@ -1039,7 +1050,7 @@ class KeaFractalAnalyzer {
     
     async analyzeBranch8(submission) {
         this.log('B8', 'Authenticity Assessment');
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch8_authenticity
+        const prompt = this.prompt('branch8_authenticity')
             .replace('{submission}', submission);
         const result = await this.callGroq(prompt, 'B8', { dimension: 'AUTHENTICITY' });
         this.analysisState.authenticity = result.authenticity;
@@ -1048,7 +1059,7 @@ class KeaFractalAnalyzer {
     
     async analyzeBranch9() {
         this.log('B9', 'Coaching Synthesis');
-        const prompt = ASSESSMENT_ANALYZER_PROMPTS.branch9_synthesis
+        const prompt = this.prompt('branch9_synthesis')
             .replace('{organization}', JSON.stringify(this.analysisState.organization))
             .replace('{practices_summary}', JSON.stringify(this.analysisState.practices))
             .replace('{gaps_summary}', JSON.stringify(this.analysisState.gaps))
@@ -1067,6 +1078,7 @@ class KeaFractalAnalyzer {
         const startTime = Date.now();
         this.log('MAIN', '═══════════════════════════════════════════════════════════');
         this.log('MAIN', 'Starting Kea LOG³ Fractal Analysis');
+        this.log('MAIN', `Course: ${this.course.code} (${this.course.analyzer.unitCount} × ${this.course.analyzer.unitLabel})`);
         this.log('MAIN', `Submission: ${submission.length} characters`);
         this.log('MAIN', '═══════════════════════════════════════════════════════════');
         
@@ -1074,13 +1086,12 @@ class KeaFractalAnalyzer {
             // Branch 1: Context (must be first)
             await this.analyzeBranch1(submission);
             
-            // Branches 2-4: Practices (parallel)
+            // Branch 2: one unit analysis per course unit (parallel)
             this.log('MAIN', 'Parallel practice analysis...');
-            await Promise.all([
-                this.analyzePractice(submission, 1),
-                this.analyzePractice(submission, 2),
-                this.analyzePractice(submission, 3)
-            ]);
+            await Promise.all(
+                Array.from({ length: this.course.analyzer.unitCount }, (_, i) =>
+                    this.analyzePractice(submission, i + 1))
+            );
             
             // Branch 5: Gaps
             await this.analyzeBranch5(submission);
@@ -1137,7 +1148,8 @@ class KeaFractalAnalyzer {
             // Metadata
             _metadata: {
                 method: 'KEA_LOG3_FRACTAL',
-                branches_executed: 9,
+                course: this.course.code,
+                branches_executed: 6 + this.course.analyzer.unitCount,
                 total_time_ms: totalTime,
                 execution_log: this.executionLog,
                 timestamp: new Date().toISOString(),
@@ -1151,12 +1163,13 @@ class KeaFractalAnalyzer {
 // COACHING CONTEXT GENERATOR
 // ═══════════════════════════════════════════════════════════════════════════════════
 
-function generateCoachingContext(analysis) {
+function generateCoachingContext(analysis, course = courseConfig.resolveCourse()) {
     const org = analysis.analysis?.organization?.name || 'the organization';
     const strategy = analysis.analysis?.coaching_strategy;
+    const unitLabel = course.analyzer.unitLabel;
     
     if (!strategy) {
-        return `The student is working on an analysis of ${org}. Help them develop their thinking about sustainability practices and strategies.`;
+        return `The student is working on an analysis of ${org}. Help them develop their thinking about ${course.subjectDomain} and the ${course.analyzer.unitDescription}s in their ${course.documentType}.`;
     }
     
     let context = `## COACHING CONTEXT FOR THIS SESSION\n\n`;
@@ -1183,9 +1196,9 @@ function generateCoachingContext(analysis) {
     
     // Practice-specific insights
     if (analysis.analysis?.practices?.length > 0) {
-        context += `### PRACTICE-BY-PRACTICE INSIGHTS\n`;
+        context += `### ${unitLabel.toUpperCase()}-BY-${unitLabel.toUpperCase()} INSIGHTS\n`;
         analysis.analysis.practices.forEach((p, i) => {
-            context += `\n**Practice ${i + 1}:** ${p.description || 'Not fully described'}\n`;
+            context += `\n**${unitLabel} ${i + 1}:** ${p.description || 'Not fully described'}\n`;
             context += `- Depth: ${p.conceptual_depth || 'Unknown'}\n`;
             context += `- Gap type: ${p.gap_type || 'Unknown'} (${p.gap_type === 'EXPRESSION' ? 'They know more than written' : p.gap_type === 'KNOWLEDGE' ? 'Need to learn more' : 'Mixed'})\n`;
             if (p.exploration_questions) {
@@ -1262,7 +1275,7 @@ async function runLog4Quick(question, coachingContext, conversationHistory) {
         ).join('\n'));
     
     try {
-        const response = await groq.chat.completions.create({
+        const response = await llm.getProvider().chat({
             model: 'llama-3.3-70b-versatile',
             messages: [
                 {
@@ -1272,11 +1285,11 @@ async function runLog4Quick(question, coachingContext, conversationHistory) {
                 { role: 'user', content: prompt }
             ],
             temperature: 0.7,
-            max_tokens: 1200
+            maxTokens: 1200
         });
         
         console.log('[KEA LOG4-QUICK] Complete');
-        return response.choices[0].message.content;
+        return response.text;
         
     } catch (error) {
         console.error('[KEA LOG4-QUICK] Error:', error.message);
@@ -1349,7 +1362,7 @@ module.exports = {
     async quickAnalysis(submission) {
         console.log('[KEA] Running quick analysis...');
         
-        const response = await groq.chat.completions.create({
+        const response = await llm.getProvider().chat({
             model: 'llama-3.3-70b-versatile',
             messages: [
                 {
@@ -1362,16 +1375,16 @@ module.exports = {
                 }
             ],
             temperature: 0.1,
-            max_tokens: 1000,
-            response_format: { type: 'json_object' }
+            maxTokens: 1000,
+            json: true
         });
         
-        return JSON.parse(response.choices[0].message.content);
+        return JSON.parse(response.text);
     },
     
     // Full analysis entry point
-    async analyzeSubmission(submission) {
-        const analyzer = new KeaFractalAnalyzer();
+    async analyzeSubmission(submission, course) {
+        const analyzer = new KeaFractalAnalyzer(course);
         return await analyzer.executeFullAnalysis(submission);
     }
 };
@@ -18,8 +18,7 @@
 //
 // ═══════════════════════════════════════════════════════════════════════════════════
 
-const Groq = require('groq-sdk');
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const llm = require('./llmProvider');
 
 // ═══════════════════════════════════════════════════════════════════════════════════
 // THE IMPROVED KEY TAKEAWAYS PROMPT
@@ -319,7 +318,7 @@ async function generateEnhancedKeyTakeaways(options) {
         .replace(/{transcript}/g, formattedTranscript);
     
     try {
-        const response = await groq.chat.completions.create({
+        const response = await llm.getProvider().chat({
             model: 'llama-3.3-70b-versatile',
             messages: [
                 {
@@ -329,10 +328,10 @@ async function generateEnhancedKeyTakeaways(options) {
                 { role: 'user', content: prompt }
             ],
             temperature: 0.3,
-            max_tokens: 6000
+            maxTokens: 6000
         });
         
-        let summaryHtml = response.choices[0].message.content;
+        let summaryHtml = response.text;
         
         // Clean up any markdown artifacts
         summaryHtml = summaryHtml.replace(/```html?/g, '').replace(/```/g, '').trim();
@@ -378,17 +377,17 @@ async function updateKeyTakeaways(existingTakeaways, recentTurns, organization)
         .replace('{existingTakeaways}', existingTakeaways);
     
     try {
-        const response = await groq.chat.completions.create({
+        const response = await llm.getProvider().chat({
             model: 'llama-3.3-70b-versatile',
             messages: [
                 { role: 'system', content: 'Add to Key Takeaways or respond NO_UPDATE. Output HTML only.' },
                 { role: 'user', content: prompt }
             ],
             temperature: 0.2,
-            max_tokens: 1200
+            maxTokens: 1200
         });
         
-        const addition = response.choices[0].message.content.trim();
+        const addition = response.text.trim();
         
         if (addition === 'NO_UPDATE') {
             return existingTakeaways;
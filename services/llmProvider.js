@@ -0,0 +1,282 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🧠 KEA LLM PROVIDER - Where chat completions actually go
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// The coaching brain, LOG³ analysis, key takeaways and the fractal analyzer all ask a
+// provider for chat completions. Every provider takes the same request and resolves to
+// the same result, or throws:
+//
+//   request: { messages: [{ role, content }], model, temperature, maxTokens, json, signal }
+//            json: true asks for a single JSON object (response_format json_object)
+//            signal: optional AbortSignal - aborting rejects the call (V7 barge-in)
+//   result:  { text, model, latencyMs, usage: { promptTokens, completionTokens, totalTokens } }
+//
+//   provider.chat(request)            -> result
+//   provider.stream(request, onDelta) -> result, after calling onDelta(text) per chunk
+//
+// `model` is the model the caller was written for (Groq names); LLM_MODEL replaces it
+// for every call. Usage counts are null when the backend does not report them.
+//
+// Backends (LLM_PROVIDER, default groq):
+//   groq   - groq-sdk                                GROQ_API_KEY
+//   openai - any OpenAI-compatible HTTP endpoint     LLM_BASE_URL, LLM_API_KEY, LLM_MODEL (required)
+//            e.g. llama.cpp server or Ollama at http://localhost:11434/v1
+//   mock   - scripted replies, no network           LLM_MOCK_SCRIPT (optional JSON file)
+//
+// LLM_TIMEOUT_SECONDS bounds each openai-backend request (default 120).
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+
+const PROVIDERS = ['groq', 'openai', 'mock'];
+
+function usageFrom(usage) {
+    return {
+        promptTokens: usage?.prompt_tokens ?? null,
+        completionTokens: usage?.completion_tokens ?? null,
+        totalTokens: usage?.total_tokens ?? null
+    };
+}
+
+// Request -> OpenAI chat.completions body (Groq uses the same shape)
+function completionBody(request, model) {
+    const body = {
+        model,
+        messages: request.messages,
+        temperature: request.temperature ?? 0.7
+    };
+    if (request.maxTokens) body.max_tokens = request.maxTokens;
+    if (request.json) body.response_format = { type: 'json_object' };
+    return body;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// GROQ
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function createGroqProvider({ apiKey, model: modelOverride }) {
+    if (!apiKey) throw new Error('GROQ_API_KEY is required for the groq provider');
+
+    const Groq = require('groq-sdk');
+    const groq = new Groq({ apiKey });
+
+    return {
+        name: 'groq',
+        async chat(request) {
+            const start = Date.now();
+            const model = modelOverride || request.model;
+            const response = await groq.chat.completions.create(completionBody(request, model), { signal: request.signal });
+            return {
+                text: response.choices[0]?.message?.content || '',
+                model: response.model || model,
+                latencyMs: Date.now() - start,
+                usage: usageFrom(response.usage)
+            };
+        },
+        async stream(request, onDelta) {
+            const start = Date.now();
+            const model = modelOverride || request.model;
+            const chunks = await groq.chat.completions.create({ ...completionBody(request, model), stream: true }, { signal: request.signal });
+
+            let text = '';
+            let usage = null;
+            for await (const chunk of chunks) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+                // Groq reports usage on the final chunk under x_groq
+                usage = chunk.x_groq?.usage || chunk.usage || usage;
+            }
+            return { text, model, latencyMs: Date.now() - start, usage: usageFrom(usage) };
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// OPENAI-COMPATIBLE HTTP
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, timeoutMs }) {
+    if (!baseUrl) throw new Error('LLM_BASE_URL is required for the openai provider');
+    if (!model) throw new Error('LLM_MODEL is required for the openai provider');
+
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function post(body, signal) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify(body),
+            signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`LLM API error ${response.status}: ${detail.substring(0, 200)}`);
+        }
+        return response;
+    }
+
+    return {
+        name: 'openai',
+        async chat(request) {
+            const start = Date.now();
+            const response = await post(completionBody(request, model), request.signal);
+            const result = await response.json();
+            return {
+                text: result.choices?.[0]?.message?.content || '',
+                model: result.model || model,
+                latencyMs: Date.now() - start,
+                usage: usageFrom(result.usage)
+            };
+        },
+        async stream(request, onDelta) {
+            const start = Date.now();
+            const response = await post({
+                ...completionBody(request, model),
+                stream: true,
+                stream_options: { include_usage: true }
+            }, request.signal);
+
+            // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+            const decoder = new TextDecoder();
+            let buffered = '';
+            let text = '';
+            let usage = null;
+            for await (const bytes of response.body) {
+                buffered += decoder.decode(bytes, { stream: true });
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                for (const line of lines) {
+                    const data = line.trim().replace(/^data:\s*/, '');
+                    if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+                    const chunk = JSON.parse(data);
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onDelta(delta);
+                    }
+                    usage = chunk.usage || usage;
+                }
+            }
+            return { text, model, latencyMs: Date.now() - start, usage: usageFrom(usage) };
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// MOCK
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Script file: [{ "match": "regex", "response": "text" | { json } }, ...]. The first entry
+// whose match finds the last user message wins; an entry without match matches anything.
+// With no matching entry the reply is "{}" in JSON mode, otherwise a fixed coaching line.
+// Token counts are estimated at four characters a token.
+function loadMockScript(script) {
+    if (!script) return [];
+    const entries = Array.isArray(script) ? script : JSON.parse(fs.readFileSync(script, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error('LLM_MOCK_SCRIPT must contain a JSON array');
+    return entries.map(entry => ({
+        pattern: entry.match ? new RegExp(entry.match, 'i') : null,
+        response: typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response)
+    }));
+}
+
+function createMockProvider({ script, model }) {
+    const entries = loadMockScript(script);
+    const estimateTokens = text => Math.ceil(text.length / 4);
+
+    function reply(request) {
+        const lastUser = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+        const entry = entries.find(e => !e.pattern || e.pattern.test(lastUser));
+        if (entry) return entry.response;
+        return request.json
+            ? '{}'
+            : 'That is an interesting point. Can you tell me more about how it applies to your organisation?';
+    }
+
+    function result(request, text) {
+        const promptTokens = request.messages.reduce((sum, m) => sum + estimateTokens(m.content || ''), 0);
+        const completionTokens = estimateTokens(text);
+        return {
+            text,
+            model: model || 'mock',
+            latencyMs: 0,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+
+    const provider = {
+        name: 'mock',
+        calls: [], // every request, in order, for tests to inspect
+        async chat(request) {
+            provider.calls.push(request);
+            return result(request, reply(request));
+        },
+        async stream(request, onDelta) {
+            provider.calls.push(request);
+            const text = reply(request);
+            for (const word of text.match(/\S+\s*/g) || []) {
+                if (request.signal?.aborted) throw new Error('Request aborted');
+                onDelta(word);
+            }
+            return result(request, text);
+        }
+    };
+    return provider;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function configFromEnv(env = process.env) {
+    return {
+        provider: env.LLM_PROVIDER || 'groq',
+        model: env.LLM_MODEL || null,
+        groq: { apiKey: env.GROQ_API_KEY },
+        openai: {
+            baseUrl: env.LLM_BASE_URL,
+            apiKey: env.LLM_API_KEY,
+            timeoutMs: (parseInt(env.LLM_TIMEOUT_SECONDS) || 120) * 1000
+        },
+        mock: { script: env.LLM_MOCK_SCRIPT }
+    };
+}
+
+function createProvider(config = configFromEnv()) {
+    const { provider, model } = config;
+    switch (provider) {
+        case 'groq':   return createGroqProvider({ ...config.groq, model });
+        case 'openai': return createOpenAICompatibleProvider({ ...config.openai, model });
+        case 'mock':   return createMockProvider({ ...config.mock, model });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected ${PROVIDERS.join(', ')})`);
+    }
+}
+
+// Shared provider, created from the environment on first use
+let sharedProvider = null;
+
+function getProvider() {
+    if (!sharedProvider) sharedProvider = createProvider();
+    return sharedProvider;
+}
+
+// Replace the shared provider (tests, scripts); null re-reads the environment on next use
+function setProvider(provider) {
+    sharedProvider = provider;
+}
+
+module.exports = {
+    PROVIDERS,
+    configFromEnv,
+    createProvider,
+    getProvider,
+    setProvider
+};
@@ -0,0 +1,292 @@
+// Baseline - the schema as it stood when migrations were introduced.
+//
+// Databases created before then already have most of it, so this only creates what is
+// missing: CREATE ... IF NOT EXISTS, and the later sessions columns added one by one.
+//
+// There is no down(): undoing the baseline would drop every table and all the data in
+// them, so `npm run migrate -- down 0` stops here with IRREVERSIBLE instead.
+
+const description = 'Users, sessions, turns, reports, admin accounts, courses, email, student portal, memory and documents';
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function up(db) {
+    // Report recipients used to be a single address hardcoded in server.js. A database that
+    // already held sessions but no recipients table is an upgrade, and keeps sending to the
+    // address named by INSTRUCTOR_EMAIL; a new database starts with no recipients.
+    const hasTable = name => !!db.prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`
+    ).get(name);
+    const carryOverRecipient = !hasTable('course_report_recipients') && hasTable('sessions');
+
+    db.exec(`
+        -- Users table
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_session_at DATETIME
+        );
+
+        -- Sessions table
+        CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT UNIQUE NOT NULL,
+            user_id INTEGER,
+
+            -- Session metadata
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ended_at DATETIME,
+            last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            status TEXT DEFAULT 'active',  -- active, completed, abandoned, timeout
+            response_length TEXT DEFAULT 'MEDIUM',
+
+            -- Assessment data
+            organisation_name TEXT,
+            document_filename TEXT,
+            document_word_count INTEGER,
+            initial_parse_json TEXT,  -- Full JSON of system analysis
+            coaching_context TEXT,    -- Generated coaching context
+
+            -- Summary
+            key_takeaways_html TEXT,
+            key_takeaways_updated_at DATETIME,
+
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        -- Conversation turns table
+        CREATE TABLE IF NOT EXISTS conversation_turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            turn_number INTEGER NOT NULL,
+            role TEXT NOT NULL,  -- 'user' or 'assistant'
+            content TEXT NOT NULL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            -- Audio metadata (optional)
+            audio_duration_ms INTEGER,
+            latency_ms INTEGER,
+
+            FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+        );
+
+        -- Session reports table (final exports)
+        CREATE TABLE IF NOT EXISTS session_reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            report_json TEXT NOT NULL,  -- Full session export
+            report_hash TEXT NOT NULL,   -- SHA-256 for integrity
+
+            FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+        );
+
+        -- Admin users table (dashboard accounts, separate from students)
+        CREATE TABLE IF NOT EXISTS admin_users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+            password_hash TEXT NOT NULL,  -- scrypt hash (hex)
+            password_salt TEXT NOT NULL,
+            display_name TEXT,
+            disabled INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login_at DATETIME
+        );
+
+        -- Issued admin tokens (for logout / revocation)
+        CREATE TABLE IF NOT EXISTS admin_tokens (
+            jti TEXT PRIMARY KEY,
+            admin_user_id INTEGER NOT NULL,
+            issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+
+            FOREIGN KEY (admin_user_id) REFERENCES admin_users(id)
+        );
+
+        -- Admin role grants (one account can hold several, each scoped to a course)
+        --   platform_admin: every course (course_code NULL)
+        --   course_admin / instructor: one course
+        --   ta: one course + one tutorial group
+        CREATE TABLE IF NOT EXISTS admin_roles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            admin_user_id INTEGER NOT NULL,
+            role TEXT NOT NULL,
+            course_code TEXT,
+            tutorial_group TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (admin_user_id) REFERENCES admin_users(id)
+        );
+
+        -- Courses (per-course prompts, rubric and analyzer settings - see courseConfig.js)
+        CREATE TABLE IF NOT EXISTS courses (
+            course_code TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            config_json TEXT NOT NULL,  -- Course config object (JSON)
+            active INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Who receives session reports for each course
+        CREATE TABLE IF NOT EXISTS course_report_recipients (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            course_code TEXT NOT NULL,
+            email TEXT NOT NULL COLLATE NOCASE,
+            name TEXT,
+            role TEXT DEFAULT 'instructor',  -- instructor, ta, other
+            tutorial_group TEXT,             -- NULL = every group (TAs usually set one)
+            opted_in INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE (course_code, email)
+        );
+
+        -- Every report routing decision, recorded against the session
+        CREATE TABLE IF NOT EXISTS report_routing_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            course_code TEXT,
+            report_hash TEXT,
+            recipient_email TEXT,
+            recipient_role TEXT,         -- instructor, ta, other, student
+            delivery_mode TEXT,          -- immediate, daily_digest, weekly_digest, none
+            decision TEXT NOT NULL,      -- queued, failed, digest_pending, digest_queued, skipped_opted_out, skipped_mode_none, no_recipients
+            detail TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+        );
+
+        -- Outbound email queue (emailOutbox.js delivers and retries these)
+        CREATE TABLE IF NOT EXISTS email_outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL,              -- session_report, course_digest
+            session_id TEXT,
+            course_code TEXT,
+            to_email TEXT NOT NULL,
+            recipient_role TEXT,
+            payload_json TEXT NOT NULL,      -- Everything needed to render the message
+            status TEXT DEFAULT 'queued',    -- queued, sent, failed, bounced
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 5,
+            next_attempt_at TEXT,            -- ISO timestamp; NULL once no longer queued
+            last_error TEXT,
+            provider_message_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sent_at DATETIME
+        );
+
+        -- Instructor digest runs (digestService.js) - one scheduled run per course/cadence/period
+        CREATE TABLE IF NOT EXISTS digest_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            course_code TEXT NOT NULL,
+            cadence TEXT NOT NULL,           -- daily, weekly
+            period_start TEXT NOT NULL,      -- ISO timestamp (inclusive)
+            period_end TEXT NOT NULL,        -- ISO timestamp (exclusive)
+            trigger TEXT DEFAULT 'scheduled', -- scheduled, manual
+            session_count INTEGER DEFAULT 0,
+            recipient_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- One-time login codes for the student portal (studentPortal.js)
+        CREATE TABLE IF NOT EXISTS student_login_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            expires_at TEXT NOT NULL,        -- ISO timestamp
+            attempts INTEGER DEFAULT 0,      -- wrong guesses against this code
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        -- Issued student portal tokens (jti), so logout survives until expiry
+        CREATE TABLE IF NOT EXISTS student_tokens (
+            jti TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            expires_at TEXT NOT NULL,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        -- Documents uploaded during a session (the assessment, plus any added mid-session)
+        CREATE TABLE IF NOT EXISTS session_documents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            kind TEXT NOT NULL DEFAULT 'additional',   -- primary (the assessment) or additional
+            filename TEXT,
+            word_count INTEGER,
+            description TEXT,                          -- student's guidance for the upload
+            text_hash TEXT,                            -- SHA-256 of the parsed text
+            analysis_json TEXT,                        -- LOG³ analysis of this document
+            uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+        );
+
+        -- What Kea remembers about a student across sessions (studentMemory.js)
+        CREATE TABLE IF NOT EXISTS student_memories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            session_id TEXT NOT NULL,        -- session the memory was taken from
+            kind TEXT NOT NULL,              -- summary, commitment, gap
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        -- Create indexes for performance
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+        CREATE INDEX IF NOT EXISTS idx_turns_session ON conversation_turns(session_id);
+        CREATE INDEX IF NOT EXISTS idx_admin_tokens_user ON admin_tokens(admin_user_id);
+        CREATE INDEX IF NOT EXISTS idx_admin_roles_user ON admin_roles(admin_user_id);
+        CREATE INDEX IF NOT EXISTS idx_recipients_course ON course_report_recipients(course_code);
+        CREATE INDEX IF NOT EXISTS idx_routing_session ON report_routing_log(session_id);
+        CREATE INDEX IF NOT EXISTS idx_outbox_due ON email_outbox(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_outbox_session ON email_outbox(session_id);
+        CREATE INDEX IF NOT EXISTS idx_digest_runs_period ON digest_runs(course_code, cadence, period_start);
+        CREATE INDEX IF NOT EXISTS idx_login_codes_user ON student_login_codes(user_id);
+        CREATE INDEX IF NOT EXISTS idx_memories_user ON student_memories(user_id);
+        CREATE INDEX IF NOT EXISTS idx_documents_session ON session_documents(session_id);
+    `);
+
+    if (carryOverRecipient && process.env.INSTRUCTOR_EMAIL) {
+        db.prepare(`
+            INSERT OR IGNORE INTO course_report_recipients (course_code, email, name, role)
+            VALUES ('MAMC01810', ?, ?, 'instructor')
+        `).run(process.env.INSTRUCTOR_EMAIL.trim(), process.env.INSTRUCTOR_NAME || null);
+        console.log('✅ Carried the INSTRUCTOR_EMAIL report recipient over to MAMC01810');
+    } else if (carryOverRecipient) {
+        console.warn('⚠️ Existing database has no report recipients - add them in the admin dashboard or set INSTRUCTOR_EMAIL');
+    }
+
+    // Columns added to sessions after it was first created (existing sessions belong to the original course)
+    for (const [column, definition] of [
+        ['archived', 'INTEGER DEFAULT 0'],
+        ['course_code', `TEXT DEFAULT 'MAMC01810'`],
+        ['tutorial_group', 'TEXT'],
+        ['resumed_from', 'TEXT']  // Earlier session this one continues (student portal resume)
+    ]) {
+        if (!hasColumn(db, 'sessions', column)) {
+            db.exec(`ALTER TABLE sessions ADD COLUMN ${column} ${definition}`);
+            console.log(`✅ Added ${column} column to sessions table`);
+        }
+    }
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_course ON sessions(course_code, tutorial_group)`);
+}
+
+module.exports = { description, up };
@@ -0,0 +1,38 @@
+// Retention policies (retentionService.js) - what has been purged from each session,
+// the statistics kept in place of the transcript, and a log of every purge run.
+
+const description = 'Session purge/anonymise markers, retained statistics and retention_runs';
+
+function up(db) {
+    db.exec(`
+        ALTER TABLE sessions ADD COLUMN transcript_purged_at DATETIME;
+        ALTER TABLE sessions ADD COLUMN analysis_purged_at DATETIME;
+        ALTER TABLE sessions ADD COLUMN anonymised_at DATETIME;
+        ALTER TABLE sessions ADD COLUMN retained_stats_json TEXT;   -- turn and word counts kept after the transcript goes
+        
+        CREATE TABLE retention_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            course_code TEXT NOT NULL,
+            trigger TEXT DEFAULT 'scheduled',    -- scheduled, manual
+            transcripts_purged INTEGER DEFAULT 0,
+            analyses_purged INTEGER DEFAULT 0,
+            sessions_anonymised INTEGER DEFAULT 0,
+            users_removed INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE INDEX idx_retention_runs_course ON retention_runs(course_code);
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP TABLE retention_runs;
+        ALTER TABLE sessions DROP COLUMN retained_stats_json;
+        ALTER TABLE sessions DROP COLUMN anonymised_at;
+        ALTER TABLE sessions DROP COLUMN analysis_purged_at;
+        ALTER TABLE sessions DROP COLUMN transcript_purged_at;
+    `);
+}
+
+module.exports = { description, up, down };
@@ -0,0 +1,28 @@
+// Right-to-erasure requests (POST /api/admin/user/:id/erase). The student's data is
+// deleted; the tombstone records that it happened, by whom and how much went, without
+// keeping the address - only a hash, so a repeat request can be matched.
+
+const description = 'erasure_tombstones for student erasure requests';
+
+function up(db) {
+    db.exec(`
+        CREATE TABLE erasure_tombstones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,            -- id the erased student had
+            email_hash TEXT NOT NULL,            -- SHA-256 of the lower-cased address
+            session_count INTEGER DEFAULT 0,
+            deleted_counts_json TEXT,            -- rows deleted per table
+            erased_by TEXT,                      -- admin username
+            reason TEXT,
+            erased_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE INDEX idx_tombstones_email ON erasure_tombstones(email_hash);
+    `);
+}
+
+function down(db) {
+    db.exec(`DROP TABLE erasure_tombstones;`);
+}
+
+module.exports = { description, up, down };
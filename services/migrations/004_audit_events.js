@@ -0,0 +1,50 @@
+// Append-only admin and data audit log (auditLog.js). Each row carries the hash of the
+// one before it, and triggers reject UPDATE and DELETE so rows can only be added.
+
+const description = 'audit_events hash-chained log with append-only triggers';
+
+function up(db) {
+    db.exec(`
+        CREATE TABLE audit_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at TEXT NOT NULL,            -- ISO timestamp (part of the hash)
+            actor_type TEXT NOT NULL,            -- admin, student, anonymous, system
+            actor_id TEXT,
+            actor_name TEXT,
+            action TEXT NOT NULL,                -- e.g. session.delete, user.export
+            target_type TEXT,
+            target_id TEXT,
+            course_code TEXT,
+            ip TEXT,
+            outcome TEXT DEFAULT 'ok',           -- ok, denied, failed
+            detail_json TEXT,
+            previous_hash TEXT,                  -- content_hash of the previous event
+            content_hash TEXT NOT NULL
+        );
+        
+        CREATE INDEX idx_audit_actor ON audit_events(actor_type, actor_id);
+        CREATE INDEX idx_audit_action ON audit_events(action);
+        CREATE INDEX idx_audit_target ON audit_events(target_type, target_id);
+        CREATE INDEX idx_audit_course ON audit_events(course_code);
+        
+        CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_events is append-only');
+        END;
+        
+        CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_events is append-only');
+        END;
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP TRIGGER audit_events_no_delete;
+        DROP TRIGGER audit_events_no_update;
+        DROP TABLE audit_events;
+    `);
+}
+
+module.exports = { description, up, down };
@@ -0,0 +1,47 @@
+// Full-text index over conversation turns for the admin session search, kept in step
+// with conversation_turns by triggers (retention purges and erasure remove entries too).
+
+const description = 'conversation_turns_fts full-text index and session list indexes';
+
+function up(db) {
+    db.exec(`
+        CREATE VIRTUAL TABLE conversation_turns_fts USING fts5(
+            content,
+            content = 'conversation_turns',
+            content_rowid = 'id',
+            tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER conversation_turns_fts_insert AFTER INSERT ON conversation_turns
+        BEGIN
+            INSERT INTO conversation_turns_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER conversation_turns_fts_delete AFTER DELETE ON conversation_turns
+        BEGIN
+            INSERT INTO conversation_turns_fts (conversation_turns_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END;
+
+        CREATE TRIGGER conversation_turns_fts_update AFTER UPDATE OF content ON conversation_turns
+        BEGIN
+            INSERT INTO conversation_turns_fts (conversation_turns_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            INSERT INTO conversation_turns_fts (rowid, content) VALUES (new.id, new.content);
+        END;
+
+        INSERT INTO conversation_turns_fts (conversation_turns_fts) VALUES ('rebuild');
+
+        CREATE INDEX idx_sessions_started ON sessions(started_at);
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP INDEX idx_sessions_started;
+        DROP TRIGGER conversation_turns_fts_update;
+        DROP TRIGGER conversation_turns_fts_delete;
+        DROP TRIGGER conversation_turns_fts_insert;
+        DROP TABLE conversation_turns_fts;
+    `);
+}
+
+module.exports = { description, up, down };
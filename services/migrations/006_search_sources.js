@@ -0,0 +1,79 @@
+// Keeps the parsed text of uploaded documents and indexes it, with the key takeaways, for
+// the admin search (/api/admin/search) alongside conversation_turns_fts. Both indexes
+// read from their tables and are kept in step by triggers.
+
+const description = 'session_documents.text plus full-text indexes over document text and key takeaways';
+
+function up(db) {
+    db.exec(`
+        ALTER TABLE session_documents ADD COLUMN text TEXT;
+
+        CREATE VIRTUAL TABLE session_documents_fts USING fts5(
+            filename,
+            text,
+            content = 'session_documents',
+            content_rowid = 'id',
+            tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER session_documents_fts_insert AFTER INSERT ON session_documents
+        BEGIN
+            INSERT INTO session_documents_fts (rowid, filename, text) VALUES (new.id, new.filename, new.text);
+        END;
+
+        CREATE TRIGGER session_documents_fts_delete AFTER DELETE ON session_documents
+        BEGIN
+            INSERT INTO session_documents_fts (session_documents_fts, rowid, filename, text) VALUES ('delete', old.id, old.filename, old.text);
+        END;
+
+        CREATE TRIGGER session_documents_fts_update AFTER UPDATE OF filename, text ON session_documents
+        BEGIN
+            INSERT INTO session_documents_fts (session_documents_fts, rowid, filename, text) VALUES ('delete', old.id, old.filename, old.text);
+            INSERT INTO session_documents_fts (rowid, filename, text) VALUES (new.id, new.filename, new.text);
+        END;
+
+        INSERT INTO session_documents_fts (session_documents_fts) VALUES ('rebuild');
+
+        -- Takeaways are stored as HTML; tags are indexed too, and stripped from snippets on the way out
+        CREATE VIRTUAL TABLE session_takeaways_fts USING fts5(
+            key_takeaways_html,
+            content = 'sessions',
+            content_rowid = 'id',
+            tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER session_takeaways_fts_insert AFTER INSERT ON sessions
+        BEGIN
+            INSERT INTO session_takeaways_fts (rowid, key_takeaways_html) VALUES (new.id, new.key_takeaways_html);
+        END;
+
+        CREATE TRIGGER session_takeaways_fts_delete AFTER DELETE ON sessions
+        BEGIN
+            INSERT INTO session_takeaways_fts (session_takeaways_fts, rowid, key_takeaways_html) VALUES ('delete', old.id, old.key_takeaways_html);
+        END;
+
+        CREATE TRIGGER session_takeaways_fts_update AFTER UPDATE OF key_takeaways_html ON sessions
+        BEGIN
+            INSERT INTO session_takeaways_fts (session_takeaways_fts, rowid, key_takeaways_html) VALUES ('delete', old.id, old.key_takeaways_html);
+            INSERT INTO session_takeaways_fts (rowid, key_takeaways_html) VALUES (new.id, new.key_takeaways_html);
+        END;
+
+        INSERT INTO session_takeaways_fts (session_takeaways_fts) VALUES ('rebuild');
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP TRIGGER session_takeaways_fts_update;
+        DROP TRIGGER session_takeaways_fts_delete;
+        DROP TRIGGER session_takeaways_fts_insert;
+        DROP TABLE session_takeaways_fts;
+        DROP TRIGGER session_documents_fts_update;
+        DROP TRIGGER session_documents_fts_delete;
+        DROP TRIGGER session_documents_fts_insert;
+        DROP TABLE session_documents_fts;
+        ALTER TABLE session_documents DROP COLUMN text;
+    `);
+}
+
+module.exports = { description, up, down };
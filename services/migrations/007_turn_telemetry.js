@@ -0,0 +1,47 @@
+// Per-utterance pipeline telemetry from the V7 engine: one row for every utterance it
+// handled, including those rejected by the audio gates or the anti-hallucination pipeline.
+// Holds timings and counts only - never transcript text.
+
+const description = 'turn_telemetry table for V7 engine pipeline timings';
+
+function up(db) {
+    db.exec(`
+        CREATE TABLE turn_telemetry (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT,                 -- null until the client has sent init
+            relay_session_id TEXT NOT NULL,
+            source TEXT NOT NULL,            -- voice | text
+            outcome TEXT NOT NULL,           -- completed, gated, gate_rejected, pipeline_rejected, ...
+            reject_reason TEXT,
+            user_turn_number INTEGER,
+            assistant_turn_number INTEGER,
+            audio_duration_ms INTEGER,
+            stt_provider TEXT,
+            stt_fallback INTEGER NOT NULL DEFAULT 0,
+            stt_latency_ms INTEGER,
+            brain_model TEXT,
+            brain_latency_ms INTEGER,
+            prompt_tokens INTEGER,
+            completion_tokens INTEGER,
+            total_tokens INTEGER,
+            tts_latency_ms INTEGER,
+            tts_chunks_json TEXT,            -- [{ index, chars, latencyMs, ok }]
+            total_latency_ms INTEGER,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_turn_telemetry_session ON turn_telemetry(session_id);
+        CREATE INDEX idx_turn_telemetry_created ON turn_telemetry(created_at);
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP INDEX idx_turn_telemetry_created;
+        DROP INDEX idx_turn_telemetry_session;
+        DROP TABLE turn_telemetry;
+    `);
+}
+
+module.exports = { description, up, down };
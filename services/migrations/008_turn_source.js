@@ -0,0 +1,19 @@
+// Records who wrote each conversation turn: 'relay' for turns the V7 relay persisted as
+// they happened, 'client' for turns posted by the browser (/api/save-turn, the end-session
+// beacon). Sessions with relay turns ignore client-posted ones. Older turns stay null.
+
+const description = 'conversation_turns.source (relay | client)';
+
+function up(db) {
+    db.exec(`
+        ALTER TABLE conversation_turns ADD COLUMN source TEXT;
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        ALTER TABLE conversation_turns DROP COLUMN source;
+    `);
+}
+
+module.exports = { description, up, down };
@@ -0,0 +1,34 @@
+// Coach replies the output guardrail (services/outputGuardrail.js) caught predicting a
+// grade, assessing against the rubric or writing paste-ready text, kept for instructor
+// review. The excerpt is reply text, so it goes with the transcript at retention.
+
+const description = 'guardrail_violations table for blocked coach output';
+
+function up(db) {
+    db.exec(`
+        CREATE TABLE guardrail_violations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT,                 -- null for /api/coach calls outside a session
+            source TEXT NOT NULL,            -- v7 | coach
+            category TEXT NOT NULL,          -- grade | rubric | ghostwriting
+            rule TEXT NOT NULL,
+            excerpt TEXT,
+            action TEXT NOT NULL,            -- regenerated | rewritten
+            turn_number INTEGER,             -- assistant turn that was saved instead
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_guardrail_violations_session ON guardrail_violations(session_id);
+        CREATE INDEX idx_guardrail_violations_created ON guardrail_violations(created_at);
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        DROP INDEX idx_guardrail_violations_created;
+        DROP INDEX idx_guardrail_violations_session;
+        DROP TABLE guardrail_violations;
+    `);
+}
+
+module.exports = { description, up, down };
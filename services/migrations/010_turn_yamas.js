@@ -0,0 +1,21 @@
+// Five Yamas scores (fractal/yamasScorer.js) for each assistant turn, taken when the turn
+// is saved: yamas_json holds the five dimensions and the pass flag, yamas_composite the
+// weighted score on its own for trend queries. User turns and older turns stay null.
+
+const description = 'conversation_turns.yamas_json and yamas_composite';
+
+function up(db) {
+    db.exec(`
+        ALTER TABLE conversation_turns ADD COLUMN yamas_json TEXT;
+        ALTER TABLE conversation_turns ADD COLUMN yamas_composite REAL;
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        ALTER TABLE conversation_turns DROP COLUMN yamas_composite;
+        ALTER TABLE conversation_turns DROP COLUMN yamas_json;
+    `);
+}
+
+module.exports = { description, up, down };
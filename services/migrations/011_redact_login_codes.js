@@ -0,0 +1,16 @@
+// Login code emails kept the plaintext code in email_outbox.payload_json after delivery.
+// The outbox now drops it once a message leaves the queue; this clears it from messages
+// already sent or failed. The codes cannot be put back, so down() leaves them cleared.
+
+const description = 'Clear sign-in codes from delivered student_login_code emails';
+
+function up(db) {
+    db.exec(`
+        UPDATE email_outbox SET payload_json = json_remove(payload_json, '$.code')
+        WHERE kind = 'student_login_code' AND status != 'queued';
+    `);
+}
+
+function down() {}
+
+module.exports = { description, up, down };
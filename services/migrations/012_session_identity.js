@@ -0,0 +1,19 @@
+// Marks sessions whose student proved who they are: resumed from the student portal, or
+// registered with a portal token for the same email. /api/register-session takes any
+// email, so student memory is only loaded into verified sessions. Older sessions stay 0.
+
+const description = 'sessions.identity_verified (portal-verified student)';
+
+function up(db) {
+    db.exec(`
+        ALTER TABLE sessions ADD COLUMN identity_verified INTEGER DEFAULT 0;
+    `);
+}
+
+function down(db) {
+    db.exec(`
+        ALTER TABLE sessions DROP COLUMN identity_verified;
+    `);
+}
+
+module.exports = { description, up, down };
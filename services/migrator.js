@@ -0,0 +1,194 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🗄️ KEA MIGRATOR - Versioned schema migrations for the session database
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Migrations live in services/migrations/ as NNN_short_name.js and export:
+//
+//   description - one line for `npm run migrate status`
+//   up(db)      - apply the change
+//   down(db)    - undo it (optional; without one the migration cannot be rolled back)
+//
+// They run in version order, each in its own transaction, and are recorded in
+// `schema_migrations` (with a checksum of the file, so edits to an applied migration
+// show up in status). sessionDatabase.js applies pending migrations on startup; the
+// migrate.js CLI inspects them and rolls back.
+//
+// A database that has migrations this code does not know about was migrated by a
+// newer release. migrate() refuses to touch it (error code SCHEMA_AHEAD) rather than
+// run old queries against a schema they were not written for.
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,          -- SHA-256 of the migration file when applied
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+function migrationError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// Migration files in version order: [{ version, name, checksum, description, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    const seen = new Map();
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const version = parseInt(match[1], 10);
+        if (seen.has(version)) {
+            throw migrationError(`Migrations ${seen.get(version)} and ${file} share version ${version}`, 'DUPLICATE_VERSION');
+        }
+        seen.set(version, file);
+
+        const fullPath = path.join(dir, file);
+        const migration = require(fullPath);
+        if (typeof migration.up !== 'function') {
+            throw migrationError(`Migration ${file} has no up()`, 'INVALID_MIGRATION');
+        }
+
+        migrations.push({
+            version,
+            name: file.replace(/\.js$/, ''),
+            checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+            description: migration.description || '',
+            up: migration.up,
+            down: migration.down
+        });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Where the database stands against the migration files.
+ *   current  - highest applied version (0 for a fresh database)
+ *   latest   - highest version this code knows
+ *   applied  - applied migrations, with `modified` when the file changed since
+ *   pending  - known migrations not yet applied
+ *   unknown  - applied versions with no file here (the database is ahead)
+ */
+function getStatus(db, migrations = loadMigrations()) {
+    ensureMigrationsTable(db);
+
+    const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const appliedVersions = new Set(rows.map(r => r.version));
+
+    return {
+        current: rows.length ? rows[rows.length - 1].version : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied: rows
+            .filter(r => byVersion.has(r.version))
+            .map(r => ({
+                version: r.version,
+                name: r.name,
+                appliedAt: r.applied_at,
+                modified: byVersion.get(r.version).checksum !== r.checksum
+            })),
+        pending: migrations
+            .filter(m => !appliedVersions.has(m.version))
+            .map(m => ({ version: m.version, name: m.name, description: m.description })),
+        unknown: rows
+            .filter(r => !byVersion.has(r.version))
+            .map(r => ({ version: r.version, name: r.name, appliedAt: r.applied_at }))
+    };
+}
+
+function assertNotAhead(status) {
+    if (status.unknown.length > 0) {
+        const names = status.unknown.map(u => u.name).join(', ');
+        throw migrationError(
+            `Database schema is ahead of this code (applied: ${names}; latest known: ${status.latest}). ` +
+            'Deploy the newer release or roll the database back with it.',
+            'SCHEMA_AHEAD'
+        );
+    }
+}
+
+/**
+ * Apply pending migrations up to `target` (default: all). Returns the names applied.
+ */
+function migrate(db, { target = Infinity, migrations = loadMigrations() } = {}) {
+    const status = getStatus(db, migrations);
+    assertNotAhead(status);
+
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)');
+    const applied = [];
+
+    for (const migration of migrations) {
+        if (migration.version > target) break;
+        if (!status.pending.some(p => p.version === migration.version)) continue;
+
+        db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name, migration.checksum);
+        })();
+        console.log(`🗄️ Applied migration ${migration.name}`);
+        applied.push(migration.name);
+    }
+
+    return applied;
+}
+
+/**
+ * Roll back applied migrations, newest first, until `target` is the current version
+ * (default: undo the latest one). Returns the names rolled back.
+ */
+function rollback(db, { target = null, migrations = loadMigrations() } = {}) {
+    const status = getStatus(db, migrations);
+    assertNotAhead(status);
+
+    const stopAt = target === null
+        ? (status.applied.length > 1 ? status.applied[status.applied.length - 2].version : 0)
+        : target;
+
+    // Refuse before undoing anything, so a rollback past an irreversible migration
+    // leaves the database as it was
+    const toRollBack = [...status.applied].reverse()
+        .filter(({ version }) => version > stopAt)
+        .map(({ version }) => migrations.find(m => m.version === version));
+    const irreversible = toRollBack.find(m => typeof m.down !== 'function');
+    if (irreversible) {
+        throw migrationError(`Migration ${irreversible.name} cannot be rolled back (no down())`, 'IRREVERSIBLE');
+    }
+
+    const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+    const rolledBack = [];
+
+    for (const migration of toRollBack) {
+        db.transaction(() => {
+            migration.down(db);
+            remove.run(migration.version);
+        })();
+        console.log(`🗄️ Rolled back migration ${migration.name}`);
+        rolledBack.push(migration.name);
+    }
+
+    return rolledBack;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getStatus,
+    migrate,
+    rollback
+};
@@ -0,0 +1,225 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🛡️ KEA OUTPUT GUARDRAIL - Coaching boundaries checked on what the brain wrote
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// The coaching prompts say never grade, never assess against the rubric and never write
+// the student's work for them. This checks the generated reply itself, with pattern
+// lists in the style of fractal/yamasScorer.js:
+//
+//   grade        - grade or mark predictions ("you'd get a B+", "worth 7/10", "this will pass")
+//   rubric       - explicit rubric assessment ("on criterion 2, you...", "rates as proficient")
+//   ghostwriting - paste-ready text: offers of drafts to copy, long quoted passages, or a
+//                  long run of prose with no question back to the student
+//
+// checkOutput(text) finds violations in a whole reply; createStreamChecker() does the same
+// sentence by sentence for V7, which speaks each sentence as soon as it is written.
+// enforce() regenerates once with a correction and rewrites the reply if that fails too.
+//
+// Environment:
+//   GUARDRAIL_MAX_PROSE_WORDS - words of prose without a question before a reply counts
+//                               as paste-ready (default 180)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const MAX_PROSE_WORDS = parseInt(process.env.GUARDRAIL_MAX_PROSE_WORDS) || 180;
+const MAX_QUOTED_WORDS = 40;
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// GRADE PREDICTIONS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Grades are about the student or their work. Companies also "get a B Corp certification"
+// or "earn 5 out of 10 points on the CDP index" in this course, so every rule needs the
+// student or their work as the subject, and a letter followed by a name ("B Corp") is
+// not a grade.
+const WORK = '(?:essay|report|assignment|analysis|submission|draft|work|answer|section|paragraph|introduction|conclusion|argument)';
+const GRADED = `(?:you|your ${WORK}|(?:this|that) ${WORK}|this|that|it)(?:'d|'ll|'s|'re| would| will| could| might| should| is| are| is going to)?\\s+(?:probably\\s+|likely\\s+|easily\\s+|definitely\\s+|comfortably\\s+)?`;
+// Letter grades are matched case-sensitively so "get a better" is not "get a B"
+const GRADED_CASED = GRADED.replace(/\b(you|your|this|that|it)\b/g, word => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`);
+const LETTER = `["']?[A-E][+-]?["']?(?!\\s+[A-Z][a-z])(?=[\\s.,!?;:)]|$)`;
+
+const GRADE_PATTERNS = [
+    { rule: 'letter_grade', pattern: new RegExp(`\\b${GRADED_CASED}(?:get|gets|getting|earn|earns|receive|achieve|deserve|deserves|be worth|worth|be)\\s+(?:an?\\s+)?${LETTER}`) },
+    { rule: 'letter_grade', pattern: new RegExp(`\\b(?:[Yy]our (?:final |overall )?(?:grade|mark)|(?:grade|mark) (?:for|on) (?:this|that|it|your \\w+)) (?:of|would be|will be|could be|is|around|like) (?:an? )?${LETTER}`) },
+    { rule: 'numeric_mark', pattern: new RegExp(`\\b${GRADED}(?:be\\s+)?(?:worth|score|scores|scored|scoring|earn|earns|get|gets|receive|lose|losing)\\s+(?:about\\s+|around\\s+|roughly\\s+|maybe\\s+|at least\\s+)?\\d+(?:\\.\\d+)?\\s*(?:\\/\\s*\\d+|out of \\d+|marks?\\b)`, 'i') },
+    { rule: 'numeric_mark', pattern: /\byou(?:'d|'ll| would| will| could| should| might)?\s+(?:probably\s+|likely\s+|easily\s+)?(?:get|score|earn|receive)\s+(?:about\s+|around\s+|over\s+)?\d+(?:\.\d+)?\s*(?:%|percent\b)/i },
+    // "pass through three stages" is not passing the course: pass / fail has to end the
+    // clause or name the assessment
+    { rule: 'pass_fail', pattern: new RegExp(`\\b${GRADED}(?:pass|fail)(?=\\s*(?:[.,!?;:]|$)|\\s+(?:comfortably|easily|for sure|(?:this|the|your) (?:course|assignment|paper|module|unit|assessment)))`, 'i') },
+    { rule: 'pass_fail', pattern: /\b(?:it's|it is|this is|that's|that is|you're|you are|your \w+ (?:is|looks)) (?:good |strong )?enough to (?:pass|fail)\b/i },
+    { rule: 'honours_band', pattern: new RegExp(`\\b${GRADED}(?:get|earn|achieve|receive|be)\\s+(?:a\\s+)?(?:high distinction|distinction|merit|first[- ]class)(?!\\s+between)\\b`, 'i') },
+    { rule: 'marker_prediction', pattern: /\b(?:the |your )?markers? (?:will|would|is going to) (?:think|like|love|give|award|reward|mark|penalise|penalize|be impressed)/i }
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RUBRIC ASSESSMENT
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Naming a criterion is fine ("what does the brief ask for criterion 2?"); saying how the
+// student's work does on it is not
+const RUBRIC_PATTERNS = [
+    { rule: 'criterion_judgement', pattern: new RegExp(`\\b(?:on|for|against|under) (?:the )?criteri(?:on|a) \\d+,?\\s+(?:` +
+        `you(?:'ve| have)\\s+(?:already\\s+|really\\s+|clearly\\s+)?(?:done|met|shown|demonstrated|covered|nailed|achieved|missed|fallen|scored)` +
+        `|you did (?:well|great|poorly|badly|enough)` +
+        `|you(?:'re| are)\\s+(?:doing|strong|weak|solid|on track|there|below|above|at)` +
+        `|you(?:'d| would|'ll| will)\\s+(?:get|score|earn|lose|pass|fail)` +
+        `|(?:your|this|that) (?:${WORK} )?(?:is|are|looks|seems)\\s+(?:very\\s+|quite\\s+|really\\s+)?(?:strong|weak|good|excellent|solid|fine|lacking|thin|insufficient|adequate|great|poor|proficient))`, 'i') },
+    { rule: 'rubric_rating', pattern: /\b(?:rates?|rated|rating|sits?|falls?|lands?) (?:as|at|in) (?:the )?(?:an? )?["']?(?:excellent|very good|good|satisfactory|unsatisfactory|poor|developing|proficient|exemplary|emerging|advanced|level \d|band \d|top band|\d+\s*(?:\/|out of)\s*\d+)\b/i },
+    { rule: 'requirement_met', pattern: /\byou(?:'ve| have)?\s+(?:fully\s+|clearly\s+|already\s+)?(?:met|meet|satisfied|achieved)\s+(?:the\s+|all\s+(?:the\s+)?)?(?:requirements?|criteri(?:on|a)|standard|learning outcomes?)\b/i },
+    { rule: 'rubric_level', pattern: /\b(?:level|band) \d+ (?:of|on|in|for) (?:the |your )?(?:rubric|marking (?:guide|schedule))\b/i }
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// GHOST-WRITING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const GHOSTWRITING_PATTERNS = [
+    { rule: 'draft_offer', pattern: /\bhere(?:'s| is) (?:a |an |the |my |some )?(?:draft|paragraph|rewrite|rewritten version|sample (?:paragraph|answer|section|introduction|conclusion)|model answer|version you can)\b/i },
+    { rule: 'copy_invitation', pattern: /\byou (?:can|could) (?:just )?(?:copy|paste|submit|drop) (?:this|it|that|the following)\b/i },
+    { rule: 'copy_invitation', pattern: /\b(?:copy|paste) (?:this|it|the following) (?:into|in|straight into)\b/i }
+];
+
+// A quoted passage long enough to paste ("...")
+function findLongQuote(text) {
+    const quotes = text.match(/["“][^"”]+["”]/g) || [];
+    return quotes.find(q => countWords(q) > MAX_QUOTED_WORDS) || null;
+}
+
+function countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// CHECKING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const CATEGORIES = [
+    { category: 'grade', patterns: GRADE_PATTERNS },
+    { category: 'rubric', patterns: RUBRIC_PATTERNS },
+    { category: 'ghostwriting', patterns: GHOSTWRITING_PATTERNS }
+];
+
+function excerptAround(text, index, length) {
+    const start = Math.max(0, index - 40);
+    const end = Math.min(text.length, index + length + 40);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Pattern violations in one piece of text: [{ category, rule, excerpt }], one per rule
+function findPatternViolations(text) {
+    const violations = [];
+    for (const { category, patterns } of CATEGORIES) {
+        for (const { rule, pattern } of patterns) {
+            if (violations.some(v => v.rule === rule)) continue;
+            const match = pattern.exec(text);
+            if (match) violations.push({ category, rule, excerpt: excerptAround(text, match.index, match[0].length) });
+        }
+    }
+    const quote = findLongQuote(text);
+    if (quote) violations.push({ category: 'ghostwriting', rule: 'long_quote', excerpt: `${quote.substring(0, 120)}…` });
+    return violations;
+}
+
+function proseViolation(text, maxProseWords) {
+    return {
+        category: 'ghostwriting',
+        rule: 'long_prose',
+        excerpt: `${text.substring(0, 120)}… (${countWords(text)} words, no question, over ${maxProseWords})`
+    };
+}
+
+// A whole reply. Returns { passed, violations: [{ category, rule, excerpt }] }
+function checkOutput(text, { maxProseWords = MAX_PROSE_WORDS } = {}) {
+    const violations = findPatternViolations(text || '');
+    if (text && !text.includes('?') && countWords(text) > maxProseWords) {
+        violations.push(proseViolation(text, maxProseWords));
+    }
+    return { passed: violations.length === 0, violations };
+}
+
+// Sentence by sentence, for replies spoken as they are written. check(sentence) returns
+// that sentence's violations; the prose run resets at every question.
+function createStreamChecker({ maxProseWords = MAX_PROSE_WORDS } = {}) {
+    let prose = '';
+    return {
+        check(sentence) {
+            const violations = findPatternViolations(sentence);
+            prose = sentence.includes('?') ? '' : `${prose} ${sentence}`.trim();
+            if (countWords(prose) > maxProseWords) {
+                violations.push(proseViolation(prose, maxProseWords));
+                prose = '';
+            }
+            return violations;
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// CORRECTING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Spoken in place of whatever crossed the line, so the student still gets an answer
+const REDIRECTS = {
+    grade: "I can't predict grades - that's for your marker. What part of your analysis would you like to strengthen?",
+    rubric: "I'll leave judging it against the rubric to your marker. Which part of the brief do you want to dig into?",
+    ghostwriting: "I'd rather not write that part for you - it needs to be in your own words. What would you want to say first?"
+};
+
+function redirectFor(violations) {
+    const order = ['grade', 'rubric', 'ghostwriting'];
+    const category = order.find(c => violations.some(v => v.category === c)) || 'ghostwriting';
+    return REDIRECTS[category];
+}
+
+// Extra instruction for a second attempt at a reply that broke the rules
+function correctionPrompt(violations) {
+    const broken = [...new Set(violations.map(v => v.category))].map(category => ({
+        grade: 'it predicted a grade or mark',
+        rubric: 'it assessed the work against the rubric',
+        ghostwriting: 'it wrote text the student could paste into their assignment'
+    })[category]);
+    return `Your previous reply was withheld because ${broken.join(' and ')}. ` +
+        'Reply again without grades, marks, rubric judgements or ready-made assignment text. ' +
+        'Keep it short and end with a question that helps the student develop their own thinking.';
+}
+
+// Drop the sentences that broke the rules and add a redirect. A long-prose reply keeps
+// only its first two sentences.
+function rewrite(text, violations) {
+    const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [];
+    let kept = sentences.filter(sentence => findPatternViolations(sentence).length === 0);
+    if (violations.some(v => v.rule === 'long_prose' || v.rule === 'long_quote')) kept = kept.slice(0, 2);
+    return `${kept.join('').trim()} ${redirectFor(violations)}`.trim();
+}
+
+// Check a finished reply. With `regenerate(correction)` (resolving to new text) a failing
+// reply gets one more attempt; if that fails too it is rewritten. Returns
+// { text, violations, action: null | 'regenerated' | 'rewritten' } - violations are the
+// original reply's.
+async function enforce(text, { regenerate = null, maxProseWords = MAX_PROSE_WORDS } = {}) {
+    const first = checkOutput(text, { maxProseWords });
+    if (first.passed) return { text, violations: [], action: null };
+
+    if (regenerate) {
+        try {
+            const retry = await regenerate(correctionPrompt(first.violations));
+            const second = checkOutput(retry, { maxProseWords });
+            if (second.passed && retry.trim()) return { text: retry, violations: first.violations, action: 'regenerated' };
+            if (retry.trim()) return { text: rewrite(retry, second.violations), violations: first.violations, action: 'rewritten' };
+        } catch (error) {
+            console.error(`⚠️ [GUARDRAIL] Regeneration failed: ${error.message}`);
+        }
+    }
+    return { text: rewrite(text, first.violations), violations: first.violations, action: 'rewritten' };
+}
+
+module.exports = {
+    MAX_PROSE_WORDS,
+    REDIRECTS,
+    checkOutput,
+    createStreamChecker,
+    correctionPrompt,
+    redirectFor,
+    rewrite,
+    enforce
+};
@@ -0,0 +1,144 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 📬 KEA REPORT ROUTING - Who receives a session report, and when
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Called from /api/end-session once the final report has been generated.
+//
+// Recipients come from `course_report_recipients` for the session's course:
+//   - opted_in = 0 recipients are skipped (and the skip is logged)
+//   - recipients with a tutorial_group only receive reports for that group
+//   - course.reportDelivery.studentCopy adds the student as a recipient
+//
+// Delivery mode comes from course.reportDelivery.mode:
+//   immediate    - queue for delivery now (emailOutbox.js sends and retries)
+//   daily_digest / weekly_digest
+//                - staff are recorded as digest_pending and covered by the next digest
+//                  (digestService.js); student copies still go now
+//   none         - nothing is sent
+//
+// Every decision is written to `report_routing_log` against the session.
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+const courseConfig = require('./courseConfig');
+const emailOutbox = require('./emailOutbox');
+
+const RECIPIENT_ROLES = ['instructor', 'ta', 'other'];
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// REPORT DATA
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function buildReportData(session, turns, keyTakeaways = '') {
+    return {
+        userName: session.user_name || 'Student',
+        userEmail: session.user_email || 'Not provided',
+        assessmentTitle: session.organisation_name || session.document_filename || 'Coaching Session',
+        keyTakeaways: session.key_takeaways_html || keyTakeaways || '',
+        createdAt: session.started_at,
+        endedAt: new Date().toISOString(),
+        sessionStats: {
+            totalTurns: turns.length,
+            userTurns: turns.filter(t => t.role === 'user').length,
+            assistantTurns: turns.filter(t => t.role === 'assistant').length,
+            durationMinutes: session.started_at ?
+                Math.round((new Date() - new Date(session.started_at)) / 60000) : 'N/A'
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RECIPIENTS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Staff recipients relevant to this session (opted-out ones included, flagged)
+function getStaffRecipients(session) {
+    return sessionDb.getReportRecipients(session.course_code)
+        .filter(r => !r.tutorial_group || r.tutorial_group === session.tutorial_group);
+}
+
+// Returns an error message or null
+function validateRecipient(input) {
+    if (!input?.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) {
+        return 'A valid email is required';
+    }
+    if (input.role !== undefined && !RECIPIENT_ROLES.includes(input.role)) {
+        return `role must be one of: ${RECIPIENT_ROLES.join(', ')}`;
+    }
+    if (input.optedIn !== undefined && typeof input.optedIn !== 'boolean') {
+        return 'optedIn must be true or false';
+    }
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ROUTING
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function routeSessionReport(session, reportData, report = null) {
+    const course = courseConfig.resolveCourse(session.course_code);
+    const { mode, studentCopy } = course.reportDelivery;
+    const decisions = [];
+
+    const record = (recipient, decision, detail = null) => {
+        const entry = {
+            sessionId: session.session_id,
+            courseCode: course.code,
+            reportHash: report?.hash || null,
+            recipientEmail: recipient?.email || null,
+            recipientRole: recipient?.role || null,
+            deliveryMode: mode,
+            decision,
+            detail
+        };
+        sessionDb.logReportRouting(entry);
+        decisions.push(entry);
+    };
+
+    const send = (recipient) => {
+        try {
+            const email = emailOutbox.enqueue('session_report', recipient.email, reportData, {
+                sessionId: session.session_id,
+                courseCode: course.code,
+                recipientRole: recipient.role
+            });
+            record(recipient, 'queued', `outbox #${email.id}`);
+        } catch (err) {
+            record(recipient, 'failed', err.message);
+        }
+    };
+
+    if (mode === 'none') {
+        record(null, 'skipped_mode_none', `Report delivery disabled for ${course.code}`);
+        return decisions;
+    }
+
+    const staff = getStaffRecipients(session);
+    for (const recipient of staff) {
+        if (!recipient.opted_in) {
+            record(recipient, 'skipped_opted_out');
+        } else if (courseConfig.DIGEST_MODES[mode]) {
+            record(recipient, 'digest_pending');
+        } else {
+            send(recipient);
+        }
+    }
+
+    if (studentCopy && session.user_email) {
+        send({ email: session.user_email, role: 'student' });
+    }
+
+    if (decisions.length === 0) {
+        record(null, 'no_recipients', `No report recipients configured for ${course.code}`);
+    }
+
+    return decisions;
+}
+
+module.exports = {
+    RECIPIENT_ROLES,
+    buildReportData,
+    validateRecipient,
+    routeSessionReport
+};
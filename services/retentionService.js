@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🧹 KEA RETENTION - Scheduled purge and anonymisation of old sessions
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Each course's `retention` config (courseConfig.js) sets how many days after a session
+// ends each stage applies. Stages are independent, and a course that leaves a stage
+// null keeps that data indefinitely (the default):
+//
+//   transcripts - conversation turns, key takeaways, stored reports and sent report
+//                 emails are deleted; turn and word counts stay on the session
+//   analysis    - initial_parse_json, coaching_context, and each document's analysis and
+//                 parsed text cleared
+//   anonymise   - the session is detached from the student, their memory notes from it
+//                 are deleted, and the student record goes once no sessions point to it
+//
+// The session row itself (course, group, organisation, dates, status) is kept so
+// course statistics still add up. Every run is recorded in `retention_runs`;
+// previewCourse() lists what the next run would touch without changing anything.
+//
+// Environment:
+//   RETENTION_INTERVAL_MINUTES - how often the scheduler runs (default 60)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+const courseConfig = require('./courseConfig');
+const auditLog = require('./auditLog');
+
+const SCHEDULER_INTERVAL_MS = (parseInt(process.env.RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Applied in this order within a run
+const STAGES = [
+    { stage: 'transcripts', setting: 'transcriptDays', label: 'Transcripts deleted' },
+    { stage: 'analysis', setting: 'analysisDays', label: 'Analysis cleared' },
+    { stage: 'anonymise', setting: 'anonymiseDays', label: 'Sessions anonymised' }
+];
+
+function hasPolicy(course) {
+    return STAGES.some(({ setting }) => course.retention?.[setting]);
+}
+
+/**
+ * What the next run would do for a course, without doing it:
+ * { courseCode, policy, stages: [{ stage, label, days, sessions }] }
+ * Stages the course leaves unset have days null and no sessions.
+ */
+function previewCourse(course) {
+    return {
+        courseCode: course.code,
+        policy: course.retention,
+        stages: STAGES.map(({ stage, setting, label }) => {
+            const days = course.retention?.[setting] || null;
+            return {
+                stage,
+                label,
+                days,
+                sessions: days ? sessionDb.findRetentionCandidates(course.code, stage, days) : []
+            };
+        })
+    };
+}
+
+// Applies a course's policy now; returns the retention_runs row (null when nothing was due)
+function applyCourse(course, { trigger = 'scheduled' } = {}) {
+    const preview = previewCourse(course);
+    const counts = { transcriptsPurged: 0, analysesPurged: 0, sessionsAnonymised: 0, usersRemoved: 0 };
+
+    for (const { stage, sessions } of preview.stages) {
+        for (const session of sessions) {
+            try {
+                if (stage === 'transcripts') {
+                    sessionDb.purgeSessionTranscript(session.session_id);
+                    counts.transcriptsPurged++;
+                } else if (stage === 'analysis') {
+                    sessionDb.purgeSessionAnalysis(session.session_id);
+                    counts.analysesPurged++;
+                } else {
+                    if (sessionDb.anonymiseSession(session.session_id)) counts.usersRemoved++;
+                    counts.sessionsAnonymised++;
+                }
+            } catch (err) {
+                console.error(`🧹 Retention ${stage} failed for ${session.session_id}: ${err.message}`);
+            }
+        }
+    }
+
+    const touched = counts.transcriptsPurged + counts.analysesPurged + counts.sessionsAnonymised;
+    if (touched === 0 && trigger === 'scheduled') return null;
+
+    const run = sessionDb.recordRetentionRun({ courseCode: course.code, trigger, ...counts });
+    console.log(`🧹 Retention for ${course.code}: ${counts.transcriptsPurged} transcripts, ${counts.analysesPurged} analyses, ${counts.sessionsAnonymised} anonymised (run #${run.id})`);
+    return run;
+}
+
+// Every course with a policy, including inactive ones - their old sessions still age out
+function runRetention() {
+    const runs = [];
+    for (const course of courseConfig.listCourses({ includeInactive: true })) {
+        if (!hasPolicy(course)) continue;
+        try {
+            const run = applyCourse(course);
+            if (run) {
+                runs.push(run);
+                // Manual runs are recorded against the admin who asked (server.js)
+                auditLog.record(null, auditLog.SYSTEM, 'retention.run', {
+                    targetType: 'course',
+                    targetId: course.code,
+                    detail: { runId: run.id, trigger: 'scheduled' }
+                });
+            }
+        } catch (err) {
+            console.error(`🧹 Retention for ${course.code} failed: ${err.message}`);
+        }
+    }
+    return runs;
+}
+
+let schedulerTimer = null;
+
+function startScheduler() {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(runRetention, SCHEDULER_INTERVAL_MS);
+    schedulerTimer.unref();
+    console.log(`🧹 Retention scheduler started (every ${SCHEDULER_INTERVAL_MS / 60000} minutes)`);
+    runRetention();
+}
+
+module.exports = {
+    STAGES,
+    previewCourse,
+    applyCourse,
+    runRetention,
+    startScheduler
+};
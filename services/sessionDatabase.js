@@ -17,111 +17,20 @@
 // ═══════════════════════════════════════════════════════════════════════════════════
 
 const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
 const crypto = require('crypto');
+const { DB_PATH, useRenderDisk } = require('./dbPath');
+const migrator = require('./migrator');
 
-// Database file path - use Render disk mount in production, local data folder in dev
-const isProduction = process.env.NODE_ENV === 'production';
-const RENDER_DISK_PATH = '/opt/render/project/src/uploads';
-
-// Check if Render disk is available
-const useRenderDisk = isProduction && fs.existsSync(RENDER_DISK_PATH);
-const DB_PATH = useRenderDisk 
-    ? path.join(RENDER_DISK_PATH, 'kea_sessions.db')
-    : path.join(__dirname, '..', 'data', 'kea_sessions.db');
-
-// Ensure data directory exists
-const dataDir = path.dirname(DB_PATH);
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
+// Course assigned to sessions registered without one
+const DEFAULT_COURSE_CODE = 'MAMC01810';
 
 // Initialize database
 const db = new Database(DB_PATH);
 console.log(`📦 SQLite database initialized at: ${DB_PATH} (${useRenderDisk ? 'Render persistent disk' : 'local'})`);
 
-// Create tables
-db.exec(`
-    -- Users table
-    CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_session_at DATETIME
-    );
-    
-    -- Sessions table
-    CREATE TABLE IF NOT EXISTS sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT UNIQUE NOT NULL,
-        user_id INTEGER,
-        
-        -- Session metadata
-        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        ended_at DATETIME,
-        last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        status TEXT DEFAULT 'active',  -- active, completed, abandoned, timeout
-        response_length TEXT DEFAULT 'MEDIUM',
-        
-        -- Assessment data
-        organisation_name TEXT,
-        document_filename TEXT,
-        document_word_count INTEGER,
-        initial_parse_json TEXT,  -- Full JSON of system analysis
-        coaching_context TEXT,    -- Generated coaching context
-        
-        -- Summary
-        key_takeaways_html TEXT,
-        key_takeaways_updated_at DATETIME,
-        
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    );
-    
-    -- Conversation turns table
-    CREATE TABLE IF NOT EXISTS conversation_turns (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        turn_number INTEGER NOT NULL,
-        role TEXT NOT NULL,  -- 'user' or 'assistant'
-        content TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        
-        -- Audio metadata (optional)
-        audio_duration_ms INTEGER,
-        latency_ms INTEGER,
-        
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
-    );
-    
-    -- Session reports table (final exports)
-    CREATE TABLE IF NOT EXISTS session_reports (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        report_json TEXT NOT NULL,  -- Full session export
-        report_hash TEXT NOT NULL,   -- SHA-256 for integrity
-        
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
-    );
-    
-    -- Create indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
-    CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
-    CREATE INDEX IF NOT EXISTS idx_turns_session ON conversation_turns(session_id);
-`);
-
-// Migration: Add archived column if it doesn't exist
-try {
-    db.exec(`ALTER TABLE sessions ADD COLUMN archived INTEGER DEFAULT 0`);
-    console.log('✅ Added archived column to sessions table');
-} catch (e) {
-    // Column already exists, ignore error
-    if (!e.message.includes('duplicate column')) {
-        console.log('ℹ️ Archived column already exists');
-    }
-}
+// Bring the schema up to date (services/migrations). Throws SCHEMA_AHEAD instead when the
+// database was migrated by a newer release.
+migrator.migrate(db);
 
 console.log('✅ Database tables created/verified');
 
@@ -131,6 +40,8 @@ console.log('✅ Database tables created/verified');
 
 const userStatements = {
     findByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+    // Students may not type their address exactly as they registered it
+    findByEmailNoCase: db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE ORDER BY id LIMIT 1'),
     create: db.prepare('INSERT INTO users (email, name) VALUES (?, ?)'),
     updateLastSession: db.prepare('UPDATE users SET last_session_at = CURRENT_TIMESTAMP WHERE id = ?')
 };
@@ -156,8 +67,8 @@ function getOrCreateUser(email, name) {
 
 const sessionStatements = {
     create: db.prepare(`
-        INSERT INTO sessions (session_id, user_id, response_length) 
-        VALUES (?, ?, ?)
+        INSERT INTO sessions (session_id, user_id, response_length, course_code, tutorial_group) 
+        VALUES (?, ?, ?, ?, ?)
     `),
     
     updateAssessment: db.prepare(`
@@ -190,6 +101,19 @@ const sessionStatements = {
         UPDATE sessions SET response_length = ? WHERE session_id = ?
     `),
     
+    setResumedFrom: db.prepare(`
+        UPDATE sessions SET resumed_from = ? WHERE session_id = ?
+    `),
+    
+    markIdentityVerified: db.prepare(`
+        UPDATE sessions SET identity_verified = 1 WHERE session_id = ?
+    `),
+    
+    // Mid-session uploads extend the coaching context after the initial assessment
+    updateCoachingContext: db.prepare(`
+        UPDATE sessions SET coaching_context = ?, last_activity_at = CURRENT_TIMESTAMP WHERE session_id = ?
+    `),
+    
     get: db.prepare(`
         SELECT s.*, u.name as user_name, u.email as user_email 
         FROM sessions s 
@@ -211,9 +135,9 @@ const sessionStatements = {
     getArchived: db.prepare(`SELECT * FROM sessions WHERE archived = 1 ORDER BY started_at DESC`)
 };
 
-function createSession(sessionId, userId, responseLength = 'MEDIUM') {
+function createSession(sessionId, userId, responseLength = 'MEDIUM', courseCode = DEFAULT_COURSE_CODE, tutorialGroup = null) {
     try {
-        sessionStatements.create.run(sessionId, userId, responseLength);
+        sessionStatements.create.run(sessionId, userId, responseLength, courseCode || DEFAULT_COURSE_CODE, tutorialGroup || null);
         console.log(`📝 Session created: ${sessionId}`);
         return true;
     } catch (err) {
@@ -257,8 +181,9 @@ function getSession(sessionId) {
 
 const turnStatements = {
     add: db.prepare(`
-        INSERT INTO conversation_turns (session_id, turn_number, role, content, audio_duration_ms, latency_ms)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO conversation_turns (session_id, turn_number, role, content, audio_duration_ms, latency_ms, source,
+            yamas_json, yamas_composite)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `),
     
     getBySession: db.prepare(`
@@ -267,9 +192,29 @@ const turnStatements = {
     
     getCount: db.prepare(`
         SELECT COUNT(*) as count FROM conversation_turns WHERE session_id = ?
+    `),
+    
+    getLast: db.prepare(`
+        SELECT * FROM conversation_turns WHERE session_id = ? ORDER BY turn_number DESC LIMIT 1
+    `),
+    
+    findLatestByContent: db.prepare(`
+        SELECT turn_number FROM conversation_turns 
+        WHERE session_id = ? AND role = ? AND content = ? 
+        ORDER BY turn_number DESC LIMIT 1
+    `),
+    
+    hasRelayTurns: db.prepare(`
+        SELECT 1 FROM conversation_turns WHERE session_id = ? AND source = 'relay' LIMIT 1
+    `),
+    
+    updateContent: db.prepare(`
+        UPDATE conversation_turns SET content = ? WHERE session_id = ? AND turn_number = ?
     `)
 };
 
+const CLIENT_TURN_ROLES = ['user', 'assistant'];
+
 function addConversationTurn(sessionId, role, content, metadata = {}) {
     const countResult = turnStatements.getCount.get(sessionId);
     const turnNumber = (countResult?.count || 0) + 1;
@@ -280,7 +225,10 @@ function addConversationTurn(sessionId, role, content, metadata = {}) {
         role,
         content,
         metadata.audioDurationMs || null,
-        metadata.latencyMs || null
+        metadata.latencyMs || null,
+        metadata.source || null,
+        metadata.yamas ? JSON.stringify(metadata.yamas) : null,
+        metadata.yamas?.composite ?? null
     );
     
     // Also update session activity
@@ -289,10 +237,105 @@ function addConversationTurn(sessionId, role, content, metadata = {}) {
     return turnNumber;
 }
 
+/**
+ * A turn posted by the browser. Once the relay is recording a session the client copy
+ * is not stored - the relay's turn number is returned if the text matches one. Otherwise
+ * the turn is stored unless it repeats the session's last turn (a retried request).
+ * Returns { turnNumber, stored }.
+ */
+const reconcileClientTurn = db.transaction((sessionId, role, content, metadata = {}) => {
+    if (turnStatements.hasRelayTurns.get(sessionId)) {
+        const match = turnStatements.findLatestByContent.get(sessionId, role, content);
+        return { turnNumber: match?.turn_number ?? null, stored: false };
+    }
+
+    const last = turnStatements.getLast.get(sessionId);
+    if (last && last.role === role && last.content === content) {
+        return { turnNumber: last.turn_number, stored: false };
+    }
+
+    return { turnNumber: addConversationTurn(sessionId, role, content, { ...metadata, source: 'client' }), stored: true };
+});
+
+/**
+ * The end-session beacon's copy of the conversation ([{ role, content | text, yamas }]). Only
+ * sessions the relay did not record take anything from it, and only the entries past
+ * the turns already stored, so sending it twice changes nothing. Returns the number added.
+ */
+const reconcileClientHistory = db.transaction((sessionId, history) => {
+    if (turnStatements.hasRelayTurns.get(sessionId)) return 0;
+
+    const turns = history
+        .map(entry => ({ role: entry?.role, content: entry?.content ?? entry?.text, yamas: entry?.yamas }))
+        .filter(turn => CLIENT_TURN_ROLES.includes(turn.role) && typeof turn.content === 'string' && turn.content.trim());
+
+    const existingCount = turnStatements.getCount.get(sessionId).count;
+    for (const turn of turns.slice(existingCount)) {
+        addConversationTurn(sessionId, turn.role, turn.content, { source: 'client', yamas: turn.yamas });
+    }
+    return Math.max(0, turns.length - existingCount);
+});
+
 function getConversationHistory(sessionId) {
     return turnStatements.getBySession.all(sessionId);
 }
 
+// Rewrite a saved turn - a reply cut short by barge-in keeps only what was heard
+function updateTurnContent(sessionId, turnNumber, content) {
+    return turnStatements.updateContent.run(content, sessionId, turnNumber).changes > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SESSION DOCUMENTS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const documentStatements = {
+    add: db.prepare(`
+        INSERT INTO session_documents (session_id, kind, filename, word_count, description, text, text_hash, analysis_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    // Listing leaves out the analysis, which can be large
+    getBySession: db.prepare(`
+        SELECT id, session_id, kind, filename, word_count, description, text_hash, uploaded_at
+        FROM session_documents WHERE session_id = ? ORDER BY id ASC
+    `),
+    getFullBySession: db.prepare('SELECT * FROM session_documents WHERE session_id = ? ORDER BY id ASC'),
+    // Without the parsed text (kept for search and subject access exports)
+    getById: db.prepare(`
+        SELECT id, session_id, kind, filename, word_count, description, text_hash, analysis_json, uploaded_at
+        FROM session_documents WHERE id = ?
+    `),
+    deletePrimary: db.prepare(`DELETE FROM session_documents WHERE session_id = ? AND kind = 'primary'`),
+    delete: db.prepare('DELETE FROM session_documents WHERE id = ?')
+};
+
+const DOCUMENT_KINDS = ['primary', 'additional'];
+
+// A new primary upload replaces the previous one, as it does for the coaching context
+const addSessionDocument = db.transaction((sessionId, doc) => {
+    const kind = DOCUMENT_KINDS.includes(doc.kind) ? doc.kind : 'additional';
+    if (kind === 'primary') documentStatements.deletePrimary.run(sessionId);
+
+    const result = documentStatements.add.run(
+        sessionId,
+        kind,
+        doc.filename || null,
+        doc.wordCount || 0,
+        doc.description || null,
+        doc.text || null,
+        doc.textHash || null,
+        doc.analysis ? JSON.stringify(doc.analysis) : null
+    );
+    console.log(`📄 Session document saved: ${sessionId} (${kind}: ${doc.filename})`);
+    return documentStatements.getById.get(result.lastInsertRowid);
+});
+
+function parseDocumentAnalysis(doc) {
+    if (!doc) return null;
+    const { analysis_json, ...rest } = doc;
+    return { ...rest, analysis: analysis_json ? JSON.parse(analysis_json) : null };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════════
 // REPORT GENERATION
 // ═══════════════════════════════════════════════════════════════════════════════════
@@ -354,6 +397,16 @@ function generateSessionReport(sessionId) {
         
         coachingContext: session.coaching_context,
         
+        documents: documentStatements.getFullBySession.all(sessionId).map(d => ({
+            kind: d.kind,
+            filename: d.filename,
+            wordCount: d.word_count,
+            description: d.description,
+            textHash: d.text_hash,
+            uploadedAt: d.uploaded_at,
+            analysis: d.analysis_json ? JSON.parse(d.analysis_json) : null
+        })),
+        
         conversation: turns.map(t => ({
             turn: t.turn_number,
             role: t.role,
@@ -407,7 +460,10 @@ function getAllSessions(includeArchived = false) {
             s.*,
             u.name as user_name,
             u.email as user_email,
-            (SELECT COUNT(*) FROM conversation_turns WHERE session_id = s.session_id) as turn_count
+            CASE WHEN s.transcript_purged_at IS NOT NULL
+                THEN json_extract(s.retained_stats_json, '$.totalTurns')
+                ELSE (SELECT COUNT(*) FROM conversation_turns WHERE session_id = s.session_id)
+            END as turn_count
         FROM sessions s
         LEFT JOIN users u ON s.user_id = u.id
         ${archivedFilter}
@@ -422,7 +478,10 @@ function getArchivedSessions() {
             s.*,
             u.name as user_name,
             u.email as user_email,
-            (SELECT COUNT(*) FROM conversation_turns WHERE session_id = s.session_id) as turn_count
+            CASE WHEN s.transcript_purged_at IS NOT NULL
+                THEN json_extract(s.retained_stats_json, '$.totalTurns')
+                ELSE (SELECT COUNT(*) FROM conversation_turns WHERE session_id = s.session_id)
+            END as turn_count
         FROM sessions s
         LEFT JOIN users u ON s.user_id = u.id
         WHERE s.archived = 1
@@ -454,6 +513,267 @@ function unarchiveSession(sessionId) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ADMIN SESSION LIST & SEARCH (paginated list, ranked full-text hits)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const SESSION_TURN_COUNT = `CASE WHEN s.transcript_purged_at IS NOT NULL
+    THEN json_extract(s.retained_stats_json, '$.totalTurns')
+    ELSE (SELECT COUNT(*) FROM conversation_turns WHERE session_id = s.session_id)
+END`;
+
+// Sort key -> ORDER BY expression. NULLs are coalesced so a cursor can compare against them.
+const SESSION_SORTS = {
+    started: "COALESCE(s.started_at, '')",
+    ended: "COALESCE(s.ended_at, '')",
+    student: "COALESCE(u.name, '')",
+    organisation: "COALESCE(s.organisation_name, '')",
+    turns: `COALESCE(${SESSION_TURN_COUNT}, 0)`
+};
+
+const TRANSCRIPT_MATCH = `
+    SELECT t.session_id FROM conversation_turns_fts
+    JOIN conversation_turns t ON t.id = conversation_turns_fts.rowid
+    WHERE conversation_turns_fts MATCH @fts
+`;
+
+const sessionListStatements = {
+    // Best-matching turn of one session, hit wrapped in [[ ]]
+    snippet: db.prepare(`
+        SELECT snippet(conversation_turns_fts, 0, '[[', ']]', '…', 16) AS text, t.role, t.turn_number
+        FROM conversation_turns_fts
+        JOIN conversation_turns t ON t.id = conversation_turns_fts.rowid
+        WHERE conversation_turns_fts MATCH ? AND t.session_id = ?
+        ORDER BY rank
+        LIMIT 1
+    `)
+};
+
+// A session must match one scope entry (tutorialGroup null covers the whole course)
+function scopeCondition(scope, params) {
+    return `(${scope.map((entry, i) => {
+        params[`scopeCourse${i}`] = entry.courseCode;
+        if (!entry.tutorialGroup) return `s.course_code = @scopeCourse${i}`;
+        params[`scopeGroup${i}`] = entry.tutorialGroup;
+        return `(s.course_code = @scopeCourse${i} AND s.tutorial_group = @scopeGroup${i})`;
+    }).join(' OR ')})`;
+}
+
+function queryError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_QUERY';
+    return err;
+}
+
+// Free text -> FTS5 query: "quoted phrases" stay together, other words match as prefixes, all ANDed
+function toFtsQuery(text) {
+    const terms = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(text)))) {
+        const term = (match[1] ?? match[2]).replace(/"/g, '').trim();
+        if (!/[\p{L}\p{N}]/u.test(term)) continue;
+        terms.push(match[1] !== undefined ? `"${term}"` : `"${term}"*`);
+    }
+    return terms.join(' ');
+}
+
+// Cursors are opaque to callers and only valid for the sort they were issued under
+function encodeCursor(sort, order, row) {
+    return Buffer.from(JSON.stringify([sort, order, row.sort_value, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    try {
+        const [cursorSort, cursorOrder, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (cursorSort === sort && cursorOrder === order && Number.isInteger(id)) return { value, id };
+    } catch (err) {
+        // fall through
+    }
+    throw queryError('Invalid cursor for this sort order');
+}
+
+/**
+ * One page of the admin session list: { sessions, total, nextCursor }.
+ *
+ *   scope          null for every session, or [{ courseCode, tutorialGroup }] - a session
+ *                  must match one entry (tutorialGroup null covers the whole course)
+ *   archived       'exclude' (default), 'include' or 'only'
+ *   status, courseCode, responseLength   exact match
+ *   organisation   substring
+ *   from, to       started_at range (to is exclusive)
+ *   search         student name / email / organisation / session id, or any transcript
+ *                  turn; sessions found by transcript carry `match` ({ text, role, turn_number })
+ *   sort, order    started | ended | student | organisation | turns, asc | desc
+ *   cursor, limit  nextCursor from the previous page; page size
+ */
+function querySessions({ scope = null, archived = 'exclude', status = null, courseCode = null, responseLength = null,
+    organisation = null, from = null, to = null, search = null, sort = 'started', order = 'desc',
+    cursor = null, limit = 50 } = {}) {
+    if (!SESSION_SORTS[sort]) throw queryError(`sort must be one of: ${Object.keys(SESSION_SORTS).join(', ')}`);
+    if (order !== 'asc' && order !== 'desc') throw queryError('order must be asc or desc');
+    if (scope && scope.length === 0) return { sessions: [], total: 0, nextCursor: null };
+
+    const where = [];
+    const params = {};
+
+    if (scope) where.push(scopeCondition(scope, params));
+
+    if (archived === 'only') where.push('s.archived = 1');
+    else if (archived !== 'include') where.push('(s.archived = 0 OR s.archived IS NULL)');
+
+    const exact = { status: 's.status', courseCode: 's.course_code', responseLength: 's.response_length' };
+    for (const [key, value] of Object.entries({ status, courseCode, responseLength })) {
+        if (!value) continue;
+        where.push(`${exact[key]} = @${key}`);
+        params[key] = value;
+    }
+    if (organisation) {
+        where.push('s.organisation_name LIKE @organisation');
+        params.organisation = `%${organisation}%`;
+    }
+    if (from) {
+        where.push('s.started_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        where.push('s.started_at < @to');
+        params.to = to;
+    }
+
+    const fts = search ? toFtsQuery(search) : '';
+    if (search) {
+        const matches = ['u.name LIKE @like', 'u.email LIKE @like', 's.organisation_name LIKE @like', 's.session_id LIKE @like'];
+        params.like = `%${search}%`;
+        if (fts) {
+            matches.push(`s.session_id IN (${TRANSCRIPT_MATCH})`);
+            params.fts = fts;
+        }
+        where.push(`(${matches.join(' OR ')})`);
+    }
+
+    const tables = 'FROM sessions s LEFT JOIN users u ON s.user_id = u.id';
+    const total = db.prepare(`SELECT COUNT(*) AS count ${tables} ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`)
+        .get(params).count;
+
+    const sortExpr = SESSION_SORTS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    if (cursor) {
+        const { value, id } = decodeCursor(cursor, sort, order);
+        const after = order === 'asc' ? '>' : '<';
+        where.push(`(${sortExpr} ${after} @cursorValue OR (${sortExpr} = @cursorValue AND s.id ${after} @cursorId))`);
+        params.cursorValue = value;
+        params.cursorId = id;
+    }
+
+    const rows = db.prepare(`
+        SELECT 
+            s.*,
+            u.name as user_name,
+            u.email as user_email,
+            ${SESSION_TURN_COUNT} as turn_count,
+            ${sortExpr} as sort_value
+        ${tables}
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY sort_value ${direction}, s.id ${direction}
+        LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null;
+
+    const sessions = page.map(({ sort_value, ...session }) => {
+        const match = fts ? sessionListStatements.snippet.get(fts, session.session_id) : null;
+        return match ? { ...session, match } : session;
+    });
+
+    return { sessions, total, nextCursor };
+}
+
+// One SELECT per searchable source, each ranked by bm25 within its own index
+const SEARCH_SOURCES = {
+    turns: `
+        SELECT 'turn' AS source, t.session_id, t.turn_number, t.role, NULL AS document_id, NULL AS filename,
+            snippet(conversation_turns_fts, 0, '[[', ']]', '…', 16) AS snippet,
+            bm25(conversation_turns_fts) AS rank
+        FROM conversation_turns_fts
+        JOIN conversation_turns t ON t.id = conversation_turns_fts.rowid
+        WHERE conversation_turns_fts MATCH @fts
+    `,
+    takeaways: `
+        SELECT 'takeaways' AS source, ts.session_id, NULL AS turn_number, NULL AS role, NULL AS document_id, NULL AS filename,
+            snippet(session_takeaways_fts, 0, '[[', ']]', '…', 16) AS snippet,
+            bm25(session_takeaways_fts) AS rank
+        FROM session_takeaways_fts
+        JOIN sessions ts ON ts.id = session_takeaways_fts.rowid
+        WHERE session_takeaways_fts MATCH @fts
+    `,
+    documents: `
+        SELECT 'document' AS source, d.session_id, NULL AS turn_number, NULL AS role, d.id AS document_id, d.filename,
+            snippet(session_documents_fts, -1, '[[', ']]', '…', 16) AS snippet,
+            bm25(session_documents_fts) AS rank
+        FROM session_documents_fts
+        JOIN session_documents d ON d.id = session_documents_fts.rowid
+        WHERE session_documents_fts MATCH @fts
+    `
+};
+
+// Takeaway snippets are cut from HTML, so may start or end inside a tag
+function stripSnippetTags(snippet) {
+    return snippet
+        .replace(/<[^>]*>|^[^<>]*>|<[^>]*$/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Ranked full-text hits across transcripts, key takeaways and document text:
+ * { hits: [{ source, session_id, turn_number, role, document_id, filename, snippet, ... }], total }.
+ * Snippets mark the matched terms with [[ ]]; each hit carries its session's student,
+ * organisation, course and start time. `scope` is as for querySessions; `sources` picks
+ * from turns / takeaways / documents (default all).
+ */
+function searchSessions({ query, scope = null, sources = Object.keys(SEARCH_SOURCES), courseCode = null,
+    limit = 25, offset = 0 } = {}) {
+    const fts = toFtsQuery(query || '');
+    if (!fts) throw queryError('Search needs at least one word');
+    const unknown = sources.filter(source => !SEARCH_SOURCES[source]);
+    if (unknown.length || sources.length === 0) {
+        throw queryError(`sources must be drawn from: ${Object.keys(SEARCH_SOURCES).join(', ')}`);
+    }
+    if (scope && scope.length === 0) return { hits: [], total: 0 };
+
+    const params = { fts };
+    const where = [];
+    if (scope) where.push(scopeCondition(scope, params));
+    if (courseCode) {
+        where.push('s.course_code = @courseCode');
+        params.courseCode = courseCode;
+    }
+
+    const hits = `
+        FROM (${sources.map(source => SEARCH_SOURCES[source]).join(' UNION ALL ')}) hit
+        JOIN sessions s ON s.session_id = hit.session_id
+        LEFT JOIN users u ON s.user_id = u.id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    `;
+    const total = db.prepare(`SELECT COUNT(*) AS count ${hits}`).get(params).count;
+    const rows = db.prepare(`
+        SELECT hit.*, u.name AS user_name, s.organisation_name, s.course_code, s.tutorial_group, s.started_at, s.archived
+        ${hits}
+        ORDER BY hit.rank ASC
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return {
+        hits: rows.map(row => row.source === 'takeaways' ? { ...row, snippet: stripSnippetTags(row.snippet) } : row),
+        total
+    };
+}
+
 // Get all users (for admin dashboard)
 function getAllUsers() {
     return db.prepare(`
@@ -474,11 +794,17 @@ function getSessionDetails(sessionId) {
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(session.user_id);
     const turns = getConversationHistory(sessionId);
     const report = reportStatements.getBySession.get(sessionId);
+    const documents = documentStatements.getBySession.all(sessionId);
+    const telemetry = telemetryStatements.getBySession.all(sessionId).map(parseTelemetry);
+    const guardrailViolations = guardrailStatements.getBySession.all(sessionId);
     
     return {
         ...session,
         user,
         turns,
+        documents,
+        telemetry,
+        guardrailViolations,
         report: report ? {
             data: JSON.parse(report.report_json),
             hash: report.report_hash,
@@ -493,8 +819,14 @@ function deleteSession(sessionId) {
     if (!session) return false;
     
     db.transaction(() => {
+        db.prepare('DELETE FROM report_routing_log WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM email_outbox WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM student_memories WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM session_documents WHERE session_id = ?').run(sessionId);
         db.prepare('DELETE FROM session_reports WHERE session_id = ?').run(sessionId);
         db.prepare('DELETE FROM conversation_turns WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM turn_telemetry WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM guardrail_violations WHERE session_id = ?').run(sessionId);
         db.prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId);
     })();
     
@@ -517,6 +849,850 @@ function exportAllData() {
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════════
+// COHORT ANALYTICS (raw rows - analyticsService.js does the aggregation)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Everything the analytics page needs for the sessions in range, archived ones included:
+ *
+ *   sessions   one row per session - local start day and week (Monday), length in
+ *              minutes once ended, turn count (kept through transcript purges),
+ *              response length and organisation
+ *   latencies  { role, latency_ms } of every turn that recorded one
+ *   analyses   { session_id, kind, analysis_json } of every uploaded document, plus the
+ *              session's initial analysis where it predates per-document storage
+ *
+ * `scope` is as for querySessions; from / to bound started_at (to is exclusive).
+ */
+function getAnalyticsData({ scope = null, courseCode = null, from = null, to = null } = {}) {
+    if (scope && scope.length === 0) return { sessions: [], latencies: [], analyses: [], yamas: [] };
+
+    const where = [];
+    const params = {};
+    if (scope) where.push(scopeCondition(scope, params));
+    if (courseCode) {
+        where.push('s.course_code = @courseCode');
+        params.courseCode = courseCode;
+    }
+    if (from) {
+        where.push('s.started_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        where.push('s.started_at < @to');
+        params.to = to;
+    }
+    const inRange = `SELECT s.session_id FROM sessions s ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+
+    const sessions = db.prepare(`
+        SELECT 
+            s.session_id,
+            s.user_id,
+            s.course_code,
+            s.status,
+            s.response_length,
+            s.organisation_name,
+            s.started_at,
+            date(s.started_at, 'localtime') AS day,
+            date(s.started_at, 'localtime', 'weekday 0', '-6 days') AS week,
+            CASE WHEN s.ended_at IS NOT NULL
+                THEN (julianday(s.ended_at) - julianday(s.started_at)) * 1440
+            END AS minutes,
+            ${SESSION_TURN_COUNT} AS turn_count
+        FROM sessions s
+        WHERE s.session_id IN (${inRange})
+        ORDER BY s.started_at ASC
+    `).all(params);
+
+    const latencies = db.prepare(`
+        SELECT role, latency_ms FROM conversation_turns
+        WHERE latency_ms IS NOT NULL AND session_id IN (${inRange})
+    `).all(params);
+
+    const analyses = db.prepare(`
+        SELECT session_id, kind, analysis_json FROM session_documents
+        WHERE analysis_json IS NOT NULL AND session_id IN (${inRange})
+        UNION ALL
+        SELECT session_id, 'primary' AS kind, initial_parse_json AS analysis_json FROM sessions
+        WHERE initial_parse_json IS NOT NULL AND session_id IN (${inRange})
+            AND session_id NOT IN (SELECT session_id FROM session_documents WHERE kind = 'primary')
+    `).all(params);
+
+    // Assistant turns' Yamas scores, by when the turn was spoken
+    const yamas = db.prepare(`
+        SELECT 
+            session_id,
+            yamas_json,
+            date(timestamp, 'localtime') AS day,
+            date(timestamp, 'localtime', 'weekday 0', '-6 days') AS week
+        FROM conversation_turns
+        WHERE yamas_json IS NOT NULL AND session_id IN (${inRange})
+    `).all(params);
+
+    return { sessions, latencies, analyses, yamas };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// STUDENT DATA REQUESTS (subject access export / right to erasure)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const dataRequestStatements = {
+    getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+    // Unlike getUserSessions, every session - archived and all
+    getSessions: db.prepare('SELECT * FROM sessions WHERE user_id = ? ORDER BY started_at ASC'),
+    getReports: db.prepare('SELECT * FROM session_reports WHERE session_id = ? ORDER BY id ASC'),
+    getRouting: db.prepare('SELECT * FROM report_routing_log WHERE session_id = ? ORDER BY id ASC'),
+    // Report emails about their sessions, plus anything sent to them (login codes, own report copies)
+    getEmails: db.prepare(`
+        SELECT * FROM email_outbox 
+        WHERE to_email = ? COLLATE NOCASE 
+           OR session_id IN (SELECT session_id FROM sessions WHERE user_id = ?)
+        ORDER BY id ASC
+    `),
+    getLoginCodes: db.prepare(`
+        SELECT created_at, expires_at, used_at, attempts FROM student_login_codes WHERE user_id = ? ORDER BY id ASC
+    `),
+    getTokens: db.prepare(`
+        SELECT created_at, expires_at, revoked_at FROM student_tokens WHERE user_id = ? ORDER BY created_at ASC
+    `),
+    insertTombstone: db.prepare(`
+        INSERT INTO erasure_tombstones (user_id, email_hash, session_count, deleted_counts_json, erased_by, reason)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    getTombstoneById: db.prepare('SELECT * FROM erasure_tombstones WHERE id = ?'),
+    getTombstones: db.prepare('SELECT * FROM erasure_tombstones ORDER BY id DESC LIMIT ?')
+};
+
+function parseJsonColumn(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (err) {
+        return value;  // Hand back the raw text rather than drop it
+    }
+}
+
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+// Everything held about one student, as plain JSON. Null if the user does not exist.
+function exportUserData(userId) {
+    const user = dataRequestStatements.getUser.get(userId);
+    if (!user) return null;
+
+    const sessions = dataRequestStatements.getSessions.all(userId).map(session => {
+        const { initial_parse_json, retained_stats_json, ...rest } = session;
+        return {
+            ...rest,
+            initialAnalysis: parseJsonColumn(initial_parse_json),
+            retainedStats: parseJsonColumn(retained_stats_json),
+            turns: turnStatements.getBySession.all(session.session_id),
+            telemetry: telemetryStatements.getBySession.all(session.session_id).map(parseTelemetry),
+            guardrailViolations: guardrailStatements.getBySession.all(session.session_id),
+            documents: documentStatements.getFullBySession.all(session.session_id).map(parseDocumentAnalysis),
+            reports: dataRequestStatements.getReports.all(session.session_id).map(({ report_json, ...report }) => ({
+                ...report,
+                report: parseJsonColumn(report_json)
+            })),
+            reportRouting: dataRequestStatements.getRouting.all(session.session_id)
+        };
+    });
+
+    return {
+        exportedAt: new Date().toISOString(),
+        format: 'kea-subject-access/1',
+        profile: user,
+        sessions,
+        memories: memoryStatements.getByUser.all(userId),
+        // A login code still in the queue is live, so it never leaves in an export
+        emails: dataRequestStatements.getEmails.all(user.email, userId).map(({ payload_json, ...email }) => {
+            const payload = parseJsonColumn(payload_json);
+            if (email.kind === 'student_login_code' && payload) delete payload.code;
+            return { ...email, payload };
+        }),
+        portalAccess: {
+            loginCodes: dataRequestStatements.getLoginCodes.all(userId),
+            tokens: dataRequestStatements.getTokens.all(userId)
+        }
+    };
+}
+
+/**
+ * Delete a student and everything linked to them, leaving an erasure_tombstones row.
+ * Returns the tombstone, or null if the user does not exist.
+ */
+const eraseUser = db.transaction((userId, { erasedBy = null, reason = null } = {}) => {
+    const user = dataRequestStatements.getUser.get(userId);
+    if (!user) return null;
+
+    const sessionIds = dataRequestStatements.getSessions.all(userId).map(s => s.session_id);
+    const counts = {};
+    const run = (table, sql, ...params) => {
+        counts[table] = (counts[table] || 0) + db.prepare(sql).run(...params).changes;
+    };
+
+    // Emails first - the session subquery needs the sessions still in place
+    run('email_outbox', `
+        DELETE FROM email_outbox 
+        WHERE to_email = ? COLLATE NOCASE OR session_id IN (SELECT session_id FROM sessions WHERE user_id = ?)
+    `, user.email, userId);
+
+    for (const sessionId of sessionIds) {
+        run('report_routing_log', 'DELETE FROM report_routing_log WHERE session_id = ?', sessionId);
+        run('session_documents', 'DELETE FROM session_documents WHERE session_id = ?', sessionId);
+        run('session_reports', 'DELETE FROM session_reports WHERE session_id = ?', sessionId);
+        run('conversation_turns', 'DELETE FROM conversation_turns WHERE session_id = ?', sessionId);
+        run('turn_telemetry', 'DELETE FROM turn_telemetry WHERE session_id = ?', sessionId);
+        run('guardrail_violations', 'DELETE FROM guardrail_violations WHERE session_id = ?', sessionId);
+        run('student_memories', 'DELETE FROM student_memories WHERE session_id = ?', sessionId);
+    }
+    run('student_memories', 'DELETE FROM student_memories WHERE user_id = ?', userId);
+    run('student_login_codes', 'DELETE FROM student_login_codes WHERE user_id = ?', userId);
+    run('student_tokens', 'DELETE FROM student_tokens WHERE user_id = ?', userId);
+    run('sessions', 'DELETE FROM sessions WHERE user_id = ?', userId);
+    run('users', 'DELETE FROM users WHERE id = ?', userId);
+
+    const result = dataRequestStatements.insertTombstone.run(
+        userId, hashEmail(user.email), sessionIds.length, JSON.stringify(counts), erasedBy, reason
+    );
+    console.log(`🗑️ User ${userId} erased: ${sessionIds.length} sessions (tombstone #${result.lastInsertRowid})`);
+    return { ...dataRequestStatements.getTombstoneById.get(result.lastInsertRowid), sessionIds };
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// ADMIN ACCOUNTS & TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const adminStatements = {
+    findByUsername: db.prepare('SELECT * FROM admin_users WHERE username = ?'),
+    findById: db.prepare('SELECT * FROM admin_users WHERE id = ?'),
+    create: db.prepare(`
+        INSERT INTO admin_users (username, password_hash, password_salt, display_name)
+        VALUES (?, ?, ?, ?)
+    `),
+    count: db.prepare('SELECT COUNT(*) as count FROM admin_users'),
+    updateLastLogin: db.prepare('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?'),
+    setDisabled: db.prepare('UPDATE admin_users SET disabled = ? WHERE id = ?'),
+    
+    createToken: db.prepare(`
+        INSERT INTO admin_tokens (jti, admin_user_id, expires_at) VALUES (?, ?, ?)
+    `),
+    getToken: db.prepare('SELECT * FROM admin_tokens WHERE jti = ?'),
+    revokeToken: db.prepare(`
+        UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = ? AND revoked_at IS NULL
+    `),
+    revokeAllForUser: db.prepare(`
+        UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE admin_user_id = ? AND revoked_at IS NULL
+    `),
+    deleteExpiredTokens: db.prepare(`DELETE FROM admin_tokens WHERE expires_at < ?`),
+    
+    getRoles: db.prepare('SELECT * FROM admin_roles WHERE admin_user_id = ? ORDER BY id'),
+    getRole: db.prepare('SELECT * FROM admin_roles WHERE id = ?'),
+    getAllRoles: db.prepare(`
+        SELECT r.*, a.username, a.display_name
+        FROM admin_roles r
+        JOIN admin_users a ON r.admin_user_id = a.id
+        ORDER BY a.username, r.id
+    `),
+    findRole: db.prepare(`
+        SELECT * FROM admin_roles 
+        WHERE admin_user_id = ? AND role = ? 
+        AND course_code IS ? AND tutorial_group IS ?
+    `),
+    createRole: db.prepare(`
+        INSERT INTO admin_roles (admin_user_id, role, course_code, tutorial_group) VALUES (?, ?, ?, ?)
+    `),
+    deleteRole: db.prepare('DELETE FROM admin_roles WHERE id = ?')
+};
+
+function createAdminUser(username, passwordHash, passwordSalt, displayName = null) {
+    const result = adminStatements.create.run(username, passwordHash, passwordSalt, displayName);
+    console.log(`🔐 Admin account created: ${username}`);
+    return { id: result.lastInsertRowid, username, display_name: displayName };
+}
+
+// Grant a role; returns the existing grant if the same one is already held
+function grantAdminRole(adminUserId, role, courseCode = null, tutorialGroup = null) {
+    const existing = adminStatements.findRole.get(adminUserId, role, courseCode, tutorialGroup);
+    if (existing) return existing;
+    
+    const result = adminStatements.createRole.run(adminUserId, role, courseCode, tutorialGroup);
+    console.log(`🔐 Role granted: ${role}${courseCode ? ` (${courseCode}${tutorialGroup ? `/${tutorialGroup}` : ''})` : ''} to admin ${adminUserId}`);
+    return adminStatements.getRole.get(result.lastInsertRowid);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// COURSES
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const courseStatements = {
+    get: db.prepare('SELECT * FROM courses WHERE course_code = ?'),
+    getAll: db.prepare('SELECT * FROM courses ORDER BY course_code'),
+    upsert: db.prepare(`
+        INSERT INTO courses (course_code, name, config_json, active) VALUES (?, ?, ?, ?)
+        ON CONFLICT(course_code) DO UPDATE SET
+            name = excluded.name,
+            config_json = excluded.config_json,
+            active = excluded.active,
+            updated_at = CURRENT_TIMESTAMP
+    `)
+};
+
+function saveCourse(courseCode, name, config, active = true) {
+    courseStatements.upsert.run(courseCode, name, JSON.stringify(config), active ? 1 : 0);
+    console.log(`📚 Course saved: ${courseCode} - ${name}`);
+    return courseStatements.get.get(courseCode);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// REPORT RECIPIENTS & ROUTING LOG
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const routingStatements = {
+    getRecipients: db.prepare(`
+        SELECT * FROM course_report_recipients WHERE course_code = ? ORDER BY role, email
+    `),
+    getRecipient: db.prepare('SELECT * FROM course_report_recipients WHERE id = ?'),
+    upsertRecipient: db.prepare(`
+        INSERT INTO course_report_recipients (course_code, email, name, role, tutorial_group, opted_in)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(course_code, email) DO UPDATE SET
+            name = excluded.name,
+            role = excluded.role,
+            tutorial_group = excluded.tutorial_group,
+            opted_in = excluded.opted_in,
+            updated_at = CURRENT_TIMESTAMP
+    `),
+    findRecipient: db.prepare(`
+        SELECT * FROM course_report_recipients WHERE course_code = ? AND email = ?
+    `),
+    deleteRecipient: db.prepare('DELETE FROM course_report_recipients WHERE id = ?'),
+    
+    addLog: db.prepare(`
+        INSERT INTO report_routing_log 
+            (session_id, course_code, report_hash, recipient_email, recipient_role, delivery_mode, decision, detail)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    getLogForSession: db.prepare(`
+        SELECT * FROM report_routing_log WHERE session_id = ? ORDER BY id
+    `)
+};
+
+function saveReportRecipient(courseCode, { email, name = null, role = 'instructor', tutorialGroup = null, optedIn = true }) {
+    routingStatements.upsertRecipient.run(courseCode, email, name, role, tutorialGroup, optedIn ? 1 : 0);
+    return routingStatements.findRecipient.get(courseCode, email);
+}
+
+function logReportRouting(entry) {
+    routingStatements.addLog.run(
+        entry.sessionId,
+        entry.courseCode || null,
+        entry.reportHash || null,
+        entry.recipientEmail || null,
+        entry.recipientRole || null,
+        entry.deliveryMode || null,
+        entry.decision,
+        entry.detail || null
+    );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// EMAIL OUTBOX
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const outboxStatements = {
+    insert: db.prepare(`
+        INSERT INTO email_outbox 
+            (kind, session_id, course_code, to_email, recipient_role, payload_json, max_attempts, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    getById: db.prepare('SELECT * FROM email_outbox WHERE id = ?'),
+    getDue: db.prepare(`
+        SELECT * FROM email_outbox 
+        WHERE status = 'queued' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, id
+        LIMIT ?
+    `),
+    getRecent: db.prepare(`
+        SELECT * FROM email_outbox
+        WHERE (@status IS NULL OR status = @status)
+          AND (@sessionId IS NULL OR session_id = @sessionId)
+        ORDER BY id DESC
+        LIMIT @limit
+    `),
+    update: db.prepare(`
+        UPDATE email_outbox SET
+            status = @status,
+            attempts = @attempts,
+            next_attempt_at = @nextAttemptAt,
+            last_error = @lastError,
+            provider_message_id = COALESCE(@providerMessageId, provider_message_id),
+            payload_json = COALESCE(@payloadJson, payload_json),
+            sent_at = CASE WHEN @status = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `),
+    // SendGrid event ids are "<x-message-id>.<filter suffix>", so match on the prefix
+    markBounced: db.prepare(`
+        UPDATE email_outbox SET status = 'bounced', last_error = ?, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE provider_message_id IS NOT NULL AND substr(?, 1, length(provider_message_id)) = provider_message_id
+    `),
+    countByStatus: db.prepare('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status')
+};
+
+function enqueueEmail({ kind, sessionId = null, courseCode = null, toEmail, recipientRole = null, payload, maxAttempts = 5 }) {
+    const result = outboxStatements.insert.run(
+        kind, sessionId, courseCode, toEmail, recipientRole,
+        JSON.stringify(payload), maxAttempts, new Date().toISOString()
+    );
+    return outboxStatements.getById.get(result.lastInsertRowid);
+}
+
+// `payload` replaces the stored payload (secrets dropped after delivery); null keeps it
+function updateOutboxEmail(id, { status, attempts, nextAttemptAt = null, lastError = null, providerMessageId = null, payload = null }) {
+    outboxStatements.update.run({
+        id, status, attempts, nextAttemptAt, lastError, providerMessageId,
+        payloadJson: payload ? JSON.stringify(payload) : null
+    });
+    return outboxStatements.getById.get(id);
+}
+
+function getOutboxEmails({ status = null, sessionId = null, limit = 200 } = {}) {
+    return outboxStatements.getRecent.all({ status, sessionId, limit });
+}
+
+function getOutboxCounts() {
+    return Object.fromEntries(outboxStatements.countByStatus.all().map(r => [r.status, r.count]));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// DIGEST RUNS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const digestStatements = {
+    insert: db.prepare(`
+        INSERT INTO digest_runs (course_code, cadence, period_start, period_end, trigger, session_count, recipient_count)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    getById: db.prepare('SELECT * FROM digest_runs WHERE id = ?'),
+    findScheduled: db.prepare(`
+        SELECT * FROM digest_runs 
+        WHERE course_code = ? AND cadence = ? AND period_start = ? AND trigger = 'scheduled'
+    `),
+    getRecent: db.prepare('SELECT * FROM digest_runs ORDER BY id DESC LIMIT ?')
+};
+
+function recordDigestRun({ courseCode, cadence, periodStart, periodEnd, trigger = 'scheduled', sessionCount = 0, recipientCount = 0 }) {
+    const result = digestStatements.insert.run(courseCode, cadence, periodStart, periodEnd, trigger, sessionCount, recipientCount);
+    return digestStatements.getById.get(result.lastInsertRowid);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RETENTION (retentionService.js)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Which marker column each retention stage sets - never taken from input
+const RETENTION_COLUMNS = {
+    transcripts: 'transcript_purged_at',
+    analysis: 'analysis_purged_at',
+    anonymise: 'anonymised_at'
+};
+
+const retentionStatements = {
+    purgeTranscript: db.prepare(`
+        UPDATE sessions 
+        SET key_takeaways_html = NULL, retained_stats_json = ?, transcript_purged_at = CURRENT_TIMESTAMP
+        WHERE session_id = ?
+    `),
+    purgeAnalysis: db.prepare(`
+        UPDATE sessions 
+        SET initial_parse_json = NULL, coaching_context = NULL, analysis_purged_at = CURRENT_TIMESTAMP
+        WHERE session_id = ?
+    `),
+    purgeDocumentAnalysis: db.prepare(`
+        UPDATE session_documents SET analysis_json = NULL, description = NULL, text = NULL WHERE session_id = ?
+    `),
+    anonymise: db.prepare(`
+        UPDATE sessions SET user_id = NULL, anonymised_at = CURRENT_TIMESTAMP WHERE session_id = ?
+    `),
+    // Student copies of reports name the student
+    anonymiseRouting: db.prepare(`
+        UPDATE report_routing_log SET recipient_email = NULL WHERE session_id = ? AND recipient_role = 'student'
+    `),
+    countUserSessions: db.prepare('SELECT COUNT(*) as count FROM sessions WHERE user_id = ?'),
+    insertRun: db.prepare(`
+        INSERT INTO retention_runs (course_code, trigger, transcripts_purged, analyses_purged, sessions_anonymised, users_removed)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    getRunById: db.prepare('SELECT * FROM retention_runs WHERE id = ?'),
+    getRecentRuns: db.prepare('SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?')
+};
+
+// Ended sessions in a course that a stage has not reached yet, ended more than `days` ago
+function findRetentionCandidates(courseCode, stage, days) {
+    const column = RETENTION_COLUMNS[stage];
+    if (!column) throw new Error(`Unknown retention stage: ${stage}`);
+
+    return db.prepare(`
+        SELECT 
+            s.session_id, s.user_id, s.course_code, s.tutorial_group, s.organisation_name,
+            s.started_at, s.ended_at, s.status,
+            u.name as user_name,
+            u.email as user_email
+        FROM sessions s
+        LEFT JOIN users u ON s.user_id = u.id
+        WHERE s.course_code = ? AND s.status != 'active' AND s.${column} IS NULL
+          AND COALESCE(s.ended_at, s.last_activity_at, s.started_at) < datetime('now', ?)
+        ORDER BY s.started_at ASC
+    `).all(courseCode, `-${days} days`);
+}
+
+// Deletes the transcript, takeaways and stored reports, keeping turn and word counts
+const purgeSessionTranscript = db.transaction((sessionId) => {
+    const turns = turnStatements.getBySession.all(sessionId);
+    const words = role => turns
+        .filter(t => t.role === role)
+        .reduce((sum, t) => sum + (t.content?.split(/\s+/).length || 0), 0);
+    const stats = {
+        totalTurns: turns.length,
+        userTurns: turns.filter(t => t.role === 'user').length,
+        assistantTurns: turns.filter(t => t.role === 'assistant').length,
+        totalUserWords: words('user'),
+        totalAssistantWords: words('assistant')
+    };
+
+    db.prepare('DELETE FROM conversation_turns WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM session_reports WHERE session_id = ?').run(sessionId);
+    // Guardrail rows stay for the counts; their excerpts are reply text
+    db.prepare('UPDATE guardrail_violations SET excerpt = NULL WHERE session_id = ?').run(sessionId);
+    // Sent report emails carry the full report in their payload
+    db.prepare(`DELETE FROM email_outbox WHERE session_id = ? AND status != 'queued'`).run(sessionId);
+    retentionStatements.purgeTranscript.run(JSON.stringify(stats), sessionId);
+    return stats;
+});
+
+// Clears the document analysis and coaching context (what Kea knew about the submission)
+const purgeSessionAnalysis = db.transaction((sessionId) => {
+    retentionStatements.purgeAnalysis.run(sessionId);
+    retentionStatements.purgeDocumentAnalysis.run(sessionId);
+});
+
+// Detaches a session from its student. Returns true when that was the student's last
+// session and their account was removed too.
+const anonymiseSession = db.transaction((sessionId) => {
+    const session = sessionStatements.get.get(sessionId);
+    if (!session) return false;
+
+    db.prepare('DELETE FROM student_memories WHERE session_id = ?').run(sessionId);
+    retentionStatements.anonymiseRouting.run(sessionId);
+    retentionStatements.anonymise.run(sessionId);
+
+    if (!session.user_id || retentionStatements.countUserSessions.get(session.user_id).count > 0) {
+        return false;
+    }
+    db.prepare('DELETE FROM student_memories WHERE user_id = ?').run(session.user_id);
+    db.prepare('DELETE FROM student_login_codes WHERE user_id = ?').run(session.user_id);
+    db.prepare('DELETE FROM student_tokens WHERE user_id = ?').run(session.user_id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(session.user_id);
+    return true;
+});
+
+function recordRetentionRun({ courseCode, trigger = 'scheduled', transcriptsPurged = 0, analysesPurged = 0, sessionsAnonymised = 0, usersRemoved = 0 }) {
+    const result = retentionStatements.insertRun.run(
+        courseCode, trigger, transcriptsPurged, analysesPurged, sessionsAnonymised, usersRemoved
+    );
+    return retentionStatements.getRunById.get(result.lastInsertRowid);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// AUDIT LOG (auditLog.js)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// Fields covered by each event's hash, in a fixed order
+const AUDIT_HASH_FIELDS = [
+    'created_at', 'actor_type', 'actor_id', 'actor_name', 'action', 'target_type',
+    'target_id', 'course_code', 'ip', 'outcome', 'detail_json', 'previous_hash'
+];
+
+const auditStatements = {
+    insert: db.prepare(`
+        INSERT INTO audit_events 
+            (created_at, actor_type, actor_id, actor_name, action, target_type, target_id, course_code, ip, outcome, detail_json, previous_hash, content_hash)
+        VALUES 
+            (@created_at, @actor_type, @actor_id, @actor_name, @action, @target_type, @target_id, @course_code, @ip, @outcome, @detail_json, @previous_hash, @content_hash)
+    `),
+    getLast: db.prepare('SELECT content_hash FROM audit_events ORDER BY id DESC LIMIT 1'),
+    getAll: db.prepare('SELECT * FROM audit_events ORDER BY id ASC'),
+    query: db.prepare(`
+        SELECT * FROM audit_events
+        WHERE (@actorType IS NULL OR actor_type = @actorType)
+          AND (@actor IS NULL OR actor_id = @actor OR actor_name = @actor)
+          AND (@action IS NULL OR action = @action OR action LIKE @action || '.%')
+          AND (@targetType IS NULL OR target_type = @targetType)
+          AND (@targetId IS NULL OR target_id = @targetId)
+          AND (@courseCode IS NULL OR course_code = @courseCode)
+          AND (@courseCodes IS NULL OR course_code IN (SELECT value FROM json_each(@courseCodes)))
+          AND (@outcome IS NULL OR outcome = @outcome)
+          AND (@from IS NULL OR created_at >= @from)
+          AND (@to IS NULL OR created_at < @to)
+          AND (@before IS NULL OR id < @before)
+        ORDER BY id DESC
+        LIMIT @limit
+    `)
+};
+
+function auditEventHash(event) {
+    const content = AUDIT_HASH_FIELDS.map(field => event[field] ?? null);
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Appends an event to the chain. IMMEDIATE so two writers cannot link to the same parent.
+const appendAuditEvent = db.transaction((event) => {
+    const row = {
+        created_at: new Date().toISOString(),
+        actor_type: event.actorType,
+        actor_id: event.actorId != null ? String(event.actorId) : null,
+        actor_name: event.actorName || null,
+        action: event.action,
+        target_type: event.targetType || null,
+        target_id: event.targetId != null ? String(event.targetId) : null,
+        course_code: event.courseCode || null,
+        ip: event.ip || null,
+        outcome: event.outcome || 'ok',
+        detail_json: event.detail ? JSON.stringify(event.detail) : null,
+        previous_hash: auditStatements.getLast.get()?.content_hash || null
+    };
+    row.content_hash = auditEventHash(row);
+
+    const result = auditStatements.insert.run(row);
+    return { id: result.lastInsertRowid, ...row };
+}).immediate;
+
+// Newest first. `action` also matches as a prefix (session -> session.view, session.delete...);
+// `courseCodes` limits results to those courses, for admins scoped to a few.
+function queryAuditEvents({ actorType = null, actor = null, action = null, targetType = null, targetId = null,
+    courseCode = null, courseCodes = null, outcome = null, from = null, to = null, before = null, limit = 100 } = {}) {
+    return auditStatements.query.all({
+        actorType, actor, action, targetType, targetId, courseCode, outcome, from, to, before, limit,
+        courseCodes: courseCodes ? JSON.stringify(courseCodes) : null
+    });
+}
+
+// Walks the whole chain: every hash must match its row and link to the row before
+function verifyAuditChain() {
+    let previousHash = null;
+    let checked = 0;
+    const errors = [];
+
+    for (const event of auditStatements.getAll.iterate()) {
+        if (event.previous_hash !== previousHash) {
+            errors.push({ id: event.id, error: 'chain linkage broken' });
+        }
+        if (auditEventHash(event) !== event.content_hash) {
+            errors.push({ id: event.id, error: 'content hash mismatch' });
+        }
+        previousHash = event.content_hash;
+        checked++;
+    }
+
+    return { valid: errors.length === 0, checked, head: previousHash, errors: errors.slice(0, 50) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// TURN TELEMETRY (V7 engine pipeline timings)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const TELEMETRY_FIELDS = [
+    'session_id', 'relay_session_id', 'source', 'outcome', 'reject_reason', 'user_turn_number', 'assistant_turn_number',
+    'audio_duration_ms', 'stt_provider', 'stt_fallback', 'stt_latency_ms', 'brain_model', 'brain_latency_ms',
+    'prompt_tokens', 'completion_tokens', 'total_tokens', 'tts_latency_ms', 'tts_chunks_json', 'total_latency_ms', 'error'
+];
+
+const telemetryStatements = {
+    insert: db.prepare(`
+        INSERT INTO turn_telemetry (${TELEMETRY_FIELDS.join(', ')})
+        VALUES (${TELEMETRY_FIELDS.map(field => `@${field}`).join(', ')})
+    `),
+    getBySession: db.prepare('SELECT * FROM turn_telemetry WHERE session_id = ? ORDER BY id ASC')
+};
+
+function parseTelemetry(row) {
+    const { tts_chunks_json, ...rest } = row;
+    return { ...rest, stt_fallback: !!row.stt_fallback, tts_chunks: parseJsonColumn(tts_chunks_json) || [] };
+}
+
+// Store one utterance's telemetry; returns the row id. The turns themselves carry their
+// own latency_ms, written by the relay when it persists them.
+function recordTurnTelemetry(entry) {
+    const row = Object.fromEntries(TELEMETRY_FIELDS.map(field => [field, entry[field] ?? null]));
+    row.stt_fallback = entry.stt_fallback ? 1 : 0;
+    row.tts_chunks_json = entry.tts_chunks ? JSON.stringify(entry.tts_chunks) : null;
+    return telemetryStatements.insert.run(row).lastInsertRowid;
+}
+
+/**
+ * Telemetry rows, newest first, with each row's session course and student.
+ * `scope` is as for querySessions - scoped admins never see rows from before a client
+ * sent init (no session). from / to bound created_at; `before` is the previous page's last id.
+ */
+function queryTurnTelemetry({ scope = null, sessionId = null, courseCode = null, outcome = null, source = null,
+    from = null, to = null, before = null, limit = 100 } = {}) {
+    if (scope && scope.length === 0) return [];
+
+    const params = { limit };
+    const where = [];
+    if (scope) where.push(scopeCondition(scope, params));
+    const exact = { sessionId: 't.session_id', courseCode: 's.course_code', outcome: 't.outcome', source: 't.source' };
+    for (const [key, value] of Object.entries({ sessionId, courseCode, outcome, source })) {
+        if (!value) continue;
+        where.push(`${exact[key]} = @${key}`);
+        params[key] = value;
+    }
+    if (from) {
+        where.push('t.created_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        where.push('t.created_at < @to');
+        params.to = to;
+    }
+    if (before) {
+        where.push('t.id < @before');
+        params.before = before;
+    }
+
+    return db.prepare(`
+        SELECT t.*, s.course_code, s.tutorial_group, u.name AS user_name
+        FROM turn_telemetry t
+        LEFT JOIN sessions s ON s.session_id = t.session_id
+        LEFT JOIN users u ON u.id = s.user_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY t.id DESC
+        LIMIT @limit
+    `).all(params).map(parseTelemetry);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// GUARDRAIL VIOLATIONS (coach output blocked by outputGuardrail.js)
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const GUARDRAIL_FIELDS = ['session_id', 'source', 'category', 'rule', 'excerpt', 'action', 'turn_number'];
+
+const guardrailStatements = {
+    insert: db.prepare(`
+        INSERT INTO guardrail_violations (${GUARDRAIL_FIELDS.join(', ')})
+        VALUES (${GUARDRAIL_FIELDS.map(field => `@${field}`).join(', ')})
+    `),
+    getBySession: db.prepare('SELECT * FROM guardrail_violations WHERE session_id = ? ORDER BY id ASC')
+};
+
+// Store the violations found in one reply; returns how many were stored
+const recordGuardrailViolations = db.transaction((entries) => {
+    for (const entry of entries) {
+        guardrailStatements.insert.run(Object.fromEntries(GUARDRAIL_FIELDS.map(field => [field, entry[field] ?? null])));
+    }
+    return entries.length;
+});
+
+/**
+ * Violations, newest first, with each row's session course and student. Filters and
+ * paging as for queryTurnTelemetry; rows without a session are platform-wide only.
+ */
+function queryGuardrailViolations({ scope = null, sessionId = null, courseCode = null, category = null, source = null,
+    from = null, to = null, before = null, limit = 100 } = {}) {
+    if (scope && scope.length === 0) return [];
+
+    const params = { limit };
+    const where = [];
+    if (scope) where.push(scopeCondition(scope, params));
+    const exact = { sessionId: 'g.session_id', courseCode: 's.course_code', category: 'g.category', source: 'g.source' };
+    for (const [key, value] of Object.entries({ sessionId, courseCode, category, source })) {
+        if (!value) continue;
+        where.push(`${exact[key]} = @${key}`);
+        params[key] = value;
+    }
+    if (from) {
+        where.push('g.created_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        where.push('g.created_at < @to');
+        params.to = to;
+    }
+    if (before) {
+        where.push('g.id < @before');
+        params.before = before;
+    }
+
+    return db.prepare(`
+        SELECT g.*, s.course_code, s.tutorial_group, u.name AS user_name
+        FROM guardrail_violations g
+        LEFT JOIN sessions s ON s.session_id = g.session_id
+        LEFT JOIN users u ON u.id = s.user_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY g.id DESC
+        LIMIT @limit
+    `).all(params);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// STUDENT PORTAL LOGIN
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const studentStatements = {
+    createCode: db.prepare(`
+        INSERT INTO student_login_codes (user_id, code_hash, expires_at) VALUES (?, ?, ?)
+    `),
+    // Newest unused, unexpired code - requesting a new code supersedes older ones
+    getActiveCode: db.prepare(`
+        SELECT * FROM student_login_codes 
+        WHERE user_id = ? AND used_at IS NULL AND expires_at > ?
+        ORDER BY id DESC LIMIT 1
+    `),
+    recordCodeAttempt: db.prepare('UPDATE student_login_codes SET attempts = attempts + 1 WHERE id = ?'),
+    markCodeUsed: db.prepare('UPDATE student_login_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ?'),
+    deleteExpiredCodes: db.prepare('DELETE FROM student_login_codes WHERE expires_at < ?'),
+    
+    createToken: db.prepare(`
+        INSERT INTO student_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)
+    `),
+    getToken: db.prepare('SELECT * FROM student_tokens WHERE jti = ?'),
+    revokeToken: db.prepare(`
+        UPDATE student_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = ? AND revoked_at IS NULL
+    `),
+    deleteExpiredTokens: db.prepare('DELETE FROM student_tokens WHERE expires_at < ?')
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// STUDENT MEMORY
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const memoryStatements = {
+    add: db.prepare(`
+        INSERT INTO student_memories (user_id, session_id, kind, content) VALUES (?, ?, ?, ?)
+    `),
+    getByUser: db.prepare(`
+        SELECT m.*, s.started_at, s.organisation_name 
+        FROM student_memories m 
+        LEFT JOIN sessions s ON m.session_id = s.session_id 
+        WHERE m.user_id = ? 
+        ORDER BY s.started_at ASC, m.id ASC
+    `),
+    deleteForSession: db.prepare('DELETE FROM student_memories WHERE session_id = ?'),
+    deleteOne: db.prepare('DELETE FROM student_memories WHERE id = ? AND user_id = ?'),
+    deleteForUser: db.prepare('DELETE FROM student_memories WHERE user_id = ?')
+};
+
+// Replaces whatever was remembered from this session (end-session can arrive more than once)
+const replaceSessionMemories = db.transaction((userId, sessionId, memories) => {
+    memoryStatements.deleteForSession.run(sessionId);
+    for (const memory of memories) {
+        memoryStatements.add.run(userId, sessionId, memory.kind, memory.content);
+    }
+    return memories.length;
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════════
 // TIMEOUT DETECTION & CLEANUP
 // ═══════════════════════════════════════════════════════════════════════════════════
@@ -543,6 +1719,10 @@ setInterval(() => {
     if (closed > 0) {
         console.log(`🧹 Cleaned up ${closed} inactive sessions`);
     }
+    const now = new Date().toISOString();
+    adminStatements.deleteExpiredTokens.run(now);
+    studentStatements.deleteExpiredCodes.run(now);
+    studentStatements.deleteExpiredTokens.run(now);
 }, 60000);
 
 // ═══════════════════════════════════════════════════════════════════════════════════
@@ -569,9 +1749,31 @@ module.exports = {
         sessionStatements.updateResponseLength.run(length, sessionId);
     },
     
+    // Student portal resume
+    setSessionResumedFrom: (sessionId, resumedFrom) => {
+        sessionStatements.setResumedFrom.run(resumedFrom, sessionId);
+    },
+    
+    // Student proved the session's email through the portal (gates student memory)
+    markSessionIdentityVerified: (sessionId) =>
+        sessionStatements.markIdentityVerified.run(sessionId).changes > 0,
+    
+    // Coaching context store (contextStore.js)
+    updateSessionCoachingContext: (sessionId, coachingContext) =>
+        sessionStatements.updateCoachingContext.run(coachingContext, sessionId).changes > 0,
+    
     // Conversation
     addConversationTurn,
+    reconcileClientTurn: (sessionId, role, content, metadata) => reconcileClientTurn(sessionId, role, content, metadata),
+    reconcileClientHistory: (sessionId, history) => reconcileClientHistory(sessionId, history),
     getConversationHistory,
+    updateTurnContent,
+    
+    // Session documents
+    addSessionDocument,
+    getSessionDocuments: (sessionId) => documentStatements.getBySession.all(sessionId),
+    getSessionDocument: (id) => parseDocumentAnalysis(documentStatements.getById.get(id)),
+    deleteSessionDocument: (id) => documentStatements.delete.run(id).changes > 0,
     
     // Reports
     generateSessionReport,
@@ -584,6 +1786,7 @@ module.exports = {
     
     // User sessions
     getUserSessions: (userId) => sessionStatements.getByUser.all(userId),
+    getUserByEmail: (email) => userStatements.findByEmailNoCase.get(email),
     
     // Admin functions
     getAllSessions,
@@ -595,5 +1798,96 @@ module.exports = {
     // Archive functions
     archiveSession,
     unarchiveSession,
-    getArchivedSessions
+    getArchivedSessions,
+    querySessions,
+    searchSessions,
+    getAnalyticsData,
+    
+    // Admin accounts & tokens
+    createAdminUser,
+    getAdminUserByUsername: (username) => adminStatements.findByUsername.get(username),
+    getAdminUserById: (id) => adminStatements.findById.get(id),
+    countAdminUsers: () => adminStatements.count.get().count,
+    recordAdminLogin: (id) => adminStatements.updateLastLogin.run(id),
+    setAdminUserDisabled: (id, disabled) => adminStatements.setDisabled.run(disabled ? 1 : 0, id).changes > 0,
+    recordAdminToken: (jti, adminUserId, expiresAt) => adminStatements.createToken.run(jti, adminUserId, expiresAt),
+    getAdminToken: (jti) => adminStatements.getToken.get(jti),
+    revokeAdminToken: (jti) => adminStatements.revokeToken.run(jti).changes > 0,
+    revokeAdminTokensForUser: (adminUserId) => adminStatements.revokeAllForUser.run(adminUserId).changes,
+    
+    // Admin roles
+    grantAdminRole,
+    getAdminRoles: (adminUserId) => adminStatements.getRoles.all(adminUserId),
+    getAdminRoleById: (id) => adminStatements.getRole.get(id),
+    getAllAdminRoles: () => adminStatements.getAllRoles.all(),
+    revokeAdminRole: (id) => adminStatements.deleteRole.run(id).changes > 0,
+    
+    // Courses
+    saveCourse,
+    getCourse: (courseCode) => courseStatements.get.get(courseCode),
+    getAllCourses: () => courseStatements.getAll.all(),
+    
+    // Report recipients & routing log
+    saveReportRecipient,
+    getReportRecipients: (courseCode) => routingStatements.getRecipients.all(courseCode),
+    getReportRecipientById: (id) => routingStatements.getRecipient.get(id),
+    deleteReportRecipient: (id) => routingStatements.deleteRecipient.run(id).changes > 0,
+    logReportRouting,
+    getReportRoutingLog: (sessionId) => routingStatements.getLogForSession.all(sessionId),
+    
+    // Email outbox
+    enqueueEmail,
+    updateOutboxEmail,
+    getOutboxEmails,
+    getOutboxCounts,
+    getOutboxEmailById: (id) => outboxStatements.getById.get(id),
+    getDueOutboxEmails: (now, limit = 20) => outboxStatements.getDue.all(now, limit),
+    markOutboxBounced: (providerEventId, reason) => outboxStatements.markBounced.run(reason, providerEventId).changes,
+    
+    // Digest runs
+    recordDigestRun,
+    findScheduledDigestRun: (courseCode, cadence, periodStart) => digestStatements.findScheduled.get(courseCode, cadence, periodStart),
+    getDigestRuns: (limit = 50) => digestStatements.getRecent.all(limit),
+    
+    // Student data requests
+    exportUserData,
+    eraseUser,
+    getErasureTombstones: (limit = 100) => dataRequestStatements.getTombstones.all(limit),
+    hashEmail,
+    
+    // Retention
+    findRetentionCandidates,
+    purgeSessionTranscript,
+    purgeSessionAnalysis,
+    anonymiseSession,
+    recordRetentionRun,
+    getRetentionRuns: (limit = 50) => retentionStatements.getRecentRuns.all(limit),
+    
+    // Audit log
+    appendAuditEvent,
+    queryAuditEvents,
+    verifyAuditChain,
+    
+    // Turn telemetry
+    recordTurnTelemetry,
+    queryTurnTelemetry,
+    
+    // Guardrail violations
+    recordGuardrailViolations: (entries) => recordGuardrailViolations(entries),
+    queryGuardrailViolations,
+    
+    // Student memory
+    replaceSessionMemories: (userId, sessionId, memories) => replaceSessionMemories(userId, sessionId, memories),
+    getStudentMemories: (userId) => memoryStatements.getByUser.all(userId),
+    deleteStudentMemory: (userId, memoryId) => memoryStatements.deleteOne.run(memoryId, userId).changes > 0,
+    clearStudentMemories: (userId) => memoryStatements.deleteForUser.run(userId).changes,
+    
+    // Student portal login
+    createStudentLoginCode: (userId, codeHash, expiresAt) => studentStatements.createCode.run(userId, codeHash, expiresAt),
+    getActiveStudentLoginCode: (userId, now) => studentStatements.getActiveCode.get(userId, now),
+    recordStudentLoginAttempt: (codeId) => studentStatements.recordCodeAttempt.run(codeId),
+    markStudentLoginCodeUsed: (codeId) => studentStatements.markCodeUsed.run(codeId),
+    recordStudentToken: (jti, userId, expiresAt) => studentStatements.createToken.run(jti, userId, expiresAt),
+    getStudentToken: (jti) => studentStatements.getToken.get(jti),
+    revokeStudentToken: (jti) => studentStatements.revokeToken.run(jti).changes > 0
 };
@@ -15,7 +15,24 @@ const memoryStore = {
     users: [],
     sessions: [],
     turns: [],
-    reports: []
+    reports: [],
+    adminUsers: [],
+    adminTokens: [],
+    adminRoles: [],
+    courses: [],
+    reportRecipients: [],
+    reportRoutingLog: [],
+    emailOutbox: [],
+    digestRuns: [],
+    studentLoginCodes: [],
+    studentTokens: [],
+    studentMemories: [],
+    sessionDocuments: [],
+    retentionRuns: [],
+    erasureTombstones: [],
+    auditEvents: [],
+    turnTelemetry: [],
+    guardrailViolations: []
 };
 
 try {
@@ -23,6 +40,11 @@ try {
     dbAvailable = true;
     console.log('✅ Database module loaded successfully');
 } catch (err) {
+    // Falling back to memory would hide a newer release's data - refuse to start instead
+    if (err.code === 'SCHEMA_AHEAD') {
+        console.error(`❌ ${err.message}`);
+        throw err;
+    }
     console.error('⚠️ Database initialization failed, using in-memory fallback:', err.message);
     dbAvailable = false;
 }
@@ -31,6 +53,20 @@ try {
 let memoryIdCounter = 1;
 const generateId = () => memoryIdCounter++;
 
+// The in-memory store starts empty every time, so INSTRUCTOR_EMAIL (the address an upgraded
+// SQLite database carries over) is the only recipient it can start with
+if (!dbAvailable && process.env.INSTRUCTOR_EMAIL) {
+    memoryStore.reportRecipients.push({
+        id: generateId(),
+        course_code: 'MAMC01810',
+        email: process.env.INSTRUCTOR_EMAIL.trim(),
+        name: process.env.INSTRUCTOR_NAME || null,
+        role: 'instructor',
+        tutorial_group: null,
+        opted_in: 1
+    });
+}
+
 // Safe wrapper functions that fall back to memory storage
 const safeWrapper = {
     // Check if DB is available
@@ -49,13 +85,15 @@ const safeWrapper = {
     },
     
     // Session management
-    createSession: (sessionId, userId, responseLength) => {
-        if (dbAvailable) return realDb.createSession(sessionId, userId, responseLength);
+    createSession: (sessionId, userId, responseLength, courseCode, tutorialGroup) => {
+        if (dbAvailable) return realDb.createSession(sessionId, userId, responseLength, courseCode, tutorialGroup);
         
         const session = {
             session_id: sessionId,
             user_id: userId,
             response_length: responseLength,
+            course_code: courseCode || 'MAMC01810',
+            tutorial_group: tutorialGroup || null,
             started_at: new Date().toISOString(),
             status: 'active',
             turn_count: 0
@@ -111,11 +149,106 @@ const safeWrapper = {
         if (session) session.response_length = length;
     },
     
+    // Student portal resume
+    setSessionResumedFrom: (sessionId, resumedFrom) => {
+        if (dbAvailable) return realDb.setSessionResumedFrom(sessionId, resumedFrom);
+        
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) session.resumed_from = resumedFrom;
+    },
+    
+    markSessionIdentityVerified: (sessionId) => {
+        if (dbAvailable) return realDb.markSessionIdentityVerified(sessionId);
+        
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) session.identity_verified = 1;
+        return !!session;
+    },
+    
+    // Coaching context store
+    updateSessionCoachingContext: (sessionId, coachingContext) => {
+        if (dbAvailable) return realDb.updateSessionCoachingContext(sessionId, coachingContext);
+        
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) session.coaching_context = coachingContext;
+        return !!session;
+    },
+    
+    // Session documents
+    addSessionDocument: (sessionId, doc) => {
+        if (dbAvailable) return realDb.addSessionDocument(sessionId, doc);
+        
+        const kind = doc.kind === 'primary' ? 'primary' : 'additional';
+        if (kind === 'primary') {
+            memoryStore.sessionDocuments = memoryStore.sessionDocuments
+                .filter(d => !(d.session_id === sessionId && d.kind === 'primary'));
+        }
+        const record = {
+            id: memoryStore.sessionDocuments.reduce((max, d) => Math.max(max, d.id), 0) + 1,
+            session_id: sessionId,
+            kind,
+            filename: doc.filename || null,
+            word_count: doc.wordCount || 0,
+            description: doc.description || null,
+            text: doc.text || null,
+            text_hash: doc.textHash || null,
+            analysis: doc.analysis || null,
+            uploaded_at: new Date().toISOString()
+        };
+        memoryStore.sessionDocuments.push(record);
+        return record;
+    },
+    
+    getSessionDocuments: (sessionId) => {
+        if (dbAvailable) return realDb.getSessionDocuments(sessionId);
+        return memoryStore.sessionDocuments
+            .filter(d => d.session_id === sessionId)
+            .map(({ analysis, ...doc }) => doc);
+    },
+    
+    getSessionDocument: (id) => {
+        if (dbAvailable) return realDb.getSessionDocument(id);
+        return memoryStore.sessionDocuments.find(d => d.id === id) || null;
+    },
+    
+    deleteSessionDocument: (id) => {
+        if (dbAvailable) return realDb.deleteSessionDocument(id);
+        const before = memoryStore.sessionDocuments.length;
+        memoryStore.sessionDocuments = memoryStore.sessionDocuments.filter(d => d.id !== id);
+        return memoryStore.sessionDocuments.length < before;
+    },
+    
+    // Client-posted turns: same rules as the database (relay-recorded sessions take none)
+    reconcileClientTurn: (sessionId, role, content, metadata = {}) => {
+        if (dbAvailable) return realDb.reconcileClientTurn(sessionId, role, content, metadata);
+        const turns = memoryStore.turns.filter(t => t.session_id === sessionId);
+        if (turns.some(t => t.source === 'relay')) {
+            const match = [...turns].reverse().find(t => t.role === role && t.content === content);
+            return { turnNumber: match?.turn_number ?? null, stored: false };
+        }
+        const last = turns[turns.length - 1];
+        if (last && last.role === role && last.content === content) return { turnNumber: last.turn_number, stored: false };
+        return { turnNumber: safeWrapper.addConversationTurn(sessionId, role, content, { ...metadata, source: 'client' }), stored: true };
+    },
+    
+    reconcileClientHistory: (sessionId, history) => {
+        if (dbAvailable) return realDb.reconcileClientHistory(sessionId, history);
+        const existing = memoryStore.turns.filter(t => t.session_id === sessionId);
+        if (existing.some(t => t.source === 'relay')) return 0;
+        const turns = history
+            .map(entry => ({ role: entry?.role, content: entry?.content ?? entry?.text, yamas: entry?.yamas }))
+            .filter(turn => ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string' && turn.content.trim());
+        turns.slice(existing.length).forEach(turn =>
+            safeWrapper.addConversationTurn(sessionId, turn.role, turn.content, { source: 'client', yamas: turn.yamas }));
+        return Math.max(0, turns.length - existing.length);
+    },
+    
     // Conversation
     addConversationTurn: (sessionId, role, content, metadata = {}) => {
         if (dbAvailable) return realDb.addConversationTurn(sessionId, role, content, metadata);
         
         const turnNumber = memoryStore.turns.filter(t => t.session_id === sessionId).length + 1;
+        const { yamas, ...rest } = metadata;
         const turn = {
             id: generateId(),
             session_id: sessionId,
@@ -123,7 +256,9 @@ const safeWrapper = {
             role,
             content,
             timestamp: new Date().toISOString(),
-            ...metadata
+            ...rest,
+            yamas_json: yamas ? JSON.stringify(yamas) : null,
+            yamas_composite: yamas?.composite ?? null
         };
         memoryStore.turns.push(turn);
         
@@ -139,6 +274,13 @@ const safeWrapper = {
         return memoryStore.turns.filter(t => t.session_id === sessionId);
     },
     
+    updateTurnContent: (sessionId, turnNumber, content) => {
+        if (dbAvailable) return realDb.updateTurnContent(sessionId, turnNumber, content);
+        const turn = memoryStore.turns.find(t => t.session_id === sessionId && t.turn_number === turnNumber);
+        if (turn) turn.content = content;
+        return !!turn;
+    },
+    
     // Reports
     generateSessionReport: (sessionId) => {
         if (dbAvailable) return realDb.generateSessionReport(sessionId);
@@ -147,7 +289,9 @@ const safeWrapper = {
         const turns = memoryStore.turns.filter(t => t.session_id === sessionId);
         const user = session ? memoryStore.users.find(u => u.id === session.user_id) : null;
         
-        const reportData = { session, turns, user, generatedAt: new Date().toISOString() };
+        const documents = memoryStore.sessionDocuments.filter(d => d.session_id === sessionId);
+        
+        const reportData = { session, turns, user, documents, generatedAt: new Date().toISOString() };
         const reportJson = JSON.stringify(reportData);
         const reportHash = require('crypto').createHash('sha256').update(reportJson).digest('hex');
         
@@ -192,6 +336,11 @@ const safeWrapper = {
         return memoryStore.sessions.filter(s => s.user_id === userId);
     },
     
+    getUserByEmail: (email) => {
+        if (dbAvailable) return realDb.getUserByEmail(email);
+        return memoryStore.users.find(u => u.email.toLowerCase() === email.toLowerCase()) || null;
+    },
+    
     // Admin functions
     getAllSessions: () => {
         if (dbAvailable) return realDb.getAllSessions();
@@ -212,8 +361,11 @@ const safeWrapper = {
         const user = memoryStore.users.find(u => u.id === session.user_id);
         const turns = memoryStore.turns.filter(t => t.session_id === sessionId);
         const report = memoryStore.reports.find(r => r.session_id === sessionId);
+        const documents = safeWrapper.getSessionDocuments(sessionId);
+        const telemetry = memoryStore.turnTelemetry.filter(t => t.session_id === sessionId);
+        const guardrailViolations = memoryStore.guardrailViolations.filter(g => g.session_id === sessionId);
         
-        return { ...session, user, turns, report };
+        return { ...session, user, turns, documents, telemetry, guardrailViolations, report };
     },
     
     deleteSession: (sessionId) => {
@@ -221,13 +373,778 @@ const safeWrapper = {
         
         memoryStore.sessions = memoryStore.sessions.filter(s => s.session_id !== sessionId);
         memoryStore.turns = memoryStore.turns.filter(t => t.session_id !== sessionId);
+        memoryStore.turnTelemetry = memoryStore.turnTelemetry.filter(t => t.session_id !== sessionId);
+        memoryStore.guardrailViolations = memoryStore.guardrailViolations.filter(g => g.session_id !== sessionId);
         memoryStore.reports = memoryStore.reports.filter(r => r.session_id !== sessionId);
+        memoryStore.reportRoutingLog = memoryStore.reportRoutingLog.filter(e => e.session_id !== sessionId);
+        memoryStore.emailOutbox = memoryStore.emailOutbox.filter(e => e.session_id !== sessionId);
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.session_id !== sessionId);
+        memoryStore.sessionDocuments = memoryStore.sessionDocuments.filter(d => d.session_id !== sessionId);
         return true;
     },
     
     exportAllData: () => {
         if (dbAvailable) return realDb.exportAllData();
-        return memoryStore;
+        return {
+            exportedAt: new Date().toISOString(),
+            version: '1.0',
+            users: memoryStore.users,
+            sessions: memoryStore.sessions.map(s => safeWrapper.getSessionDetails(s.session_id))
+        };
+    },
+    
+    // Archive functions
+    archiveSession: (sessionId) => {
+        if (dbAvailable) return realDb.archiveSession(sessionId);
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) session.archived = 1;
+        return true;
+    },
+    
+    unarchiveSession: (sessionId) => {
+        if (dbAvailable) return realDb.unarchiveSession(sessionId);
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) session.archived = 0;
+        return true;
+    },
+    
+    getArchivedSessions: () => {
+        if (dbAvailable) return realDb.getArchivedSessions();
+        return memoryStore.sessions.filter(s => s.archived === 1);
+    },
+    
+    // Without the database: filters and name/organisation search only, one unsorted page
+    querySessions: (options = {}) => {
+        if (dbAvailable) return realDb.querySessions(options);
+        const { scope = null, archived = 'exclude', status, courseCode, search, limit = 50 } = options;
+        const needle = search ? String(search).toLowerCase() : null;
+        const sessions = memoryStore.sessions.filter(s =>
+            (!scope || scope.some(e => e.courseCode === s.course_code && (!e.tutorialGroup || e.tutorialGroup === s.tutorial_group))) &&
+            (archived === 'include' || (archived === 'only' ? s.archived === 1 : s.archived !== 1)) &&
+            (!status || s.status === status) &&
+            (!courseCode || s.course_code === courseCode) &&
+            (!needle || [s.session_id, s.organisation_name].some(v => v?.toLowerCase().includes(needle))));
+        return { sessions: sessions.slice(0, limit), total: sessions.length, nextCursor: null };
+    },
+    
+    // Without the database: plain substring matches in transcripts, unranked
+    searchSessions: (options = {}) => {
+        if (dbAvailable) return realDb.searchSessions(options);
+        const { query = '', scope = null, limit = 25, offset = 0 } = options;
+        const needle = String(query).toLowerCase().trim();
+        const hits = memoryStore.turns
+            .filter(t => needle && t.content?.toLowerCase().includes(needle))
+            .map(t => ({ turn: t, session: memoryStore.sessions.find(s => s.session_id === t.session_id) }))
+            .filter(({ session }) => session && (!scope || scope.some(e =>
+                e.courseCode === session.course_code && (!e.tutorialGroup || e.tutorialGroup === session.tutorial_group))))
+            .map(({ turn, session }) => ({
+                source: 'turn',
+                session_id: turn.session_id,
+                turn_number: turn.turn_number,
+                role: turn.role,
+                snippet: turn.content.substring(0, 200),
+                course_code: session.course_code,
+                started_at: session.started_at
+            }));
+        return { hits: hits.slice(offset, offset + limit), total: hits.length };
+    },
+    
+    // Without the database: day / week in UTC, no initial-analysis fallback
+    getAnalyticsData: (options = {}) => {
+        if (dbAvailable) return realDb.getAnalyticsData(options);
+        const { scope = null, courseCode = null, from = null, to = null } = options;
+        const sessions = memoryStore.sessions.filter(s =>
+            (!scope || scope.some(e => e.courseCode === s.course_code && (!e.tutorialGroup || e.tutorialGroup === s.tutorial_group))) &&
+            (!courseCode || s.course_code === courseCode) &&
+            (!from || s.started_at >= from) &&
+            (!to || s.started_at < to));
+        const ids = new Set(sessions.map(s => s.session_id));
+        return {
+            sessions: sessions.map(s => {
+                const started = new Date(s.started_at);
+                const monday = new Date(started);
+                monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+                return {
+                    ...s,
+                    day: started.toISOString().slice(0, 10),
+                    week: monday.toISOString().slice(0, 10),
+                    minutes: s.ended_at ? (new Date(s.ended_at) - started) / 60000 : null,
+                    turn_count: memoryStore.turns.filter(t => t.session_id === s.session_id).length
+                };
+            }),
+            latencies: memoryStore.turns
+                .filter(t => ids.has(t.session_id) && t.latencyMs != null)
+                .map(t => ({ role: t.role, latency_ms: t.latencyMs })),
+            analyses: memoryStore.sessionDocuments
+                .filter(d => ids.has(d.session_id) && d.analysis)
+                .map(d => ({ session_id: d.session_id, kind: d.kind, analysis_json: JSON.stringify(d.analysis) })),
+            yamas: memoryStore.turns
+                .filter(t => ids.has(t.session_id) && t.yamas_json)
+                .map(t => {
+                    const spoken = new Date(t.timestamp);
+                    const monday = new Date(spoken);
+                    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+                    return { session_id: t.session_id, yamas_json: t.yamas_json, day: spoken.toISOString().slice(0, 10), week: monday.toISOString().slice(0, 10) };
+                })
+        };
+    },
+    
+    // Admin accounts & tokens
+    createAdminUser: (username, passwordHash, passwordSalt, displayName) => {
+        if (dbAvailable) return realDb.createAdminUser(username, passwordHash, passwordSalt, displayName);
+        
+        const adminUser = {
+            id: generateId(),
+            username,
+            password_hash: passwordHash,
+            password_salt: passwordSalt,
+            display_name: displayName || null,
+            disabled: 0,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.adminUsers.push(adminUser);
+        return adminUser;
+    },
+    
+    getAdminUserByUsername: (username) => {
+        if (dbAvailable) return realDb.getAdminUserByUsername(username);
+        const wanted = (username || '').toLowerCase();
+        return memoryStore.adminUsers.find(a => a.username.toLowerCase() === wanted) || null;
+    },
+    
+    getAdminUserById: (id) => {
+        if (dbAvailable) return realDb.getAdminUserById(id);
+        return memoryStore.adminUsers.find(a => a.id === id) || null;
+    },
+    
+    countAdminUsers: () => {
+        if (dbAvailable) return realDb.countAdminUsers();
+        return memoryStore.adminUsers.length;
+    },
+    
+    recordAdminLogin: (id) => {
+        if (dbAvailable) return realDb.recordAdminLogin(id);
+        const adminUser = memoryStore.adminUsers.find(a => a.id === id);
+        if (adminUser) adminUser.last_login_at = new Date().toISOString();
+    },
+    
+    setAdminUserDisabled: (id, disabled) => {
+        if (dbAvailable) return realDb.setAdminUserDisabled(id, disabled);
+        const adminUser = memoryStore.adminUsers.find(a => a.id === id);
+        if (adminUser) adminUser.disabled = disabled ? 1 : 0;
+        return !!adminUser;
+    },
+    
+    recordAdminToken: (jti, adminUserId, expiresAt) => {
+        if (dbAvailable) return realDb.recordAdminToken(jti, adminUserId, expiresAt);
+        memoryStore.adminTokens.push({
+            jti,
+            admin_user_id: adminUserId,
+            issued_at: new Date().toISOString(),
+            expires_at: expiresAt,
+            revoked_at: null
+        });
+    },
+    
+    getAdminToken: (jti) => {
+        if (dbAvailable) return realDb.getAdminToken(jti);
+        return memoryStore.adminTokens.find(t => t.jti === jti) || null;
+    },
+    
+    revokeAdminToken: (jti) => {
+        if (dbAvailable) return realDb.revokeAdminToken(jti);
+        const token = memoryStore.adminTokens.find(t => t.jti === jti && !t.revoked_at);
+        if (token) token.revoked_at = new Date().toISOString();
+        return !!token;
+    },
+    
+    revokeAdminTokensForUser: (adminUserId) => {
+        if (dbAvailable) return realDb.revokeAdminTokensForUser(adminUserId);
+        const tokens = memoryStore.adminTokens.filter(t => t.admin_user_id === adminUserId && !t.revoked_at);
+        tokens.forEach(t => { t.revoked_at = new Date().toISOString(); });
+        return tokens.length;
+    },
+    
+    // Admin roles
+    grantAdminRole: (adminUserId, role, courseCode = null, tutorialGroup = null) => {
+        if (dbAvailable) return realDb.grantAdminRole(adminUserId, role, courseCode, tutorialGroup);
+        
+        const existing = memoryStore.adminRoles.find(r =>
+            r.admin_user_id === adminUserId && r.role === role &&
+            r.course_code === courseCode && r.tutorial_group === tutorialGroup
+        );
+        if (existing) return existing;
+        
+        const grant = {
+            id: generateId(),
+            admin_user_id: adminUserId,
+            role,
+            course_code: courseCode,
+            tutorial_group: tutorialGroup,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.adminRoles.push(grant);
+        return grant;
+    },
+    
+    getAdminRoles: (adminUserId) => {
+        if (dbAvailable) return realDb.getAdminRoles(adminUserId);
+        return memoryStore.adminRoles.filter(r => r.admin_user_id === adminUserId);
+    },
+    
+    getAdminRoleById: (id) => {
+        if (dbAvailable) return realDb.getAdminRoleById(id);
+        return memoryStore.adminRoles.find(r => r.id === id) || null;
+    },
+    
+    getAllAdminRoles: () => {
+        if (dbAvailable) return realDb.getAllAdminRoles();
+        return memoryStore.adminRoles.map(r => {
+            const adminUser = memoryStore.adminUsers.find(a => a.id === r.admin_user_id);
+            return { ...r, username: adminUser?.username, display_name: adminUser?.display_name };
+        });
+    },
+    
+    revokeAdminRole: (id) => {
+        if (dbAvailable) return realDb.revokeAdminRole(id);
+        const before = memoryStore.adminRoles.length;
+        memoryStore.adminRoles = memoryStore.adminRoles.filter(r => r.id !== id);
+        return memoryStore.adminRoles.length < before;
+    },
+    
+    // Courses
+    saveCourse: (courseCode, name, config, active = true) => {
+        if (dbAvailable) return realDb.saveCourse(courseCode, name, config, active);
+        
+        const now = new Date().toISOString();
+        let course = memoryStore.courses.find(c => c.course_code === courseCode);
+        if (!course) {
+            course = { course_code: courseCode, created_at: now };
+            memoryStore.courses.push(course);
+        }
+        Object.assign(course, { name, config_json: JSON.stringify(config), active: active ? 1 : 0, updated_at: now });
+        return course;
+    },
+    
+    getCourse: (courseCode) => {
+        if (dbAvailable) return realDb.getCourse(courseCode);
+        return memoryStore.courses.find(c => c.course_code === courseCode) || null;
+    },
+    
+    getAllCourses: () => {
+        if (dbAvailable) return realDb.getAllCourses();
+        return [...memoryStore.courses].sort((a, b) => a.course_code.localeCompare(b.course_code));
+    },
+    
+    // Report recipients & routing log
+    saveReportRecipient: (courseCode, recipient) => {
+        if (dbAvailable) return realDb.saveReportRecipient(courseCode, recipient);
+        
+        const { email, name = null, role = 'instructor', tutorialGroup = null, optedIn = true } = recipient;
+        let row = memoryStore.reportRecipients.find(r =>
+            r.course_code === courseCode && r.email.toLowerCase() === email.toLowerCase()
+        );
+        if (!row) {
+            row = { id: generateId(), course_code: courseCode, email, created_at: new Date().toISOString() };
+            memoryStore.reportRecipients.push(row);
+        }
+        Object.assign(row, {
+            name,
+            role,
+            tutorial_group: tutorialGroup,
+            opted_in: optedIn ? 1 : 0,
+            updated_at: new Date().toISOString()
+        });
+        return row;
+    },
+    
+    getReportRecipients: (courseCode) => {
+        if (dbAvailable) return realDb.getReportRecipients(courseCode);
+        return memoryStore.reportRecipients.filter(r => r.course_code === courseCode);
+    },
+    
+    getReportRecipientById: (id) => {
+        if (dbAvailable) return realDb.getReportRecipientById(id);
+        return memoryStore.reportRecipients.find(r => r.id === id) || null;
+    },
+    
+    deleteReportRecipient: (id) => {
+        if (dbAvailable) return realDb.deleteReportRecipient(id);
+        const before = memoryStore.reportRecipients.length;
+        memoryStore.reportRecipients = memoryStore.reportRecipients.filter(r => r.id !== id);
+        return memoryStore.reportRecipients.length < before;
+    },
+    
+    logReportRouting: (entry) => {
+        if (dbAvailable) return realDb.logReportRouting(entry);
+        memoryStore.reportRoutingLog.push({
+            id: generateId(),
+            session_id: entry.sessionId,
+            course_code: entry.courseCode || null,
+            report_hash: entry.reportHash || null,
+            recipient_email: entry.recipientEmail || null,
+            recipient_role: entry.recipientRole || null,
+            delivery_mode: entry.deliveryMode || null,
+            decision: entry.decision,
+            detail: entry.detail || null,
+            created_at: new Date().toISOString()
+        });
+    },
+    
+    getReportRoutingLog: (sessionId) => {
+        if (dbAvailable) return realDb.getReportRoutingLog(sessionId);
+        return memoryStore.reportRoutingLog.filter(e => e.session_id === sessionId);
+    },
+    
+    // Email outbox
+    enqueueEmail: (email) => {
+        if (dbAvailable) return realDb.enqueueEmail(email);
+        
+        const now = new Date().toISOString();
+        const row = {
+            id: generateId(),
+            kind: email.kind,
+            session_id: email.sessionId || null,
+            course_code: email.courseCode || null,
+            to_email: email.toEmail,
+            recipient_role: email.recipientRole || null,
+            payload_json: JSON.stringify(email.payload),
+            status: 'queued',
+            attempts: 0,
+            max_attempts: email.maxAttempts || 5,
+            next_attempt_at: now,
+            last_error: null,
+            provider_message_id: null,
+            created_at: now,
+            updated_at: now,
+            sent_at: null
+        };
+        memoryStore.emailOutbox.push(row);
+        return row;
+    },
+    
+    updateOutboxEmail: (id, update) => {
+        if (dbAvailable) return realDb.updateOutboxEmail(id, update);
+        
+        const row = memoryStore.emailOutbox.find(e => e.id === id);
+        if (!row) return null;
+        const now = new Date().toISOString();
+        Object.assign(row, {
+            status: update.status,
+            attempts: update.attempts,
+            next_attempt_at: update.nextAttemptAt || null,
+            last_error: update.lastError || null,
+            provider_message_id: update.providerMessageId || row.provider_message_id,
+            payload_json: update.payload ? JSON.stringify(update.payload) : row.payload_json,
+            sent_at: update.status === 'sent' ? now : row.sent_at,
+            updated_at: now
+        });
+        return row;
+    },
+    
+    getOutboxEmails: ({ status = null, sessionId = null, limit = 200 } = {}) => {
+        if (dbAvailable) return realDb.getOutboxEmails({ status, sessionId, limit });
+        return memoryStore.emailOutbox
+            .filter(e => (!status || e.status === status) && (!sessionId || e.session_id === sessionId))
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    },
+    
+    getOutboxCounts: () => {
+        if (dbAvailable) return realDb.getOutboxCounts();
+        const counts = {};
+        memoryStore.emailOutbox.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+        return counts;
+    },
+    
+    getOutboxEmailById: (id) => {
+        if (dbAvailable) return realDb.getOutboxEmailById(id);
+        return memoryStore.emailOutbox.find(e => e.id === id) || null;
+    },
+    
+    getDueOutboxEmails: (now, limit = 20) => {
+        if (dbAvailable) return realDb.getDueOutboxEmails(now, limit);
+        return memoryStore.emailOutbox
+            .filter(e => e.status === 'queued' && e.next_attempt_at <= now)
+            .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at) || a.id - b.id)
+            .slice(0, limit);
+    },
+    
+    markOutboxBounced: (providerEventId, reason) => {
+        if (dbAvailable) return realDb.markOutboxBounced(providerEventId, reason);
+        const matches = memoryStore.emailOutbox.filter(e =>
+            e.provider_message_id && providerEventId.startsWith(e.provider_message_id)
+        );
+        matches.forEach(e => Object.assign(e, {
+            status: 'bounced',
+            last_error: reason,
+            next_attempt_at: null,
+            updated_at: new Date().toISOString()
+        }));
+        return matches.length;
+    },
+    
+    // Digest runs
+    recordDigestRun: (run) => {
+        if (dbAvailable) return realDb.recordDigestRun(run);
+        const row = {
+            id: generateId(),
+            course_code: run.courseCode,
+            cadence: run.cadence,
+            period_start: run.periodStart,
+            period_end: run.periodEnd,
+            trigger: run.trigger || 'scheduled',
+            session_count: run.sessionCount || 0,
+            recipient_count: run.recipientCount || 0,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.digestRuns.push(row);
+        return row;
+    },
+    
+    findScheduledDigestRun: (courseCode, cadence, periodStart) => {
+        if (dbAvailable) return realDb.findScheduledDigestRun(courseCode, cadence, periodStart);
+        return memoryStore.digestRuns.find(r =>
+            r.course_code === courseCode && r.cadence === cadence &&
+            r.period_start === periodStart && r.trigger === 'scheduled'
+        ) || null;
+    },
+    
+    getDigestRuns: (limit = 50) => {
+        if (dbAvailable) return realDb.getDigestRuns(limit);
+        return [...memoryStore.digestRuns].reverse().slice(0, limit);
+    },
+    
+    // Student data requests
+    exportUserData: (userId) => {
+        if (dbAvailable) return realDb.exportUserData(userId);
+        
+        const user = memoryStore.users.find(u => u.id === userId);
+        if (!user) return null;
+        const sessionIds = memoryStore.sessions.filter(s => s.user_id === userId).map(s => s.session_id);
+        return {
+            exportedAt: new Date().toISOString(),
+            format: 'kea-subject-access/1',
+            profile: user,
+            sessions: sessionIds.map(id => ({
+                ...safeWrapper.getSessionDetails(id),
+                reports: memoryStore.reports.filter(r => r.session_id === id),
+                reportRouting: memoryStore.reportRoutingLog.filter(e => e.session_id === id)
+            })),
+            memories: memoryStore.studentMemories.filter(m => m.user_id === userId),
+            emails: memoryStore.emailOutbox.filter(e =>
+                sessionIds.includes(e.session_id) || e.to_email?.toLowerCase() === user.email.toLowerCase()
+            ).map(({ payload_json, ...email }) => {
+                const payload = JSON.parse(payload_json);
+                if (email.kind === 'student_login_code') delete payload.code;
+                return { ...email, payload };
+            }),
+            portalAccess: { loginCodes: [], tokens: [] }
+        };
+    },
+    
+    eraseUser: (userId, { erasedBy = null, reason = null } = {}) => {
+        if (dbAvailable) return realDb.eraseUser(userId, { erasedBy, reason });
+        
+        const user = memoryStore.users.find(u => u.id === userId);
+        if (!user) return null;
+        const sessionIds = memoryStore.sessions.filter(s => s.user_id === userId).map(s => s.session_id);
+        memoryStore.emailOutbox = memoryStore.emailOutbox.filter(e =>
+            !sessionIds.includes(e.session_id) && e.to_email?.toLowerCase() !== user.email.toLowerCase()
+        );
+        sessionIds.forEach(id => safeWrapper.deleteSession(id));
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.user_id !== userId);
+        memoryStore.studentLoginCodes = memoryStore.studentLoginCodes.filter(c => c.user_id !== userId);
+        memoryStore.studentTokens = memoryStore.studentTokens.filter(t => t.user_id !== userId);
+        memoryStore.users = memoryStore.users.filter(u => u.id !== userId);
+        
+        const tombstone = {
+            id: generateId(),
+            user_id: userId,
+            email_hash: safeWrapper.hashEmail(user.email),
+            session_count: sessionIds.length,
+            deleted_counts_json: null,
+            erased_by: erasedBy,
+            reason,
+            erased_at: new Date().toISOString()
+        };
+        memoryStore.erasureTombstones.push(tombstone);
+        return { ...tombstone, sessionIds };
+    },
+    
+    getErasureTombstones: (limit = 100) => {
+        if (dbAvailable) return realDb.getErasureTombstones(limit);
+        return [...memoryStore.erasureTombstones].reverse().slice(0, limit);
+    },
+    
+    hashEmail: (email) => require('crypto').createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex'),
+    
+    // Retention
+    findRetentionCandidates: (courseCode, stage, days) => {
+        if (dbAvailable) return realDb.findRetentionCandidates(courseCode, stage, days);
+        
+        const column = { transcripts: 'transcript_purged_at', analysis: 'analysis_purged_at', anonymise: 'anonymised_at' }[stage];
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        return memoryStore.sessions.filter(s =>
+            s.course_code === courseCode && s.status !== 'active' && !s[column] &&
+            new Date(s.ended_at || s.started_at).getTime() < cutoff
+        );
+    },
+    
+    purgeSessionTranscript: (sessionId) => {
+        if (dbAvailable) return realDb.purgeSessionTranscript(sessionId);
+        
+        const turns = memoryStore.turns.filter(t => t.session_id === sessionId);
+        const stats = {
+            totalTurns: turns.length,
+            userTurns: turns.filter(t => t.role === 'user').length,
+            assistantTurns: turns.filter(t => t.role === 'assistant').length
+        };
+        memoryStore.turns = memoryStore.turns.filter(t => t.session_id !== sessionId);
+        memoryStore.reports = memoryStore.reports.filter(r => r.session_id !== sessionId);
+        memoryStore.guardrailViolations.filter(g => g.session_id === sessionId).forEach(g => { g.excerpt = null; });
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) {
+            session.key_takeaways_html = null;
+            session.retained_stats_json = JSON.stringify(stats);
+            session.transcript_purged_at = new Date().toISOString();
+        }
+        return stats;
+    },
+    
+    purgeSessionAnalysis: (sessionId) => {
+        if (dbAvailable) return realDb.purgeSessionAnalysis(sessionId);
+        
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (session) {
+            session.initial_parse_json = null;
+            session.coaching_context = null;
+            session.analysis_purged_at = new Date().toISOString();
+        }
+        memoryStore.sessionDocuments
+            .filter(d => d.session_id === sessionId)
+            .forEach(d => { d.analysis = null; d.description = null; });
+    },
+    
+    anonymiseSession: (sessionId) => {
+        if (dbAvailable) return realDb.anonymiseSession(sessionId);
+        
+        const session = memoryStore.sessions.find(s => s.session_id === sessionId);
+        if (!session) return false;
+        const userId = session.user_id;
+        session.user_id = null;
+        session.anonymised_at = new Date().toISOString();
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.session_id !== sessionId);
+        
+        if (!userId || memoryStore.sessions.some(s => s.user_id === userId)) return false;
+        memoryStore.users = memoryStore.users.filter(u => u.id !== userId);
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.user_id !== userId);
+        memoryStore.studentLoginCodes = memoryStore.studentLoginCodes.filter(c => c.user_id !== userId);
+        memoryStore.studentTokens = memoryStore.studentTokens.filter(t => t.user_id !== userId);
+        return true;
+    },
+    
+    recordRetentionRun: (run) => {
+        if (dbAvailable) return realDb.recordRetentionRun(run);
+        const row = {
+            id: generateId(),
+            course_code: run.courseCode,
+            trigger: run.trigger || 'scheduled',
+            transcripts_purged: run.transcriptsPurged || 0,
+            analyses_purged: run.analysesPurged || 0,
+            sessions_anonymised: run.sessionsAnonymised || 0,
+            users_removed: run.usersRemoved || 0,
+            created_at: new Date().toISOString()
+        };
+        memoryStore.retentionRuns.push(row);
+        return row;
+    },
+    
+    getRetentionRuns: (limit = 50) => {
+        if (dbAvailable) return realDb.getRetentionRuns(limit);
+        return [...memoryStore.retentionRuns].reverse().slice(0, limit);
+    },
+    
+    // Audit log (the in-memory chain is not hashed - it does not outlive the process anyway)
+    appendAuditEvent: (event) => {
+        if (dbAvailable) return realDb.appendAuditEvent(event);
+        const row = {
+            id: memoryStore.auditEvents.length + 1,
+            created_at: new Date().toISOString(),
+            actor_type: event.actorType,
+            actor_id: event.actorId != null ? String(event.actorId) : null,
+            actor_name: event.actorName || null,
+            action: event.action,
+            target_type: event.targetType || null,
+            target_id: event.targetId != null ? String(event.targetId) : null,
+            course_code: event.courseCode || null,
+            ip: event.ip || null,
+            outcome: event.outcome || 'ok',
+            detail_json: event.detail ? JSON.stringify(event.detail) : null
+        };
+        memoryStore.auditEvents.push(row);
+        return row;
+    },
+    
+    queryAuditEvents: (filters = {}) => {
+        if (dbAvailable) return realDb.queryAuditEvents(filters);
+        const { action = null, courseCode = null, courseCodes = null, targetType = null, targetId = null, limit = 100 } = filters;
+        return [...memoryStore.auditEvents].reverse()
+            .filter(e => (!action || e.action === action || e.action.startsWith(`${action}.`)) &&
+                (!courseCode || e.course_code === courseCode) &&
+                (!courseCodes || courseCodes.includes(e.course_code)) &&
+                (!targetType || e.target_type === targetType) &&
+                (!targetId || e.target_id === targetId))
+            .slice(0, limit);
+    },
+    
+    verifyAuditChain: () => {
+        if (dbAvailable) return realDb.verifyAuditChain();
+        return { valid: true, checked: memoryStore.auditEvents.length, head: null, errors: [] };
+    },
+    
+    // Turn telemetry
+    recordTurnTelemetry: (entry) => {
+        if (dbAvailable) return realDb.recordTurnTelemetry(entry);
+        const row = {
+            ...entry,
+            id: memoryStore.turnTelemetry.length + 1,
+            stt_fallback: !!entry.stt_fallback,
+            tts_chunks: entry.tts_chunks || [],
+            created_at: new Date().toISOString()
+        };
+        memoryStore.turnTelemetry.push(row);
+        return row.id;
+    },
+    
+    queryTurnTelemetry: (filters = {}) => {
+        if (dbAvailable) return realDb.queryTurnTelemetry(filters);
+        const { scope = null, sessionId = null, outcome = null, source = null, limit = 100 } = filters;
+        return [...memoryStore.turnTelemetry].reverse()
+            .filter(t => (!sessionId || t.session_id === sessionId) && (!outcome || t.outcome === outcome) &&
+                (!source || t.source === source))
+            .filter(t => !scope || scope.some(e => {
+                const session = memoryStore.sessions.find(s => s.session_id === t.session_id);
+                return session && e.courseCode === session.course_code && (!e.tutorialGroup || e.tutorialGroup === session.tutorial_group);
+            }))
+            .slice(0, limit);
+    },
+    
+    // Guardrail violations
+    recordGuardrailViolations: (entries) => {
+        if (dbAvailable) return realDb.recordGuardrailViolations(entries);
+        for (const entry of entries) {
+            memoryStore.guardrailViolations.push({
+                ...entry,
+                id: memoryStore.guardrailViolations.length + 1,
+                created_at: new Date().toISOString()
+            });
+        }
+        return entries.length;
+    },
+    
+    queryGuardrailViolations: (filters = {}) => {
+        if (dbAvailable) return realDb.queryGuardrailViolations(filters);
+        const { scope = null, sessionId = null, category = null, source = null, limit = 100 } = filters;
+        return [...memoryStore.guardrailViolations].reverse()
+            .filter(g => (!sessionId || g.session_id === sessionId) && (!category || g.category === category) &&
+                (!source || g.source === source))
+            .filter(g => !scope || scope.some(e => {
+                const session = memoryStore.sessions.find(s => s.session_id === g.session_id);
+                return session && e.courseCode === session.course_code && (!e.tutorialGroup || e.tutorialGroup === session.tutorial_group);
+            }))
+            .slice(0, limit);
+    },
+    
+    // Student memory
+    replaceSessionMemories: (userId, sessionId, memories) => {
+        if (dbAvailable) return realDb.replaceSessionMemories(userId, sessionId, memories);
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.session_id !== sessionId);
+        for (const memory of memories) {
+            memoryStore.studentMemories.push({
+                id: generateId(),
+                user_id: userId,
+                session_id: sessionId,
+                kind: memory.kind,
+                content: memory.content,
+                created_at: new Date().toISOString()
+            });
+        }
+        return memories.length;
+    },
+    
+    getStudentMemories: (userId) => {
+        if (dbAvailable) return realDb.getStudentMemories(userId);
+        return memoryStore.studentMemories
+            .filter(m => m.user_id === userId)
+            .map(m => {
+                const session = memoryStore.sessions.find(s => s.session_id === m.session_id);
+                return { ...m, started_at: session?.started_at || null, organisation_name: session?.organisation_name || null };
+            });
+    },
+    
+    deleteStudentMemory: (userId, memoryId) => {
+        if (dbAvailable) return realDb.deleteStudentMemory(userId, memoryId);
+        const before = memoryStore.studentMemories.length;
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => !(m.id === memoryId && m.user_id === userId));
+        return memoryStore.studentMemories.length < before;
+    },
+    
+    clearStudentMemories: (userId) => {
+        if (dbAvailable) return realDb.clearStudentMemories(userId);
+        const before = memoryStore.studentMemories.length;
+        memoryStore.studentMemories = memoryStore.studentMemories.filter(m => m.user_id !== userId);
+        return before - memoryStore.studentMemories.length;
+    },
+    
+    // Student portal login
+    createStudentLoginCode: (userId, codeHash, expiresAt) => {
+        if (dbAvailable) return realDb.createStudentLoginCode(userId, codeHash, expiresAt);
+        memoryStore.studentLoginCodes.push({
+            id: generateId(),
+            user_id: userId,
+            code_hash: codeHash,
+            expires_at: expiresAt,
+            attempts: 0,
+            used_at: null,
+            created_at: new Date().toISOString()
+        });
+    },
+    
+    getActiveStudentLoginCode: (userId, now) => {
+        if (dbAvailable) return realDb.getActiveStudentLoginCode(userId, now);
+        return memoryStore.studentLoginCodes
+            .filter(c => c.user_id === userId && !c.used_at && c.expires_at > now)
+            .sort((a, b) => b.id - a.id)[0] || null;
+    },
+    
+    recordStudentLoginAttempt: (codeId) => {
+        if (dbAvailable) return realDb.recordStudentLoginAttempt(codeId);
+        const code = memoryStore.studentLoginCodes.find(c => c.id === codeId);
+        if (code) code.attempts++;
+    },
+    
+    markStudentLoginCodeUsed: (codeId) => {
+        if (dbAvailable) return realDb.markStudentLoginCodeUsed(codeId);
+        const code = memoryStore.studentLoginCodes.find(c => c.id === codeId);
+        if (code) code.used_at = new Date().toISOString();
+    },
+    
+    recordStudentToken: (jti, userId, expiresAt) => {
+        if (dbAvailable) return realDb.recordStudentToken(jti, userId, expiresAt);
+        memoryStore.studentTokens.push({ jti, user_id: userId, expires_at: expiresAt, revoked_at: null });
+    },
+    
+    getStudentToken: (jti) => {
+        if (dbAvailable) return realDb.getStudentToken(jti);
+        return memoryStore.studentTokens.find(t => t.jti === jti) || null;
+    },
+    
+    revokeStudentToken: (jti) => {
+        if (dbAvailable) return realDb.revokeStudentToken(jti);
+        const token = memoryStore.studentTokens.find(t => t.jti === jti && !t.revoked_at);
+        if (token) token.revoked_at = new Date().toISOString();
+        return !!token;
     }
 };
 
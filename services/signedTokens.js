@@ -0,0 +1,67 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🔏 KEA SIGNED TOKENS - HMAC-SHA256 tokens in JWT compact format
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Shared by admin logins (adminAuth.js) and student portal logins (studentPortal.js).
+// Each token carries an `aud` claim ('admin' / 'student') and a jti that the issuing
+// module records in its own table, so one kind of token is never accepted as the other.
+//
+// Environment:
+//   ADMIN_TOKEN_SECRET - HMAC signing secret (random per process if unset)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+let TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET;
+if (!TOKEN_SECRET) {
+    TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ ADMIN_TOKEN_SECRET not set - using a random secret (admin and student logins reset on restart)');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+}
+
+function encodeToken(payload) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// Returns the payload if the signature, expiry and audience are valid, otherwise null
+function decodeToken(token, audience = null) {
+    if (!token || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || Date.now() >= payload.exp * 1000) return null;
+        // Admin tokens issued before `aud` existed have none
+        if (audience && (payload.aud || 'admin') !== audience) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    encodeToken,
+    decodeToken,
+    getBearerToken
+};
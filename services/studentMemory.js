@@ -0,0 +1,235 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🧠 KEA STUDENT MEMORY - What Kea remembers from a student's earlier sessions
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// When a session ends, rememberSession() keeps a few short notes in `student_memories`:
+//
+//   summary    - the session focus from the key takeaways (🎯 Session Focus)
+//   commitment - next steps the student left with (🚀 Next Steps)
+//   gap        - gaps the initial analysis found the student had missed
+//
+// On V7 init, buildMemoryPrompt() turns the notes into a block appended to the system
+// prompt, so Kea can pick up where the student left off, ask about commitments and
+// notice gaps that keep coming up. Students can see and clear their memory from /my.
+//
+// Memory is only loaded into sessions with identity_verified set (resumed from /my, or
+// registered with a portal token). A session registered by typing an email proves
+// nothing about who is speaking, so it starts without memory.
+//
+// Notes are extracted from what the session already produced - no extra LLM call.
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const sessionDb = require('./sessionDatabaseSafe');
+
+const KINDS = ['summary', 'commitment', 'gap'];
+const MAX_ITEMS_PER_KIND = 5;
+const MAX_ITEM_LENGTH = 300;
+
+// How much of the memory goes into the prompt
+const PROMPT_SESSIONS = 3;
+const PROMPT_COMMITMENTS = 5;
+const PROMPT_GAPS = 5;
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// EXTRACTION
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function stripTags(html) {
+    return String(html || '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text) {
+    return text.length > MAX_ITEM_LENGTH ? `${text.slice(0, MAX_ITEM_LENGTH - 1)}…` : text;
+}
+
+// Body of the first <h2> section whose heading matches, up to the next <h2>
+function takeawaysSection(html, headingPattern) {
+    const parts = String(html || '').split(/<h2[^>]*>/i).slice(1);
+    for (const part of parts) {
+        const [heading, ...rest] = part.split(/<\/h2>/i);
+        if (headingPattern.test(stripTags(heading))) return rest.join('');
+    }
+    return '';
+}
+
+function listItems(html) {
+    return [...String(html).matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)]
+        .map(match => stripTags(match[1]))
+        .filter(Boolean);
+}
+
+function parseAnalysis(session) {
+    try {
+        return session.initial_parse_json ? JSON.parse(session.initial_parse_json).analysis || null : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Notes worth keeping from one session: [{ kind, content }]
+function extractMemories(session) {
+    const takeaways = session.key_takeaways_html || '';
+    const memories = [];
+
+    const focus = stripTags(takeawaysSection(takeaways, /session focus/i).match(/<p[^>]*>([\s\S]*?)<\/p>/i)?.[1]);
+    const summary = focus || (session.organisation_name && session.organisation_name !== 'Unknown'
+        ? `Talked through their analysis of ${session.organisation_name}`
+        : null);
+    if (summary) memories.push({ kind: 'summary', content: truncate(summary) });
+
+    for (const step of listItems(takeawaysSection(takeaways, /next steps/i)).slice(0, MAX_ITEMS_PER_KIND)) {
+        memories.push({ kind: 'commitment', content: truncate(step) });
+    }
+
+    // A resumed session shares its analysis with the one it continues - don't count those gaps twice
+    const missed = session.resumed_from ? [] : (parseAnalysis(session)?.gaps?.missed || [])
+        .map(gap => gap?.description?.trim())
+        .filter(Boolean);
+    for (const gap of missed.slice(0, MAX_ITEMS_PER_KIND)) {
+        memories.push({ kind: 'gap', content: truncate(gap) });
+    }
+
+    return memories;
+}
+
+/**
+ * Remember an ended session for its student. Safe to call more than once per session.
+ * Returns the number of notes kept (0 when the session had no student or nothing to keep).
+ */
+function rememberSession(sessionId) {
+    const session = sessionDb.getSession(sessionId);
+    if (!session?.user_id) return 0;
+
+    const turns = sessionDb.getConversationHistory(sessionId);
+    if (!turns.some(t => t.role === 'user')) return 0;
+
+    const memories = extractMemories(session);
+    const kept = sessionDb.replaceSessionMemories(session.user_id, sessionId, memories);
+    console.log(`🧠 Remembered ${kept} notes from ${sessionId} for user ${session.user_id}`);
+    return kept;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// RECALL
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A student's memory grouped by session (newest first), plus gaps seen in more than one session.
+ */
+function getMemory(userId, { excludeSessionId = null } = {}) {
+    const sessions = new Map();
+    const gapCounts = new Map();
+
+    for (const row of sessionDb.getStudentMemories(userId)) {
+        if (row.session_id === excludeSessionId) continue;
+
+        const entry = sessions.get(row.session_id) || {
+            sessionId: row.session_id,
+            startedAt: row.started_at || row.created_at,
+            organisation: row.organisation_name || null,
+            items: []
+        };
+        entry.items.push({ id: row.id, kind: row.kind, content: row.content });
+        sessions.set(row.session_id, entry);
+
+        if (row.kind === 'gap') {
+            const key = row.content.toLowerCase();
+            const gap = gapCounts.get(key) || { content: row.content, sessions: new Set() };
+            gap.sessions.add(row.session_id);
+            gapCounts.set(key, gap);
+        }
+    }
+
+    return {
+        // Rows come oldest first; sessions are listed newest first
+        sessions: [...sessions.values()].reverse(),
+        recurringGaps: [...gapCounts.values()]
+            .filter(gap => gap.sessions.size > 1)
+            .map(gap => ({ content: gap.content, sessionCount: gap.sessions.size }))
+            .sort((a, b) => b.sessionCount - a.sessionCount)
+    };
+}
+
+function formatDate(value) {
+    if (!value) return 'Earlier';
+    const date = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    return date.toLocaleDateString('en-NZ', { timeZone: 'Pacific/Auckland', day: 'numeric', month: 'short' });
+}
+
+/**
+ * System prompt block for a new session, or null when there is nothing to remember.
+ * `sessionId` is the client session being started (its own notes are left out).
+ */
+function buildMemoryPrompt(sessionId) {
+    const session = sessionId ? sessionDb.getSession(sessionId) : null;
+    if (!session?.user_id || !session.identity_verified) return null;
+
+    const memory = getMemory(session.user_id, { excludeSessionId: sessionId });
+    if (memory.sessions.length === 0) return null;
+
+    const recent = memory.sessions.slice(0, PROMPT_SESSIONS);
+    const itemsOf = (entry, kind) => entry.items.filter(i => i.kind === kind).map(i => i.content);
+
+    const lines = ['═══ WHAT YOU REMEMBER ABOUT THIS STUDENT ═══', 'Earlier sessions (most recent first):'];
+    for (const entry of recent) {
+        const summary = itemsOf(entry, 'summary')[0] || 'General coaching conversation';
+        const organisation = entry.organisation && entry.organisation !== 'Unknown' ? ` · ${entry.organisation}` : '';
+        lines.push(`- ${formatDate(entry.startedAt)}${organisation}: ${summary}`);
+    }
+
+    const commitments = recent.flatMap(entry => itemsOf(entry, 'commitment')).slice(0, PROMPT_COMMITMENTS);
+    if (commitments.length > 0) {
+        lines.push('', 'Next steps they left with:');
+        commitments.forEach(c => lines.push(`- ${c}`));
+    }
+
+    const gaps = memory.recurringGaps.length > 0
+        ? memory.recurringGaps.map(g => `${g.content} (in ${g.sessionCount} sessions)`)
+        : itemsOf(recent[0], 'gap');
+    if (gaps.length > 0) {
+        lines.push('', memory.recurringGaps.length > 0 ? 'Gaps that keep coming up:' : 'Gaps from their last analysis:');
+        gaps.slice(0, PROMPT_GAPS).forEach(g => lines.push(`- ${g}`));
+    }
+
+    lines.push(
+        '',
+        'Use this the way a coach who remembers would: welcome them back, ask how a next step went,',
+        'and connect today\'s discussion to earlier ones when it helps. Do not read the list out, and',
+        'do not claim to remember anything that is not written here.'
+    );
+    return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// STUDENT CONTROLS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function forget(userId, memoryId) {
+    return sessionDb.deleteStudentMemory(userId, memoryId);
+}
+
+function clearMemory(userId) {
+    const cleared = sessionDb.clearStudentMemories(userId);
+    console.log(`🧠 Cleared ${cleared} memory notes for user ${userId}`);
+    return cleared;
+}
+
+module.exports = {
+    KINDS,
+    extractMemories,
+    rememberSession,
+    getMemory,
+    buildMemoryPrompt,
+    forget,
+    clearMemory
+};
@@ -0,0 +1,283 @@
+// ═══════════════════════════════════════════════════════════════════════════════════
+// 🎓 KEA STUDENT PORTAL - Email code login, past sessions and resume
+// ═══════════════════════════════════════════════════════════════════════════════════
+//
+// Students have no password. They enter the email they registered a session with
+// (/api/register-session) and get a 6-digit code, plus a link that fills it in:
+//
+//   requestLoginCode(email, ip) → code emailed via the outbox (kind student_login_code)
+//   verifyLoginCode(email, code) → signed token (aud 'student'), jti in student_tokens
+//
+// Codes are stored hashed, expire after STUDENT_CODE_TTL_MINUTES and allow
+// MAX_CODE_ATTEMPTS guesses. Requests are counted per email address and per client
+// address before the email is looked up, so the limits, and every answer, are the
+// same whether or not the email is known.
+//
+// Once signed in a student can list their sessions, read transcripts and key
+// takeaways, and resume a session: a new session is created that carries over the
+// stored coaching_context and the most recent turns, ready for the V7 relay.
+//
+// Environment:
+//   STUDENT_TOKEN_TTL_HOURS  - portal token lifetime (default 12)
+//   STUDENT_CODE_TTL_MINUTES - login code lifetime (default 15)
+//
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const sessionDb = require('./sessionDatabaseSafe');
+const emailOutbox = require('./emailOutbox');
+const { encodeToken, decodeToken, getBearerToken } = require('./signedTokens');
+
+const TOKEN_TTL_MS = (parseFloat(process.env.STUDENT_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const CODE_TTL_MINUTES = parseInt(process.env.STUDENT_CODE_TTL_MINUTES) || 15;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_WINDOW = 3;
+const MAX_CODES_PER_IP = 10;
+const CODE_WINDOW_MS = CODE_TTL_MINUTES * 60 * 1000;
+
+// Turns replayed into the relay's conversation history on resume (the brain sees the last 10)
+const RESUME_TURNS = 10;
+
+const CODE_REQUESTED_MESSAGE = 'If that email has Kea sessions, a sign-in code is on its way';
+const TOO_MANY_CODES = { ok: false, status: 429, error: 'Too many codes requested - please wait a few minutes and try again' };
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// LOGIN CODES
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+const codeRequests = new Map(); // 'email:<address>' | 'ip:<address>' → { count, resetTime }
+
+// Counts the request against the email and the client address, or refuses it when
+// either is over its limit
+function allowCodeRequest(email, ip, now = Date.now()) {
+    // Expired records are only dropped here, so the map stays bounded by recent requests
+    for (const [key, record] of codeRequests) {
+        if (now > record.resetTime) codeRequests.delete(key);
+    }
+    const limits = [[`email:${email.toLowerCase()}`, MAX_CODES_PER_WINDOW]];
+    if (ip) limits.push([`ip:${ip}`, MAX_CODES_PER_IP]);
+    if (limits.some(([key, max]) => (codeRequests.get(key)?.count || 0) >= max)) return false;
+
+    for (const [key] of limits) {
+        const record = codeRequests.get(key);
+        if (record) record.count++;
+        else codeRequests.set(key, { count: 1, resetTime: now + CODE_WINDOW_MS });
+    }
+    return true;
+}
+
+function requestLoginCode(email, ip = null) {
+    const normalised = String(email || '').trim();
+    if (!normalised) return { ok: false, status: 400, error: 'Email is required' };
+    if (!allowCodeRequest(normalised, ip)) return TOO_MANY_CODES;
+
+    const user = sessionDb.getUserByEmail(normalised);
+    if (!user) {
+        console.log(`🎓 Login code requested for unknown email`);
+        return { ok: true, message: CODE_REQUESTED_MESSAGE };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000).toISOString();
+    sessionDb.createStudentLoginCode(user.id, hashCode(code), expiresAt);
+
+    emailOutbox.enqueue('student_login_code', user.email, {
+        name: user.name,
+        code,
+        expiresMinutes: CODE_TTL_MINUTES
+    }, { recipientRole: 'student' });
+
+    console.log(`🎓 Login code issued for user ${user.id}`);
+    return { ok: true, message: CODE_REQUESTED_MESSAGE };
+}
+
+function verifyLoginCode(email, code) {
+    const invalid = { ok: false, status: 401, error: 'Invalid or expired code' };
+    const user = email ? sessionDb.getUserByEmail(String(email).trim()) : null;
+    if (!user || !code) return invalid;
+
+    const loginCode = sessionDb.getActiveStudentLoginCode(user.id, new Date().toISOString());
+    if (!loginCode || loginCode.attempts >= MAX_CODE_ATTEMPTS) return invalid;
+
+    const expected = Buffer.from(loginCode.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        sessionDb.recordStudentLoginAttempt(loginCode.id);
+        return invalid;
+    }
+
+    sessionDb.markStudentLoginCodeUsed(loginCode.id);
+    console.log(`🎓 Student login: user ${user.id}`);
+    return { ok: true, ...issueToken(user), student: toPublicStudent(user) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+function issueToken(user) {
+    const now = Date.now();
+    const expiresAt = new Date(now + TOKEN_TTL_MS);
+    const payload = {
+        sub: user.id,
+        aud: 'student',
+        email: user.email,
+        jti: crypto.randomUUID(),
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000)
+    };
+
+    sessionDb.recordStudentToken(payload.jti, user.id, expiresAt.toISOString());
+
+    return { token: encodeToken(payload), expiresAt: expiresAt.toISOString() };
+}
+
+function authenticateStudent(req) {
+    const payload = decodeToken(getBearerToken(req), 'student');
+    if (!payload) {
+        return { ok: false, status: 401, error: 'Please sign in again' };
+    }
+
+    const tokenRecord = sessionDb.getStudentToken(payload.jti);
+    if (!tokenRecord || tokenRecord.revoked_at) {
+        return { ok: false, status: 401, error: 'Please sign in again' };
+    }
+
+    return { ok: true, userId: payload.sub, token: payload };
+}
+
+function logout(tokenPayload) {
+    if (!tokenPayload?.jti) return false;
+    return sessionDb.revokeStudentToken(tokenPayload.jti);
+}
+
+function toPublicStudent(user) {
+    return { id: user.id, name: user.name, email: user.email };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════
+// SESSIONS
+// ═══════════════════════════════════════════════════════════════════════════════════
+
+// The student's own session, or null (callers answer 404 either way)
+function getOwnSession(userId, sessionId) {
+    const session = sessionId ? sessionDb.getSession(sessionId) : null;
+    return session && session.user_id === userId ? session : null;
+}
+
+function toSessionSummary(session) {
+    return {
+        sessionId: session.session_id,
+        courseCode: session.course_code,
+        organisation: session.organisation_name || null,
+        filename: session.document_filename || null,
+        status: session.status,
+        startedAt: session.started_at,
+        endedAt: session.ended_at || null,
+        resumedFrom: session.resumed_from || null,
+        hasTakeaways: !!session.key_takeaways_html
+    };
+}
+
+function listSessions(userId) {
+    return sessionDb.getUserSessions(userId).map(toSessionSummary);
+}
+
+// Transcript and takeaways only - the assessment analysis stays staff-side
+function getSessionForStudent(userId, sessionId) {
+    const session = getOwnSession(userId, sessionId);
+    if (!session) return null;
+
+    return {
+        ...toSessionSummary(session),
+        keyTakeaways: session.key_takeaways_html || null,
+        turns: sessionDb.getConversationHistory(sessionId).map(turn => ({
+            role: turn.role,
+            content: turn.content,
+            timestamp: turn.timestamp || null
+        }))
+    };
+}
+
+function newSessionId() {
+    return `kea_${new Date().toISOString().slice(0, 10)}_resume_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Start a new session continuing `sessionId`.
+ * Returns { session, contextEntry, recentTurns } or null if the session is not the student's.
+ * server.js puts contextEntry in its coaching context map under the new session id,
+ * where the V7 relay picks up both the coaching context and resumeHistory on init.
+ */
+function resumeSession(userId, sessionId) {
+    const original = getOwnSession(userId, sessionId);
+    if (!original) return null;
+
+    const resumedId = newSessionId();
+    const created = sessionDb.createSession(
+        resumedId,
+        userId,
+        original.response_length || 'MEDIUM',
+        original.course_code,
+        original.tutorial_group
+    );
+    if (created === false) throw new Error('Could not create resumed session');
+    sessionDb.setSessionResumedFrom(resumedId, sessionId);
+    sessionDb.markSessionIdentityVerified(resumedId);
+
+    let analysis = null;
+    try {
+        analysis = original.initial_parse_json ? JSON.parse(original.initial_parse_json) : null;
+    } catch (err) {
+        analysis = null;
+    }
+
+    // Carry the assessment over so reports and admin views of the new session are complete
+    if (original.coaching_context) {
+        sessionDb.updateSessionAssessment(resumedId, {
+            organisationName: original.organisation_name,
+            filename: original.document_filename,
+            wordCount: original.document_word_count,
+            initialParse: analysis,
+            coachingContext: original.coaching_context
+        });
+    }
+
+    const recentTurns = sessionDb.getConversationHistory(sessionId)
+        .slice(-RESUME_TURNS)
+        .map(turn => ({ role: turn.role, content: turn.content }));
+
+    console.log(`🎓 Session ${sessionId} resumed as ${resumedId} (${recentTurns.length} turns carried over)`);
+
+    return {
+        session: toSessionSummary(sessionDb.getSession(resumedId)),
+        recentTurns,
+        contextEntry: {
+            analysis,
+            coachingContext: original.coaching_context || null,
+            attestation: null,
+            description: null,
+            timestamp: Date.now(),
+            filename: original.document_filename || null,
+            organization: original.organisation_name || 'Unknown',
+            primaryReport: true,
+            additionalDocuments: [],
+            resumedFrom: sessionId,
+            resumeHistory: recentTurns
+        }
+    };
+}
+
+module.exports = {
+    requestLoginCode,
+    verifyLoginCode,
+    authenticateStudent,
+    logout,
+    listSessions,
+    getSessionForStudent,
+    resumeSession
+};
@@ -0,0 +1,181 @@
+/**
+ * ADMIN AUTH TEST - Tokens, login limits, request guard, disabled accounts and role scope, no network
+ *
+ * Runs on a temporary database (tests/tempDb.js).
+ *
+ *   node tests/admin_auth_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const { encodeToken, decodeToken } = require('../services/signedTokens');
+const adminAuth = require('../services/adminAuth');
+const sessionDb = require('../services/sessionDatabaseSafe');
+
+const asRequest = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+function testSignedTokens() {
+    console.log('🔏 Signed tokens...');
+    const token = encodeToken({ sub: 1, aud: 'student', exp: inOneHour() });
+    assert.strictEqual(decodeToken(token, 'student').sub, 1);
+    assert.strictEqual(decodeToken(token, 'admin'), null, 'student token is not an admin token');
+
+    const [header, body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 2, aud: 'student', exp: inOneHour() })).toString('base64url');
+    assert.strictEqual(decodeToken(`${header}.${forged}.${signature}`, 'student'), null, 'edited body is rejected');
+    assert.strictEqual(decodeToken(`${header}.${body}`), null);
+    assert.strictEqual(decodeToken(encodeToken({ sub: 1, aud: 'admin', exp: 1 }), 'admin'), null, 'expired');
+
+    const legacy = encodeToken({ sub: 1, exp: inOneHour() });
+    assert.strictEqual(decodeToken(legacy, 'admin').sub, 1, 'tokens without aud are admin tokens');
+    console.log('   ✅ signature, expiry and audience checked');
+}
+
+function testPasswords() {
+    console.log('🔑 Password hashing...');
+    const { hash, salt } = adminAuth.hashPassword('correct horse');
+    assert.ok(adminAuth.verifyPassword('correct horse', hash, salt));
+    assert.ok(!adminAuth.verifyPassword('Correct horse', hash, salt));
+    assert.notStrictEqual(adminAuth.hashPassword('correct horse').hash, hash, 'salted per call');
+    console.log('   ✅ scrypt hash round-trips with a fresh salt');
+}
+
+function testLoginAndGuard() {
+    console.log('🔐 Login, guard and logout...');
+    adminAuth.createAdmin('alice', 'alice-pass-1', 'Alice');
+
+    assert.strictEqual(adminAuth.login('alice', 'wrong', '10.0.0.1'), null);
+    assert.strictEqual(adminAuth.login('nobody', 'alice-pass-1', '10.0.0.1'), null);
+
+    const session = adminAuth.login('ALICE', 'alice-pass-1', '10.0.0.1');
+    assert.ok(session.token, 'usernames match case-insensitively');
+    assert.deepStrictEqual(session.admin, { id: session.admin.id, username: 'alice', displayName: 'Alice' });
+
+    assert.strictEqual(adminAuth.authenticateRequest(asRequest(null)).status, 401);
+    assert.strictEqual(adminAuth.authenticateRequest(asRequest('not.a.token')).status, 401);
+    const student = encodeToken({ sub: session.admin.id, aud: 'student', jti: 'x', exp: inOneHour() });
+    assert.strictEqual(adminAuth.authenticateRequest(asRequest(student)).status, 401);
+
+    const auth = adminAuth.authenticateRequest(asRequest(session.token));
+    assert.ok(auth.ok);
+    assert.strictEqual(auth.admin.username, 'alice');
+
+    assert.ok(adminAuth.logout(auth.token));
+    const revoked = adminAuth.authenticateRequest(asRequest(session.token));
+    assert.deepStrictEqual([revoked.status, revoked.error], [401, 'Token has been revoked']);
+    console.log('   ✅ bad credentials refused, token accepted until logout');
+}
+
+function testLoginLimits() {
+    console.log('🚧 Failed login limits...');
+    adminAuth.createAdmin('bob', 'bob-pass-1');
+
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(adminAuth.login('bob', 'wrong', '10.0.0.2'), null);
+    }
+    const locked = adminAuth.login('bob', 'bob-pass-1', '10.0.0.3');
+    assert.ok(locked.locked && locked.retryAfter > 0, 'the right password waits out the lockout too');
+    assert.ok(adminAuth.login('alice', 'alice-pass-1', '10.0.0.2').token, 'other accounts are unaffected');
+
+    for (let i = 0; i < 20; i++) {
+        adminAuth.login(`guess${i}`, 'wrong', '10.0.0.9');
+    }
+    assert.ok(adminAuth.login('alice', 'alice-pass-1', '10.0.0.9').locked, 'address locked after 20 failures');
+    console.log('   ✅ per-username and per-address lockouts');
+}
+
+function testDisabledAccounts() {
+    console.log('⛔ Disabling accounts and revoking tokens...');
+    adminAuth.createAdmin('frank', 'frank-pass-1');
+    const first = adminAuth.login('frank', 'frank-pass-1', '10.0.2.1').token;
+    const second = adminAuth.login('frank', 'frank-pass-1', '10.0.2.1').token;
+
+    const disabled = adminAuth.setAccountDisabled('frank', true);
+    assert.strictEqual(disabled.tokensRevoked, 2);
+    for (const token of [first, second]) {
+        assert.strictEqual(adminAuth.authenticateRequest(asRequest(token)).status, 401, 'existing tokens stop working');
+    }
+    assert.deepStrictEqual(adminAuth.login('frank', 'frank-pass-1', '10.0.2.1'), { disabled: true });
+
+    adminAuth.setAccountDisabled('frank', false);
+    const third = adminAuth.login('frank', 'frank-pass-1', '10.0.2.1').token;
+    assert.ok(adminAuth.authenticateRequest(asRequest(third)).ok, 'enabled again');
+
+    // A token still held when the flag is set directly (e.g. in the database) is refused too
+    const frank = sessionDb.getAdminUserByUsername('frank');
+    sessionDb.setAdminUserDisabled(frank.id, true);
+    assert.strictEqual(adminAuth.authenticateRequest(asRequest(third)).status, 403);
+    sessionDb.setAdminUserDisabled(frank.id, false);
+
+    assert.strictEqual(adminAuth.revokeAllTokens('frank').tokensRevoked, 1);
+    assert.strictEqual(adminAuth.authenticateRequest(asRequest(third)).status, 401);
+    assert.strictEqual(adminAuth.setAccountDisabled('nobody', true), null);
+    console.log('   ✅ disabled accounts lose their tokens and cannot sign in');
+}
+
+function testRoleScope() {
+    console.log('🎓 Course-scoped roles...');
+    const scopeOf = (username, grants) => {
+        const admin = adminAuth.createAdmin(username, `${username}-pass-1`);
+        for (const [role, courseCode, tutorialGroup] of grants) {
+            sessionDb.grantAdminRole(admin.id, role, courseCode, tutorialGroup);
+        }
+        return adminAuth.authenticateRequest(asRequest(adminAuth.login(username, `${username}-pass-1`, '10.0.1.1').token)).scope;
+    };
+    const platform = scopeOf('root', [['platform_admin']]);
+    const courseAdmin = scopeOf('carol', [['course_admin', 'MAMC01810']]);
+    const instructor = scopeOf('dave', [['instructor', 'MAMC01810']]);
+    const ta = scopeOf('erin', [['ta', 'MAMC01810', 'T2']]);
+
+    const t1 = { course_code: 'MAMC01810', tutorial_group: 'T1' };
+    const t2 = { course_code: 'MAMC01810', tutorial_group: 'T2' };
+    const other = { course_code: 'OTHER101', tutorial_group: 'T2' };
+
+    assert.ok(adminAuth.can(platform, 'delete', other));
+    assert.ok(adminAuth.can(courseAdmin, 'delete', t1) && !adminAuth.can(courseAdmin, 'view', other));
+    assert.ok(adminAuth.can(instructor, 'export', t1) && !adminAuth.can(instructor, 'delete', t1));
+    assert.ok(adminAuth.can(ta, 'view', t2) && !adminAuth.can(ta, 'view', t1) && !adminAuth.can(ta, 'export', t2));
+    assert.deepStrictEqual(adminAuth.filterSessions(ta, [t1, t2, other]), [t2]);
+
+    assert.strictEqual(adminAuth.sessionScope(platform), null);
+    assert.deepStrictEqual(adminAuth.sessionScope(ta), [{ courseCode: 'MAMC01810', tutorialGroup: 'T2' }]);
+    assert.deepStrictEqual(adminAuth.sessionScope(instructor), [{ courseCode: 'MAMC01810', tutorialGroup: null }]);
+    assert.deepStrictEqual(adminAuth.sessionScope(ta, 'export'), [], 'no grant carries the permission');
+
+    assert.ok(adminAuth.canManageGrant(courseAdmin, 'ta', 'MAMC01810'));
+    assert.ok(!adminAuth.canManageGrant(courseAdmin, 'ta', 'OTHER101'));
+    assert.ok(!adminAuth.canManageGrant(courseAdmin, 'course_admin', 'MAMC01810'));
+    assert.ok(!adminAuth.canManageGrant(instructor, 'ta', 'MAMC01810'));
+    assert.ok(adminAuth.canManageGrant(platform, 'platform_admin'));
+
+    assert.strictEqual(adminAuth.validateGrant('ta', 'MAMC01810', 'T1'), null);
+    assert.strictEqual(adminAuth.validateGrant('platform_admin', null, null), null);
+    assert.ok(adminAuth.validateGrant('owner', 'MAMC01810', null));
+    assert.ok(adminAuth.validateGrant('platform_admin', 'MAMC01810', null));
+    assert.ok(adminAuth.validateGrant('ta', 'MAMC01810', null));
+    assert.ok(adminAuth.validateGrant('instructor', 'MAMC01810', 'T1'));
+
+    assert.deepStrictEqual(adminAuth.describeScope(ta).permissions, ['view']);
+    console.log('   ✅ permissions, session filters and grant management follow the role scope');
+}
+
+function main() {
+    console.log('\n🧪 ADMIN AUTH TEST\n');
+    testSignedTokens();
+    testPasswords();
+    testLoginAndGuard();
+    testLoginLimits();
+    testDisabledAccounts();
+    testRoleScope();
+    console.log('\n✅ All admin auth tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Admin auth test failed:', err);
+    process.exit(1);
+}
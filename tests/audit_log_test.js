@@ -0,0 +1,100 @@
+/**
+ * AUDIT LOG TEST - Hash chain, append-only table, request tracking and queries, no network
+ *
+ * Tampering is simulated by dropping the table's triggers in a temporary database
+ * (tests/tempDb.js).
+ *
+ *   node tests/audit_log_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const { db } = require('../services/sessionDatabase');
+const sessionDb = require('../services/sessionDatabaseSafe');
+const auditLog = require('../services/auditLog');
+
+const admin = { admin: { id: 7, username: 'root' } };
+const request = (method = 'GET', forwardedFor = null) => ({
+    method,
+    socket: { remoteAddress: '10.0.0.5' },
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+});
+
+// Sends a fake response through trackAdminRequest and returns the event it recorded
+function trackedEvent(method, path, status) {
+    const req = request(method);
+    const res = new EventEmitter();
+    auditLog.trackAdminRequest(req, res, admin, new URL(path, 'http://localhost'));
+    res.statusCode = status;
+    res.emit('finish');
+    return auditLog.query({ limit: 1 })[0];
+}
+
+function testRecording() {
+    console.log('📜 Recording events...');
+    const user = sessionDb.getOrCreateUser('river@student.example.edu', 'River');
+    sessionDb.createSession('audit_1', user.id, 'MEDIUM', 'MAMC01810');
+
+    const event = auditLog.record(request('POST', '203.0.113.9'), auditLog.studentActor(user.id), 'session.register', {
+        targetType: 'session', targetId: 'audit_1'
+    });
+    assert.strictEqual(event.course_code, 'MAMC01810', 'course looked up from the session');
+    assert.strictEqual(event.ip, '10.0.0.5', 'X-Forwarded-For ignored without TRUST_PROXY');
+    assert.strictEqual(event.previous_hash, null, 'first event starts the chain');
+
+    assert.strictEqual(auditLog.record(null, auditLog.SYSTEM, null), null, 'a failed write does not throw');
+
+    const view = trackedEvent('GET', '/api/admin/session/audit_1', 200);
+    assert.deepStrictEqual(
+        [view.action, view.actor_name, view.target_id, view.course_code, view.outcome],
+        ['session.view', 'root', 'audit_1', 'MAMC01810', 'ok']
+    );
+    const denied = trackedEvent('DELETE', '/api/admin/session/audit_1', 403);
+    assert.deepStrictEqual([denied.action, denied.outcome, denied.detail.status], ['session.delete', 'denied', 403]);
+    const unlisted = trackedEvent('GET', '/api/admin/something-new?x=1', 404);
+    assert.deepStrictEqual([unlisted.action, unlisted.target_type, unlisted.detail.query], ['admin.get', 'path', '?x=1']);
+
+    const before = auditLog.query({ limit: 100 }).length;
+    trackedEvent('GET', '/api/admin/me', 200);
+    assert.strictEqual(auditLog.query({ limit: 100 }).length, before, 'identity checks are not recorded');
+
+    assert.deepStrictEqual(auditLog.query({ action: 'session' }).map(e => e.action), ['session.delete', 'session.view', 'session.register']);
+    assert.deepStrictEqual(auditLog.query({ courseCodes: ['OTHER101'] }), []);
+    console.log('   ✅ events carry actor, course and outcome; queries filter by action prefix and course');
+}
+
+function testChain() {
+    console.log('🔗 Verifying the chain...');
+    const events = auditLog.query({ limit: 100 }).reverse();
+    const result = auditLog.verify();
+    assert.deepStrictEqual(result, { valid: true, checked: events.length, head: events.at(-1).content_hash, errors: [] });
+    events.slice(1).forEach((event, i) => assert.strictEqual(event.previous_hash, events[i].content_hash));
+
+    assert.throws(() => db.prepare(`UPDATE audit_events SET outcome = 'ok' WHERE id = 1`).run(), /append-only/);
+    assert.throws(() => db.prepare('DELETE FROM audit_events WHERE id = 1').run(), /append-only/);
+
+    db.exec('DROP TRIGGER audit_events_no_update; DROP TRIGGER audit_events_no_delete;');
+    db.prepare(`UPDATE audit_events SET outcome = 'ok' WHERE id = ?`).run(events[2].id);
+    assert.deepStrictEqual(auditLog.verify().errors, [{ id: events[2].id, error: 'content hash mismatch' }]);
+
+    db.prepare('DELETE FROM audit_events WHERE id = ?').run(events[2].id);
+    assert.deepStrictEqual(auditLog.verify().errors, [{ id: events[3].id, error: 'chain linkage broken' }]);
+    console.log('   ✅ edits and deletions are refused, and show up when forced');
+}
+
+function main() {
+    console.log('\n🧪 AUDIT LOG TEST\n');
+    testRecording();
+    testChain();
+    console.log('\n✅ All audit log tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Audit log test failed:', err);
+    process.exit(1);
+}
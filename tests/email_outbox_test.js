@@ -0,0 +1,87 @@
+/**
+ * EMAIL OUTBOX TEST - Retries, backoff, resend and bounce handling, no network
+ *
+ * Delivery goes through stubbed emailService senders on a temporary database
+ * (tests/tempDb.js).
+ *
+ *   node tests/email_outbox_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const sessionDb = require('../services/sessionDatabaseSafe');
+const emailService = require('../services/emailService');
+const outbox = require('../services/emailOutbox');
+
+// Each call takes the next scripted result; the last one repeats
+function scriptSender(name, results) {
+    const calls = [];
+    emailService[name] = async (toEmail, payload) => {
+        calls.push({ toEmail, payload });
+        return results[Math.min(calls.length, results.length) - 1];
+    };
+    return calls;
+}
+
+async function testRetriesAndResend() {
+    console.log('📮 Retries, backoff and resend...');
+    const calls = scriptSender('sendDigestEmail', [
+        { success: false, error: 'connection refused' },
+        { success: false, error: 'connection refused' },
+        { success: true, messageId: 'msg-1' }
+    ]);
+
+    const queued = outbox.enqueue('course_digest', 'lecturer@example.edu', { courseCode: 'MAMC01810' });
+    await outbox.processQueue();
+    let row = sessionDb.getOutboxEmailById(queued.id);
+    assert.deepStrictEqual([row.status, row.attempts, row.last_error], ['queued', 1, 'connection refused']);
+    const delay = Date.parse(row.next_attempt_at) - Date.now();
+    assert.ok(delay > 55 * 1000 && delay <= 60 * 1000, 'first retry waits about a minute');
+
+    assert.strictEqual(await outbox.processQueue(), 0, 'nothing is due before the backoff ends');
+    assert.strictEqual(calls.length, 1);
+
+    // Jump to the last attempt
+    sessionDb.updateOutboxEmail(queued.id, { status: 'queued', attempts: 4, nextAttemptAt: new Date().toISOString() });
+    await outbox.processQueue();
+    row = sessionDb.getOutboxEmailById(queued.id);
+    assert.deepStrictEqual([row.status, row.attempts, row.next_attempt_at], ['failed', 5, null]);
+
+    assert.strictEqual(outbox.resend(queued.id).attempts, 0);
+    await outbox.processQueue();
+    row = sessionDb.getOutboxEmailById(queued.id);
+    assert.deepStrictEqual([row.status, row.provider_message_id], ['sent', 'msg-1']);
+    assert.deepStrictEqual(JSON.parse(row.payload_json), { courseCode: 'MAMC01810' }, 'payload kept for resends');
+    assert.strictEqual(outbox.resend(999999), null);
+    console.log('   ✅ failed attempts back off, give up at the limit and can be re-queued');
+}
+
+function testBounces() {
+    console.log('↩️ Provider bounce events...');
+    const bounced = outbox.recordProviderEvents([
+        { sg_message_id: 'msg-1.filter0001', event: 'bounce', reason: 'mailbox full' },
+        { sg_message_id: 'msg-1.filter0001', event: 'delivered' },
+        { event: 'dropped' }
+    ]);
+    assert.strictEqual(bounced, 1);
+    const [row] = sessionDb.getOutboxEmails({ status: 'bounced' });
+    assert.strictEqual(row.last_error, 'bounce: mailbox full');
+
+    const adminRow = outbox.toAdminEmail(row);
+    assert.ok(!('payload_json' in adminRow) && adminRow.resendable);
+    console.log('   ✅ bounces matched on the message id prefix');
+}
+
+async function main() {
+    console.log('\n🧪 EMAIL OUTBOX TEST\n');
+    await testRetriesAndResend();
+    testBounces();
+    console.log('\n✅ All email outbox tests passed\n');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('\n❌ Email outbox test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * ERASURE TEST - Subject access export and right-to-erasure with tombstones, no network
+ *
+ * Runs on a temporary database (tests/tempDb.js).
+ *
+ *   node tests/erasure_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const sessionDb = require('../services/sessionDatabaseSafe');
+
+// A student with two sessions and something in every table that names them
+function seedStudent(email, prefix) {
+    const user = sessionDb.getOrCreateUser(email, prefix);
+    for (const sessionId of [`${prefix}_1`, `${prefix}_2`]) {
+        sessionDb.createSession(sessionId, user.id, 'MEDIUM', 'MAMC01810');
+        sessionDb.addConversationTurn(sessionId, 'user', `${prefix} talks about Scope 3.`);
+        sessionDb.addConversationTurn(sessionId, 'assistant', 'Which suppliers matter most?');
+        sessionDb.addSessionDocument(sessionId, { kind: 'primary', filename: `${prefix}.pdf`, text: 'Report text' });
+        sessionDb.replaceSessionMemories(user.id, sessionId, [{ kind: 'gap', content: 'No supplier data' }]);
+    }
+    sessionDb.createStudentLoginCode(user.id, 'f'.repeat(64), new Date(Date.now() + 60000).toISOString());
+    sessionDb.enqueueEmail({ kind: 'student_login_code', toEmail: email, payload: { name: prefix, code: '123456' } });
+    sessionDb.enqueueEmail({ kind: 'session_report', sessionId: `${prefix}_1`, toEmail: 'lecturer@example.edu', payload: { name: prefix } });
+    return user;
+}
+
+function testExport() {
+    console.log('📦 Subject access export...');
+    const user = seedStudent('jordan@student.example.edu', 'jordan');
+    const bundle = sessionDb.exportUserData(user.id);
+
+    assert.strictEqual(bundle.format, 'kea-subject-access/1');
+    assert.strictEqual(bundle.profile.email, 'jordan@student.example.edu');
+    assert.deepStrictEqual(bundle.sessions.map(s => s.session_id), ['jordan_1', 'jordan_2']);
+    assert.strictEqual(bundle.sessions[0].turns.length, 2);
+    assert.strictEqual(bundle.sessions[0].documents[0].filename, 'jordan.pdf');
+    assert.strictEqual(bundle.memories.length, 2);
+    assert.deepStrictEqual(bundle.emails.map(e => e.kind).sort(), ['session_report', 'student_login_code']);
+    assert.ok(!('code' in bundle.emails.find(e => e.kind === 'student_login_code').payload), 'live codes never leave');
+    assert.strictEqual(bundle.portalAccess.loginCodes.length, 1);
+    assert.ok(!('code_hash' in bundle.portalAccess.loginCodes[0]));
+    assert.strictEqual(sessionDb.exportUserData(999999), null);
+    console.log('   ✅ every session, turn, document, memory and email in one bundle');
+}
+
+function testErasure() {
+    console.log('🗑️ Erasure and tombstone...');
+    const user = sessionDb.getUserByEmail('jordan@student.example.edu');
+    const other = seedStudent('casey@student.example.edu', 'casey');
+
+    const tombstone = sessionDb.eraseUser(user.id, { erasedBy: 'root', reason: 'Student request' });
+    assert.deepStrictEqual(tombstone.sessionIds, ['jordan_1', 'jordan_2']);
+    assert.strictEqual(tombstone.session_count, 2);
+    assert.strictEqual(tombstone.email_hash, sessionDb.hashEmail(' Jordan@Student.example.edu '));
+    assert.deepStrictEqual([tombstone.erased_by, tombstone.reason], ['root', 'Student request']);
+
+    const counts = JSON.parse(tombstone.deleted_counts_json);
+    assert.deepStrictEqual(
+        [counts.users, counts.sessions, counts.conversation_turns, counts.session_documents,
+            counts.student_memories, counts.student_login_codes, counts.email_outbox],
+        [1, 2, 4, 2, 2, 1, 2]
+    );
+
+    const stored = JSON.stringify(sessionDb.getErasureTombstones());
+    assert.ok(!stored.includes('jordan'), 'the tombstone holds no name, email or session text');
+    assert.ok(!sessionDb.getUserByEmail('jordan@student.example.edu'));
+    assert.ok(!sessionDb.getSession('jordan_1'));
+    assert.strictEqual(sessionDb.getConversationHistory('jordan_2').length, 0);
+    assert.strictEqual(sessionDb.exportUserData(user.id), null);
+
+    const remaining = sessionDb.exportUserData(other.id);
+    assert.strictEqual(remaining.sessions.length, 2, 'other students are untouched');
+    assert.strictEqual(remaining.emails.length, 2);
+    assert.strictEqual(sessionDb.eraseUser(user.id), null, 'erasing twice finds nobody');
+    console.log('   ✅ student data deleted, tombstone keeps only a hash and counts');
+}
+
+function main() {
+    console.log('\n🧪 ERASURE TEST\n');
+    testExport();
+    testErasure();
+    console.log('\n✅ All erasure tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Erasure test failed:', err);
+    process.exit(1);
+}
@@ -0,0 +1,156 @@
+/**
+ * LLM PROVIDER TEST - Mock and OpenAI-compatible backends, no network
+ *
+ * Runs the OpenAI-compatible backend against a stub HTTP server on localhost and the
+ * coaching brain (groqBrain.think) against the scripted mock. The brain loads the course
+ * config from the database, so the test runs on a temporary one (tests/tempDb.js).
+ *
+ *   node tests/llm_provider_test.js
+ */
+
+require('./tempDb');
+
+const http = require('http');
+const assert = require('assert');
+const llm = require('../services/llmProvider');
+
+const request = {
+    model: 'llama-3.3-70b-versatile',
+    messages: [
+        { role: 'system', content: 'You are Kea.' },
+        { role: 'user', content: 'Our supplier audit found gaps in scope 3 reporting' }
+    ],
+    temperature: 0.2,
+    maxTokens: 100
+};
+
+// Stub /v1/chat/completions: records bodies, answers plain or as server-sent events
+function startStub() {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            bodies.push(body);
+            if (body.model === 'missing-model') {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end('{"error":"model not found"}');
+                return;
+            }
+            const usage = { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 };
+            if (!body.stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ model: body.model, choices: [{ message: { content: 'Which suppliers?' } }], usage }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const content of ['Which ', 'suppliers?']) {
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+            }
+            res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, bodies })));
+}
+
+async function testMock() {
+    console.log('🎭 Mock provider...');
+    const provider = llm.createProvider({
+        ...llm.configFromEnv({ LLM_PROVIDER: 'mock' }),
+        mock: { script: [
+            { match: 'scope 3', response: 'Tell me about those gaps.' },
+            { match: '^analyse', response: { organization: 'Fonterra' } }
+        ] }
+    });
+
+    const scripted = await provider.chat(request);
+    assert.strictEqual(scripted.text, 'Tell me about those gaps.');
+    assert.strictEqual(scripted.usage.totalTokens, scripted.usage.promptTokens + scripted.usage.completionTokens);
+
+    const json = await provider.chat({ ...request, json: true, messages: [{ role: 'user', content: 'Analyse this report' }] });
+    assert.deepStrictEqual(JSON.parse(json.text), { organization: 'Fonterra' });
+
+    const fallback = await provider.chat({ ...request, json: true, messages: [{ role: 'user', content: 'Something else' }] });
+    assert.strictEqual(fallback.text, '{}');
+
+    const deltas = [];
+    const streamed = await provider.stream(request, delta => deltas.push(delta));
+    assert.strictEqual(deltas.join(''), streamed.text);
+    assert.ok(deltas.length > 1, 'mock streams word by word');
+    assert.strictEqual(provider.calls.length, 4);
+    console.log('   ✅ scripted, JSON, fallback and streaming replies');
+}
+
+async function testOpenAICompatible() {
+    console.log('🌐 OpenAI-compatible provider (local stub)...');
+    const { server, bodies } = await startStub();
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+    try {
+        const provider = llm.createProvider(llm.configFromEnv({
+            LLM_PROVIDER: 'openai', LLM_BASE_URL: baseUrl, LLM_MODEL: 'llama3.1:8b', LLM_TIMEOUT_SECONDS: '5'
+        }));
+
+        const result = await provider.chat({ ...request, json: true });
+        assert.strictEqual(result.text, 'Which suppliers?');
+        assert.strictEqual(result.model, 'llama3.1:8b');
+        assert.deepStrictEqual(result.usage, { promptTokens: 12, completionTokens: 4, totalTokens: 16 });
+        assert.strictEqual(bodies[0].max_tokens, 100);
+        assert.deepStrictEqual(bodies[0].response_format, { type: 'json_object' });
+
+        const deltas = [];
+        const streamed = await provider.stream(request, delta => deltas.push(delta));
+        assert.deepStrictEqual(deltas, ['Which ', 'suppliers?']);
+        assert.strictEqual(streamed.text, 'Which suppliers?');
+        assert.strictEqual(streamed.usage.totalTokens, 16);
+        assert.strictEqual(bodies[1].stream, true);
+
+        const missing = llm.createProvider(llm.configFromEnv({
+            LLM_PROVIDER: 'openai', LLM_BASE_URL: baseUrl, LLM_MODEL: 'missing-model'
+        }));
+        await assert.rejects(missing.chat(request), /LLM API error 404/);
+        console.log('   ✅ chat, JSON mode, streaming, usage and errors');
+    } finally {
+        server.close();
+    }
+}
+
+function testSelection() {
+    console.log('⚙️  Provider selection...');
+    assert.throws(() => llm.createProvider(llm.configFromEnv({ LLM_PROVIDER: 'bard' })), /Unknown LLM_PROVIDER/);
+    assert.throws(() => llm.createProvider(llm.configFromEnv({ LLM_PROVIDER: 'groq' })), /GROQ_API_KEY is required/);
+    assert.throws(() => llm.createProvider(llm.configFromEnv({ LLM_PROVIDER: 'openai', LLM_BASE_URL: 'http://localhost:11434/v1' })), /LLM_MODEL is required/);
+    console.log('   ✅ configuration errors');
+}
+
+async function testBrain() {
+    console.log('🧠 Coaching brain on the mock...');
+    const mock = llm.createProvider({ ...llm.configFromEnv({ LLM_PROVIDER: 'mock' }), mock: { script: [{ response: 'What made you choose that framework?' }] } });
+    llm.setProvider(mock);
+    try {
+        const { think } = require('../services/groqBrain');
+        const result = await think('I used the triple bottom line', null, { responseLength: 'SHORT' });
+        assert.strictEqual(result.text, 'What made you choose that framework?');
+        assert.strictEqual(mock.calls[0].messages[0].role, 'system');
+        assert.strictEqual(mock.calls[0].messages.at(-1).content, 'I used the triple bottom line');
+        console.log('   ✅ think() goes through the configured provider');
+    } finally {
+        llm.setProvider(null);
+    }
+}
+
+async function main() {
+    console.log('\n🧪 LLM PROVIDER TEST\n');
+    await testMock();
+    await testOpenAICompatible();
+    testSelection();
+    await testBrain();
+    console.log('\n✅ All LLM provider tests passed\n');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('\n❌ LLM provider test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,146 @@
+/**
+ * MIGRATIONS TEST - Every migration up and down, irreversible baseline, newer-schema refusal, no network
+ *
+ * Runs the real migration files against a temporary database (tests/tempDb.js), copies
+ * of data/kea_sessions.db and scratch migrations written next to them.
+ *
+ *   node tests/migrations_test.js
+ */
+
+const { DB_PATH } = require('./tempDb');
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrator = require('../services/migrator');
+
+const db = new Database(DB_PATH);
+
+// Table, index and trigger definitions, for comparing schemas
+const schemaOf = (target = db) => target.prepare(
+    `SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name`
+).all();
+
+function testUpAndDown() {
+    console.log('🗄️ Up, down and up again...');
+    const migrations = migrator.loadMigrations();
+    assert.ok(migrations.length >= 11);
+    assert.deepStrictEqual(migrations.map(m => m.version), [...migrations.map(m => m.version)].sort((a, b) => a - b));
+
+    const applied = migrator.migrate(db);
+    assert.strictEqual(applied.length, migrations.length);
+    assert.deepStrictEqual(migrator.migrate(db), [], 'nothing left to apply');
+    const migrated = schemaOf();
+
+    let status = migrator.getStatus(db);
+    assert.strictEqual(status.current, status.latest);
+    assert.deepStrictEqual(status.pending, []);
+
+    assert.deepStrictEqual(migrator.rollback(db), [migrations.at(-1).name], 'down undoes the latest one');
+    assert.strictEqual(migrator.getStatus(db).pending.length, 1);
+
+    const beforeRollback = schemaOf();
+    assert.throws(() => migrator.rollback(db, { target: 0 }), { code: 'IRREVERSIBLE' });
+    assert.deepStrictEqual(schemaOf(), beforeRollback, 'refused before anything was undone');
+    assert.strictEqual(migrator.getStatus(db).current, migrations.at(-2).version);
+
+    assert.strictEqual(migrator.rollback(db, { target: 1 }).length, migrations.length - 2);
+    const baselineOnly = new Database(':memory:');
+    migrator.migrate(baselineOnly, { target: 1 });
+    assert.deepStrictEqual(schemaOf(), schemaOf(baselineOnly), 'every down() drops what its up() made');
+    baselineOnly.close();
+
+    migrator.migrate(db, { target: 3 });
+    assert.strictEqual(migrator.getStatus(db).current, 3);
+    migrator.migrate(db);
+    assert.deepStrictEqual(schemaOf(), migrated, 'the same schema after a full round trip');
+
+    db.prepare('UPDATE schema_migrations SET checksum = ? WHERE version = 1').run('edited');
+    status = migrator.getStatus(db);
+    assert.ok(status.applied.find(m => m.version === 1).modified);
+    console.log(`   ✅ ${migrations.length} migrations applied, rolled back to the baseline and reapplied`);
+}
+
+function testSchemaAhead() {
+    console.log('⏭️ Database from a newer release...');
+    db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)').run(999, '999_from_the_future', 'x');
+
+    assert.deepStrictEqual(migrator.getStatus(db).unknown.map(u => u.version), [999]);
+    assert.throws(() => migrator.migrate(db), { code: 'SCHEMA_AHEAD' });
+    assert.throws(() => migrator.rollback(db), { code: 'SCHEMA_AHEAD' });
+    assert.ok(migrator.getStatus(db).applied.length > 0, 'nothing was rolled back');
+
+    db.prepare('DELETE FROM schema_migrations WHERE version = 999').run();
+    console.log('   ✅ migrate and rollback refuse with SCHEMA_AHEAD');
+}
+
+function testReportRecipients() {
+    console.log('📬 Report recipients on new and upgraded databases...');
+    const recipientsOf = target => target.prepare('SELECT course_code, email, role FROM course_report_recipients').all();
+    const legacyCopy = name => {
+        const file = path.join(path.dirname(DB_PATH), name);
+        fs.copyFileSync(path.join(__dirname, '..', 'data', 'kea_sessions.db'), file);
+        return new Database(file);
+    };
+
+    assert.deepStrictEqual(recipientsOf(db), [], 'a new database starts with no recipients');
+
+    const withoutAddress = legacyCopy('legacy_plain.db');
+    migrator.migrate(withoutAddress);
+    assert.deepStrictEqual(recipientsOf(withoutAddress), []);
+    withoutAddress.close();
+
+    process.env.INSTRUCTOR_EMAIL = 'lecturer@example.edu';
+    const withAddress = legacyCopy('legacy_instructor.db');
+    migrator.migrate(withAddress);
+    assert.deepStrictEqual(recipientsOf(withAddress), [{ course_code: 'MAMC01810', email: 'lecturer@example.edu', role: 'instructor' }]);
+    withAddress.close();
+
+    const fresh = new Database(':memory:');
+    migrator.migrate(fresh);
+    assert.deepStrictEqual(recipientsOf(fresh), [], 'INSTRUCTOR_EMAIL only applies to upgrades');
+    delete process.env.INSTRUCTOR_EMAIL;
+    console.log('   ✅ only an upgraded database carries INSTRUCTOR_EMAIL over');
+}
+
+function testBrokenMigrations() {
+    console.log('💥 Failing and malformed migrations...');
+    const dir = path.join(path.dirname(DB_PATH), 'migrations');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, '001_create_notes.js'),
+        "module.exports = { up: db => db.exec('CREATE TABLE notes (id INTEGER)') };\n");
+    fs.writeFileSync(path.join(dir, '002_half_done.js'),
+        "module.exports = { up: db => { db.exec('CREATE TABLE tags (id INTEGER)'); throw new Error('boom'); } };\n");
+
+    const scratch = new Database(':memory:');
+    const migrations = migrator.loadMigrations(dir);
+    assert.throws(() => migrator.migrate(scratch, { migrations }), /boom/);
+    assert.strictEqual(migrator.getStatus(scratch, migrations).current, 1);
+    const tables = scratch.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`).all().map(t => t.name);
+    assert.deepStrictEqual(tables, ['notes', 'schema_migrations'], 'the failed migration left nothing behind');
+
+    assert.throws(() => migrator.rollback(scratch, { migrations }), { code: 'IRREVERSIBLE' });
+
+    fs.writeFileSync(path.join(dir, '002_duplicate.js'), 'module.exports = { up() {} };\n');
+    assert.throws(() => migrator.loadMigrations(dir), { code: 'DUPLICATE_VERSION' });
+    console.log('   ✅ a failing up() is rolled back; missing down() and duplicate versions are refused');
+}
+
+function main() {
+    console.log('\n🧪 MIGRATIONS TEST\n');
+    testUpAndDown();
+    testSchemaAhead();
+    testReportRecipients();
+    testBrokenMigrations();
+    console.log('\n✅ All migration tests passed\n');
+    db.close();
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Migrations test failed:', err);
+    process.exit(1);
+}
@@ -0,0 +1,115 @@
+/**
+ * OUTPUT GUARDRAIL TEST - Pattern checks, stream checking and enforcement, no network
+ *
+ *   node tests/output_guardrail_test.js
+ */
+
+const assert = require('assert');
+const guardrail = require('../services/outputGuardrail');
+
+const rulesOf = text => guardrail.checkOutput(text).violations.map(v => v.rule);
+
+function testViolations() {
+    console.log('🚫 Replies that cross the line...');
+    const cases = {
+        "Honestly, this would get a B+ as it stands.": 'letter_grade',
+        "That section is worth 7/10.": 'numeric_mark',
+        "You'd score around 75% on this.": 'numeric_mark',
+        "Your report will pass comfortably.": 'pass_fail',
+        "The marker will love your framing.": 'marker_prediction',
+        "On criterion 2, you have done well.": 'criterion_judgement',
+        "For criterion 3 your analysis is strong.": 'criterion_judgement',
+        "Your grade would be a B.": 'letter_grade',
+        "You'll fail.": 'pass_fail',
+        "Your gap analysis rates as proficient.": 'rubric_rating',
+        "You've met the requirements for the stakeholder section.": 'requirement_met',
+        "Here's a paragraph you can use: sustainability is central.": 'draft_offer',
+        "You could just paste this into your introduction.": 'copy_invitation'
+    };
+    for (const [text, rule] of Object.entries(cases)) {
+        assert.ok(rulesOf(text).includes(rule), `"${text}" should break ${rule}`);
+    }
+    console.log(`   ✅ ${Object.keys(cases).length} violations found`);
+}
+
+function testCoachingPasses() {
+    console.log('✅ Ordinary coaching...');
+    const replies = [
+        "That gives you a better understanding of Scope 3. What made you pick that supplier?",
+        "Suppliers earn 20% margins in that sector, which matters for your argument.",
+        "The policy will fail to capture indirect emissions - how would you address that?",
+        "You could make a distinction between mitigation and adaptation.",
+        "Plan B might be worth exploring. What do you think?",
+        // Criteria named without judging the work
+        "What does the brief ask for criterion 2?",
+        "Think about what the rubric expects for criterion 3.",
+        // Grades and scores that belong to companies, not the student
+        "You could get a B Corp certification for the case company.",
+        "Companies earn 5 out of 10 points on the CDP index.",
+        "Apple earns an A on the CDP climate list.",
+        "You will pass through three stages in this framework.",
+        guardrail.REDIRECTS.grade
+    ];
+    for (const reply of replies) {
+        assert.deepStrictEqual(rulesOf(reply), [], `"${reply}" should pass`);
+    }
+    console.log(`   ✅ ${replies.length} replies passed`);
+}
+
+function testProse() {
+    console.log('📄 Paste-ready prose...');
+    const sentence = 'The company reports emissions across its operations and supply chain clearly.';
+    const essay = Array(30).fill(sentence).join(' ');
+    assert.deepStrictEqual(rulesOf(essay), ['long_prose']);
+    assert.deepStrictEqual(rulesOf(`${essay} What would you add?`), []);
+
+    const rewritten = guardrail.rewrite(essay, guardrail.checkOutput(essay).violations);
+    assert.strictEqual(rewritten, `${sentence} ${sentence} ${guardrail.REDIRECTS.ghostwriting}`, 'rewrite keeps two sentences');
+
+    const checker = guardrail.createStreamChecker({ maxProseWords: 20 });
+    assert.deepStrictEqual(checker.check(sentence), []);
+    assert.deepStrictEqual(checker.check('What stands out to you?'), [], 'a question resets the run');
+    assert.deepStrictEqual(checker.check(sentence), []);
+    assert.deepStrictEqual(checker.check(sentence).map(v => v.rule), ['long_prose']);
+    console.log('   ✅ whole replies and sentence by sentence');
+}
+
+async function testEnforce() {
+    console.log('🔁 Regenerate, then rewrite...');
+    const corrections = [];
+    const regenerated = await guardrail.enforce("You'd get an A for this.", {
+        regenerate: async correction => {
+            corrections.push(correction);
+            return 'What would you change first?';
+        }
+    });
+    assert.strictEqual(regenerated.action, 'regenerated');
+    assert.strictEqual(regenerated.text, 'What would you change first?');
+    assert.strictEqual(regenerated.violations[0].category, 'grade');
+    assert.match(corrections[0], /predicted a grade/);
+
+    const rewritten = await guardrail.enforce('Great start. You would get an A for this. Which part next?', {
+        regenerate: async () => 'It is worth 9/10, honestly.'
+    });
+    assert.strictEqual(rewritten.action, 'rewritten');
+    assert.strictEqual(rewritten.text, guardrail.REDIRECTS.grade);
+
+    const clean = await guardrail.enforce('What drew you to that framework?');
+    assert.deepStrictEqual(clean, { text: 'What drew you to that framework?', violations: [], action: null });
+    console.log('   ✅ corrected retry, rewrite fallback and clean replies');
+}
+
+async function main() {
+    console.log('\n🧪 OUTPUT GUARDRAIL TEST\n');
+    testViolations();
+    testCoachingPasses();
+    testProse();
+    await testEnforce();
+    console.log('\n✅ All output guardrail tests passed\n');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('\n❌ Output guardrail test failed:', err);
+    process.exit(1);
+});
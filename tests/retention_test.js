@@ -0,0 +1,107 @@
+/**
+ * RETENTION TEST - Preview, purge and anonymisation by course policy, no network
+ *
+ * Sessions are backdated directly in a temporary database (tests/tempDb.js).
+ *
+ *   node tests/retention_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const { db } = require('../services/sessionDatabase');
+const sessionDb = require('../services/sessionDatabaseSafe');
+const courseConfig = require('../services/courseConfig');
+const retention = require('../services/retentionService');
+
+// An ended session with two turns and an analysis, `daysAgo` days old
+function endedSession(sessionId, email, courseCode, daysAgo) {
+    const user = sessionDb.getOrCreateUser(email, email.split('@')[0]);
+    sessionDb.createSession(sessionId, user.id, 'MEDIUM', courseCode);
+    sessionDb.updateSessionAssessment(sessionId, {
+        organisationName: 'Fonterra',
+        initialParse: { summary: 'Scope 3 gaps' },
+        coachingContext: 'Student report on Fonterra'
+    });
+    sessionDb.addConversationTurn(sessionId, 'user', 'I looked at dairy supply chains.');
+    sessionDb.addConversationTurn(sessionId, 'assistant', 'What did you find about farm emissions?');
+    sessionDb.endSession(sessionId);
+    db.prepare(`UPDATE sessions SET ended_at = datetime('now', ?) WHERE session_id = ?`).run(`-${daysAgo} days`, sessionId);
+}
+
+const sessionIdsOf = sessions => sessions.map(s => s.session_id).sort();
+
+function testPreview() {
+    console.log('🔍 Preview...');
+    courseConfig.saveCourse('RET101', {
+        name: 'Retention Course',
+        retention: { transcriptDays: 30, analysisDays: 60, anonymiseDays: 90 }
+    });
+    courseConfig.saveCourse('KEEP101', { name: 'No Policy Course' });
+
+    endedSession('ret_old', 'riley@student.example.edu', 'RET101', 100);
+    endedSession('ret_mid', 'riley@student.example.edu', 'RET101', 45);
+    endedSession('ret_new', 'riley@student.example.edu', 'RET101', 5);
+    endedSession('ret_only', 'morgan@student.example.edu', 'RET101', 120);
+    endedSession('keep_old', 'kai@student.example.edu', 'KEEP101', 400);
+    const user = sessionDb.getUserByEmail('riley@student.example.edu');
+    sessionDb.createSession('ret_active', user.id, 'MEDIUM', 'RET101');
+    db.prepare(`UPDATE sessions SET started_at = datetime('now', '-200 days') WHERE session_id = 'ret_active'`).run();
+
+    const preview = retention.previewCourse(courseConfig.getCourse('RET101'));
+    const byStage = Object.fromEntries(preview.stages.map(s => [s.stage, sessionIdsOf(s.sessions)]));
+    assert.deepStrictEqual(byStage, {
+        transcripts: ['ret_mid', 'ret_old', 'ret_only'],
+        analysis: ['ret_old', 'ret_only'],
+        anonymise: ['ret_old', 'ret_only']
+    });
+    assert.strictEqual(sessionDb.getConversationHistory('ret_old').length, 2, 'preview changes nothing');
+    console.log('   ✅ each stage lists only ended sessions past its age');
+}
+
+function testPurge() {
+    console.log('🧹 Scheduled run...');
+    const runs = retention.runRetention();
+    assert.strictEqual(runs.length, 1, 'only the course with a policy runs');
+    assert.deepStrictEqual(
+        [runs[0].course_code, runs[0].transcripts_purged, runs[0].analyses_purged, runs[0].sessions_anonymised, runs[0].users_removed],
+        ['RET101', 3, 2, 2, 1]
+    );
+
+    const mid = sessionDb.getSession('ret_mid');
+    assert.strictEqual(sessionDb.getConversationHistory('ret_mid').length, 0);
+    assert.strictEqual(JSON.parse(mid.retained_stats_json).totalTurns, 2, 'turn counts survive the purge');
+    assert.strictEqual(mid.coaching_context, 'Student report on Fonterra', 'analysis is kept until its own stage');
+    assert.ok(mid.user_id);
+
+    const old = sessionDb.getSession('ret_old');
+    assert.deepStrictEqual([old.coaching_context, old.initial_parse_json, old.user_id], [null, null, null]);
+    assert.strictEqual(old.organisation_name, 'Fonterra', 'the session row stays for course statistics');
+
+    assert.ok(sessionDb.getUserByEmail('riley@student.example.edu'), 'student with newer sessions is kept');
+    assert.ok(!sessionDb.getUserByEmail('morgan@student.example.edu'), 'student with no sessions left is removed');
+    assert.strictEqual(sessionDb.getConversationHistory('ret_new').length, 2);
+    assert.strictEqual(sessionDb.getConversationHistory('ret_active').length, 0);
+    assert.ok(sessionDb.getSession('ret_active').user_id, 'active sessions are never touched');
+    assert.strictEqual(sessionDb.getConversationHistory('keep_old').length, 2, 'no policy keeps everything');
+
+    assert.deepStrictEqual(retention.runRetention(), [], 'a second run finds nothing due');
+    const manual = retention.applyCourse(courseConfig.getCourse('RET101'), { trigger: 'manual' });
+    assert.deepStrictEqual([manual.trigger, manual.transcripts_purged], ['manual', 0], 'manual runs are recorded even when empty');
+    console.log('   ✅ transcripts, analysis and students removed by stage, statistics kept');
+}
+
+function main() {
+    console.log('\n🧪 RETENTION TEST\n');
+    testPreview();
+    testPurge();
+    console.log('\n✅ All retention tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Retention test failed:', err);
+    process.exit(1);
+}
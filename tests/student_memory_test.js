@@ -0,0 +1,68 @@
+/**
+ * STUDENT MEMORY TEST - Notes kept from ended sessions and who gets them back, no network
+ *
+ * Runs on a temporary database (tests/tempDb.js).
+ *
+ *   node tests/student_memory_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const sessionDb = require('../services/sessionDatabaseSafe');
+const studentMemory = require('../services/studentMemory');
+const portal = require('../services/studentPortal');
+
+const TAKEAWAYS = `
+    <h2>🎯 Session Focus</h2><p>Scope 3 emissions in the Fonterra report</p>
+    <h2>🚀 Next Steps</h2><ul><li>Check the supplier emissions figures</li></ul>
+`;
+
+function testRemember() {
+    console.log('🧠 Remembering an ended session...');
+    const student = sessionDb.getOrCreateUser('robin@student.example.edu', 'Robin');
+    sessionDb.createSession('memory_first', student.id, 'MEDIUM', 'MAMC01810');
+    sessionDb.addConversationTurn('memory_first', 'user', 'I looked at Fonterra.');
+    sessionDb.updateKeyTakeaways('memory_first', TAKEAWAYS);
+
+    assert.strictEqual(studentMemory.rememberSession('memory_first'), 2);
+    const memory = studentMemory.getMemory(student.id);
+    assert.deepStrictEqual(memory.sessions[0].items.map(i => i.kind), ['summary', 'commitment']);
+    console.log('   ✅ session focus and next steps kept');
+}
+
+function testVerifiedOnly() {
+    console.log('🔒 Memory only for verified sessions...');
+    const student = sessionDb.getUserByEmail('robin@student.example.edu');
+
+    // What /api/register-session does for anyone who types Robin's email
+    sessionDb.createSession('memory_typed_email', student.id, 'MEDIUM', 'MAMC01810');
+    assert.strictEqual(studentMemory.buildMemoryPrompt('memory_typed_email'), null, 'an unverified session gets no memory');
+
+    // Registered with Robin's portal token
+    sessionDb.createSession('memory_signed_in', student.id, 'MEDIUM', 'MAMC01810');
+    assert.ok(sessionDb.markSessionIdentityVerified('memory_signed_in'));
+    assert.match(studentMemory.buildMemoryPrompt('memory_signed_in'), /Scope 3 emissions[\s\S]*supplier emissions/);
+
+    const resumed = portal.resumeSession(student.id, 'memory_first');
+    assert.ok(sessionDb.getSession(resumed.session.sessionId).identity_verified, 'portal resumes are verified');
+    assert.ok(studentMemory.buildMemoryPrompt(resumed.session.sessionId));
+
+    assert.strictEqual(studentMemory.buildMemoryPrompt('memory_missing'), null);
+    console.log('   ✅ typed-in emails get none; portal sign-in and resume get the notes');
+}
+
+function main() {
+    console.log('\n🧪 STUDENT MEMORY TEST\n');
+    testRemember();
+    testVerifiedOnly();
+    console.log('\n✅ All student memory tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Student memory test failed:', err);
+    process.exit(1);
+}
@@ -0,0 +1,120 @@
+/**
+ * STUDENT PORTAL TEST - Email code login, session access and resume, no network
+ *
+ * Login codes are read from a stubbed emailService sender on a temporary database
+ * (tests/tempDb.js).
+ *
+ *   node tests/student_portal_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const sessionDb = require('../services/sessionDatabaseSafe');
+const emailService = require('../services/emailService');
+const outbox = require('../services/emailOutbox');
+const portal = require('../services/studentPortal');
+
+const sentCodes = [];
+emailService.sendLoginCodeEmail = async (toEmail, login) => {
+    sentCodes.push(login.code);
+    return { success: true, messageId: `code-${sentCodes.length}` };
+};
+
+const asRequest = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+async function requestCode(email, ip) {
+    const result = portal.requestLoginCode(email, ip);
+    await outbox.processQueue();
+    return result;
+}
+
+async function testLoginCodes() {
+    console.log('🎓 Login codes...');
+    const student = sessionDb.getOrCreateUser('sam@student.example.edu', 'Sam');
+    sessionDb.createSession('kea_portal_1', student.id, 'MEDIUM', 'MAMC01810', 'T1');
+
+    const unknown = await requestCode('nobody@student.example.edu');
+    const known = await requestCode('sam@student.example.edu');
+    assert.deepStrictEqual(unknown, known, 'same answer whether or not the email is known');
+    assert.strictEqual(sentCodes.length, 1);
+    assert.match(sentCodes[0], /^\d{6}$/);
+
+    const [email] = sessionDb.getOutboxEmails({ status: 'sent' });
+    assert.strictEqual(email.kind, 'student_login_code');
+    assert.ok(!('code' in JSON.parse(email.payload_json)), 'code dropped once sent');
+    assert.strictEqual(outbox.resend(email.id), null, 'login codes are never resent');
+
+    const wrong = sentCodes[0] === '000000' ? '000001' : '000000';
+    assert.strictEqual(portal.verifyLoginCode('sam@student.example.edu', wrong).status, 401);
+    const login = portal.verifyLoginCode('sam@student.example.edu', sentCodes[0]);
+    assert.ok(login.ok && login.token);
+    assert.strictEqual(portal.verifyLoginCode('sam@student.example.edu', sentCodes[0]).status, 401, 'codes are single use');
+
+    const auth = portal.authenticateStudent(asRequest(login.token));
+    assert.strictEqual(auth.userId, student.id);
+    assert.ok(portal.logout(auth.token));
+    assert.strictEqual(portal.authenticateStudent(asRequest(login.token)).status, 401);
+    console.log('   ✅ one-time codes, same reply for unknown emails, token revoked on logout');
+}
+
+async function testCodeLimits() {
+    console.log('🚧 Code guesses and requests...');
+    await requestCode('sam@student.example.edu');
+    const code = sentCodes.at(-1);
+    for (let i = 0; i < 5; i++) {
+        portal.verifyLoginCode('sam@student.example.edu', code === '999999' ? '999998' : '999999');
+    }
+    assert.strictEqual(portal.verifyLoginCode('sam@student.example.edu', code).status, 401, 'locked after 5 guesses');
+
+    await requestCode('sam@student.example.edu');
+    await requestCode('nobody@student.example.edu');
+    await requestCode('nobody@student.example.edu');
+    const limited = await requestCode('sam@student.example.edu');
+    assert.strictEqual(limited.status, 429, 'three codes per window');
+    assert.deepStrictEqual(await requestCode('nobody@student.example.edu'), limited, 'unknown emails are limited alike');
+
+    const sent = sentCodes.length;
+    const fromOneAddress = [];
+    for (let i = 0; i < 11; i++) {
+        fromOneAddress.push(await requestCode(`guess${i}@student.example.edu`, '10.0.3.1'));
+    }
+    assert.ok(fromOneAddress.slice(0, 10).every(r => r.ok));
+    assert.deepStrictEqual(fromOneAddress[10], limited, 'ten codes per client address');
+    assert.strictEqual(sentCodes.length, sent, 'no codes sent to unknown emails');
+    console.log('   ✅ guesses and code requests are capped, known or not');
+}
+
+function testSessions() {
+    console.log('📚 Own sessions and resume...');
+    const student = sessionDb.getOrCreateUser('sam@student.example.edu', 'Sam');
+    const other = sessionDb.getOrCreateUser('alex@student.example.edu', 'Alex');
+    sessionDb.createSession('kea_portal_other', other.id, 'MEDIUM', 'MAMC01810', 'T1');
+    sessionDb.addConversationTurn('kea_portal_1', 'user', 'I looked at Scope 3 emissions.');
+    sessionDb.addConversationTurn('kea_portal_1', 'assistant', 'Which suppliers did you focus on?');
+
+    assert.deepStrictEqual(portal.listSessions(student.id).map(s => s.sessionId), ['kea_portal_1']);
+    assert.strictEqual(portal.getSessionForStudent(student.id, 'kea_portal_other'), null);
+    assert.strictEqual(portal.getSessionForStudent(student.id, 'kea_portal_1').turns.length, 2);
+
+    assert.strictEqual(portal.resumeSession(student.id, 'kea_portal_other'), null);
+    const resumed = portal.resumeSession(student.id, 'kea_portal_1');
+    assert.strictEqual(resumed.session.resumedFrom, 'kea_portal_1');
+    assert.strictEqual(resumed.contextEntry.resumeHistory.at(-1).content, 'Which suppliers did you focus on?');
+    assert.strictEqual(sessionDb.getSession(resumed.session.sessionId).tutorial_group, 'T1');
+    console.log('   ✅ students see and resume only their own sessions');
+}
+
+async function main() {
+    console.log('\n🧪 STUDENT PORTAL TEST\n');
+    await testLoginCodes();
+    await testCodeLimits();
+    testSessions();
+    console.log('\n✅ All student portal tests passed\n');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('\n❌ Student portal test failed:', err);
+    process.exit(1);
+});
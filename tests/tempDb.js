@@ -0,0 +1,14 @@
+/**
+ * TEMP DATABASE - Require first in any test that loads the session database, so it opens
+ * a fresh file under the temp directory instead of data/kea_sessions.db
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kea-test-'));
+process.env.KEA_DB_PATH = path.join(dir, 'kea_sessions.db');
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+module.exports = { DB_PATH: process.env.KEA_DB_PATH };
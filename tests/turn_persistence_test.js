@@ -0,0 +1,89 @@
+/**
+ * TURN PERSISTENCE TEST - Relay-saved turns and client turn reconciliation, no network
+ *
+ * The relay side calls the V7 engine's persistTurn directly; runs on a temporary
+ * database (tests/tempDb.js).
+ *
+ *   node tests/turn_persistence_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const sessionDb = require('../services/sessionDatabaseSafe');
+
+const turnsOf = sessionId => sessionDb.getConversationHistory(sessionId).map(t => [t.turn_number, t.role, t.source]);
+
+function testRelayTurns() {
+    console.log('🎙️ Relay-recorded session...');
+    process.env.LLM_PROVIDER = 'mock';
+    const { KeaV7Engine } = require('../services/keaVoiceV7');
+    const engine = new KeaV7Engine();
+
+    const user = sessionDb.getOrCreateUser('quinn@student.example.edu', 'Quinn');
+    sessionDb.createSession('turns_relay', user.id, 'MEDIUM', 'MAMC01810');
+    engine.sessions.set('relay-1', { persistTurns: true, clientSessionId: 'turns_relay' });
+    engine.sessions.set('relay-2', { persistTurns: false, clientSessionId: 'turns_unregistered' });
+
+    assert.strictEqual(engine.persistTurn('relay-1', 'user', 'I chose Fonterra.', { latencyMs: 420 }), 1);
+    assert.strictEqual(engine.persistTurn('relay-1', 'assistant', 'Why Fonterra?'), 2);
+    assert.strictEqual(engine.persistTurn('relay-2', 'user', 'Not registered.'), null);
+    assert.strictEqual(engine.persistTurn('relay-missing', 'user', 'No session.'), null);
+
+    // The browser posts the same turns afterwards
+    assert.deepStrictEqual(sessionDb.reconcileClientTurn('turns_relay', 'assistant', 'Why Fonterra?'), { turnNumber: 2, stored: false });
+    assert.deepStrictEqual(sessionDb.reconcileClientTurn('turns_relay', 'user', 'Something the relay never heard.'), { turnNumber: null, stored: false });
+    assert.strictEqual(sessionDb.reconcileClientHistory('turns_relay', [
+        { role: 'user', content: 'I chose Fonterra.' },
+        { role: 'assistant', text: 'Why Fonterra?' },
+        { role: 'user', content: 'Extra client copy.' }
+    ]), 0);
+
+    assert.deepStrictEqual(turnsOf('turns_relay'), [[1, 'user', 'relay'], [2, 'assistant', 'relay']]);
+    assert.strictEqual(sessionDb.getConversationHistory('turns_relay')[0].latency_ms, 420);
+    console.log('   ✅ relay turns are the record; client copies are matched, not stored');
+}
+
+function testClientTurns() {
+    console.log('🌐 Client-recorded session...');
+    const user = sessionDb.getOrCreateUser('quinn@student.example.edu', 'Quinn');
+    sessionDb.createSession('turns_client', user.id, 'MEDIUM', 'MAMC01810');
+
+    assert.deepStrictEqual(sessionDb.reconcileClientTurn('turns_client', 'user', 'Hello Kea.'), { turnNumber: 1, stored: true });
+    assert.deepStrictEqual(sessionDb.reconcileClientTurn('turns_client', 'user', 'Hello Kea.'), { turnNumber: 1, stored: false }, 'a retried post');
+    assert.deepStrictEqual(sessionDb.reconcileClientTurn('turns_client', 'assistant', 'Hi! What did you bring?'), { turnNumber: 2, stored: true });
+
+    const history = [
+        { role: 'user', content: 'Hello Kea.' },
+        { role: 'assistant', content: 'Hi! What did you bring?' },
+        { role: 'system', content: 'ignored' },
+        { role: 'user', text: 'My report on Fonterra.' },
+        { role: 'assistant', content: '   ' },
+        { role: 'assistant', content: 'Tell me about its Scope 3 figures.', yamas: { composite: 0.8 } }
+    ];
+    assert.strictEqual(sessionDb.reconcileClientHistory('turns_client', history), 2, 'only turns past those stored');
+    assert.strictEqual(sessionDb.reconcileClientHistory('turns_client', history), 0, 'sending it twice changes nothing');
+
+    const turns = sessionDb.getConversationHistory('turns_client');
+    assert.deepStrictEqual(turns.map(t => t.content), [
+        'Hello Kea.', 'Hi! What did you bring?', 'My report on Fonterra.', 'Tell me about its Scope 3 figures.'
+    ]);
+    assert.ok(turns.every(t => t.source === 'client'));
+    assert.strictEqual(turns[3].yamas_composite, 0.8);
+    console.log('   ✅ client turns fill in sessions the relay did not record, safely retried');
+}
+
+function main() {
+    console.log('\n🧪 TURN PERSISTENCE TEST\n');
+    testRelayTurns();
+    testClientTurns();
+    console.log('\n✅ All turn persistence tests passed\n');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Turn persistence test failed:', err);
+    process.exit(1);
+}
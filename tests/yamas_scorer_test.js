@@ -0,0 +1,104 @@
+/**
+ * YAMAS SCORER TEST - Live reply scoring and regeneration guidance, no network
+ *
+ * The V7 check runs the engine's streamResponse with a scripted brain and a stub TTS
+ * client, on a temporary database (tests/tempDb.js).
+ *
+ *   node tests/yamas_scorer_test.js
+ */
+
+require('./tempDb');
+
+const assert = require('assert');
+const yamas = require('../services/fractal/yamasScorer');
+
+function testScoreReply() {
+    console.log('🕉️ Scoring replies...');
+    const reply = 'That is an interesting point, and it may depend on the supplier. What alternatives could you consider?';
+    const scores = yamas.scoreReply(reply);
+    for (const d of [...yamas.YAMAS_DIMENSIONS, 'composite']) {
+        assert.ok(scores[d] >= 0 && scores[d] <= 1, `${d} is between 0 and 1`);
+        assert.strictEqual(scores[d], Math.round(scores[d] * 100) / 100, `${d} has two decimals`);
+    }
+    assert.strictEqual(typeof scores.passed, 'boolean');
+
+    // The patterns are global regexes - scoring must not depend on what was scored before
+    const again = [reply, 'You must always do this. It is definitely the only way.', reply].map(yamas.scoreReply);
+    assert.deepStrictEqual(again[0], scores);
+    assert.deepStrictEqual(again[2], scores);
+    console.log('   ✅ bounded, rounded and repeatable');
+}
+
+function testRegenerationPrompt() {
+    console.log('🔁 Regeneration guidance...');
+    const prompt = yamas.regenerationPrompt({ ahimsa: 0.9, satya: 0.3, asteya: 0.8, brahmacharya: 0.2, aparigraha: 0.7 });
+    assert.match(prompt, /low on brahmacharya and satya/);
+    assert.match(prompt, /ethical coaching boundaries/);
+    console.log('   ✅ aimed at the two weakest dimensions');
+}
+
+// Brain replies in order, one per stream() call, streamed word by word
+function scriptedBrain(replies) {
+    const calls = [];
+    return {
+        name: 'scripted',
+        calls,
+        async stream(request, onDelta) {
+            calls.push(request);
+            const text = replies[calls.length - 1];
+            for (const word of text.match(/\S+\s*/g)) {
+                if (request.signal?.aborted) throw new Error('Request aborted');
+                onDelta(word);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            return { text, model: 'scripted', latencyMs: 0, usage: {} };
+        }
+    };
+}
+
+async function testV7Regeneration() {
+    console.log('🎙️ V7 replies...');
+    process.env.LLM_PROVIDER = 'mock'; // the engine's own provider, replaced below
+    const { KeaV7Engine } = require('../services/keaVoiceV7');
+    const engine = new KeaV7Engine();
+    engine.ttsClient = { synthesizeSpeech: async () => [{ audioContent: Buffer.alloc(4800) }] };
+
+    const harsh = 'That framework is a reasonable start for your analysis. ' +
+        'That is a stupid, lazy and wrong idea; you must always do it my way, it is definitely the only answer and never anything else. ' +
+        'This sentence never arrives.';
+    const gentle = 'It may help to compare it with another approach. What alternatives could you consider?';
+
+    process.env.YAMAS_REGENERATE = 'true';
+    engine.llm = scriptedBrain([harsh, gentle]);
+    const spoken = [];
+    const regenerated = await engine.streamResponse('yamas-on', { messages: [] }, { onAudioChunk: c => spoken.push(c.text) });
+    assert.strictEqual(engine.llm.calls.length, 2, 'asked once more');
+    assert.match(engine.llm.calls[1].messages.at(-1).content, /scored low on .* already said: "That framework/);
+    assert.deepStrictEqual(spoken, [
+        'That framework is a reasonable start for your analysis.',
+        'It may help to compare it with another approach.',
+        'What alternatives could you consider?'
+    ]);
+    assert.strictEqual(regenerated.text, spoken.join(' '));
+
+    process.env.YAMAS_REGENERATE = 'false';
+    engine.llm = scriptedBrain([harsh]);
+    const asWritten = await engine.streamResponse('yamas-off', { messages: [] }, {});
+    assert.strictEqual(engine.llm.calls.length, 1);
+    assert.strictEqual(asWritten.text, harsh);
+    console.log('   ✅ low-scoring sentence dropped and the rest regenerated only when enabled');
+}
+
+async function main() {
+    console.log('\n🧪 YAMAS SCORER TEST\n');
+    testScoreReply();
+    testRegenerationPrompt();
+    await testV7Regeneration();
+    console.log('\n✅ All Yamas scorer tests passed\n');
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('\n❌ Yamas scorer test failed:', err);
+    process.exit(1);
+});